@@ -0,0 +1,213 @@
+/**
+ * Customer Voice
+ *
+ * How the simulated customer sounds.  A scenario may set
+ *
+ *   voice: { voice, rate, style }
+ *
+ * where `voice` is a voice id of the active TTS provider (see listVoices),
+ * `rate` a speaking-rate multiplier and `style` one of SPEAKING_STYLES.
+ * Without a style (or without voice settings at all) the style is derived
+ * from the persona's temperament.
+ *
+ * Delivery also follows the customer's mood.  Each sentence the customer
+ * speaks is checked for frustration, skepticism or interest cues; a cue
+ * shifts the prosody (rate and pitch) for the rest of that reply, and the
+ * next reply starts again from the temperament's baseline mood.
+ */
+
+'use strict';
+
+// ── Catalog ─────────────────────────────────────────────────────────────────
+
+const VOICE_CATALOG = {
+  deepgram: [
+    { id: 'aura-asteria-en', label: 'Asteria', gender: 'female', accent: 'American' },
+    { id: 'aura-luna-en', label: 'Luna', gender: 'female', accent: 'American' },
+    { id: 'aura-stella-en', label: 'Stella', gender: 'female', accent: 'American' },
+    { id: 'aura-athena-en', label: 'Athena', gender: 'female', accent: 'British' },
+    { id: 'aura-hera-en', label: 'Hera', gender: 'female', accent: 'American' },
+    { id: 'aura-orion-en', label: 'Orion', gender: 'male', accent: 'American' },
+    { id: 'aura-arcas-en', label: 'Arcas', gender: 'male', accent: 'American' },
+    { id: 'aura-perseus-en', label: 'Perseus', gender: 'male', accent: 'American' },
+    { id: 'aura-angus-en', label: 'Angus', gender: 'male', accent: 'Irish' },
+    { id: 'aura-orpheus-en', label: 'Orpheus', gender: 'male', accent: 'American' },
+    { id: 'aura-helios-en', label: 'Helios', gender: 'male', accent: 'British' },
+    { id: 'aura-zeus-en', label: 'Zeus', gender: 'male', accent: 'American' },
+  ],
+  espeak: [
+    { id: 'en-us', label: 'English (US)', gender: 'male', accent: 'American' },
+    { id: 'en-us+f3', label: 'English (US), female', gender: 'female', accent: 'American' },
+    { id: 'en-gb', label: 'English (UK)', gender: 'male', accent: 'British' },
+    { id: 'en-gb+f3', label: 'English (UK), female', gender: 'female', accent: 'British' },
+    { id: 'en-gb-scotland', label: 'English (Scotland)', gender: 'male', accent: 'Scottish' },
+  ],
+  stub: [
+    { id: 'silent', label: 'Silence', gender: null, accent: null },
+    { id: 'tone', label: 'Tone', gender: null, accent: null },
+  ],
+};
+
+// Piper voices are model files on the server, listed in PIPER_VOICES.
+function piperVoices() {
+  const paths = String(process.env.PIPER_VOICES || process.env.TTS_VOICE || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  return paths.map((path) => ({
+    id: path,
+    label: path.split('/').pop().replace(/\.onnx$/, ''),
+    gender: null,
+    accent: null,
+  }));
+}
+
+/**
+ * Voices the given TTS provider can speak with.
+ *
+ * @param {string} provider – canonical provider name
+ */
+function listVoices(provider) {
+  if (provider === 'piper') return piperVoices();
+  return VOICE_CATALOG[provider] || [];
+}
+
+// ── Styles and moods ────────────────────────────────────────────────────────
+
+const SPEAKING_STYLES = {
+  neutral: { label: 'Neutral', rate: 1, pitch: 1 },
+  warm: { label: 'Warm', rate: 0.95, pitch: 1.02 },
+  brisk: { label: 'Brisk', rate: 1.1, pitch: 1 },
+  curt: { label: 'Curt', rate: 1.12, pitch: 0.97 },
+  hesitant: { label: 'Hesitant', rate: 0.9, pitch: 1 },
+};
+
+const TEMPERAMENT_STYLES = {
+  friendly: 'warm',
+  neutral: 'neutral',
+  skeptical: 'neutral',
+  impatient: 'brisk',
+  hostile: 'curt',
+};
+
+// Prosody multipliers on top of the scenario's style.
+const MOODS = {
+  calm: { rate: 1, pitch: 1 },
+  interested: { rate: 1.03, pitch: 1.03 },
+  skeptical: { rate: 0.97, pitch: 0.98 },
+  frustrated: { rate: 1.12, pitch: 1.06 },
+};
+
+const TEMPERAMENT_MOODS = {
+  friendly: 'interested',
+  neutral: 'calm',
+  skeptical: 'skeptical',
+  impatient: 'calm',
+  hostile: 'skeptical',
+};
+
+// Checked in order; the first match sets the mood.
+const MOOD_CUES = [
+  {
+    mood: 'frustrated',
+    pattern: /\b(frustrat\w*|ridiculous|unacceptable|fed up|waste of (?:my )?time|seriously|not listening|you people|how many times)\b|\bagain\?|!\s*$/i,
+  },
+  { mood: 'skeptical', pattern: /\b(not (?:so )?sure|prove|doubt\w*|i've heard that|sounds too good|what's the catch|how do i know)\b|\breally\?/i },
+  { mood: 'interested', pattern: /\b(interesting|tell me more|that helps|sounds good|i like|that's useful|makes sense|go on)\b/i },
+];
+
+const RATE_RANGE = { min: 0.7, max: 1.4 };
+// Limits for the combined rate × style × mood prosody.  Providers that
+// resample for rate shift pitch with it, so the range stays modest.
+const PROSODY_RANGE = { min: 0.75, max: 1.3 };
+
+// ── Settings ────────────────────────────────────────────────────────────────
+
+/**
+ * Validate a scenario's voice settings.
+ *
+ * @param {Object|null} input
+ * @returns {{value: Object|null, error: string|null}} value is null when unset
+ */
+function normalizeVoiceSettings(input) {
+  if (input == null) return { value: null, error: null };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { value: null, error: 'Voice must be an object' };
+  }
+
+  const voice = String(input.voice || '').trim();
+  if (voice.length > 200 || /[\s;&|`$<>]/.test(voice)) {
+    return { value: null, error: `Invalid voice: ${voice.slice(0, 40)}` };
+  }
+
+  const rate = input.rate == null || input.rate === '' ? 1 : Number(input.rate);
+  if (!Number.isFinite(rate) || rate < RATE_RANGE.min || rate > RATE_RANGE.max) {
+    return { value: null, error: `Voice rate must be between ${RATE_RANGE.min} and ${RATE_RANGE.max}` };
+  }
+
+  const style = input.style ? String(input.style).trim() : null;
+  if (style && !SPEAKING_STYLES[style]) {
+    return { value: null, error: `Unknown voice style: ${style}` };
+  }
+
+  return { value: { voice: voice || null, rate, style }, error: null };
+}
+
+/**
+ * Voice settings for a call: the scenario's own, with the style falling back
+ * to one that fits the persona.  A voice the active provider does not have is
+ * dropped so the provider's default speaks instead.
+ *
+ * @param {Object} scenario
+ * @param {string} provider – canonical TTS provider name
+ * @returns {{voice: string|null, rate: number, style: string, baseline_mood: string}}
+ */
+function resolveCustomerVoice(scenario, provider) {
+  const temperament = scenario && scenario.persona ? scenario.persona.temperament : null;
+  const settings = (scenario && scenario.voice) || { voice: null, rate: 1, style: null };
+  const known = listVoices(provider).some((entry) => entry.id === settings.voice);
+
+  return {
+    voice: known ? settings.voice : null,
+    rate: settings.rate,
+    style: settings.style || TEMPERAMENT_STYLES[temperament] || 'neutral',
+    baseline_mood: TEMPERAMENT_MOODS[temperament] || 'calm',
+  };
+}
+
+/**
+ * Mood signalled by one customer sentence, or `current` when it has no cue.
+ */
+function detectCustomerMood(sentence, current) {
+  const text = String(sentence || '');
+  const cue = MOOD_CUES.find((entry) => entry.pattern.test(text));
+  return cue ? cue.mood : current;
+}
+
+/**
+ * Prosody for the next sentence.
+ *
+ * @param {{rate: number, style: string}} voice – resolved voice settings
+ * @param {string} mood
+ * @returns {{rate: number, pitch: number}} multipliers (1 = the voice's natural delivery)
+ */
+function prosodyFor(voice, mood) {
+  const style = SPEAKING_STYLES[voice.style] || SPEAKING_STYLES.neutral;
+  const shift = MOODS[mood] || MOODS.calm;
+  const clamp = (value) => Number(Math.max(PROSODY_RANGE.min, Math.min(PROSODY_RANGE.max, value)).toFixed(3));
+  return {
+    rate: clamp(voice.rate * style.rate * shift.rate),
+    pitch: clamp(style.pitch * shift.pitch),
+  };
+}
+
+module.exports = {
+  SPEAKING_STYLES,
+  MOODS,
+  RATE_RANGE,
+  listVoices,
+  normalizeVoiceSettings,
+  resolveCustomerVoice,
+  detectCustomerMood,
+  prosodyFor,
+};
@@ -0,0 +1,214 @@
+/**
+ * Hidden Buying Criteria & Deal Outcome
+ *
+ * A scenario may give the simulated customer secret buying criteria, e.g.
+ * "only buys if SSO is supported and price is under $40/seat".  The customer
+ * is told to keep them hidden, and at call end the customer decides whether
+ * the deal was won, lost or stalled.  The result gives the trainee an
+ * objective outcome alongside the coach's 0-10 scores.
+ */
+
+'use strict';
+
+const log = require('./lib/logger');
+
+const OUTCOMES = ['won', 'lost', 'stalled'];
+
+const CRITERIA_LIMITS = {
+  maxCriteria: 6,
+  descriptionLength: 300,
+  maxKeywords: 10,
+  keywordLength: 60,
+};
+
+// ── Validation ──────────────────────────────────────────────────────────────
+
+function slugify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 40);
+}
+
+/**
+ * Validate a scenario's buying criteria.
+ *
+ * Each criterion is `{ id?, description, keywords? }`.  Keywords are the words
+ * that show the trainee raised the topic; they drive the fallback scoring when
+ * the LLM verdict is unavailable.
+ *
+ * @param {Array} input
+ * @returns {{value: Array|null, error: string|null}}
+ */
+function normalizeBuyingCriteria(input) {
+  if (!Array.isArray(input)) {
+    return { value: null, error: 'Buying criteria must be an array' };
+  }
+  if (input.length > CRITERIA_LIMITS.maxCriteria) {
+    return { value: null, error: `At most ${CRITERIA_LIMITS.maxCriteria} buying criteria are allowed` };
+  }
+
+  const seen = new Set();
+  const criteria = [];
+  for (let i = 0; i < input.length; i++) {
+    const raw = typeof input[i] === 'string' ? { description: input[i] } : input[i] || {};
+    const description = String(raw.description || '').trim().slice(0, CRITERIA_LIMITS.descriptionLength);
+    if (!description) return { value: null, error: `Buying criterion ${i + 1} needs a description` };
+
+    let id = slugify(raw.id || description) || `criterion_${i + 1}`;
+    if (seen.has(id)) id = `${id}_${i + 1}`;
+    seen.add(id);
+
+    const keywords = (Array.isArray(raw.keywords) ? raw.keywords : [])
+      .map((keyword) => String(keyword || '').trim().toLowerCase().slice(0, CRITERIA_LIMITS.keywordLength))
+      .filter(Boolean)
+      .slice(0, CRITERIA_LIMITS.maxKeywords);
+
+    criteria.push({ id, description, keywords });
+  }
+
+  return { value: criteria, error: null };
+}
+
+// ── Prompting ───────────────────────────────────────────────────────────────
+
+/**
+ * Customer-prompt block that makes the persona hold the criteria privately.
+ */
+function buildCriteriaPrompt(criteria) {
+  if (!Array.isArray(criteria) || criteria.length === 0) return '';
+  return (
+    'SECRET BUYING CRITERIA (never list these; reveal one only when the trainee asks a question that uncovers it):\n' +
+    criteria.map((criterion) => `- ${criterion.description}`).join('\n') +
+    '\nYou only agree to buy if every criterion is met. If one clearly cannot be met, lose interest.'
+  );
+}
+
+function extractJson(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (err) {
+    return null;
+  }
+}
+
+// ── Outcome ─────────────────────────────────────────────────────────────────
+
+/**
+ * Keyword-only verdict used when the LLM call fails: a criterion counts as
+ * uncovered when the trainee mentioned one of its keywords.  Nothing can be
+ * judged satisfied without the customer's view, so the deal stalls at best.
+ */
+function fallbackOutcome(criteria, conversation) {
+  const traineeText = conversation
+    .filter((msg) => msg.role === 'user')
+    .map((msg) => String(msg.content || '').toLowerCase())
+    .join('\n');
+
+  const results = criteria.map((criterion) => ({
+    id: criterion.id,
+    description: criterion.description,
+    uncovered: criterion.keywords.some((keyword) => traineeText.includes(keyword)),
+    satisfied: false,
+  }));
+  const uncoveredCount = results.filter((result) => result.uncovered).length;
+
+  return {
+    outcome: uncoveredCount === 0 ? 'lost' : 'stalled',
+    reason: 'Decided from keyword matches only; customer verdict unavailable.',
+    criteria: results,
+  };
+}
+
+function summarize(verdict, source) {
+  const uncovered = verdict.criteria.filter((criterion) => criterion.uncovered).length;
+  const satisfied = verdict.criteria.filter((criterion) => criterion.satisfied).length;
+  return {
+    ...verdict,
+    uncovered_count: uncovered,
+    satisfied_count: satisfied,
+    total_criteria: verdict.criteria.length,
+    source,
+  };
+}
+
+/**
+ * Ask the simulated customer for its end-of-call decision.
+ *
+ * Never throws: falls back to keyword matching when the LLM is unavailable or
+ * returns something unusable.
+ *
+ * @param {Object} params
+ * @param {Array}  params.criteria      – normalised buying criteria
+ * @param {Array}  params.conversation  – chat messages (system prompt first)
+ * @param {Object} params.llmClient     – client with `generate(messages)`
+ * @param {string} [params.scenarioName]
+ * @returns {Promise<Object|null>} null when the scenario has no criteria
+ */
+async function evaluateDealOutcome({ criteria, conversation, llmClient, scenarioName }) {
+  if (!Array.isArray(criteria) || criteria.length === 0) return null;
+
+  const transcript = conversation
+    .filter((msg) => msg.role !== 'system')
+    .map((msg) => `${msg.role === 'user' ? 'Trainee' : 'Customer'}: ${msg.content}`)
+    .join('\n');
+
+  const prompt =
+    'You played the customer in a sales training call and must now decide whether to buy.\n' +
+    `Scenario: ${scenarioName || 'Unknown'}\n` +
+    'Your secret buying criteria were:\n' +
+    criteria.map((criterion) => `- [${criterion.id}] ${criterion.description}`).join('\n') +
+    `\n\nCall transcript:\n${transcript || '(no conversation)'}\n\n` +
+    'For each criterion decide:\n' +
+    '- uncovered: the trainee asked about it or addressed it directly\n' +
+    '- satisfied: the trainee credibly showed it is met\n' +
+    'Then choose the outcome: "won" only if every criterion is satisfied and the trainee asked for a commitment; ' +
+    '"lost" if a criterion clearly cannot be met or you disengaged; otherwise "stalled".\n' +
+    'Return ONLY JSON: {"outcome": "won|lost|stalled", "reason": <string>, ' +
+    '"criteria": [{"id": <string>, "uncovered": <boolean>, "satisfied": <boolean>}]}';
+
+  try {
+    const text = await llmClient.generate([{ role: 'system', content: prompt }]);
+    const parsed = extractJson(text || '');
+    if (!parsed || !OUTCOMES.includes(parsed.outcome) || !Array.isArray(parsed.criteria)) {
+      throw new Error('Unusable deal outcome response');
+    }
+
+    const byId = new Map(parsed.criteria.map((entry) => [String(entry.id), entry]));
+    const results = criteria.map((criterion) => {
+      const entry = byId.get(criterion.id) || {};
+      const satisfied = entry.satisfied === true;
+      return {
+        id: criterion.id,
+        description: criterion.description,
+        uncovered: entry.uncovered === true || satisfied,
+        satisfied,
+      };
+    });
+
+    // A deal cannot be won while any criterion is unmet, whatever the model says.
+    let outcome = parsed.outcome;
+    if (outcome === 'won' && results.some((result) => !result.satisfied)) {
+      outcome = 'stalled';
+    }
+
+    return summarize(
+      { outcome, reason: String(parsed.reason || '').trim().slice(0, 500), criteria: results },
+      'customer'
+    );
+  } catch (err) {
+    log.warn('[deal] Falling back to keyword outcome:' + err.message || err);
+    return summarize(fallbackOutcome(criteria, conversation), 'keywords');
+  }
+}
+
+module.exports = {
+  OUTCOMES,
+  normalizeBuyingCriteria,
+  buildCriteriaPrompt,
+  evaluateDealOutcome,
+};
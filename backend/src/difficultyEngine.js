@@ -0,0 +1,386 @@
+/**
+ * Adaptive Difficulty Engine
+ *
+ * Turns a trainee's skill ratings (see skillRating.js) into a difficulty
+ * level plus targeted "skill focus" modifiers.  The level comes from a
+ * weighted blend of the overall and per-skill ratings; any skill that lags
+ * behind gets its own modifier, so a trainee with a high overall rating but
+ * weak objection handling still meets a customer who raises more objections.
+ * Until the ratings are reliable the recent session averages are used.
+ *
+ * During the call the level is re-evaluated after every turn from live
+ * signals (talk ratio, questions asked, hesitation rate, coach-hint
+ * frequency) and escalated or eased one step at a time.
+ *
+ * Weights and thresholds live in DIFFICULTY_CONFIG.  Skill weights can be
+ * overridden with the DIFFICULTY_SKILL_WEIGHTS environment variable (JSON,
+ * e.g. `{"objection_handling": 0.4}`).  Custom rubric criteria are rated and
+ * weighted like the built-in skills: a criterion without its own weight gets
+ * `criterionWeight`, and a weak one gets a generic focus modifier.
+ */
+
+'use strict';
+
+const log = require('./lib/logger');
+const { containsQuestion } = require('./metricsEngine');
+const { HESITATION_REGEX } = require('./voiceMetrics');
+const { DIFFICULTY_LEVELS } = require('./scenarioPacks');
+const { averageDimensions, dimensionLabel } = require('./rubrics');
+
+// Skill dimensions scored by the feedback LLM, with the customer behaviour
+// that exercises each one.
+const SKILLS = {
+  objection_handling: {
+    label: 'Objection handling',
+    modifier:
+      'SKILL FOCUS (objection handling): Raise at least two distinct objections during the call ' +
+      '(price, timing, risk or a competitor). If an answer is generic, push back on it once more before moving on.',
+  },
+  communication_clarity: {
+    label: 'Communication clarity',
+    modifier:
+      'SKILL FOCUS (clarity): Whenever the trainee is vague or uses jargon, ask them to restate it plainly ' +
+      'and to give a concrete example or number.',
+  },
+  confidence: {
+    label: 'Confidence',
+    modifier:
+      'SKILL FOCUS (confidence): Question the trainee\'s claims and sound doubtful. If they hedge ' +
+      '("I think", "maybe"), ask whether they are actually sure.',
+  },
+};
+
+const DEFAULT_SKILL_WEIGHTS = {
+  overall_score: 0.4,
+  objection_handling: 0.2,
+  communication_clarity: 0.2,
+  confidence: 0.2,
+};
+
+function loadSkillWeights() {
+  const raw = process.env.DIFFICULTY_SKILL_WEIGHTS;
+  if (!raw) return DEFAULT_SKILL_WEIGHTS;
+  try {
+    const overrides = JSON.parse(raw);
+    const weights = { ...DEFAULT_SKILL_WEIGHTS };
+    // Any dimension may be weighted, including custom rubric criterion keys.
+    for (const [key, value] of Object.entries(overrides || {})) {
+      if (/^[a-z0-9_]+$/.test(key) && Number.isFinite(Number(value)) && Number(value) >= 0) {
+        weights[key] = Number(value);
+      }
+    }
+    return weights;
+  } catch (err) {
+    log.warn('[difficulty] Ignoring invalid DIFFICULTY_SKILL_WEIGHTS:' + err.message || err);
+    return DEFAULT_SKILL_WEIGHTS;
+  }
+}
+
+const DIFFICULTY_CONFIG = {
+  thresholds: {
+    beginnerMax: 5,
+    intermediateMax: 7.5,
+  },
+  sessionLookback: 10,
+  defaultLevel: 'Beginner',
+  skillWeights: loadSkillWeights(),
+  // Weight of a rubric criterion that skillWeights does not name.
+  criterionWeight: 0.2,
+  weakSkill: {
+    // A skill is weak when it is below this absolute score...
+    maxScore: 6.5,
+    // ...or trails the weighted score by at least this much.
+    marginBelowWeighted: 1.5,
+    // At most this many focus modifiers are applied per call.
+    maxTargets: 2,
+  },
+  rating: {
+    // Ratings with a larger deviation are too uncertain to pick a level from.
+    maxRd: 200,
+    thresholds: {
+      beginnerMax: 1450,
+      intermediateMax: 1670,
+    },
+    weakSkill: {
+      maxRating: 1400,
+      marginBelowWeighted: 100,
+    },
+  },
+  live: {
+    // Trainee turns before the first mid-call re-evaluation.
+    minTurns: 3,
+    // Trainee turns to wait after a change before changing again.
+    cooldownTurns: 2,
+    // Live performance (0-1) above which the customer gets harder...
+    escalateAbove: 0.75,
+    // ...and below which it eases off.
+    easeBelow: 0.35,
+    idealTalkRatio: { min: 0.35, max: 0.6 },
+    // Questions per trainee turn that count as full marks.
+    targetQuestionRate: 0.5,
+    // Hesitations per trainee word that count as zero.
+    hesitationCeiling: 0.12,
+    // Coach hints per trainee turn that count as zero.
+    hintCeiling: 0.5,
+  },
+};
+
+// ── Averages ────────────────────────────────────────────────────────────────
+
+function toNumber(value) {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Average every score dimension of recent `call_sessions` rows: the legacy
+ * skills plus any rubric criteria (see rubrics.averageDimensions).
+ * @param {Array<{feedback}>} rows
+ * @returns {Object|null} { overall_score, objection_handling, …, [criterion key] }
+ */
+function computeAverages(rows) {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return null;
+  }
+
+  const dimensions = averageDimensions(rows.map((row) => row?.feedback || {}));
+  if (dimensions.length === 0) return null;
+
+  return Object.fromEntries(dimensions.map((dimension) => [dimension.key, dimension.avg]));
+}
+
+// ── Assessment ──────────────────────────────────────────────────────────────
+
+function weightFor(key, weights) {
+  return key in weights ? weights[key] : DIFFICULTY_CONFIG.criterionWeight;
+}
+
+/**
+ * Weighted blend of the averaged dimensions; dimensions without data are
+ * left out rather than counted as zero.
+ */
+function computeWeightedScore(averages, weights = DIFFICULTY_CONFIG.skillWeights) {
+  let sum = 0;
+  let weightSum = 0;
+  for (const [key, raw] of Object.entries(averages)) {
+    const value = toNumber(raw);
+    const weight = weightFor(key, weights);
+    if (value === null || !weight) continue;
+    sum += value * weight;
+    weightSum += weight;
+  }
+  return weightSum > 0 ? sum / weightSum : null;
+}
+
+function levelForScore(score, thresholds = DIFFICULTY_CONFIG.thresholds) {
+  if (score === null) return DIFFICULTY_CONFIG.defaultLevel;
+  if (score < thresholds.beginnerMax) return 'Beginner';
+  if (score <= thresholds.intermediateMax) return 'Intermediate';
+  return 'Advanced';
+}
+
+/**
+ * Skills that lag, weakest first, capped at `weakSkill.maxTargets`.
+ * `values` holds either averages (0-10) or ratings, with matching limits.
+ */
+function findWeakSkills(values, weightedScore, limits) {
+  const weak = [];
+  for (const [skill, raw] of Object.entries(values)) {
+    const value = toNumber(raw);
+    if (skill === 'overall_score' || value === null) continue;
+    const trailing = weightedScore !== null && weightedScore - value >= limits.marginBelowWeighted;
+    if (value < limits.max || trailing) {
+      const label = SKILLS[skill] ? SKILLS[skill].label : dimensionLabel(skill);
+      weak.push({ skill, label, value: Math.round(value * 100) / 100 });
+    }
+  }
+  return weak.sort((a, b) => a.value - b.value).slice(0, DIFFICULTY_CONFIG.weakSkill.maxTargets);
+}
+
+/**
+ * Assess recent averages.
+ *
+ * @param {Object|null} averages – from computeAverages
+ * @returns {{level: string, weightedScore: number|null, focusSkills: Array<{skill, label, value}>}}
+ */
+function assessDifficulty(averages) {
+  if (!averages) {
+    return { level: DIFFICULTY_CONFIG.defaultLevel, weightedScore: null, focusSkills: [] };
+  }
+  const weightedScore = computeWeightedScore(averages);
+  return {
+    level: levelForScore(weightedScore),
+    weightedScore: weightedScore === null ? null : Math.round(weightedScore * 100) / 100,
+    focusSkills: findWeakSkills(averages, weightedScore, {
+      max: DIFFICULTY_CONFIG.weakSkill.maxScore,
+      marginBelowWeighted: DIFFICULTY_CONFIG.weakSkill.marginBelowWeighted,
+    }),
+  };
+}
+
+/**
+ * Assess skill ratings.  Returns null while the overall rating is too
+ * uncertain, so the caller can fall back to recent averages.
+ *
+ * @param {Object} ratings – `{ [skill]: { rating, rd } }` from skillRating.fetchRatings
+ * @returns {{level: string, weightedScore: number, focusSkills: Array}|null}
+ */
+function assessDifficultyFromRatings(ratings) {
+  const config = DIFFICULTY_CONFIG.rating;
+  const overall = ratings && ratings.overall_score;
+  if (!overall || overall.rd > config.maxRd) return null;
+
+  const values = {};
+  for (const [skill, entry] of Object.entries(ratings)) {
+    values[skill] = entry.rating;
+  }
+  const weightedScore = computeWeightedScore(values);
+  return {
+    level: levelForScore(weightedScore, config.thresholds),
+    weightedScore: Math.round(weightedScore),
+    focusSkills: findWeakSkills(values, weightedScore, {
+      max: config.weakSkill.maxRating,
+      marginBelowWeighted: config.weakSkill.marginBelowWeighted,
+    }),
+  };
+}
+
+// ── Live signals ────────────────────────────────────────────────────────────
+
+function wordCount(text) {
+  return String(text || '').split(/\s+/).filter(Boolean).length;
+}
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Snapshot of how the call is going so far.
+ *
+ * @param {Object} params
+ * @param {Array}  params.conversation – chat messages (system prompt first)
+ * @param {number} params.hintCount    – coach hints sent this call
+ * @returns {{trainee_turns, talk_ratio, question_rate, hesitation_rate, hint_rate}}
+ */
+function computeLiveSignals({ conversation, hintCount }) {
+  const traineeTurns = conversation.filter((msg) => msg.role === 'user');
+  const customerTurns = conversation.filter((msg) => msg.role === 'assistant');
+  const traineeWords = traineeTurns.reduce((sum, msg) => sum + wordCount(msg.content), 0);
+  const customerWords = customerTurns.reduce((sum, msg) => sum + wordCount(msg.content), 0);
+  const hesitations = traineeTurns.reduce(
+    (sum, msg) => sum + (String(msg.content || '').match(HESITATION_REGEX) || []).length,
+    0
+  );
+  const turns = traineeTurns.length;
+
+  return {
+    trainee_turns: turns,
+    talk_ratio: traineeWords + customerWords > 0 ? round(traineeWords / (traineeWords + customerWords)) : 0,
+    question_rate: turns > 0 ? round(traineeTurns.filter((msg) => containsQuestion(msg.content)).length / turns) : 0,
+    hesitation_rate: traineeWords > 0 ? round(hesitations / traineeWords) : 0,
+    hint_rate: turns > 0 ? round((hintCount || 0) / turns) : 0,
+  };
+}
+
+/**
+ * Collapse live signals into a 0-1 performance score (equal weights).
+ */
+function scoreLiveSignals(signals) {
+  const live = DIFFICULTY_CONFIG.live;
+  const { min, max } = live.idealTalkRatio;
+  const talk =
+    signals.talk_ratio < min
+      ? signals.talk_ratio / min
+      : signals.talk_ratio > max
+        ? (1 - signals.talk_ratio) / (1 - max)
+        : 1;
+  const components = [
+    clamp01(talk),
+    clamp01(signals.question_rate / live.targetQuestionRate),
+    clamp01(1 - signals.hesitation_rate / live.hesitationCeiling),
+    clamp01(1 - signals.hint_rate / live.hintCeiling),
+  ];
+  return round(components.reduce((sum, value) => sum + value, 0) / components.length);
+}
+
+/**
+ * Decide whether to move the level one step mid-call.
+ *
+ * @param {Object} params
+ * @param {string} params.level          – current level
+ * @param {Object} params.signals        – from computeLiveSignals
+ * @param {number} params.lastChangeTurn – trainee turn of the last level change (0 at call start)
+ * @returns {{level: string, direction: 'escalate'|'ease', performance: number}|null}
+ */
+function decideLiveDifficulty({ level, signals, lastChangeTurn }) {
+  const live = DIFFICULTY_CONFIG.live;
+  const turn = signals.trainee_turns;
+  if (turn < live.minTurns) return null;
+  if (lastChangeTurn > 0 && turn - lastChangeTurn < live.cooldownTurns) return null;
+
+  const index = DIFFICULTY_LEVELS.indexOf(level);
+  if (index === -1) return null;
+
+  const performance = scoreLiveSignals(signals);
+  if (performance > live.escalateAbove && index < DIFFICULTY_LEVELS.length - 1) {
+    return { level: DIFFICULTY_LEVELS[index + 1], direction: 'escalate', performance };
+  }
+  if (performance < live.easeBelow && index > 0) {
+    return { level: DIFFICULTY_LEVELS[index - 1], direction: 'ease', performance };
+  }
+  return null;
+}
+
+// ── Prompt modifiers ────────────────────────────────────────────────────────
+
+// Rubric criteria have no hand-written customer behaviour, so weak ones get
+// a generic push to exercise the skill.
+function criterionFocusModifier(label) {
+  return (
+    `SKILL FOCUS (${label}): The trainee is weak at "${label}". Steer the conversation so they have to show it, ` +
+    'and push back once when their attempt is vague or generic.'
+  );
+}
+
+/**
+ * Level modifier from the scenario (or its pack) followed by one focus
+ * modifier per weak skill.
+ *
+ * @param {string} level
+ * @param {Object|null} levelModifiers – `{ Beginner?, Intermediate?, Advanced? }`
+ * @param {Array<{skill}>} [focusSkills]
+ * @returns {string}
+ */
+function buildDifficultyModifier(level, levelModifiers, focusSkills = []) {
+  const parts = [];
+  const levelModifier = (levelModifiers || {})[level];
+  if (levelModifier) parts.push(levelModifier);
+  for (const focus of focusSkills) {
+    const skill = SKILLS[focus.skill];
+    parts.push(skill ? skill.modifier : criterionFocusModifier(focus.label || dimensionLabel(focus.skill)));
+  }
+  return parts.join('\n');
+}
+
+function applyDifficultyModifier(basePrompt, modifier) {
+  return modifier ? `${basePrompt}\n\n${modifier}` : basePrompt;
+}
+
+module.exports = {
+  SKILLS,
+  DIFFICULTY_CONFIG,
+  computeAverages,
+  computeWeightedScore,
+  assessDifficulty,
+  assessDifficultyFromRatings,
+  computeLiveSignals,
+  scoreLiveSignals,
+  decideLiveDifficulty,
+  buildDifficultyModifier,
+  applyDifficultyModifier,
+};
@@ -0,0 +1,123 @@
+/**
+ * Feedback Evidence
+ *
+ * Ties each feedback item to the transcript turn that supports it, so the
+ * report and the feedback panel can jump to the exact moment and trainers can
+ * check that a point is fair.
+ *
+ * The feedback prompt shows the transcript with 1-based turn numbers and asks
+ * for items shaped `{ text, turn, quote }`.  The model's citation is then
+ * checked against the real transcript: a quote found in a different turn
+ * moves the citation there, and a quote that appears nowhere is dropped
+ * rather than shown as evidence.
+ *
+ * Stored items look like:
+ *   { text, turn_index, speaker, timestamp, offset_ms, quote }
+ * where `turn_index` is 0-based over the non-system messages (the same order
+ * as the stored transcript lines and `turnTimestamps`).  Sessions saved
+ * before this change hold plain strings, which every consumer still accepts.
+ */
+
+'use strict';
+
+const { LIST_FIELDS, feedbackItemText } = require('./feedbackSchema');
+
+const QUOTE_MAX_LENGTH = 200;
+
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9' ]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Transcript lines with turn numbers for the feedback prompt.
+ *
+ * @param {Array} messages – non-system chat messages
+ */
+function formatNumberedTranscript(messages) {
+  return messages
+    .map((msg, index) => `[${index + 1}] ${msg.role === 'user' ? 'Trainee' : 'Customer'}: ${msg.content}`)
+    .join('\n');
+}
+
+/**
+ * Prompt fragment describing the evidence-linked item shape.
+ */
+function evidenceItemFormat() {
+  return '{"text": <string>, "turn": <turn number that supports it, or null>, "quote": <exact words from that turn, or null>}';
+}
+
+function findQuote(messages, quote, preferredIndex) {
+  const needle = normalizeText(quote);
+  if (!needle) return -1;
+  if (preferredIndex != null && normalizeText(messages[preferredIndex].content).includes(needle)) {
+    return preferredIndex;
+  }
+  return messages.findIndex((msg) => normalizeText(msg.content).includes(needle));
+}
+
+function linkItem(item, { messages, turnTimestamps, callStartTime }) {
+  const text = feedbackItemText(item).trim();
+  if (!text) return null;
+
+  const cited = item && typeof item === 'object' ? Number(item.turn) : NaN;
+  let turnIndex = Number.isInteger(cited) && cited >= 1 && cited <= messages.length ? cited - 1 : null;
+  let quote = item && typeof item === 'object' && item.quote ? String(item.quote).trim() : null;
+
+  if (quote) {
+    const found = findQuote(messages, quote, turnIndex);
+    if (found === -1) {
+      quote = null;
+    } else {
+      turnIndex = found;
+      quote = quote.slice(0, QUOTE_MAX_LENGTH);
+    }
+  }
+
+  const stamp = turnIndex != null ? turnTimestamps[turnIndex] : null;
+  const message = turnIndex != null ? messages[turnIndex] : null;
+  // Timestamps are only trusted when the recorded role matches the message.
+  const timestamp = stamp && message && stamp.role === message.role ? stamp.timestamp : null;
+
+  return {
+    text,
+    turn_index: turnIndex,
+    speaker: message ? (message.role === 'user' ? 'trainee' : 'customer') : null,
+    timestamp,
+    offset_ms: timestamp != null && callStartTime ? Math.max(0, timestamp - callStartTime) : null,
+    quote,
+  };
+}
+
+/**
+ * Replace every feedback list with evidence-linked items.
+ *
+ * @param {Object} feedback
+ * @param {Object} context
+ * @param {Array}  context.messages       – non-system chat messages
+ * @param {Array}  context.turnTimestamps – {role, timestamp} per message
+ * @param {number} context.callStartTime
+ * @returns {Object} new feedback object
+ */
+function linkFeedbackEvidence(feedback, context) {
+  const linked = { ...feedback };
+  const normalizedContext = {
+    messages: context.messages || [],
+    turnTimestamps: context.turnTimestamps || [],
+    callStartTime: context.callStartTime || null,
+  };
+  for (const field of LIST_FIELDS) {
+    if (!Array.isArray(feedback[field])) continue;
+    linked[field] = feedback[field].map((item) => linkItem(item, normalizedContext)).filter(Boolean);
+  }
+  return linked;
+}
+
+module.exports = {
+  formatNumberedTranscript,
+  evidenceItemFormat,
+  linkFeedbackEvidence,
+};
@@ -0,0 +1,281 @@
+/**
+ * Structured Feedback
+ *
+ * The end-of-call coach feedback is produced by the LLM as JSON.  Models
+ * regularly wrap it in code fences, add a sentence of prose, quote numbers or
+ * drift outside the 0-10 range, so the reply is:
+ *
+ *   1. extracted  – code fences and surrounding prose are stripped
+ *   2. coerced    – numeric strings ("7", "7/10") become numbers and a lone
+ *                   string becomes a one-item list
+ *   3. validated  – against the feedback schema (a JSON-schema subset) for
+ *                   the rubric's criterion keys (see rubrics.js); a score
+ *                   outside 0-10 is an error, not clamped, since "85" may
+ *                   mean 8.5 as easily as 10
+ *   4. re-asked   – if still invalid, the model gets its reply back with the
+ *                   validation errors and is asked for corrected JSON
+ *
+ * The request uses the provider's JSON mode where it has one.
+ */
+
+'use strict';
+
+const log = require('./lib/logger');
+
+// Skill scores every session carried before rubrics; the default rubric's criteria.
+const SKILL_SCORE_FIELDS = ['objection_handling', 'communication_clarity', 'confidence'];
+const SCORE_FIELDS = ['overall_score', ...SKILL_SCORE_FIELDS];
+const LIST_FIELDS = ['strengths', 'weaknesses', 'missed_opportunities', 'actionable_suggestions'];
+
+const SCORE_SCHEMA = { type: 'number', minimum: 0, maximum: 10 };
+// Items cite the transcript turn that supports them (see feedbackEvidence);
+// plain strings are still accepted.
+const EVIDENCE_ITEM_SCHEMA = {
+  type: 'object',
+  required: ['text'],
+  properties: {
+    text: { type: 'string' },
+    turn: { type: ['number', 'null'] },
+    quote: { type: ['string', 'null'] },
+  },
+};
+const LIST_SCHEMA = {
+  type: 'array',
+  items: { anyOf: [{ type: 'string' }, EVIDENCE_ITEM_SCHEMA] },
+  maxItems: 10,
+};
+
+/**
+ * Feedback schema for a rubric: `overall_score`, the item lists and a
+ * `scores` object with one 0-10 score per criterion key.
+ *
+ * @param {string[]} [scoreKeys] – rubric criterion keys
+ */
+function buildFeedbackSchema(scoreKeys = SKILL_SCORE_FIELDS) {
+  return {
+    type: 'object',
+    required: ['overall_score', 'scores', ...LIST_FIELDS],
+    properties: {
+      overall_score: SCORE_SCHEMA,
+      scores: {
+        type: 'object',
+        required: scoreKeys,
+        properties: Object.fromEntries(scoreKeys.map((key) => [key, SCORE_SCHEMA])),
+      },
+      ...Object.fromEntries(LIST_FIELDS.map((field) => [field, LIST_SCHEMA])),
+    },
+  };
+}
+
+const FEEDBACK_SCHEMA = buildFeedbackSchema();
+
+const MAX_REPAIR_ATTEMPTS = Number(process.env.FEEDBACK_REPAIR_ATTEMPTS || 2);
+
+// ── Validation ──────────────────────────────────────────────────────────────
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return type === 'number' ? actual === 'number' && Number.isFinite(value) : actual === type;
+}
+
+/**
+ * Validate a value against a JSON-schema subset (type or type list, anyOf,
+ * required, properties, items, minimum, maximum, maxItems).
+ *
+ * @returns {string[]} human-readable errors, empty when valid
+ */
+function validateSchema(value, schema, path = '$') {
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map((option) => validateSchema(value, option, path));
+    return attempts.some((errors) => errors.length === 0) ? [] : attempts[attempts.length - 1];
+  }
+
+  const errors = [];
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (!types.some((type) => matchesType(value, type))) {
+    errors.push(`${path} must be ${types.map((type) => (/^[aeiou]/.test(type) ? 'an ' : 'a ') + type).join(' or ')}`);
+    return errors;
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+    }
+  }
+
+  return errors;
+}
+
+// ── Repair ──────────────────────────────────────────────────────────────────
+
+/**
+ * Parse the JSON object in an LLM reply, ignoring code fences and any prose
+ * around it.
+ *
+ * @returns {{value: Object|null, error: string|null}}
+ */
+function extractJsonObject(text) {
+  const source = String(text || '')
+    .replace(/```(?:json)?/gi, '')
+    .trim();
+  const start = source.indexOf('{');
+  const end = source.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return { value: null, error: 'Response does not contain a JSON object' };
+  }
+  try {
+    return { value: JSON.parse(source.slice(start, end + 1)), error: null };
+  } catch (err) {
+    return { value: null, error: `Response is not valid JSON: ${err.message}` };
+  }
+}
+
+function coerceItem(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return item;
+  const turn = typeof item.turn === 'string' ? Number(item.turn.replace(/^\D+/, '')) : item.turn;
+  return {
+    ...item,
+    text: typeof item.text === 'string' ? item.text.trim() : item.text,
+    turn: turn == null || turn === '' || Number.isNaN(turn) ? null : turn,
+    quote: typeof item.quote === 'string' && item.quote.trim() ? item.quote.trim() : null,
+  };
+}
+
+/**
+ * Text of a feedback item, whether it is a plain string (older sessions) or
+ * an evidence-linked object.
+ */
+function feedbackItemText(item) {
+  if (item && typeof item === 'object') return String(item.text || '');
+  return String(item == null ? '' : item);
+}
+
+function coerceScore(score) {
+  if (typeof score !== 'string' || score.trim() === '') return score;
+  const value = Number(score.replace(/\/\s*10$/, ''));
+  return Number.isFinite(value) ? value : score;
+}
+
+/**
+ * Fix mechanical mistakes that do not change the meaning of the feedback.
+ */
+function coerceFeedback(raw, scoreKeys) {
+  const feedback = { ...raw };
+
+  for (const field of SCORE_FIELDS) {
+    if (field in feedback) feedback[field] = coerceScore(feedback[field]);
+  }
+
+  // Criterion scores given at the top level (the pre-rubric layout) move
+  // into `scores`.
+  if (feedback.scores == null || typeOf(feedback.scores) === 'object') {
+    const scores = { ...feedback.scores };
+    for (const key of scoreKeys) {
+      if (!(key in scores) && key in feedback) scores[key] = feedback[key];
+    }
+    feedback.scores = Object.fromEntries(Object.entries(scores).map(([key, score]) => [key, coerceScore(score)]));
+  }
+
+  for (const field of LIST_FIELDS) {
+    const list = feedback[field];
+    if (typeof list === 'string') {
+      feedback[field] = list.trim() ? [list.trim()] : [];
+    } else if (Array.isArray(list)) {
+      feedback[field] = list.map(coerceItem).filter((item) => item != null && item !== '');
+    }
+  }
+
+  return feedback;
+}
+
+/**
+ * Parse, repair and validate one LLM reply.
+ *
+ * @returns {{value: Object|null, errors: string[]}}
+ */
+function parseFeedback(text, scoreKeys = SKILL_SCORE_FIELDS) {
+  const extracted = extractJsonObject(text);
+  if (!extracted.value) return { value: null, errors: [extracted.error] };
+  if (typeOf(extracted.value) !== 'object') return { value: null, errors: ['$ must be an object'] };
+
+  const value = coerceFeedback(extracted.value, scoreKeys);
+  const errors = validateSchema(value, buildFeedbackSchema(scoreKeys));
+  return errors.length > 0 ? { value: null, errors } : { value, errors: [] };
+}
+
+// ── Generation ──────────────────────────────────────────────────────────────
+
+/**
+ * Ask the LLM for feedback and keep asking, with the validation errors,
+ * until the reply matches the feedback schema.
+ *
+ * @param {Object} params
+ * @param {Object} params.llmClient
+ * @param {string} params.prompt        – feedback prompt (system message)
+ * @param {string[]} [params.scoreKeys] – rubric criterion keys expected in `scores`
+ * @param {Function} [params.onAnswer]  – forwarded to llmClient.generate
+ * @returns {Promise<{feedback: Object, repairs: number}>}
+ * @throws when the reply is still invalid after MAX_REPAIR_ATTEMPTS re-asks
+ */
+async function generateStructuredFeedback({ llmClient, prompt, scoreKeys, onAnswer }) {
+  const messages = [{ role: 'system', content: prompt }];
+
+  for (let repairs = 0; ; repairs++) {
+    const text = await llmClient.generate(messages, { json: true, onAnswer });
+    const { value, errors } = parseFeedback(text, scoreKeys);
+    if (value) {
+      if (repairs > 0) log.info(`[feedback] Valid feedback after ${repairs} repair request(s)`);
+      return { feedback: value, repairs };
+    }
+
+    log.warn(`[feedback] Invalid feedback JSON: ${errors.slice(0, 5).join('; ')}`);
+    if (repairs >= MAX_REPAIR_ATTEMPTS) {
+      throw new Error(`LLM returned invalid feedback: ${errors.slice(0, 5).join('; ')}`);
+    }
+    messages.push(
+      { role: 'assistant', content: text },
+      {
+        role: 'user',
+        content:
+          'Your previous reply did not match the required JSON structure:\n' +
+          errors.map((error) => `- ${error}`).join('\n') +
+          '\nReturn ONLY the corrected JSON object, with no other text.',
+      }
+    );
+  }
+}
+
+module.exports = {
+  FEEDBACK_SCHEMA,
+  SKILL_SCORE_FIELDS,
+  LIST_FIELDS,
+  buildFeedbackSchema,
+  feedbackItemText,
+  validateSchema,
+  extractJsonObject,
+  parseFeedback,
+  generateStructuredFeedback,
+};
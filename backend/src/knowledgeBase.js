@@ -0,0 +1,267 @@
+/**
+ * Organization Knowledge Base
+ *
+ * Trainers upload product sheets, pricing tables and competitor battlecards
+ * (Markdown or plain text) into the `knowledge_documents` table.  Documents
+ * are split into heading-aware chunks and ranked locally with BM25, so the
+ * customer, coach and feedback prompts can quote real product facts without
+ * an embedding service.
+ *
+ * Indexes are cached per organization and rebuilt after uploads/deletes or
+ * when the cache entry expires.
+ */
+
+'use strict';
+
+const { supabase } = require('./lib/supabase');
+const log = require('./lib/logger');
+
+const DOC_TYPES = ['product', 'pricing', 'competitor', 'other'];
+
+const KNOWLEDGE_LIMITS = {
+  titleLength: 200,
+  contentLength: 200000,
+  maxDocuments: 100,
+};
+
+const CHUNK_TARGET_CHARS = 800;
+const INDEX_TTL_MS = 5 * 60 * 1000;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'for', 'from', 'has', 'have',
+  'how', 'i', 'if', 'in', 'is', 'it', 'its', 'just', 'me', 'my', 'not', 'of', 'on', 'or', 'our', 'so',
+  'that', 'the', 'their', 'them', 'then', 'there', 'they', 'this', 'to', 'um', 'uh', 'was', 'we',
+  'what', 'when', 'which', 'who', 'will', 'with', 'would', 'you', 'your',
+]);
+
+// ── Text processing ─────────────────────────────────────────────────────────
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9$%.]+/)
+    .map((token) => token.replace(/^\.+|\.+$/g, ''))
+    .filter((token) => token.length > 1 && !STOPWORDS.has(token));
+}
+
+/**
+ * Split a document into chunks of roughly CHUNK_TARGET_CHARS, never crossing
+ * a Markdown heading, and remember the nearest heading for context.
+ */
+function chunkDocument(content) {
+  const chunks = [];
+  let heading = '';
+  let buffer = [];
+  let size = 0;
+
+  const flush = () => {
+    const text = buffer.join('\n').trim();
+    if (text) chunks.push({ heading, text });
+    buffer = [];
+    size = 0;
+  };
+
+  const blocks = String(content || '').replace(/\r\n/g, '\n').split(/\n{2,}/);
+  for (const block of blocks) {
+    const trimmed = block.trim();
+    if (!trimmed) continue;
+
+    const headingMatch = trimmed.match(/^#{1,6}\s+(.+)$/m);
+    if (headingMatch && trimmed.startsWith('#')) {
+      flush();
+      heading = headingMatch[1].trim();
+      const rest = trimmed.split('\n').slice(1).join('\n').trim();
+      if (!rest) continue;
+      buffer.push(rest);
+      size = rest.length;
+      continue;
+    }
+
+    if (size > 0 && size + trimmed.length > CHUNK_TARGET_CHARS) flush();
+    buffer.push(trimmed);
+    size += trimmed.length;
+  }
+  flush();
+
+  return chunks;
+}
+
+// ── BM25 index ──────────────────────────────────────────────────────────────
+
+/**
+ * Build a BM25 index from stored document rows.
+ *
+ * @param {Array<{id, title, doc_type, content}>} documents
+ * @returns {{chunks: Array, docFreq: Map, avgLength: number}}
+ */
+function buildIndex(documents) {
+  const chunks = [];
+  for (const doc of documents || []) {
+    for (const chunk of chunkDocument(doc.content)) {
+      const tokens = tokenize(`${doc.title} ${chunk.heading} ${chunk.text}`);
+      if (tokens.length === 0) continue;
+      const termFreq = new Map();
+      for (const token of tokens) termFreq.set(token, (termFreq.get(token) || 0) + 1);
+      chunks.push({
+        documentId: doc.id,
+        title: doc.title,
+        docType: doc.doc_type,
+        heading: chunk.heading,
+        text: chunk.text,
+        length: tokens.length,
+        termFreq,
+      });
+    }
+  }
+
+  const docFreq = new Map();
+  let totalLength = 0;
+  for (const chunk of chunks) {
+    totalLength += chunk.length;
+    for (const term of chunk.termFreq.keys()) docFreq.set(term, (docFreq.get(term) || 0) + 1);
+  }
+
+  return {
+    chunks,
+    docFreq,
+    avgLength: chunks.length > 0 ? totalLength / chunks.length : 0,
+  };
+}
+
+/**
+ * Rank chunks against a free-text query.
+ *
+ * @param {Object} index – from buildIndex
+ * @param {string} query
+ * @param {{limit?: number}} [options]
+ * @returns {Array<{title, docType, heading, text, score}>}
+ */
+function searchIndex(index, query, options = {}) {
+  const limit = options.limit || 3;
+  if (!index || index.chunks.length === 0) return [];
+
+  const terms = Array.from(new Set(tokenize(query)));
+  if (terms.length === 0) return [];
+
+  const total = index.chunks.length;
+  const scored = [];
+  for (const chunk of index.chunks) {
+    let score = 0;
+    for (const term of terms) {
+      const tf = chunk.termFreq.get(term);
+      if (!tf) continue;
+      const df = index.docFreq.get(term) || 0;
+      const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+      const norm = tf + BM25_K1 * (1 - BM25_B + (BM25_B * chunk.length) / (index.avgLength || 1));
+      score += idf * ((tf * (BM25_K1 + 1)) / norm);
+    }
+    if (score > 0) scored.push({ chunk, score });
+  }
+
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ chunk, score }) => ({
+      documentId: chunk.documentId,
+      title: chunk.title,
+      docType: chunk.docType,
+      heading: chunk.heading,
+      text: chunk.text,
+      score: Math.round(score * 100) / 100,
+    }));
+}
+
+/**
+ * Render snippets as a prompt block, trimmed to a character budget.
+ */
+function formatSnippets(snippets, maxChars = 2000) {
+  const parts = [];
+  let used = 0;
+  for (const snippet of snippets || []) {
+    const label = snippet.heading ? `${snippet.title} › ${snippet.heading}` : snippet.title;
+    const entry = `[${snippet.docType}] ${label}\n${snippet.text}`;
+    if (used + entry.length > maxChars) {
+      if (parts.length === 0) parts.push(entry.slice(0, maxChars));
+      break;
+    }
+    parts.push(entry);
+    used += entry.length;
+  }
+  return parts.join('\n---\n');
+}
+
+// ── Storage & cache ─────────────────────────────────────────────────────────
+
+const indexCache = new Map(); // orgId -> { index, loadedAt }
+
+function invalidateKnowledgeIndex(orgId) {
+  indexCache.delete(orgId);
+}
+
+/**
+ * Load (or reuse) the BM25 index for an organization.  Returns null when the
+ * organization has no documents or storage is unavailable.
+ */
+async function loadKnowledgeIndex(orgId) {
+  if (!supabase || !orgId) return null;
+
+  const cached = indexCache.get(orgId);
+  if (cached && Date.now() - cached.loadedAt < INDEX_TTL_MS) {
+    return cached.index;
+  }
+
+  const { data, error } = await supabase
+    .from('knowledge_documents')
+    .select('id, title, doc_type, content')
+    .eq('organization_id', orgId)
+    .limit(KNOWLEDGE_LIMITS.maxDocuments);
+
+  if (error) {
+    throw error;
+  }
+
+  const index = Array.isArray(data) && data.length > 0 ? buildIndex(data) : null;
+  indexCache.set(orgId, { index, loadedAt: Date.now() });
+  log.info(`[knowledge] Indexed ${index ? index.chunks.length : 0} chunks for org ${orgId}`);
+  return index;
+}
+
+/**
+ * Validate a trainer-submitted document.
+ * @returns {{value: object|null, error: string|null}}
+ */
+function normalizeKnowledgeInput(body) {
+  const source = body || {};
+  const title = String(source.title || '').trim();
+  const content = String(source.content || '').trim();
+  const docType = String(source.doc_type || 'other').trim().toLowerCase();
+
+  if (!title) return { value: null, error: 'Document title is required' };
+  if (title.length > KNOWLEDGE_LIMITS.titleLength) {
+    return { value: null, error: `Title must be at most ${KNOWLEDGE_LIMITS.titleLength} characters` };
+  }
+  if (!content) return { value: null, error: 'Document content is required' };
+  if (content.length > KNOWLEDGE_LIMITS.contentLength) {
+    return { value: null, error: `Content must be at most ${KNOWLEDGE_LIMITS.contentLength} characters` };
+  }
+  if (!DOC_TYPES.includes(docType)) {
+    return { value: null, error: `doc_type must be one of: ${DOC_TYPES.join(', ')}` };
+  }
+
+  return { value: { title, content, doc_type: docType }, error: null };
+}
+
+module.exports = {
+  DOC_TYPES,
+  KNOWLEDGE_LIMITS,
+  tokenize,
+  chunkDocument,
+  buildIndex,
+  searchIndex,
+  formatSnippets,
+  loadKnowledgeIndex,
+  invalidateKnowledgeIndex,
+  normalizeKnowledgeInput,
+};
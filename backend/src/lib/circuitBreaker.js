@@ -0,0 +1,86 @@
+// ── Circuit Breaker ──────────────────────────────────────────────────────────
+// Stops calling an upstream that keeps failing so requests go straight to a
+// fallback instead of waiting on timeouts.
+//
+// States:
+//   closed    – requests flow; consecutive failures are counted
+//   open      – requests are rejected until the cooldown has passed
+//   half-open – one trial request is let through; success closes the
+//               breaker, failure re-opens it for another cooldown
+//
+// Usage:
+//   const { CircuitBreaker } = require('./lib/circuitBreaker');
+//   const breaker = new CircuitBreaker('llm:openai', { failureThreshold: 5, cooldownMs: 30000 });
+//   if (!breaker.canRequest()) return useFallback();
+//   try { await call(); breaker.recordSuccess(); } catch (err) { breaker.recordFailure(); }
+
+const log = require('./logger');
+
+class CircuitBreaker {
+  /**
+   * @param {string} name  Label used in logs.
+   * @param {{failureThreshold?: number, cooldownMs?: number}} [options]
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.cooldownMs = options.cooldownMs || 30000;
+    this._state = 'closed';
+    this._failures = 0;
+    this._openedAt = 0;
+    this._trialInFlight = false;
+  }
+
+  /** Current state, moving open → half-open once the cooldown has passed. */
+  get state() {
+    if (this._state === 'open' && Date.now() - this._openedAt >= this.cooldownMs) {
+      this._state = 'half-open';
+      this._trialInFlight = false;
+    }
+    return this._state;
+  }
+
+  /** Whether a request may be attempted now. Claims the trial slot when half-open. */
+  canRequest() {
+    const state = this.state;
+    if (state === 'closed') return true;
+    if (state === 'half-open' && !this._trialInFlight) {
+      this._trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    if (this._state !== 'closed') {
+      log.info({ breaker: this.name }, 'Circuit closed');
+    }
+    this._state = 'closed';
+    this._failures = 0;
+    this._trialInFlight = false;
+  }
+
+  recordFailure() {
+    this._failures += 1;
+    if (this._state === 'half-open' || this._failures >= this.failureThreshold) {
+      if (this._state !== 'open') {
+        log.warn({ breaker: this.name, failures: this._failures }, 'Circuit opened');
+      }
+      this._state = 'open';
+      this._openedAt = Date.now();
+      this._trialInFlight = false;
+    }
+  }
+
+  /** Give back a claimed trial slot without judging the upstream (e.g. the caller cancelled). */
+  release() {
+    this._trialInFlight = false;
+  }
+
+  /** Snapshot for health checks. */
+  getStatus() {
+    return { name: this.name, state: this.state, failures: this._failures };
+  }
+}
+
+module.exports = { CircuitBreaker };
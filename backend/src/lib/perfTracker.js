@@ -7,7 +7,8 @@
 //   const end = perf.start('llm');
 //   await doLlmCall();
 //   end();                     // records the timing
-//   perf.getSummary();         // { llm: { count, avg, min, max, p95 }, ... }
+//   end({ model: 'gpt-4o' });  // …optionally with meta only known at the end
+//   perf.getSummary();         // { llm: { count, avg, min, max, p95, models? }, ... }
 //
 // TODO: Add metrics dashboard integration (Prometheus, Grafana).
 // TODO: Add alerting system for latency spikes.
@@ -15,7 +16,9 @@
 
 const log = require('./logger');
 
-const BUCKETS = ['stt', 'llm', 'tts', 'feedback'];
+// tts_first_audio: from the trainee's final transcript to the first customer
+// audio frame sent, i.e. the response delay the trainee actually hears.
+const BUCKETS = ['stt', 'llm', 'tts', 'tts_first_audio', 'feedback'];
 
 class PerfTracker {
   constructor() {
@@ -23,6 +26,8 @@ class PerfTracker {
     this._timings = {};
     for (const b of BUCKETS) this._timings[b] = [];
     this._maxHistory = 500; // Keep last N samples per bucket.
+    /** @type {Record<string, Record<string, number>>} bucket -> model -> count */
+    this._models = {};
   }
 
   /**
@@ -30,13 +35,13 @@ class PerfTracker {
    * Returns a function you call when the operation is done; it logs + records the duration.
    * @param {string} bucket  One of BUCKETS.
    * @param {object} [meta]  Extra fields to include in the log line (sessionId, userId, etc.)
-   * @returns {() => number}  Stopper function that returns elapsed ms.
+   * @returns {(extraMeta?: object) => number}  Stopper function that returns elapsed ms.
    */
   start(bucket, meta = {}) {
     const t0 = performance.now();
-    return () => {
+    return (extraMeta = {}) => {
       const elapsed = Math.round(performance.now() - t0);
-      this._record(bucket, elapsed, meta);
+      this._record(bucket, elapsed, { ...meta, ...extraMeta });
       return elapsed;
     };
   }
@@ -51,6 +56,11 @@ class PerfTracker {
     const arr = this._timings[bucket];
     arr.push(ms);
     if (arr.length > this._maxHistory) arr.shift();
+    // Count which model served each sample (e.g. after an LLM fallback).
+    if (meta.model) {
+      if (!this._models[bucket]) this._models[bucket] = {};
+      this._models[bucket][meta.model] = (this._models[bucket][meta.model] || 0) + 1;
+    }
     log.debug({ bucket, ms, ...meta }, `perf:${bucket}`);
   }
 
@@ -77,6 +87,7 @@ class PerfTracker {
         p95: sorted[p95Idx],
         last: sorted[count - 1],
       };
+      if (this._models[bucket]) summary[bucket].models = { ...this._models[bucket] };
     }
     return summary;
   }
@@ -84,6 +95,7 @@ class PerfTracker {
   /** Reset all recorded timings. */
   reset() {
     for (const b of Object.keys(this._timings)) this._timings[b] = [];
+    this._models = {};
   }
 }
 
@@ -0,0 +1,230 @@
+// ── TTS Phrase Cache ─────────────────────────────────────────────────────────
+// Content-addressed cache of synthesised speech. Customers repeat stock lines
+// ("Sorry, can you clarify what you're offering?") that BASE_CUSTOMER_PROMPT
+// asks for, so the same audio is requested again and again.
+//
+// Entries are keyed by a hash of everything that changes the audio: provider,
+// text, voice, encoding, sample rate and prosody. They are held in an LRU in
+// memory and, when TTS_CACHE_DIR is set, also written there as one file per
+// entry so they survive restarts. The directory is an LRU of its own with a
+// separate budget; after a restart it is rebuilt from the files, oldest
+// written first, and trimmed back under budget.
+//
+// Env:
+//   TTS_CACHE=off         – disable the cache
+//   TTS_CACHE_MAX_MB      – memory budget (default 32)
+//   TTS_CACHE_DIR         – directory for on-disk persistence (default: memory only)
+//   TTS_CACHE_DISK_MAX_MB – disk budget when TTS_CACHE_DIR is set (default 256)
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger');
+
+const DEFAULT_MAX_MB = 32;
+const DEFAULT_DISK_MAX_MB = 256;
+const CACHE_FILE = /^[0-9a-f]{64}\.pcm$/;
+
+class TtsCache {
+  constructor({ enabled, maxBytes, dir, diskMaxBytes } = {}) {
+    this.enabled = enabled !== false;
+    this.maxBytes = maxBytes || DEFAULT_MAX_MB * 1024 * 1024;
+    this.dir = dir || null;
+    this.diskMaxBytes = diskMaxBytes || DEFAULT_DISK_MAX_MB * 1024 * 1024;
+    /** @type {Map<string, Buffer>} key -> audio, least recently used first */
+    this._entries = new Map();
+    this._bytes = 0;
+    /** @type {Map<string, number>} key -> file size on disk, least recently used first */
+    this._diskEntries = new Map();
+    this._diskBytes = 0;
+    this._stats = { hits: 0, misses: 0, diskHits: 0, diskErrors: 0, diskEvictions: 0 };
+    this._dirReady = null;
+  }
+
+  /**
+   * Cache key for one synthesis request.
+   * @param {{provider: string, text: string, voice?: string, encoding?: string, sampleRate?: number, prosody?: {rate?: number, pitch?: number}}} request
+   * @returns {string} hex digest
+   */
+  key({ provider, text, voice, encoding, sampleRate, prosody }) {
+    const parts = [
+      provider,
+      String(text).trim().replace(/\s+/g, ' '),
+      voice || '',
+      encoding || '',
+      sampleRate || '',
+      prosody ? `${prosody.rate || 1}/${prosody.pitch || 1}` : '1/1',
+    ];
+    return crypto.createHash('sha256').update(parts.join('\n')).digest('hex');
+  }
+
+  /**
+   * Cached audio for `key`, from memory or disk.
+   * @returns {Promise<Buffer|null>}
+   */
+  async get(key) {
+    if (!this.enabled) return null;
+
+    const audio = this._entries.get(key);
+    if (audio) {
+      // Move to the most recently used end.
+      this._entries.delete(key);
+      this._entries.set(key, audio);
+      if (this._diskEntries.has(key)) this._trackDisk(key, this._diskEntries.get(key));
+      this._stats.hits++;
+      return audio;
+    }
+
+    if (this.dir) {
+      try {
+        await this._openDir();
+        if (this._diskEntries.has(key)) {
+          const stored = await fs.promises.readFile(this._file(key));
+          this._trackDisk(key, stored.length);
+          this._remember(key, stored);
+          this._stats.hits++;
+          this._stats.diskHits++;
+          return stored;
+        }
+      } catch (err) {
+        if (err.code === 'ENOENT') {
+          // Deleted by hand since it was indexed.
+          this._diskBytes -= this._diskEntries.get(key) || 0;
+          this._diskEntries.delete(key);
+        } else {
+          this._stats.diskErrors++;
+          log.warn(`[tts-cache] Failed to read ${key.slice(0, 12)}: ${err.message}`);
+        }
+      }
+    }
+
+    this._stats.misses++;
+    return null;
+  }
+
+  /** Store the complete audio for `key`. */
+  set(key, audio) {
+    if (!this.enabled || !audio || audio.length === 0 || audio.length > this.maxBytes) return;
+    this._remember(key, audio);
+    if (this.dir) this._persist(key, audio);
+  }
+
+  _remember(key, audio) {
+    const existing = this._entries.get(key);
+    if (existing) {
+      this._bytes -= existing.length;
+      this._entries.delete(key);
+    }
+    this._entries.set(key, audio);
+    this._bytes += audio.length;
+    // Evict least recently used entries until back under budget.
+    for (const [oldKey, oldAudio] of this._entries) {
+      if (this._bytes <= this.maxBytes) break;
+      this._entries.delete(oldKey);
+      this._bytes -= oldAudio.length;
+    }
+  }
+
+  _file(key) {
+    return path.join(this.dir, `${key}.pcm`);
+  }
+
+  /** Create the directory and index the files already in it (once). */
+  _openDir() {
+    if (!this._dirReady) {
+      this._dirReady = (async () => {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        const found = [];
+        for (const name of await fs.promises.readdir(this.dir)) {
+          if (!CACHE_FILE.test(name)) continue;
+          try {
+            const stat = await fs.promises.stat(path.join(this.dir, name));
+            found.push({ key: name.slice(0, -4), size: stat.size, mtimeMs: stat.mtimeMs });
+          } catch {
+            // Removed while scanning.
+          }
+        }
+        found.sort((a, b) => a.mtimeMs - b.mtimeMs);
+        for (const file of found) this._trackDisk(file.key, file.size);
+        await this._trimDisk();
+      })();
+    }
+    return this._dirReady;
+  }
+
+  _persist(key, audio) {
+    this._openDir()
+      .then(async () => {
+        await fs.promises.writeFile(this._file(key), audio);
+        this._trackDisk(key, audio.length);
+        await this._trimDisk();
+      })
+      .catch((err) => {
+        this._stats.diskErrors++;
+        log.warn(`[tts-cache] Failed to persist ${key.slice(0, 12)}: ${err.message}`);
+      });
+  }
+
+  _trackDisk(key, size) {
+    const existing = this._diskEntries.get(key);
+    if (existing !== undefined) {
+      this._diskBytes -= existing;
+      this._diskEntries.delete(key);
+    }
+    this._diskEntries.set(key, size);
+    this._diskBytes += size;
+  }
+
+  /** Delete least recently used files until back under the disk budget. */
+  async _trimDisk() {
+    for (const [oldKey, size] of this._diskEntries) {
+      if (this._diskBytes <= this.diskMaxBytes) break;
+      this._diskEntries.delete(oldKey);
+      this._diskBytes -= size;
+      this._stats.diskEvictions++;
+      try {
+        await fs.promises.unlink(this._file(oldKey));
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          this._stats.diskErrors++;
+          log.warn(`[tts-cache] Failed to evict ${oldKey.slice(0, 12)}: ${err.message}`);
+        }
+      }
+    }
+  }
+
+  /** Cache stats (for health check) */
+  getStats() {
+    const lookups = this._stats.hits + this._stats.misses;
+    return {
+      enabled: this.enabled,
+      persistent: Boolean(this.dir),
+      entries: this._entries.size,
+      bytes: this._bytes,
+      maxBytes: this.maxBytes,
+      diskEntries: this._diskEntries.size,
+      diskBytes: this._diskBytes,
+      ...this._stats,
+      hitRate: lookups > 0 ? Math.round((this._stats.hits / lookups) * 1000) / 1000 : 0,
+    };
+  }
+
+  /** Clear the in-memory entries and stats (disk entries are kept). */
+  reset() {
+    this._entries.clear();
+    this._bytes = 0;
+    Object.keys(this._stats).forEach(k => this._stats[k] = 0);
+  }
+}
+
+const maxMb = Number(process.env.TTS_CACHE_MAX_MB);
+const diskMaxMb = Number(process.env.TTS_CACHE_DISK_MAX_MB);
+
+// Export a singleton so every TtsClient shares the same cache.
+module.exports = new TtsCache({
+  enabled: !['off', 'false', '0'].includes(String(process.env.TTS_CACHE || '').toLowerCase()),
+  maxBytes: Number.isFinite(maxMb) && maxMb > 0 ? maxMb * 1024 * 1024 : undefined,
+  dir: process.env.TTS_CACHE_DIR || null,
+  diskMaxBytes: Number.isFinite(diskMaxMb) && diskMaxMb > 0 ? diskMaxMb * 1024 * 1024 : undefined,
+});
+module.exports.TtsCache = TtsCache;
@@ -1,75 +1,216 @@
-// Lightweight LLM chat completion client with pluggable provider settings.
-// Uses a REST endpoint compatible with OpenAI's chat/completions schema.
+// Lightweight LLM chat completion client with pluggable providers.
+// Callers always pass OpenAI-style chat messages; the provider adapter chosen
+// by LLM_PROVIDER (see providers/llm) maps them to its own API.
+//
+// Resilience:
+//   • Retryable failures (timeouts, network errors, 429/5xx, empty replies)
+//     are retried with jittered exponential backoff.
+//   • Each provider/model has a circuit breaker shared by every connection,
+//     so a dead upstream is skipped instead of timing out on every turn.
+//   • LLM_FALLBACKS lists further models to try in order once the primary is
+//     exhausted, e.g. "gpt-4o-mini,ollama:llama3.1".  An entry is either a
+//     model for the primary provider or "<provider>:<model>".
 
 const log = require('./lib/logger');
+const { CircuitBreaker } = require('./lib/circuitBreaker');
+const { createLlmProvider, resolveProviderName } = require('./providers/llm');
 
-const DEFAULT_MODEL = process.env.LLM_MODEL || 'gpt-3.5-turbo';
-const DEFAULT_BASE_URL = process.env.LLM_BASE_URL || 'https://api.openai.com/v1/chat/completions';
-const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'openai-compatible';
-const DEFAULT_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS || 10000);
+const RETRY_CONFIG = {
+  maxRetries: Number(process.env.LLM_MAX_RETRIES || 2),
+  baseDelayMs: Number(process.env.LLM_RETRY_BASE_MS || 250),
+  maxDelayMs: Number(process.env.LLM_RETRY_MAX_MS || 4000),
+};
+
+const BREAKER_CONFIG = {
+  failureThreshold: Number(process.env.LLM_BREAKER_THRESHOLD || 5),
+  cooldownMs: Number(process.env.LLM_BREAKER_COOLDOWN_MS || 30000),
+};
+
+const breakers = new Map(); // `${provider}:${model}` -> CircuitBreaker
+
+function breakerFor(adapter) {
+  const key = `${adapter.name}:${adapter.model}`;
+  if (!breakers.has(key)) {
+    breakers.set(key, new CircuitBreaker(`llm:${key}`, BREAKER_CONFIG));
+  }
+  return breakers.get(key);
+}
+
+/**
+ * Parse LLM_FALLBACKS into provider options.  The provider prefix is only
+ * recognised for known provider names, so Ollama tags like "llama3.1:8b" stay
+ * intact.
+ */
+function parseFallbacks(spec, primaryProvider) {
+  return String(spec || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(':');
+      const provider = separator > 0 ? resolveProviderName(entry.slice(0, separator)) : null;
+      return provider
+        ? { provider, model: entry.slice(separator + 1) || undefined }
+        : { provider: primaryProvider, model: entry };
+    });
+}
+
+// Full jitter: a random delay up to the exponential cap.
+function backoffDelay(attempt) {
+  const cap = Math.min(RETRY_CONFIG.maxDelayMs, RETRY_CONFIG.baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * cap);
+}
+
+function abortError() {
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(abortError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
 
 class LlmClient {
   constructor(options = {}) {
-    this.apiKey = options.apiKey || process.env.LLM_API_KEY || '';
-    this.model = options.model || DEFAULT_MODEL;
-    this.baseUrl = options.baseUrl || DEFAULT_BASE_URL;
-    this.provider = options.provider || DEFAULT_PROVIDER;
-    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    const primary = options.adapter || createLlmProvider(options);
+    const fallbacks = options.fallbacks || parseFallbacks(process.env.LLM_FALLBACKS, primary.name);
+    this.chain = [primary, ...fallbacks.map((fallback) => (fallback.generate ? fallback : createLlmProvider(fallback)))];
+    this.provider = primary.name;
+    this.model = primary.model;
   }
 
-  async generate(messages) {
-    if (!this.apiKey) {
-      throw new Error('LLM_API_KEY not configured');
-    }
+  /**
+   * Walk the fallback chain, retrying each adapter with backoff.
+   * Yields one { adapter, answer } per attempt; the caller reports a failed
+   * attempt with `throw(error)` and success with `next()`.  `state.committed`
+   * (set once output has been used) stops further retries.
+   */
+  async *attempts(options, state) {
+    let lastError = null;
+    let attempts = 0;
 
-    if (typeof fetch !== 'function') {
-      throw new Error('Global fetch is unavailable. Use Node 18+ or supply a fetch polyfill.');
-    }
+    for (let index = 0; index < this.chain.length; index++) {
+      const adapter = this.chain[index];
+      const breaker = breakerFor(adapter);
+      if (!breaker.canRequest()) {
+        log.warn(`[llm] Skipping ${adapter.name}/${adapter.model}: circuit open`);
+        continue;
+      }
+      if (index > 0) {
+        log.warn(`[llm] Falling back to ${adapter.name}/${adapter.model}`);
+      }
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), this.timeoutMs);
-
-    try {
-      const response = await fetch(this.baseUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${this.apiKey}`,
-          'X-LLM-Provider': this.provider,
-        },
-        body: JSON.stringify({
-          model: this.model,
-          messages,
-          temperature: 0.7,
-          stream: false, // TODO: Enable streaming tokens for faster first token.
-        }),
-        signal: controller.signal,
-      });
-
-      if (!response.ok) {
-        const body = await response.text();
-        throw new Error(`LLM request failed (${response.status}): ${body}`);
+      for (let retry = 0; retry <= RETRY_CONFIG.maxRetries; retry++) {
+        attempts += 1;
+        const answer = { provider: adapter.name, model: adapter.model, attempts, fallback: index > 0 };
+        try {
+          yield { adapter, answer };
+          breaker.recordSuccess();
+          return;
+        } catch (error) {
+          if (options.signal && options.signal.aborted) {
+            breaker.release();
+            throw error;
+          }
+          lastError = error;
+          // Only upstream trouble (transport, 429, 5xx, stalls) counts against the
+          // model; a request it rejected (400/401/404) says nothing about its health.
+          if (error.retryable) breaker.recordFailure();
+          else breaker.release();
+          if (state.committed || !error.retryable) break;
+          if (retry === RETRY_CONFIG.maxRetries || breaker.state === 'open') break;
+          const delay = backoffDelay(retry);
+          log.warn(`[llm] ${adapter.name}/${adapter.model} attempt ${retry + 1} failed (${error.message}); retrying in ${delay} ms`);
+          await sleep(delay, options.signal);
+        }
       }
+      if (state.committed) break;
+    }
 
-      const json = await response.json();
-      const text =
-        (json.choices && json.choices[0] && json.choices[0].message && json.choices[0].message.content) || '';
-      const trimmed = typeof text === 'string' ? text.trim() : '';
+    throw lastError || new Error('All LLM providers are unavailable');
+  }
 
-      if (!trimmed) {
-        throw new Error('LLM returned an empty response');
+  /**
+   * Generate a complete reply (feedback, hints, deal outcome).
+   *
+   * @param {Array} messages
+   * @param {{signal?: AbortSignal, json?: boolean, onAnswer?: (answer: Object) => void}} [options]
+   *   `json` requests the provider's JSON mode.  `onAnswer` receives { provider, model, attempts, fallback } for the
+   *   model that produced the reply.
+   * @returns {Promise<string>}
+   */
+  async generate(messages, options = {}) {
+    const state = { committed: false };
+    const attempts = this.attempts(options, state);
+    let step = await attempts.next();
+    while (!step.done) {
+      const { adapter, answer } = step.value;
+      let text;
+      try {
+        text = await adapter.generate(messages, { signal: options.signal, json: options.json });
+      } catch (error) {
+        step = await attempts.throw(error);
+        continue;
       }
+      await attempts.next();
+      if (options.onAnswer) options.onAnswer(answer);
+      return text;
+    }
+    throw new Error('All LLM providers are unavailable');
+  }
 
-      return trimmed;
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        throw new Error(`LLM request timed out after ${this.timeoutMs} ms`);
+  /**
+   * Stream a chat completion, yielding content deltas as they arrive.
+   * Aborting `options.signal` (e.g. on barge-in) cancels the request; the
+   * iterator then throws an AbortError.  Once the first delta has been
+   * yielded the reply is committed to that model: a later failure is thrown
+   * rather than retried, since the caller may already have spoken it.
+   *
+   * @param {Array} messages
+   * @param {{signal?: AbortSignal, onAnswer?: (answer: Object) => void}} [options]
+   * @returns {AsyncGenerator<string>}
+   */
+  async *stream(messages, options = {}) {
+    const state = { committed: false };
+    const attempts = this.attempts(options, state);
+    let step = await attempts.next();
+    while (!step.done) {
+      const { adapter, answer } = step.value;
+      try {
+        for await (const delta of adapter.stream(messages, { signal: options.signal })) {
+          if (!state.committed) {
+            state.committed = true;
+            if (options.onAnswer) options.onAnswer(answer);
+          }
+          yield delta;
+        }
+      } catch (error) {
+        step = await attempts.throw(error);
+        continue;
       }
-      throw error;
-    } finally {
-      clearTimeout(timeoutId);
+      await attempts.next();
+      return;
     }
   }
 }
 
-module.exports = { LlmClient };
+/**
+ * Circuit state for every provider/model used so far (for /api/health).
+ */
+function getLlmBreakerStatus() {
+  return [...breakers.values()].map((breaker) => breaker.getStatus());
+}
+
+module.exports = { LlmClient, RETRY_CONFIG, getLlmBreakerStatus };
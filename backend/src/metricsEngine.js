@@ -14,10 +14,54 @@
 
 const QUESTION_STARTERS = /^(who|what|when|where|why|how|is|are|do|does|did|can|could|would|will|shall|should|have|has|had|may|might)\b/i;
 
+// Question quality.  Sentences are classified after stripping lead-ins such
+// as "So," or "And"; leading questions are checked first, then open starters.
+const QUESTION_LEAD_IN = /^(?:(?:so|and|but|okay|ok|well|now|then|also|um|uh|great|right)[,\s]+)+/i;
+
+const OPEN_QUESTION_STARTERS = /^(what|why|how(?! (?:many|much|long|often|soon)\b)|tell me|walk me through|describe|explain|help me understand|talk me through|in what way)\b/i;
+
+const LEADING_QUESTION_PATTERNS = /\b(don't you (?:think|agree)|wouldn't you (?:say|agree)|wouldn't it be|isn't (?:it|that)|aren't you|you'd agree|surely|(?:right|correct|yeah)\?$)/i;
+
 const FILLER_WORDS = /\b(um|uh|uhh|umm|hmm|hm|like|you know|i mean|basically|actually|literally|sort of|kind of|right|okay so|so yeah)\b/gi;
 
 const OBJECTION_KEYWORDS = /\b(too expensive|too costly|can't afford|budget|out of budget|over budget|not worth|not interested|no need|don't need|already have|competitor|cheaper|better option|think about it|not sure|need to discuss|talk to my|check with|come back later|not the right time|not a priority|too risky|concerned about)\b/i;
 
+// Customer objections by category, for objection / response pairing.
+const OBJECTION_CATEGORIES = {
+  price: {
+    label: 'Price',
+    pattern: /\b(too expensive|too costly|can't afford|(?:out of|over) (?:our |my )?budget|no budget|not worth|cheaper|costs? too much|pricey|price is (?:too )?high)\b/i,
+    answer: /\b(roi|return on investment|pay(?:s)? for itself|payback|sav(?:e|es|ing|ings)|value|discount|plan|tier|per (?:user|seat|month)|cost of (?:doing nothing|inaction))\b/i,
+  },
+  competitor: {
+    label: 'Competitor',
+    pattern: /\b(already (?:have|use|using)|competitors?|other vendors?|another (?:provider|vendor|company)|current (?:provider|vendor|tool|system)|happy with (?:our|what we))\b/i,
+    answer: /\b(unlike|compared|differen\w*|advantage|switch\w*|migrat\w*|integrat\w*|on top of|alongside|replace)\b/i,
+  },
+  timing: {
+    label: 'Timing',
+    pattern: /\b(not the right time|bad time|not a priority|next (?:quarter|year)|come back later|too busy|maybe later|think about it)\b/i,
+    answer: /\b(pilot|start small|phase\w*|trial|quick(?:ly)?|onboard\w*|(?:a few|two|couple of) (?:days|weeks)|cost of waiting|whenever)\b/i,
+  },
+  need: {
+    label: 'Need',
+    pattern: /\b(no need|don't need|not interested|don't see (?:the|why)|not sure we need|works fine|doing fine)\b/i,
+    answer: /\b(because|for example|customers like|teams like|the reason|which means|so that|helps? you)\b/i,
+  },
+  authority: {
+    label: 'Authority',
+    pattern: /\b(talk to my|check with|need to discuss|run it by|not my (?:call|decision)|my (?:boss|manager)|the board)\b/i,
+    answer: /\b(happy to (?:join|meet|present)|include (?:them|him|her)|loop (?:them|him|her) in|set up a (?:call|meeting)|send (?:you|over)|one-pager|summary)\b/i,
+  },
+  risk: {
+    label: 'Risk',
+    pattern: /\b(too risky|concerned about|worried about|not sure (?:it|this|that)|security|what if it)\b/i,
+    answer: /\b(guarantee\w*|secur\w*|complian\w*|soc ?2|encrypt\w*|references?|case stud\w*|money[- ]back|cancel anytime|support)\b/i,
+  },
+};
+
+const ACKNOWLEDGE_PHRASES = /\b(i understand|i hear you|that's fair|fair (?:point|enough)|makes sense|good (?:point|question)|i get (?:it|that)|understandable|appreciate (?:that|you)|valid (?:concern|point)|that's a (?:common|great|fair|real) (?:concern|question|point))\b/i;
+
 const PRICING_KEYWORDS = /\b(price|pricing|cost|costs|discount|discounts|deal|fee|fees|rate|rates|quote|budget|investment|pay|payment|affordable|economical|value|roi|return on investment|money|dollar|dollars|subscription|plan|tier|package)\b/i;
 
 const COMPETITOR_KEYWORDS = /\b(competitor|competitors|competition|alternative|alternatives|other vendor|other vendors|other option|other options|another provider|another company|switch|switching|salesforce|hubspot|zoho|pipedrive|microsoft|oracle|sap|zendesk|freshworks|outreach|gong|chorus)\b/i;
@@ -26,6 +70,111 @@ const CLOSING_KEYWORDS = /\b(sign up|sign on|get started|move forward|next step|
 
 const RAPPORT_KEYWORDS = /\b(thank you|thanks|appreciate|great question|good point|i understand|absolutely|of course|happy to|glad to|pleasure|nice to|wonderful|fantastic|excellent|i hear you|makes sense|fair enough)\b/i;
 
+// ── Sales methodologies ─────────────────────────────────────────────────────
+//
+// Each element is matched against individual trainee sentences.  Elements
+// marked `questionsOnly` count only when the sentence is a question (SPIN is
+// about the questions asked; BANT and MEDDIC are about what was covered).
+// For `exclusive` methodologies a sentence is tagged with one element only,
+// the most specific match; SPIN elements run from least to most specific.
+
+const METHODOLOGIES = {
+  spin: {
+    name: 'SPIN Selling',
+    exclusive: true,
+    elements: [
+      {
+        key: 'situation',
+        label: 'Situation questions',
+        questionsOnly: true,
+        pattern: /\b(currently|right now|today|at the moment|how many|how often|how (?:do|does) (?:you|your)|what (?:tools?|systems?|software|process)|tell me about|walk me through|who (?:handles|manages|uses)|set ?up)\b/i,
+      },
+      {
+        key: 'problem',
+        label: 'Problem questions',
+        questionsOnly: true,
+        pattern: /\b(challeng\w*|problems?|issues?|difficult\w*|struggl\w*|frustrat\w*|pain\w*|bottlenecks?|dissatisf\w*|hard to|not working|what's stopping|concerns?)\b/i,
+      },
+      {
+        key: 'implication',
+        label: 'Implication questions',
+        questionsOnly: true,
+        pattern: /\b(impact\w*|affect\w*|cost(?:ing)? you|result in|lead to|consequences?|what happens (?:if|when)|how much (?:time|money|revenue)|los(?:e|ing) (?:deals|customers|time|money)|downstream|knock-on)\b/i,
+      },
+      {
+        key: 'need_payoff',
+        label: 'Need-payoff questions',
+        questionsOnly: true,
+        pattern: /\b(would it help|how would (?:that|this|it) help|what would it mean|if you could|what if you|imagine|ideal(?:ly)?|how useful|how valuable|worth it to you|benefit|save you)\b/i,
+      },
+    ],
+  },
+  bant: {
+    name: 'BANT',
+    exclusive: false,
+    elements: [
+      {
+        key: 'budget',
+        label: 'Budget',
+        pattern: /\b(budget\w*|spend(?:ing)?|price range|afford|allocated|funding|investment)\b/i,
+      },
+      {
+        key: 'authority',
+        label: 'Authority',
+        pattern: /\b(decision[- ]makers?|who (?:else )?(?:decides|is involved|signs)|sign[- ]off|approv\w*|stakeholders?|your (?:boss|manager)|final say)\b/i,
+      },
+      {
+        key: 'need',
+        label: 'Need',
+        pattern: /\b(needs?|challeng\w*|problems?|goals?|looking for|priorit\w*|pain\w*|requirements?)\b/i,
+      },
+      {
+        key: 'timeline',
+        label: 'Timeline',
+        pattern: /\b(timeline|time ?frame|when (?:do|would|are|will) you|by when|deadline|how soon|this (?:quarter|month|year)|next (?:quarter|month|year)|go live|start date|urgen\w*)\b/i,
+      },
+    ],
+  },
+  meddic: {
+    name: 'MEDDIC',
+    exclusive: false,
+    elements: [
+      {
+        key: 'metrics',
+        label: 'Metrics',
+        pattern: /\b(metrics?|kpis?|measur\w*|roi|percent(?:age)?|quantif\w*|how much (?:time|money)|hours (?:a|per) (?:week|month))\b/i,
+      },
+      {
+        key: 'economic_buyer',
+        label: 'Economic buyer',
+        pattern: /\b(economic buyer|budget holder|owns? the budget|sign(?:s|ing)? (?:off|the (?:check|contract))|final (?:say|decision)|cfo|ceo|approves? the (?:budget|spend|purchase))\b/i,
+      },
+      {
+        key: 'decision_criteria',
+        label: 'Decision criteria',
+        pattern: /\b(criteria|must[- ]haves?|evaluat\w*|compar\w*|looking for in|important to you|deciding factors?|requirements?)\b/i,
+      },
+      {
+        key: 'decision_process',
+        label: 'Decision process',
+        pattern: /\b(decision process|buying process|procurement|legal review|security review|approval process|who else (?:is|needs to be) involved|how (?:do|does) (?:you|your (?:team|company)) (?:buy|purchase|decide)|steps to)\b/i,
+      },
+      {
+        key: 'identify_pain',
+        label: 'Identify pain',
+        pattern: /\b(pain\w*|challeng\w*|problems?|struggl\w*|frustrat\w*|issues?|bottlenecks?|costing you)\b/i,
+      },
+      {
+        key: 'champion',
+        label: 'Champion',
+        pattern: /\b(champion|advocate|sponsor|internal support|make the case|sell (?:this|it) internally|who (?:else )?(?:would|will) (?:benefit|support|push))\b/i,
+      },
+    ],
+  },
+};
+
+const METHODOLOGY_IDS = Object.keys(METHODOLOGIES);
+
 // ── Helper utilities ────────────────────────────────────────────────────────
 
 function wordCount(text) {
@@ -56,6 +205,264 @@ function extractSentences(text) {
     .filter(Boolean);
 }
 
+// ── Question quality ────────────────────────────────────────────────────────
+
+// Open prompts such as "Tell me about your team." count as questions too.
+function isQuestionSentence(sentence) {
+  const text = sentence.replace(QUESTION_LEAD_IN, '');
+  return sentence.endsWith('?') || QUESTION_STARTERS.test(text) || OPEN_QUESTION_STARTERS.test(text);
+}
+
+/**
+ * Classify one question sentence as `open`, `closed` or `leading`.
+ */
+function classifyQuestion(sentence) {
+  const text = sentence.replace(QUESTION_LEAD_IN, '').trim();
+  if (LEADING_QUESTION_PATTERNS.test(text)) return 'leading';
+  if (OPEN_QUESTION_STARTERS.test(text)) return 'open';
+  return 'closed';
+}
+
+/**
+ * Question-quality metrics over the trainee's turns.
+ *
+ * A turn with two or more questions in a row counts as one stacked question;
+ * the no-question streak is the longest run of consecutive trainee turns
+ * without any question.
+ *
+ * @param {Array<{role: string, content: string}>} userTurns
+ * @returns {{question_types: {open, closed, leading}, open_question_ratio: number,
+ *   stacked_question_count: number, longest_no_question_streak: number}}
+ */
+function computeQuestionQuality(userTurns) {
+  const questionTypes = { open: 0, closed: 0, leading: 0 };
+  let stackedQuestions = 0;
+  let streak = 0;
+  let longestStreak = 0;
+
+  for (const turn of userTurns) {
+    let run = 0;
+    let stacked = false;
+    let asked = false;
+    for (const sentence of extractSentences(turn.content)) {
+      if (isQuestionSentence(sentence)) {
+        questionTypes[classifyQuestion(sentence)] += 1;
+        asked = true;
+        run += 1;
+        if (run === 2) stacked = true;
+      } else {
+        run = 0;
+      }
+    }
+    if (stacked) stackedQuestions += 1;
+    streak = asked ? 0 : streak + 1;
+    longestStreak = Math.max(longestStreak, streak);
+  }
+
+  const totalQuestions = questionTypes.open + questionTypes.closed + questionTypes.leading;
+  return {
+    question_types: questionTypes,
+    open_question_ratio: totalQuestions > 0 ? Number((questionTypes.open / totalQuestions).toFixed(3)) : 0,
+    stacked_question_count: stackedQuestions,
+    longest_no_question_streak: longestStreak,
+  };
+}
+
+// ── Objection handling ──────────────────────────────────────────────────────
+
+const QUOTE_MAX_LENGTH = 160;
+
+/**
+ * Pair every customer objection with the trainee's response and check
+ * whether it came back.
+ *
+ * The response is the trainee turn(s) before the next customer turn.  It is
+ * `answered` when it contains the category's answer language, `explored`
+ * when it asks a question and `acknowledged` when it recognises the concern;
+ * otherwise the objection was `ignored`.  An objection is resolved when it
+ * was answered or explored and the customer did not raise the same category
+ * again.
+ *
+ * @param {Array<{role: string, content: string}>} turns – dialogue turns (no system message)
+ * @returns {Array<Object>} one entry per objection, in call order
+ */
+function computeObjectionTimeline(turns) {
+  const objections = [];
+
+  turns.forEach((turn, turnIndex) => {
+    if (turn.role !== 'assistant') return;
+    const sentences = extractSentences(turn.content);
+
+    for (const [category, definition] of Object.entries(OBJECTION_CATEGORIES)) {
+      const quote = sentences.find((sentence) => definition.pattern.test(sentence));
+      if (!quote) continue;
+
+      const responseTurns = [];
+      for (let i = turnIndex + 1; i < turns.length && turns[i].role === 'user'; i++) {
+        responseTurns.push(i);
+      }
+      const responseText = responseTurns.map((i) => turns[i].content).join(' ');
+      const acknowledged = ACKNOWLEDGE_PHRASES.test(responseText);
+      const explored = extractSentences(responseText).some(isQuestionSentence);
+      const answered = definition.answer.test(responseText);
+
+      let handling = 'ignored';
+      if (answered) handling = 'answered';
+      else if (explored) handling = 'explored';
+      else if (acknowledged) handling = 'acknowledged';
+
+      objections.push({
+        category,
+        label: definition.label,
+        turn_index: turnIndex,
+        quote: quote.slice(0, QUOTE_MAX_LENGTH),
+        response_turn_index: responseTurns.length > 0 ? responseTurns[0] : null,
+        acknowledged,
+        explored,
+        answered,
+        handling,
+        repeat: objections.some((earlier) => earlier.category === category),
+        raised_again: false,
+        resolved: false,
+      });
+    }
+  });
+
+  for (const objection of objections) {
+    objection.raised_again = objections.some(
+      (later) => later.category === objection.category && later.turn_index > objection.turn_index
+    );
+    objection.resolved = !objection.raised_again && (objection.answered || objection.explored);
+  }
+  return objections;
+}
+
+// ── Talk-time timeline ──────────────────────────────────────────────────────
+
+// Trainee speech longer than this without the customer getting a word in
+// counts as a monologue.
+const MONOLOGUE_THRESHOLD_MS = Number(process.env.MONOLOGUE_THRESHOLD_SECONDS || 45) * 1000;
+
+// Used for turns without a measured duration (text-only calls, older turns).
+const ESTIMATED_WORDS_PER_MINUTE = 150;
+
+/**
+ * Per-turn words and speaking time for both parties, plus monologue counts.
+ *
+ * Durations come from `turnTimestamps[i].durationMs` – audio the trainee
+ * streamed, or customer audio actually sent before any barge-in – and are
+ * estimated from the word count when a turn was not measured.  Consecutive
+ * trainee turns with no customer turn between them count as one stretch.
+ * `offset_ms` is when the turn was recorded, as for feedback evidence.
+ *
+ * @param {Array<{role: string, content: string}>} turns – dialogue turns (no system message)
+ * @param {Array<{role: string, timestamp: number, durationMs?: number}>} turnTimestamps
+ * @param {number|null} callStartTime – epoch ms, for turn offsets
+ */
+function computeTalkTimeline(turns, turnTimestamps, callStartTime) {
+  const stamps = turnTimestamps || [];
+  const timeline = turns.map((turn, turnIndex) => {
+    const words = wordCount(turn.content);
+    // Timing is only trusted when the recorded role matches the message.
+    const stamp = stamps[turnIndex] && stamps[turnIndex].role === turn.role ? stamps[turnIndex] : null;
+    const measured = stamp != null && Number.isFinite(stamp.durationMs);
+    return {
+      turn_index: turnIndex,
+      speaker: turn.role === 'user' ? 'trainee' : 'customer',
+      words,
+      duration_ms: measured ? Math.round(stamp.durationMs) : Math.round((words / ESTIMATED_WORDS_PER_MINUTE) * 60000),
+      estimated: !measured,
+      offset_ms: stamp && callStartTime ? Math.max(0, stamp.timestamp - callStartTime) : null,
+    };
+  });
+
+  const stretches = [];
+  for (const entry of timeline) {
+    if (entry.speaker !== 'trainee') continue;
+    const previous = timeline[entry.turn_index - 1];
+    if (previous && previous.speaker === 'trainee') stretches[stretches.length - 1] += entry.duration_ms;
+    else stretches.push(entry.duration_ms);
+  }
+
+  const total = (speaker) => timeline
+    .filter((entry) => entry.speaker === speaker)
+    .reduce((sum, entry) => sum + entry.duration_ms, 0);
+  const traineeMs = total('trainee');
+  const customerMs = total('customer');
+  const average = (speaker) => {
+    const entries = timeline.filter((entry) => entry.speaker === speaker);
+    return entries.length > 0 ? Math.round(total(speaker) / entries.length) : 0;
+  };
+
+  return {
+    talk_timeline: timeline,
+    trainee_talk_ms: traineeMs,
+    customer_talk_ms: customerMs,
+    talk_time_ratio: traineeMs + customerMs > 0 ? Number((traineeMs / (traineeMs + customerMs)).toFixed(3)) : 0,
+    avg_trainee_turn_ms: average('trainee'),
+    avg_customer_turn_ms: average('customer'),
+    longest_monologue_ms: stretches.length > 0 ? Math.max(...stretches) : 0,
+    monologue_count: stretches.filter((ms) => ms > MONOLOGUE_THRESHOLD_MS).length,
+    monologue_threshold_ms: MONOLOGUE_THRESHOLD_MS,
+  };
+}
+
+// ── Methodology coverage ────────────────────────────────────────────────────
+
+/**
+ * Tag trainee sentences against a methodology and report which elements
+ * were covered.
+ *
+ * @param {Array<{role: string, content: string}>} turns – dialogue turns (no system message)
+ * @param {string} methodologyId – key of METHODOLOGIES
+ * @returns {Object|null} { methodology, name, elements: [{key, label, covered, count, first_turn}],
+ *   covered_count, total, coverage_pct }; null for an unknown methodology
+ */
+function computeMethodologyCoverage(turns, methodologyId) {
+  const methodology = METHODOLOGIES[methodologyId];
+  if (!methodology) return null;
+
+  const elements = methodology.elements.map((element) => ({
+    key: element.key,
+    label: element.label,
+    covered: false,
+    count: 0,
+    first_turn: null, // 0-based index over the dialogue turns
+  }));
+
+  const order = methodology.elements.map((_, index) => index);
+  if (methodology.exclusive) order.reverse();
+
+  turns.forEach((turn, turnIndex) => {
+    if (turn.role !== 'user') return;
+    for (const sentence of extractSentences(turn.content)) {
+      const question = isQuestionSentence(sentence);
+      for (const index of order) {
+        const element = methodology.elements[index];
+        if (element.questionsOnly && !question) continue;
+        if (!element.pattern.test(sentence)) continue;
+        const tally = elements[index];
+        tally.count += 1;
+        if (!tally.covered) {
+          tally.covered = true;
+          tally.first_turn = turnIndex;
+        }
+        if (methodology.exclusive) break;
+      }
+    }
+  });
+
+  const coveredCount = elements.filter((element) => element.covered).length;
+  return {
+    methodology: methodologyId,
+    name: methodology.name,
+    elements,
+    covered_count: coveredCount,
+    total: elements.length,
+    coverage_pct: Math.round((coveredCount / elements.length) * 100),
+  };
+}
+
 // ── Core metric computations ────────────────────────────────────────────────
 
 /**
@@ -65,10 +472,12 @@ function extractSentences(text) {
  * @param {Array<{role: string, content: string}>} params.conversation  – full conversation array (includes system message at index 0)
  * @param {number} params.callDurationMs – total call duration in milliseconds
  * @param {number} params.interruptionCount – number of barge-in interruptions detected
- * @param {Array<{role: string, timestamp: number}>} params.turnTimestamps – per-turn timing (role + epoch ms)
+ * @param {Array<{role: string, timestamp: number, durationMs?: number}>} params.turnTimestamps – per-turn timing (role + epoch ms + measured speaking time)
+ * @param {number} [params.callStartTime] – epoch ms the call started, for the talk-time timeline
+ * @param {string|null} [params.methodology] – organization's sales methodology (see METHODOLOGIES)
  * @returns {Object} conversation_metrics
  */
-function computeMetrics({ conversation, callDurationMs, interruptionCount, turnTimestamps }) {
+function computeMetrics({ conversation, callDurationMs, interruptionCount, turnTimestamps, callStartTime, methodology }) {
   // Filter out the system prompt; work only with actual dialogue turns.
   const turns = (conversation || []).filter((msg) => msg.role !== 'system');
 
@@ -84,6 +493,9 @@ function computeMetrics({ conversation, callDurationMs, interruptionCount, turnT
   // ── Question Metrics ──────────────────────────────────────────
   const userQuestions = userTurns.filter((t) => containsQuestion(t.content)).length;
   const assistantQuestions = assistantTurns.filter((t) => containsQuestion(t.content)).length;
+  const questionQuality = computeQuestionQuality(userTurns);
+  const objections = computeObjectionTimeline(turns);
+  const resolvedObjections = objections.filter((objection) => objection.resolved).length;
 
   // ── Filler Words ──────────────────────────────────────────────
   const userText = userTurns.map((t) => t.content).join(' ');
@@ -96,6 +508,7 @@ function computeMetrics({ conversation, callDurationMs, interruptionCount, turnT
     ? Number((userTurnLengths.reduce((a, b) => a + b, 0) / userTurnLengths.length).toFixed(1))
     : 0;
   const longestMonologue = userTurnLengths.length > 0 ? Math.max(...userTurnLengths) : 0;
+  const talkTime = computeTalkTimeline(turns, turnTimestamps, callStartTime);
 
   // ── Topic Detection (across ALL user turns) ───────────────────
   const objectionDetected = OBJECTION_KEYWORDS.test(userText);
@@ -152,22 +565,31 @@ function computeMetrics({ conversation, callDurationMs, interruptionCount, turnT
     agent_turn_count: assistantTurns.length,
     user_questions_asked: userQuestions,
     customer_questions_asked: assistantQuestions,
+    question_types: questionQuality.question_types,
+    open_question_ratio: questionQuality.open_question_ratio,
+    stacked_question_count: questionQuality.stacked_question_count,
+    longest_no_question_streak: questionQuality.longest_no_question_streak,
     filler_word_count: fillerWordCount,
     filler_word_rate: fillerWordRate,
     avg_turn_length: avgTurnLength,
     longest_monologue: longestMonologue,
+    ...talkTime,
     interruption_count: interruptionCount || 0,
     avg_response_latency_ms: avgResponseLatencyMs,
     user_words_per_minute: userWordsPerMinute,
     engagement_score: engagement,
     objection_detected: objectionDetected,
     customer_raised_objection: customerObjections,
+    objections,
+    objection_count: objections.length,
+    objections_resolved_pct: objections.length > 0 ? Math.round((resolvedObjections / objections.length) * 100) : null,
     pricing_discussed: pricingDiscussed,
     customer_raised_pricing: customerPricingRaised,
     competitor_mentioned: competitorMentioned,
     customer_mentioned_competitor: customerCompetitorMentioned,
     closing_attempted: closingAttempted,
     rapport_building_phrases: rapportPhrases,
+    methodology_coverage: methodology ? computeMethodologyCoverage(turns, methodology) : null,
   };
 }
 
@@ -254,6 +676,13 @@ function aggregateMetrics(metricsList) {
   let competitorSessions = 0;
   let closingSessions = 0;
   let customerObjectionSessions = 0;
+  // Question quality is missing from sessions recorded before it existed.
+  const questionSums = { sessions: 0, open: 0, closed: 0, leading: 0, openRatio: 0, stacked: 0, streak: 0 };
+  // Objection pairs are likewise missing from older sessions.
+  const objectionSums = { sessions: 0, total: 0, resolved: 0, handling: { answered: 0, explored: 0, acknowledged: 0, ignored: 0 } };
+  // ...and talk-time timelines.
+  const talkTimeSums = { sessions: 0, ratio: 0, traineeTurnMs: 0, customerTurnMs: 0, longestMonologueMs: 0, monologues: 0 };
+  const methodologyBuckets = new Map(); // methodology id -> { name, sessions, coverageSum, elements }
 
   for (const m of metricsList) {
     if (!m) continue;
@@ -278,8 +707,99 @@ function aggregateMetrics(metricsList) {
     if (m.competitor_mentioned) competitorSessions++;
     if (m.closing_attempted) closingSessions++;
     if (m.customer_raised_objection) customerObjectionSessions++;
+
+    if (m.question_types) {
+      questionSums.sessions += 1;
+      questionSums.open += m.question_types.open || 0;
+      questionSums.closed += m.question_types.closed || 0;
+      questionSums.leading += m.question_types.leading || 0;
+      questionSums.openRatio += m.open_question_ratio || 0;
+      questionSums.stacked += m.stacked_question_count || 0;
+      questionSums.streak += m.longest_no_question_streak || 0;
+    }
+
+    if (Array.isArray(m.talk_timeline)) {
+      talkTimeSums.sessions += 1;
+      talkTimeSums.ratio += m.talk_time_ratio || 0;
+      talkTimeSums.traineeTurnMs += m.avg_trainee_turn_ms || 0;
+      talkTimeSums.customerTurnMs += m.avg_customer_turn_ms || 0;
+      talkTimeSums.longestMonologueMs += m.longest_monologue_ms || 0;
+      talkTimeSums.monologues += m.monologue_count || 0;
+    }
+
+    if (Array.isArray(m.objections)) {
+      objectionSums.sessions += 1;
+      for (const objection of m.objections) {
+        objectionSums.total += 1;
+        if (objection.resolved) objectionSums.resolved += 1;
+        if (objection.handling in objectionSums.handling) objectionSums.handling[objection.handling] += 1;
+      }
+    }
+
+    const coverage = m.methodology_coverage;
+    if (coverage && Array.isArray(coverage.elements)) {
+      if (!methodologyBuckets.has(coverage.methodology)) {
+        methodologyBuckets.set(coverage.methodology, { name: coverage.name, sessions: 0, coverageSum: 0, elements: new Map() });
+      }
+      const bucket = methodologyBuckets.get(coverage.methodology);
+      bucket.sessions += 1;
+      bucket.coverageSum += coverage.coverage_pct || 0;
+      for (const element of coverage.elements) {
+        const tally = bucket.elements.get(element.key) || { key: element.key, label: element.label, covered: 0, count: 0 };
+        if (element.covered) tally.covered += 1;
+        tally.count += element.count || 0;
+        bucket.elements.set(element.key, tally);
+      }
+    }
   }
 
+  const questionSessions = questionSums.sessions;
+  const questionQuality = questionSessions > 0 ? {
+    avg_open_questions: Number((questionSums.open / questionSessions).toFixed(1)),
+    avg_closed_questions: Number((questionSums.closed / questionSessions).toFixed(1)),
+    avg_leading_questions: Number((questionSums.leading / questionSessions).toFixed(1)),
+    avg_open_question_ratio: Number((questionSums.openRatio / questionSessions).toFixed(3)),
+    avg_stacked_questions: Number((questionSums.stacked / questionSessions).toFixed(1)),
+    avg_longest_no_question_streak: Number((questionSums.streak / questionSessions).toFixed(1)),
+    sessions: questionSessions,
+  } : null;
+
+  const talkSessions = talkTimeSums.sessions;
+  const talkTime = talkSessions > 0 ? {
+    avg_talk_time_ratio: Number((talkTimeSums.ratio / talkSessions).toFixed(3)),
+    avg_trainee_turn_ms: Math.round(talkTimeSums.traineeTurnMs / talkSessions),
+    avg_customer_turn_ms: Math.round(talkTimeSums.customerTurnMs / talkSessions),
+    avg_longest_monologue_ms: Math.round(talkTimeSums.longestMonologueMs / talkSessions),
+    avg_monologue_count: Number((talkTimeSums.monologues / talkSessions).toFixed(1)),
+    monologue_threshold_ms: MONOLOGUE_THRESHOLD_MS,
+    sessions: talkSessions,
+  } : null;
+
+  const objectionPct = (value) => Number(((value / objectionSums.total) * 100).toFixed(0));
+  const objectionHandling = objectionSums.sessions > 0 ? {
+    avg_objections: Number((objectionSums.total / objectionSums.sessions).toFixed(1)),
+    total_objections: objectionSums.total,
+    objections_resolved_pct: objectionSums.total > 0 ? objectionPct(objectionSums.resolved) : null,
+    handling_pct: objectionSums.total > 0
+      ? Object.fromEntries(Object.entries(objectionSums.handling).map(([key, value]) => [key, objectionPct(value)]))
+      : null,
+    sessions: objectionSums.sessions,
+  } : null;
+
+  // Sessions are grouped by methodology, since an organization can switch.
+  const methodologyCoverage = Array.from(methodologyBuckets.entries()).map(([methodology, bucket]) => ({
+    methodology,
+    name: bucket.name,
+    sessions: bucket.sessions,
+    avg_coverage_pct: Number((bucket.coverageSum / bucket.sessions).toFixed(0)),
+    elements: Array.from(bucket.elements.values()).map((tally) => ({
+      key: tally.key,
+      label: tally.label,
+      covered_pct: Number(((tally.covered / bucket.sessions) * 100).toFixed(0)),
+      avg_count: Number((tally.count / bucket.sessions).toFixed(1)),
+    })),
+  }));
+
   return {
     avg_talk_ratio: Number((sums.talk_ratio / count).toFixed(3)),
     avg_user_questions: Number((sums.user_questions_asked / count).toFixed(1)),
@@ -298,8 +818,22 @@ function aggregateMetrics(metricsList) {
     competitor_session_pct: Number(((competitorSessions / count) * 100).toFixed(0)),
     closing_session_pct: Number(((closingSessions / count) * 100).toFixed(0)),
     customer_objection_pct: Number(((customerObjectionSessions / count) * 100).toFixed(0)),
+    question_quality: questionQuality,
+    objection_handling: objectionHandling,
+    talk_time: talkTime,
+    methodology_coverage: methodologyCoverage,
     total_sessions: count,
   };
 }
 
-module.exports = { computeMetrics, aggregateMetrics };
+module.exports = {
+  METHODOLOGIES,
+  METHODOLOGY_IDS,
+  computeMetrics,
+  computeMethodologyCoverage,
+  classifyQuestion,
+  computeObjectionTimeline,
+  computeTalkTimeline,
+  aggregateMetrics,
+  containsQuestion,
+};
@@ -0,0 +1,86 @@
+/**
+ * Organization Settings
+ *
+ * Per-organization training configuration, stored as one jsonb `settings`
+ * document per organization in `organization_settings`:
+ *   { rubric }       – scoring rubric for scenarios without their own (rubrics.js)
+ *   { methodology }  – sales methodology calls are checked against (metricsEngine.js)
+ *
+ * Settings are read at the start of every call, so they are cached briefly.
+ */
+
+'use strict';
+
+const { supabase } = require('./lib/supabase');
+
+const CACHE_TTL_MS = 30 * 1000;
+
+const settingsCache = new Map(); // organizationId -> { settings, loadedAt }
+
+/**
+ * @param {string} organizationId
+ * @returns {Promise<Object>} settings document (empty when none is stored)
+ */
+async function getOrgSettings(organizationId) {
+  if (!supabase || !organizationId) return {};
+
+  const cached = settingsCache.get(organizationId);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached.settings;
+
+  const { data, error } = await supabase
+    .from('organization_settings')
+    .select('settings')
+    .eq('organization_id', organizationId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  const settings = (data && data.settings) || {};
+  settingsCache.set(organizationId, { settings, loadedAt: Date.now() });
+  return settings;
+}
+
+/**
+ * Merge `changes` into the organization's settings.  Keys set to `null` are
+ * cleared.
+ *
+ * @returns {Promise<Object>} the stored settings
+ */
+async function updateOrgSettings(organizationId, changes, updatedBy) {
+  settingsCache.delete(organizationId);
+  const current = await getOrgSettings(organizationId);
+  const settings = { ...current };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) delete settings[key];
+    else settings[key] = value;
+  }
+
+  const { data, error } = await supabase
+    .from('organization_settings')
+    .upsert(
+      {
+        organization_id: organizationId,
+        settings,
+        updated_by: updatedBy || null,
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: 'organization_id' }
+    )
+    .select('settings')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  const stored = (data && data.settings) || settings;
+  settingsCache.set(organizationId, { settings: stored, loadedAt: Date.now() });
+  return stored;
+}
+
+module.exports = {
+  getOrgSettings,
+  updateOrgSettings,
+};
@@ -0,0 +1,180 @@
+/**
+ * Persona Prompt Compiler
+ *
+ * Scenarios describe the simulated customer as a structured persona (role,
+ * company size, industry, budget, pain points, hidden objections, decision
+ * authority, temperament) instead of one free-text prompt.  This module
+ * validates that schema and compiles it into the customer system prompt, so a
+ * trainer can change one attribute without rewriting prose and analytics can
+ * group sessions by attribute.
+ */
+
+'use strict';
+
+// ── Schema ──────────────────────────────────────────────────────────────────
+
+const COMPANY_SIZES = {
+  solo: 'a one-person business',
+  small: 'a small business (under 50 employees)',
+  mid_market: 'a mid-market company (50-1,000 employees)',
+  enterprise: 'a large enterprise (over 1,000 employees)',
+};
+
+const DECISION_AUTHORITY = {
+  decision_maker: 'You make the final buying decision yourself.',
+  influencer: 'You influence the decision, but someone above you signs off, so you need ammunition to sell it internally.',
+  gatekeeper: 'You screen vendors before anyone senior gets involved and will not pass along a weak pitch.',
+  committee: 'Purchases go through a buying committee; you cannot commit on your own and will say so.',
+};
+
+const TEMPERAMENTS = {
+  friendly: 'You are warm and open, but you still need concrete answers before committing to anything.',
+  neutral: 'You are polite and businesslike.',
+  skeptical: 'You are skeptical and challenge any claim that is not backed by specifics.',
+  impatient: 'You are short on time and patience, and you cut off rambling answers.',
+  hostile: 'You are frustrated and confrontational until you hear a credible plan.',
+};
+
+const TEXT_LIMIT = 300;
+const LIST_LIMIT = 8;
+const NOTES_LIMIT = 4000;
+
+// Attributes that are safe to group analytics by (low-cardinality, no prose).
+const GROUPABLE_ATTRIBUTES = ['industry', 'company_size', 'decision_authority', 'temperament'];
+
+function cleanText(value, maxLength = TEXT_LIMIT) {
+  return String(value == null ? '' : value).trim().slice(0, maxLength);
+}
+
+function cleanList(value) {
+  const items = Array.isArray(value)
+    ? value
+    : typeof value === 'string'
+      ? value.split('\n')
+      : [];
+  return items
+    .map((item) => cleanText(item))
+    .filter(Boolean)
+    .slice(0, LIST_LIMIT);
+}
+
+/**
+ * Validate and normalise a persona object.
+ *
+ * @param {Object} input – raw persona (from a request body or stored JSON)
+ * @returns {{value: Object|null, error: string|null}}
+ */
+function normalizePersona(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value: null, error: 'Persona must be an object' };
+  }
+
+  const persona = {
+    role: cleanText(input.role),
+    company_size: cleanText(input.company_size),
+    industry: cleanText(input.industry),
+    budget: cleanText(input.budget),
+    pain_points: cleanList(input.pain_points),
+    hidden_objections: cleanList(input.hidden_objections),
+    decision_authority: cleanText(input.decision_authority),
+    temperament: cleanText(input.temperament),
+    notes: cleanText(input.notes, NOTES_LIMIT),
+    first_response: cleanText(input.first_response),
+  };
+
+  if (!persona.role) {
+    return { value: null, error: 'Persona role is required' };
+  }
+  if (persona.company_size && !COMPANY_SIZES[persona.company_size]) {
+    return { value: null, error: `Unknown company_size: ${persona.company_size}` };
+  }
+  if (persona.decision_authority && !DECISION_AUTHORITY[persona.decision_authority]) {
+    return { value: null, error: `Unknown decision_authority: ${persona.decision_authority}` };
+  }
+  if (persona.temperament && !TEMPERAMENTS[persona.temperament]) {
+    return { value: null, error: `Unknown temperament: ${persona.temperament}` };
+  }
+
+  return { value: persona, error: null };
+}
+
+function withArticle(noun) {
+  if (/^(a|an|the)\s/i.test(noun)) return noun;
+  return /^[aeiou]/i.test(noun) ? `an ${noun}` : `a ${noun}`;
+}
+
+function joinList(items) {
+  return items.map((item) => `- ${item}`).join('\n');
+}
+
+// ── Compiler ────────────────────────────────────────────────────────────────
+
+/**
+ * Compile a persona into the scenario-specific part of the customer prompt.
+ * The caller prepends the shared base prompt and appends role-compliance rules.
+ *
+ * @param {Object} persona – normalised persona
+ * @returns {string}
+ */
+function compilePersonaPrompt(persona) {
+  const lines = [];
+
+  let identity = `You are ${withArticle(persona.role)}`;
+  if (persona.company_size && COMPANY_SIZES[persona.company_size]) {
+    identity += ` at ${COMPANY_SIZES[persona.company_size]}`;
+  }
+  if (persona.industry) {
+    identity += ` in the ${persona.industry} industry`;
+  }
+  lines.push(`${identity}.`);
+
+  if (persona.decision_authority && DECISION_AUTHORITY[persona.decision_authority]) {
+    lines.push(DECISION_AUTHORITY[persona.decision_authority]);
+  }
+  if (persona.budget) {
+    lines.push(`Budget situation: ${persona.budget}.`);
+  }
+  if (persona.temperament && TEMPERAMENTS[persona.temperament]) {
+    lines.push(TEMPERAMENTS[persona.temperament]);
+  }
+  if (persona.pain_points && persona.pain_points.length > 0) {
+    lines.push(`Your main pain points:\n${joinList(persona.pain_points)}`);
+  }
+  if (persona.hidden_objections && persona.hidden_objections.length > 0) {
+    lines.push(
+      'HIDDEN OBJECTIONS (do not volunteer these; raise them naturally when the trainee touches the topic or asks for commitment):\n' +
+        joinList(persona.hidden_objections)
+    );
+  }
+  if (persona.notes) {
+    lines.push(persona.notes);
+  }
+  if (persona.first_response) {
+    lines.push(`FIRST RESPONSE MUST ${persona.first_response.replace(/^first response must\s*/i, '')}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Extract the low-cardinality attributes stored with each session so
+ * analytics can group results by persona rather than scenario name.
+ */
+function personaAttributes(persona) {
+  if (!persona) return null;
+  const attributes = {};
+  for (const key of GROUPABLE_ATTRIBUTES) {
+    attributes[key] = persona[key] ? String(persona[key]).toLowerCase() : null;
+  }
+  return attributes;
+}
+
+module.exports = {
+  COMPANY_SIZES,
+  DECISION_AUTHORITY,
+  TEMPERAMENTS,
+  GROUPABLE_ATTRIBUTES,
+  normalizePersona,
+  compilePersonaPrompt,
+  personaAttributes,
+};
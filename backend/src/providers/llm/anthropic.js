@@ -0,0 +1,99 @@
+/**
+ * Anthropic Messages Provider
+ *
+ * Maps chat messages onto the Messages API: system messages (the scenario
+ * prompt and any per-turn knowledge) are folded into the top-level `system`
+ * field, and consecutive turns from the same role are merged because the API
+ * requires strictly alternating user/assistant messages that start with a
+ * user turn.  The API has no JSON mode, so JSON requests prefill the reply
+ * with "{" instead.
+ */
+
+'use strict';
+
+const { HttpLlmProvider, sseData } = require('./httpProvider');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 1024;
+
+function toMessagesPayload(messages) {
+  const system = [];
+  const turns = [];
+
+  for (const message of messages) {
+    if (message.role === 'system') {
+      system.push(message.content);
+      continue;
+    }
+    const role = message.role === 'assistant' ? 'assistant' : 'user';
+    const last = turns[turns.length - 1];
+    if (last && last.role === role) {
+      last.content += `\n\n${message.content}`;
+    } else {
+      turns.push({ role, content: message.content });
+    }
+  }
+
+  // Single-prompt calls (feedback, deal outcome) carry everything in system.
+  if (turns.length === 0) {
+    return { system: '', messages: [{ role: 'user', content: system.join('\n\n') }] };
+  }
+  if (turns[0].role !== 'user') {
+    turns.unshift({ role: 'user', content: '(The call has started.)' });
+  }
+  return { system: system.join('\n\n'), messages: turns };
+}
+
+class AnthropicProvider extends HttpLlmProvider {
+  constructor(options) {
+    super(options);
+    this.maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+  }
+
+  buildRequest(messages, { stream, json }) {
+    const payload = toMessagesPayload(messages);
+    if (json) payload.messages.push({ role: 'assistant', content: '{' });
+    return {
+      url: this.baseUrl,
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+      },
+      body: {
+        model: this.model,
+        max_tokens: this.maxTokens,
+        temperature: this.temperature,
+        ...(payload.system ? { system: payload.system } : {}),
+        messages: payload.messages,
+        stream,
+      },
+    };
+  }
+
+  parseResponse(json, options = {}) {
+    if (!Array.isArray(json.content)) return '';
+    const text = json.content
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('');
+    // Put back the prefilled opening brace.
+    return options.json && text ? `{${text}` : text;
+  }
+
+  // Only `data:` lines matter; each carries its own `type` field.
+  parseStreamLine(line) {
+    const data = sseData(line);
+    if (data == null) return null;
+    const event = JSON.parse(data);
+    if (event.type === 'error') {
+      throw new Error(`LLM stream error: ${event.error && event.error.message}`);
+    }
+    if (event.type === 'message_stop') return { done: true };
+    if (event.type === 'content_block_delta' && event.delta && event.delta.type === 'text_delta') {
+      return { delta: event.delta.text };
+    }
+    return null;
+  }
+}
+
+module.exports = { AnthropicProvider, toMessagesPayload };
@@ -0,0 +1,227 @@
+/**
+ * HTTP LLM Provider Base
+ *
+ * Shared transport for the HTTP chat adapters: timeouts, cancellation,
+ * error mapping and line-by-line reading of streamed responses (SSE or
+ * newline-delimited JSON).  Errors worth retrying (timeouts, network
+ * failures, 429 and 5xx responses, empty replies) carry `retryable: true`.
+ * `json` asks for the provider's JSON mode; it is only set when the caller
+ * requested JSON and `LLM_JSON_MODE` is not "false".
+ *
+ * Subclasses only describe their wire format:
+ *
+ *   buildRequest(messages, { stream, json })  → { url, headers, body }
+ *   parseResponse(json, { json })             → reply text
+ *   parseStreamLine(line)                     → { delta?, done? } | null
+ */
+
+'use strict';
+
+const log = require('../../lib/logger');
+
+function retryableError(message, status) {
+  const error = new Error(message);
+  error.retryable = true;
+  if (status) error.status = status;
+  return error;
+}
+
+class HttpLlmProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name         – provider id reported in logs and metrics
+   * @param {string} [options.configuredName] – the name as configured (e.g. an LLM_PROVIDER alias)
+   * @param {string} options.model
+   * @param {string} options.baseUrl
+   * @param {string} [options.apiKey]
+   * @param {number} options.timeoutMs
+   * @param {number} [options.temperature]
+   * @param {boolean} [options.requiresApiKey]
+   * @param {boolean} [options.jsonMode]     – false if the endpoint rejects JSON mode
+   */
+  constructor(options) {
+    this.name = options.name;
+    this.configuredName = options.configuredName || options.name;
+    this.model = options.model;
+    this.baseUrl = options.baseUrl;
+    this.apiKey = options.apiKey || '';
+    this.timeoutMs = options.timeoutMs;
+    this.temperature = options.temperature == null ? 0.7 : options.temperature;
+    this.requiresApiKey = options.requiresApiKey !== false;
+    this.jsonMode = options.jsonMode !== false;
+  }
+
+  ensureReady() {
+    if (this.requiresApiKey && !this.apiKey) {
+      throw new Error('LLM_API_KEY not configured');
+    }
+
+    if (typeof fetch !== 'function') {
+      throw new Error('Global fetch is unavailable. Use Node 18+ or supply a fetch polyfill.');
+    }
+  }
+
+  // Abort controller tied to the caller's signal plus a re-armable timeout.
+  createController(externalSignal) {
+    const controller = new AbortController();
+    const onExternalAbort = () => controller.abort();
+    if (externalSignal) {
+      if (externalSignal.aborted) controller.abort();
+      else externalSignal.addEventListener('abort', onExternalAbort, { once: true });
+    }
+
+    let timeoutId = null;
+    const state = {
+      signal: controller.signal,
+      timedOut: false,
+      arm: () => {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => {
+          state.timedOut = true;
+          controller.abort();
+        }, this.timeoutMs);
+      },
+      abort: () => controller.abort(),
+      release: () => {
+        clearTimeout(timeoutId);
+        if (externalSignal) externalSignal.removeEventListener('abort', onExternalAbort);
+      },
+    };
+    return state;
+  }
+
+  async send(messages, { stream, json, signal }) {
+    const request = this.buildRequest(messages, { stream, json: Boolean(json && this.jsonMode) });
+    let response;
+    try {
+      response = await fetch(request.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...request.headers },
+        body: JSON.stringify(request.body),
+        signal,
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw retryableError(`LLM request failed: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      const body = await response.text();
+      const message = `LLM request failed (${response.status}): ${body}`;
+      if (response.status === 429 || response.status >= 500) throw retryableError(message, response.status);
+      throw Object.assign(new Error(message), { status: response.status });
+    }
+    return response;
+  }
+
+  /**
+   * Generate a complete reply.
+   *
+   * @param {Array} messages
+   * @param {{signal?: AbortSignal, json?: boolean}} [options]
+   * @returns {Promise<string>}
+   */
+  async generate(messages, options = {}) {
+    this.ensureReady();
+    const control = this.createController(options.signal);
+
+    try {
+      control.arm();
+      const response = await this.send(messages, { stream: false, json: options.json, signal: control.signal });
+      const text = this.parseResponse(await response.json(), { json: Boolean(options.json && this.jsonMode) });
+      const trimmed = typeof text === 'string' ? text.trim() : '';
+
+      if (!trimmed) {
+        throw retryableError('LLM returned an empty response');
+      }
+
+      return trimmed;
+    } catch (error) {
+      if (error.name === 'AbortError' && control.timedOut) {
+        throw retryableError(`LLM request timed out after ${this.timeoutMs} ms`);
+      }
+      throw error;
+    } finally {
+      control.release();
+    }
+  }
+
+  /**
+   * Stream a reply, yielding content deltas as they arrive.
+   *
+   * The timeout applies to gaps between chunks rather than the whole reply.
+   * Aborting `options.signal` (e.g. on barge-in) cancels the HTTP request; the
+   * iterator then throws an AbortError.
+   *
+   * @param {Array} messages
+   * @param {{signal?: AbortSignal}} [options]
+   * @returns {AsyncGenerator<string>}
+   */
+  async *stream(messages, options = {}) {
+    this.ensureReady();
+    const control = this.createController(options.signal);
+
+    let finished = false;
+    try {
+      control.arm();
+      const response = await this.send(messages, { stream: true, signal: control.signal });
+
+      const decoder = new TextDecoder();
+      let pending = '';
+      let yielded = false;
+      for await (const chunk of response.body) {
+        control.arm();
+        pending += decoder.decode(chunk, { stream: true });
+        const lines = pending.split('\n');
+        pending = lines.pop();
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed) continue;
+          let event;
+          try {
+            event = this.parseStreamLine(trimmed);
+          } catch (parseErr) {
+            if (!(parseErr instanceof SyntaxError)) throw parseErr;
+            log.warn(`[llm] Skipping malformed ${this.name} stream event`);
+            continue;
+          }
+          if (!event) continue;
+          if (typeof event.delta === 'string' && event.delta) {
+            yielded = true;
+            yield event.delta;
+          }
+          if (event.done) {
+            finished = true;
+            break;
+          }
+        }
+        if (finished) break;
+      }
+      finished = true;
+
+      if (!yielded) {
+        throw retryableError('LLM returned an empty response');
+      }
+    } catch (error) {
+      if (error.name === 'AbortError' && control.timedOut) {
+        throw retryableError(`LLM stream stalled for ${this.timeoutMs} ms`);
+      }
+      throw error;
+    } finally {
+      control.release();
+      // The consumer stopped early: drop the connection instead of draining it.
+      if (!finished) control.abort();
+    }
+  }
+}
+
+/**
+ * Payload of a server-sent event `data:` line, or null for other SSE fields.
+ */
+function sseData(line) {
+  if (!line.startsWith('data:')) return null;
+  return line.slice(5).trim();
+}
+
+module.exports = { HttpLlmProvider, sseData, retryableError };
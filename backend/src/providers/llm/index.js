@@ -0,0 +1,142 @@
+/**
+ * LLM Provider Registry
+ *
+ * Every provider exposes the same interface:
+ *
+ *   name                                   – provider id
+ *   model                                  – model that answers requests
+ *   generate(messages, { signal })         → Promise<string>
+ *   stream(messages, { signal })           → AsyncGenerator<string>
+ *
+ * `messages` is always the OpenAI-style chat array used throughout the
+ * backend; each adapter maps it to its own wire format.
+ *
+ * Selected with `LLM_PROVIDER`:
+ *   openai-compatible (default) – OpenAI or any chat/completions gateway; other
+ *                                 names (e.g. "groq") are treated as one too
+ *   anthropic                   – Anthropic Messages API
+ *   ollama                      – local Ollama server
+ *   llamacpp                    – local llama.cpp server (OpenAI-compatible, no key)
+ *   scripted                    – canned replies, no network (LLM_SCRIPT_PATH optional)
+ *
+ * `LLM_API_KEY`, `LLM_BASE_URL` and `LLM_MODEL` configure the primary
+ * provider.  Fallback providers (see llmClient) read provider-specific
+ * variables instead, e.g. `ANTHROPIC_API_KEY` or `OLLAMA_BASE_URL`.
+ */
+
+'use strict';
+
+const log = require('../../lib/logger');
+const { OpenAiCompatibleProvider } = require('./openaiCompatible');
+const { AnthropicProvider } = require('./anthropic');
+const { OllamaProvider } = require('./ollama');
+const { ScriptedProvider } = require('./scripted');
+
+const PROVIDERS = {
+  'openai-compatible': {
+    Provider: OpenAiCompatibleProvider,
+    baseUrl: 'https://api.openai.com/v1/chat/completions',
+    model: 'gpt-3.5-turbo',
+    envPrefix: 'OPENAI',
+  },
+  anthropic: {
+    Provider: AnthropicProvider,
+    baseUrl: 'https://api.anthropic.com/v1/messages',
+    model: 'claude-3-5-haiku-latest',
+    envPrefix: 'ANTHROPIC',
+  },
+  ollama: {
+    Provider: OllamaProvider,
+    baseUrl: 'http://localhost:11434/api/chat',
+    model: 'llama3.1',
+    envPrefix: 'OLLAMA',
+  },
+  llamacpp: {
+    Provider: OpenAiCompatibleProvider,
+    baseUrl: 'http://localhost:8080/v1/chat/completions',
+    model: 'local',
+    requiresApiKey: false,
+    envPrefix: 'LLAMACPP',
+  },
+};
+
+// Names accepted for LLM_PROVIDER besides the registry keys.
+const ALIASES = {
+  openai: 'openai-compatible',
+  'llama.cpp': 'llamacpp',
+  mock: 'scripted',
+};
+
+const PROVIDER_NAMES = [...Object.keys(PROVIDERS), 'scripted'];
+
+/**
+ * Canonical provider name for a registry key or alias, or null if unknown.
+ */
+function resolveProviderName(name) {
+  const requested = String(name || '').toLowerCase();
+  const resolved = ALIASES[requested] || requested;
+  return PROVIDER_NAMES.includes(resolved) ? resolved : null;
+}
+
+// Unknown names have been reported once already.
+const reportedUnknownNames = new Set();
+
+/**
+ * Provider id for a configured name.  Names outside the registry are kept
+ * as given (they identify the gateway in logs and the X-LLM-Provider
+ * header) and served by the OpenAI-compatible adapter.
+ */
+function providerId(requested) {
+  const name = resolveProviderName(requested);
+  if (name) return name;
+  if (!reportedUnknownNames.has(requested)) {
+    reportedUnknownNames.add(requested);
+    log.warn(`[llm] Unknown LLM provider "${requested}"; using the openai-compatible adapter`);
+  }
+  return String(requested);
+}
+
+function primaryProviderName() {
+  return providerId(process.env.LLM_PROVIDER || 'openai-compatible');
+}
+
+/**
+ * Build the provider named by `options.provider` (or `LLM_PROVIDER`).
+ * Unset options fall back to environment variables, then to the provider's
+ * defaults.
+ *
+ * @param {Object} [options]
+ * @returns {Object} provider instance
+ */
+function createLlmProvider(options = {}) {
+  const requested = options.provider || process.env.LLM_PROVIDER || 'openai-compatible';
+  const name = providerId(requested);
+  // The generic LLM_* settings only describe the primary provider.
+  const isPrimary = name === primaryProviderName();
+
+  if (name === 'scripted') {
+    return new ScriptedProvider({
+      script: options.script,
+      scriptPath: options.scriptPath || process.env.LLM_SCRIPT_PATH,
+      delayMs: options.delayMs != null ? options.delayMs : process.env.LLM_SCRIPT_DELAY_MS,
+      model: options.model,
+    });
+  }
+
+  const entry = PROVIDERS[name] || PROVIDERS['openai-compatible'];
+  const env = (key) => (isPrimary && process.env[`LLM_${key}`]) || process.env[`${entry.envPrefix}_${key}`];
+
+  return new entry.Provider({
+    name,
+    configuredName: String(requested),
+    apiKey: options.apiKey || env('API_KEY') || '',
+    model: options.model || env('MODEL') || entry.model,
+    baseUrl: options.baseUrl || env('BASE_URL') || entry.baseUrl,
+    timeoutMs: options.timeoutMs || Number(process.env.LLM_TIMEOUT_MS || 10000),
+    temperature: options.temperature,
+    requiresApiKey: entry.requiresApiKey,
+    jsonMode: process.env.LLM_JSON_MODE !== 'false',
+  });
+}
+
+module.exports = { PROVIDER_NAMES, resolveProviderName, createLlmProvider };
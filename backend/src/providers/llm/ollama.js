@@ -0,0 +1,45 @@
+/**
+ * Ollama Chat Provider
+ *
+ * Talks to a local Ollama server's `/api/chat` endpoint, so calls can run
+ * fully offline.  No API key is needed; streams arrive as newline-delimited
+ * JSON objects, the last of which has `done: true`.
+ */
+
+'use strict';
+
+const { HttpLlmProvider } = require('./httpProvider');
+
+class OllamaProvider extends HttpLlmProvider {
+  constructor(options) {
+    super({ ...options, requiresApiKey: false });
+  }
+
+  buildRequest(messages, { stream, json }) {
+    return {
+      url: this.baseUrl,
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      body: {
+        model: this.model,
+        messages,
+        stream,
+        ...(json ? { format: 'json' } : {}),
+        options: { temperature: this.temperature },
+      },
+    };
+  }
+
+  parseResponse(json) {
+    return (json.message && json.message.content) || '';
+  }
+
+  parseStreamLine(line) {
+    const json = JSON.parse(line);
+    if (json.error) {
+      throw new Error(`LLM stream error: ${json.error}`);
+    }
+    return { delta: json.message && json.message.content, done: json.done === true };
+  }
+}
+
+module.exports = { OllamaProvider };
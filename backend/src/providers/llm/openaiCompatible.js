@@ -0,0 +1,45 @@
+/**
+ * OpenAI-compatible Chat Provider
+ *
+ * Speaks the `chat/completions` schema used by OpenAI and by most hosted and
+ * self-hosted gateways (including the llama.cpp server).  Streams arrive as
+ * server-sent events terminated by `data: [DONE]`.  Gateways get the provider
+ * name as configured in the `X-LLM-Provider` header.
+ */
+
+'use strict';
+
+const { HttpLlmProvider, sseData } = require('./httpProvider');
+
+class OpenAiCompatibleProvider extends HttpLlmProvider {
+  buildRequest(messages, { stream, json }) {
+    return {
+      url: this.baseUrl,
+      headers: {
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+        'X-LLM-Provider': this.configuredName,
+      },
+      body: {
+        model: this.model,
+        messages,
+        temperature: this.temperature,
+        stream,
+        ...(json ? { response_format: { type: 'json_object' } } : {}),
+      },
+    };
+  }
+
+  parseResponse(json) {
+    return (json.choices && json.choices[0] && json.choices[0].message && json.choices[0].message.content) || '';
+  }
+
+  parseStreamLine(line) {
+    const data = sseData(line);
+    if (data == null) return null;
+    if (data === '[DONE]') return { done: true };
+    const json = JSON.parse(data);
+    return { delta: json.choices && json.choices[0] && json.choices[0].delta && json.choices[0].delta.content };
+  }
+}
+
+module.exports = { OpenAiCompatibleProvider };
@@ -0,0 +1,110 @@
+/**
+ * Scripted Provider
+ *
+ * Deterministic, offline stand-in for a real model so the whole call flow
+ * (customer turns, coach hints, feedback and deal outcome) runs in tests and
+ * demos without network access.
+ *
+ * A script is JSON:
+ *
+ *   {
+ *     "name": "demo",
+ *     "rules":   [{ "match": "<regex>", "reply": "<text>" }],
+ *     "replies": ["first customer line", "second customer line", ...]
+ *   }
+ *
+ * Rules are tried in order against the text of every message in the request;
+ * the first match wins.  Otherwise the reply is picked by how many assistant
+ * turns the conversation already has, so a given conversation always gets the
+ * same answer (the last reply repeats once the list runs out).  Rules and
+ * replies missing from a custom script fall back to the built-in defaults.
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+const DEFAULT_FEEDBACK = {
+  overall_score: 6,
+  strengths: ['Kept the conversation moving', 'Stayed polite under pressure'],
+  weaknesses: ['Did not quantify the value of the product'],
+  objection_handling: 6,
+  communication_clarity: 7,
+  confidence: 6,
+  missed_opportunities: ['Ask about the decision timeline'],
+  actionable_suggestions: ['Tie each feature to a concrete business outcome'],
+};
+
+const DEFAULT_SCRIPT = {
+  name: 'default',
+  rules: [
+    { match: 'Provide feedback in STRICT JSON', reply: JSON.stringify(DEFAULT_FEEDBACK) },
+    {
+      match: 'decide whether to buy',
+      reply: JSON.stringify({ outcome: 'stalled', reason: 'Scripted customer needs more time.', criteria: [] }),
+    },
+    { match: 'Return one short suggestion or null', reply: 'null' },
+  ],
+  replies: [
+    "Hi, thanks for reaching out. I only have a few minutes, so what's this about?",
+    "Okay. We already have something in place, so why would we switch?",
+    "That sounds expensive. What kind of results have similar companies seen?",
+    "I'd need to run this by my team before committing to anything.",
+    "Send me some details by email and we can talk next week.",
+  ],
+};
+
+function abortError() {
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+function loadScript(scriptPath) {
+  return JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+}
+
+class ScriptedProvider {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.script]      – script object (wins over scriptPath)
+   * @param {string} [options.scriptPath]  – path to a JSON script
+   * @param {number} [options.delayMs]     – pause between streamed words
+   */
+  constructor(options = {}) {
+    const script = options.script || (options.scriptPath ? loadScript(options.scriptPath) : {});
+    this.name = 'scripted';
+    this.model = options.model || `script:${script.name || DEFAULT_SCRIPT.name}`;
+    this.rules = (Array.isArray(script.rules) ? script.rules : [])
+      .concat(DEFAULT_SCRIPT.rules)
+      .map((rule) => ({ pattern: new RegExp(rule.match, 'i'), reply: String(rule.reply) }));
+    this.replies = Array.isArray(script.replies) && script.replies.length > 0 ? script.replies : DEFAULT_SCRIPT.replies;
+    this.delayMs = Number(options.delayMs) || 0;
+  }
+
+  reply(messages) {
+    const text = messages.map((message) => message.content).join('\n');
+    const rule = this.rules.find((candidate) => candidate.pattern.test(text));
+    if (rule) return rule.reply;
+
+    const turn = messages.filter((message) => message.role === 'assistant').length;
+    return this.replies[Math.min(turn, this.replies.length - 1)];
+  }
+
+  async generate(messages, options = {}) {
+    if (options.signal && options.signal.aborted) throw abortError();
+    return this.reply(messages);
+  }
+
+  async *stream(messages, options = {}) {
+    const words = this.reply(messages).split(/(?<=\s)/);
+    for (const word of words) {
+      // Yield to the event loop between words so barge-in can land mid-reply.
+      await new Promise((resolve) => setTimeout(resolve, this.delayMs));
+      if (options.signal && options.signal.aborted) throw abortError();
+      yield word;
+    }
+  }
+}
+
+module.exports = { ScriptedProvider, DEFAULT_SCRIPT };
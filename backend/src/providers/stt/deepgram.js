@@ -1,14 +1,24 @@
-const WebSocket = require('ws');
-const log = require('./lib/logger');
+/**
+ * Deepgram STT Provider
+ *
+ * Deepgram realtime WebSocket client for streaming PCM16 audio and receiving
+ * transcripts.  Partials, finals and UtteranceEnd messages map directly onto
+ * the provider events.
+ * Docs: https://developers.deepgram.com/docs/streaming#websockets
+ */
+
+'use strict';
 
-// Deepgram realtime WebSocket client for streaming PCM16 audio and receiving transcripts.
-// Docs: https://developers.deepgram.com/docs/streaming#websockets
+const WebSocket = require('ws');
+const log = require('../../lib/logger');
 
 const DEEPGRAM_URL = 'wss://api.deepgram.com/v1/listen';
 
-class DeepgramClient {
-  constructor(apiKey, onEvent) {
+class DeepgramSttProvider {
+  constructor({ apiKey, model, onEvent }) {
+    this.name = 'deepgram';
     this.apiKey = apiKey;
+    this.model = model || 'nova-2';
     this.onEvent = onEvent; // (eventType, payload)
     this.ws = null;
     this.connected = false;
@@ -22,7 +32,7 @@ class DeepgramClient {
         channels: '1',
         interim_results: 'true',
         smart_format: 'true',
-        model: 'nova-2',
+        model: this.model,
         punctuate: 'true',
         filler_words: 'true',    // Keep "um", "uh", etc. in the transcript for hesitation detection.
         utterance_end_ms: '1500',  // Deepgram waits 1.5s of silence before emitting UtteranceEnd.
@@ -129,4 +139,4 @@ class DeepgramClient {
   }
 }
 
-module.exports = { DeepgramClient };
+module.exports = { DeepgramSttProvider };
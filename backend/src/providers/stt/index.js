@@ -0,0 +1,107 @@
+/**
+ * STT Provider Registry
+ *
+ * Every provider exposes the same interface:
+ *
+ *   name                – provider id
+ *   model               – model (or script) that transcribes
+ *   connected           – true between connect() and close()
+ *   connect()           → Promise<void>, starts listening
+ *   sendAudio(buffer)   – PCM16 mono audio at 16 kHz
+ *   close()             – stops listening
+ *
+ * and reports through the `onEvent(eventType, payload)` callback it is
+ * created with:
+ *
+ *   stt.partial        { text }              – interim text of the current segment
+ *   stt.final          { text, confidence }  – finished segment (confidence 0–1, or null)
+ *   stt.utterance_end  {}                    – the speaker has stopped talking
+ *
+ * A provider serves one user audio stream; `turn` is that stream's index
+ * within the call.
+ *
+ * Selected with `STT_PROVIDER`:
+ *   deepgram (default) – Deepgram realtime API (DEEPGRAM_API_KEY)
+ *   whisper            – local whisper.cpp subprocess (STT_MODEL = path to the ggml model)
+ *   replay             – scripted transcript with timings (STT_REPLAY_SCRIPT optional); no audio needed
+ *
+ * `STT_MODEL` sets the model for any provider and `STT_COMMAND` the path of
+ * the whisper.cpp executable.
+ */
+
+'use strict';
+
+const { DeepgramSttProvider } = require('./deepgram');
+const { WhisperSttProvider } = require('./whisper');
+const { ReplaySttProvider } = require('./replay');
+
+// Names accepted for STT_PROVIDER besides the provider ids.
+const ALIASES = {
+  'whisper.cpp': 'whisper',
+  'whisper-cpp': 'whisper',
+  local: 'whisper',
+  scripted: 'replay',
+  mock: 'replay',
+};
+
+const PROVIDER_NAMES = ['deepgram', 'whisper', 'replay'];
+
+/**
+ * Canonical provider name for a provider id or alias, or null if unknown.
+ */
+function resolveSttProviderName(name) {
+  const requested = String(name || '').toLowerCase();
+  const resolved = ALIASES[requested] || requested;
+  return PROVIDER_NAMES.includes(resolved) ? resolved : null;
+}
+
+/**
+ * Build the provider named by `options.provider` (or `STT_PROVIDER`).
+ * Unset options fall back to environment variables, then to the provider's
+ * defaults.
+ *
+ * @param {Object} options
+ * @param {Function} options.onEvent – (eventType, payload)
+ * @param {number} [options.turn]
+ * @returns {Object} provider instance
+ * @throws when the provider is unknown or missing required configuration
+ */
+function createSttProvider(options) {
+  const requested = options.provider || process.env.STT_PROVIDER || 'deepgram';
+  const name = resolveSttProviderName(requested);
+  if (!name) {
+    throw new Error(`Unknown STT provider "${requested}". Expected one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+  const model = options.model || process.env.STT_MODEL;
+
+  if (name === 'replay') {
+    return new ReplaySttProvider({
+      script: options.script,
+      scriptPath: options.scriptPath || process.env.STT_REPLAY_SCRIPT,
+      turn: options.turn,
+      speed: options.speed || process.env.STT_REPLAY_SPEED,
+      onEvent: options.onEvent,
+    });
+  }
+
+  if (name === 'whisper') {
+    return new WhisperSttProvider({
+      model,
+      command: options.command || process.env.STT_COMMAND,
+      language: options.language || process.env.STT_LANGUAGE,
+      timeoutMs: options.timeoutMs || Number(process.env.STT_TIMEOUT_MS || 0) || undefined,
+      vadThreshold: options.vadThreshold || Number(process.env.STT_VAD_THRESHOLD || 0) || undefined,
+      endpointMs: options.endpointMs || Number(process.env.STT_ENDPOINT_MS || 0) || undefined,
+      utteranceEndMs: options.utteranceEndMs || Number(process.env.STT_UTTERANCE_END_MS || 0) || undefined,
+      onEvent: options.onEvent,
+    });
+  }
+
+  const apiKey = options.apiKey || process.env.DEEPGRAM_API_KEY;
+  if (!apiKey) {
+    throw new Error('DEEPGRAM_API_KEY not configured');
+  }
+  return new DeepgramSttProvider({ apiKey, model, onEvent: options.onEvent });
+}
+
+module.exports = { PROVIDER_NAMES, resolveSttProviderName, createSttProvider };
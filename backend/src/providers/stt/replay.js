@@ -0,0 +1,142 @@
+/**
+ * Replay STT Provider
+ *
+ * Plays back a scripted transcript with timings instead of listening to the
+ * audio, so the voice pipeline (transcript accumulation, utterance ends,
+ * barge-in and voice metrics) runs in tests and demos without a microphone
+ * or an STT service.  Audio sent to it is ignored.
+ *
+ * A script is JSON:
+ *
+ *   {
+ *     "name": "demo",
+ *     "turns": [
+ *       "Hi, this is Sam from Acme.",
+ *       [{ "text": "We help teams", "startMs": 200, "endMs": 1200, "confidence": 0.94 },
+ *        { "text": "cut onboarding time in half.", "endMs": 2600 }],
+ *       { "segments": ["Um, what does your team use today?"], "utteranceEndMs": 800 }
+ *     ]
+ *   }
+ *
+ * Each user audio stream (one connect) plays the next turn, chosen by the
+ * `turn` option.  A turn is a string, a list of segments, or an object with
+ * `segments` and optional `utteranceEndMs` (false for no utterance end).
+ * Segment times are milliseconds from connect; a missing `startMs` follows
+ * the previous segment after a short pause and a missing `endMs` allows
+ * 150 words per minute.  Words arrive as `stt.partial` events between the two
+ * times, then the segment as `stt.final`, then `stt.utterance_end` after the
+ * last segment.  `speed` scales every timing (2 = twice as fast).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const log = require('../../lib/logger');
+
+const WORDS_PER_MINUTE = 150;
+const SEGMENT_GAP_MS = 300;
+const UTTERANCE_END_MS = 1500;
+
+const DEFAULT_SCRIPT = {
+  name: 'default',
+  turns: [
+    'Hi, this is Sam from Acme. Do you have a few minutes to talk about your sales onboarding?',
+    'What does your team use today to get new reps up to speed?',
+    'Um, we usually see new reps ramp about thirty percent faster in the first quarter.',
+    'Would it help if I sent over a case study and we set up a short demo next week?',
+  ],
+};
+
+function loadScript(scriptPath) {
+  return JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+}
+
+function wordsDurationMs(text) {
+  const words = String(text).split(/\s+/).filter(Boolean).length;
+  return Math.round((Math.max(words, 1) / WORDS_PER_MINUTE) * 60 * 1000);
+}
+
+/**
+ * Segments of one script turn with every time filled in.
+ */
+function normalizeTurn(turn) {
+  const spec = typeof turn === 'string' || Array.isArray(turn) ? { segments: [].concat(turn) } : turn || {};
+  let cursor = 0;
+  const segments = (spec.segments || []).map((entry) => {
+    const segment = typeof entry === 'string' ? { text: entry } : entry;
+    const text = String(segment.text || '').trim();
+    const startMs = Number.isFinite(segment.startMs) ? segment.startMs : cursor + SEGMENT_GAP_MS;
+    const endMs = Number.isFinite(segment.endMs) ? Math.max(segment.endMs, startMs) : startMs + wordsDurationMs(text);
+    cursor = endMs;
+    return { text, startMs, endMs, confidence: typeof segment.confidence === 'number' ? segment.confidence : null };
+  });
+  let utteranceEndMs = Number.isFinite(spec.utteranceEndMs) ? spec.utteranceEndMs : UTTERANCE_END_MS;
+  if (spec.utteranceEndMs === false) utteranceEndMs = null;
+  return { segments: segments.filter((segment) => segment.text), utteranceEndMs };
+}
+
+class ReplaySttProvider {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.script]      – script object (wins over scriptPath)
+   * @param {string} [options.scriptPath]  – path to a JSON script
+   * @param {number} [options.turn]        – index of the turn to play
+   * @param {number} [options.speed]       – timing multiplier
+   * @param {Function} options.onEvent     – (eventType, payload)
+   */
+  constructor(options = {}) {
+    const script = options.script || (options.scriptPath ? loadScript(options.scriptPath) : DEFAULT_SCRIPT);
+    this.name = 'replay';
+    this.model = `script:${script.name || DEFAULT_SCRIPT.name}`;
+    this.turns = Array.isArray(script.turns) ? script.turns : [];
+    this.turn = options.turn || 0;
+    this.speed = Number(options.speed) > 0 ? Number(options.speed) : 1;
+    this.onEvent = options.onEvent;
+    this.connected = false;
+    this.timers = [];
+  }
+
+  async connect() {
+    this.connected = true;
+    if (this.turn >= this.turns.length) {
+      log.warn(`[replay] Script ${this.model} has no turn ${this.turn}; staying silent`);
+      return;
+    }
+
+    const { segments, utteranceEndMs } = normalizeTurn(this.turns[this.turn]);
+    log.info(`[replay] Playing turn ${this.turn} of ${this.model} (${segments.length} segments)`);
+    for (const segment of segments) {
+      const words = segment.text.split(/\s+/);
+      words.slice(0, -1).forEach((_, i) => {
+        const at = segment.startMs + ((segment.endMs - segment.startMs) * (i + 1)) / words.length;
+        this._at(at, 'stt.partial', { text: words.slice(0, i + 1).join(' ') });
+      });
+      this._at(segment.endMs, 'stt.final', { text: segment.text, confidence: segment.confidence });
+    }
+    if (segments.length > 0 && utteranceEndMs != null) {
+      this._at(segments[segments.length - 1].endMs + utteranceEndMs, 'stt.utterance_end', {});
+    }
+  }
+
+  _at(ms, eventType, payload) {
+    const timer = setTimeout(() => {
+      this.timers = this.timers.filter((entry) => entry !== timer);
+      if (eventType === 'stt.final') log.info(`[replay] Final transcript: "${payload.text}"`);
+      this.onEvent(eventType, payload);
+    }, Math.round(ms / this.speed));
+    this.timers.push(timer);
+  }
+
+  sendAudio() {
+    // The transcript is scripted; the audio itself is not used.
+  }
+
+  close() {
+    // Like a real stream, anything not yet "heard" is dropped.
+    this.timers.forEach(clearTimeout);
+    this.timers = [];
+    this.connected = false;
+  }
+}
+
+module.exports = { ReplaySttProvider, DEFAULT_SCRIPT };
@@ -0,0 +1,193 @@
+/**
+ * whisper.cpp STT Provider
+ *
+ * Offline transcription with the whisper.cpp CLI, so calls work without a
+ * cloud STT account.  Whisper transcribes whole clips rather than a live
+ * stream, so incoming audio is split into segments with a simple energy
+ * detector: once speech is followed by STT_ENDPOINT_MS of quiet, the segment
+ * is written to a temporary WAV file and transcribed by
+ *
+ *   whisper-cli -m <model> -f <segment.wav> -l <language> -nt -np
+ *
+ * and its text is emitted as `stt.final`.  Whisper gives no interim results,
+ * so there are no `stt.partial` events; `stt.utterance_end` follows after
+ * STT_UTTERANCE_END_MS of quiet, like Deepgram's UtteranceEnd.  Speech still
+ * buffered when the stream closes is transcribed too, and since no more audio
+ * can arrive the utterance ends as soon as that transcription is done.
+ */
+
+'use strict';
+
+const { spawn } = require('child_process');
+const { randomUUID } = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const log = require('../../lib/logger');
+
+const SAMPLE_RATE = 16000; // PCM16 mono, as the browser sends it
+
+function wavHeader(dataBytes) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(SAMPLE_RATE * 2, 28); // byte rate
+  header.writeUInt16LE(2, 32); // block align
+  header.writeUInt16LE(16, 34); // bits per sample
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataBytes, 40);
+  return header;
+}
+
+function rms(buffer) {
+  const samples = Math.floor(buffer.length / 2);
+  if (samples === 0) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples; i++) {
+    const sample = buffer.readInt16LE(i * 2);
+    sum += sample * sample;
+  }
+  return Math.sqrt(sum / samples);
+}
+
+class WhisperSttProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.model           – path to the ggml model file
+   * @param {string} [options.command]       – executable path (`whisper-cli` on PATH by default)
+   * @param {string} [options.language]      – spoken language (default "en")
+   * @param {number} [options.timeoutMs]     – limit per segment transcription
+   * @param {number} [options.vadThreshold]  – RMS level (0–32767) that counts as speech
+   * @param {number} [options.endpointMs]    – quiet that ends a segment
+   * @param {number} [options.utteranceEndMs] – quiet that ends the utterance
+   * @param {Function} options.onEvent       – (eventType, payload)
+   */
+  constructor({ model, command, language, timeoutMs, vadThreshold, endpointMs, utteranceEndMs, onEvent }) {
+    this.name = 'whisper';
+    this.model = model;
+    this.command = command || 'whisper-cli';
+    this.language = language || 'en';
+    this.timeoutMs = timeoutMs || 30000;
+    this.vadThreshold = vadThreshold || 500;
+    this.endpointMs = endpointMs || 500;
+    this.utteranceEndMs = utteranceEndMs || 1500;
+    this.onEvent = onEvent;
+    this.connected = false;
+
+    this.segment = []; // audio buffers of the segment being spoken
+    this.speaking = false;
+    this.quietMs = 0; // quiet since the last speech, in audio time
+    this.awaitingUtteranceEnd = false;
+    this.pending = Promise.resolve(); // transcriptions run one at a time, in order
+  }
+
+  async connect() {
+    if (!this.model) {
+      throw new Error('whisper STT requires a model (set STT_MODEL)');
+    }
+    this.connected = true;
+    log.info(`[whisper] Ready (${path.basename(this.model)})`);
+  }
+
+  sendAudio(buffer) {
+    if (!this.connected) return;
+    const chunkMs = (Math.floor(buffer.length / 2) / SAMPLE_RATE) * 1000;
+
+    if (rms(buffer) >= this.vadThreshold) {
+      this.segment.push(buffer);
+      this.speaking = true;
+      this.quietMs = 0;
+      this.awaitingUtteranceEnd = false;
+      return;
+    }
+
+    this.quietMs += chunkMs;
+    if (this.speaking) {
+      this.segment.push(buffer); // keep the trailing quiet so words are not clipped
+      if (this.quietMs >= this.endpointMs) this._endSegment();
+    } else if (this.awaitingUtteranceEnd && this.quietMs >= this.utteranceEndMs) {
+      this.awaitingUtteranceEnd = false;
+      this._enqueue(async () => {
+        log.info('[whisper] Utterance end detected');
+        this.onEvent('stt.utterance_end', {});
+      });
+    }
+  }
+
+  _endSegment() {
+    const audio = Buffer.concat(this.segment);
+    this.segment = [];
+    this.speaking = false;
+    this.awaitingUtteranceEnd = true;
+    this._enqueue(() => this._transcribe(audio));
+  }
+
+  _enqueue(task) {
+    this.pending = this.pending.then(task).catch((err) => {
+      log.error('[whisper] Transcription failed:' + err.message || err);
+    });
+  }
+
+  async _transcribe(audio) {
+    const file = path.join(os.tmpdir(), `stt-${randomUUID()}.wav`);
+    await fs.promises.writeFile(file, Buffer.concat([wavHeader(audio.length), audio]));
+    try {
+      const output = await this._run(['-m', this.model, '-f', file, '-l', this.language, '-nt', '-np']);
+      // Drop whisper's non-speech markers such as [BLANK_AUDIO].
+      const text = output.replace(/\[[A-Z_ ]+\]/g, ' ').replace(/\s+/g, ' ').trim();
+      if (!text) return;
+      log.info(`[whisper] Final transcript: "${text}"`);
+      this.onEvent('stt.final', { text, confidence: null });
+    } finally {
+      fs.promises.unlink(file).catch(() => {});
+    }
+  }
+
+  _run(args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.command, args, { stdio: ['ignore', 'pipe', 'pipe'], timeout: this.timeoutMs });
+      let stdout = '';
+      let stderr = '';
+      child.stdout.on('data', (chunk) => {
+        stdout += chunk.toString();
+      });
+      child.stderr.on('data', (chunk) => {
+        stderr += chunk.toString();
+      });
+      child.on('error', (err) => {
+        reject(err.code === 'ENOENT' ? new Error(`whisper executable not found: ${this.command}`) : err);
+      });
+      child.on('close', (code, signal) => {
+        if (code === 0) {
+          resolve(stdout);
+        } else if (signal === 'SIGTERM') {
+          reject(new Error(`whisper timed out after ${this.timeoutMs} ms`));
+        } else {
+          reject(new Error(`whisper exited with code ${code}: ${stderr.trim().slice(0, 200)}`));
+        }
+      });
+    });
+  }
+
+  close() {
+    if (this.connected && this.speaking) this._endSegment();
+    if (this.connected && this.awaitingUtteranceEnd) {
+      // The user has stopped recording, so don't wait for quiet that will
+      // never be sent; end the utterance once the last segment is transcribed.
+      this.awaitingUtteranceEnd = false;
+      this._enqueue(async () => {
+        log.info('[whisper] Utterance end at stream close');
+        this.onEvent('stt.utterance_end', {});
+      });
+    }
+    this.connected = false;
+  }
+}
+
+module.exports = { WhisperSttProvider };
@@ -0,0 +1,106 @@
+/**
+ * Deepgram TTS Provider
+ *
+ * Synthesises speech with Deepgram's `/v1/speak` REST endpoint and yields the
+ * audio bytes as the response body arrives.  The endpoint has no rate or
+ * pitch control, so a `prosody.rate` other than 1 resamples linear16 audio
+ * (pitch follows rate).  Aborting the request signal destroys the HTTP
+ * request, so Deepgram stops synthesising too.
+ * Docs: https://developers.deepgram.com/docs/text-to-speech
+ */
+
+'use strict';
+
+const https = require('https');
+const { createPcmConverter } = require('./pcm');
+
+const DEEPGRAM_TTS_URL = 'api.deepgram.com';
+const DEEPGRAM_TTS_PATH = '/v1/speak';
+
+class DeepgramTtsProvider {
+  constructor({ apiKey, model, timeoutMs }) {
+    this.name = 'deepgram';
+    this.apiKey = apiKey;
+    this.model = model || 'aura-asteria-en'; // Natural-sounding female voice
+    this.timeoutMs = timeoutMs || 15000;
+  }
+
+  async *streamSpeech(text, options = {}) {
+    if (!this.apiKey) {
+      throw new Error('Deepgram TTS requires DEEPGRAM_API_KEY');
+    }
+
+    const model = options.model || this.model;
+    const encoding = options.encoding || 'linear16'; // PCM16 for browser Web Audio API
+    const sampleRate = options.sampleRate || 16000;
+    const container = options.container || 'none'; // Raw audio bytes
+    const rate = (options.prosody && options.prosody.rate) || 1;
+    const converter = encoding === 'linear16' && container === 'none' && rate !== 1
+      ? createPcmConverter({ fromRate: sampleRate * rate, toRate: sampleRate })
+      : null;
+
+    const res = await this.request(text, { model, encoding, sampleRate, container, signal: options.signal });
+    try {
+      for await (const chunk of res) {
+        const audio = converter ? converter.push(chunk) : chunk;
+        if (audio.length > 0) yield audio;
+      }
+    } finally {
+      // Stopping early (barge-in) must not leave the response downloading.
+      res.destroy();
+    }
+  }
+
+  /**
+   * @returns {Promise<import('http').IncomingMessage>} the successful response, body unread
+   */
+  request(text, { model, encoding, sampleRate, container, signal }) {
+    return new Promise((resolve, reject) => {
+      const queryParams = new URLSearchParams({
+        model,
+        encoding,
+        sample_rate: sampleRate,
+        container,
+      });
+
+      const requestOptions = {
+        hostname: DEEPGRAM_TTS_URL,
+        path: `${DEEPGRAM_TTS_PATH}?${queryParams.toString()}`,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Token ${this.apiKey}`,
+        },
+        // Lets callers cancel synthesis that is no longer needed (barge-in).
+        signal,
+      };
+
+      const req = https.request(requestOptions, (res) => {
+        if (res.statusCode !== 200) {
+          let errorBody = '';
+          res.on('data', (chunk) => {
+            errorBody += chunk.toString();
+          });
+          res.on('end', () => {
+            reject(new Error(`TTS request failed (${res.statusCode}): ${errorBody}`));
+          });
+          return;
+        }
+        resolve(res);
+      });
+
+      req.setTimeout(this.timeoutMs, () => {
+        req.destroy(new Error(`TTS request timed out after ${this.timeoutMs} ms`));
+      });
+
+      req.on('error', (err) => {
+        reject(err);
+      });
+
+      req.write(JSON.stringify({ text }));
+      req.end();
+    });
+  }
+}
+
+module.exports = { DeepgramTtsProvider };
@@ -0,0 +1,110 @@
+/**
+ * TTS Provider Registry
+ *
+ * Every provider exposes the same interface:
+ *
+ *   name                                             – provider id
+ *   model                                            – voice that speaks by default
+ *   streamSpeech(text, { encoding, sampleRate, model, prosody, signal }) → AsyncGenerator<Buffer>
+ *
+ * The chunks are raw audio in the requested encoding (linear16 everywhere the
+ * backend uses it), yielded as soon as the provider produces them.  Aborting
+ * `signal` cancels synthesis and returning from the generator early stops it
+ * too.  `model` overrides the default voice for one request and
+ * `prosody` ({ rate, pitch } multipliers, see customerVoice) its delivery.
+ *
+ * Selected with `TTS_PROVIDER`:
+ *   deepgram (default) – Deepgram Aura (DEEPGRAM_API_KEY)
+ *   piper              – local Piper subprocess (TTS_VOICE = path to the .onnx voice)
+ *   espeak             – local espeak-ng subprocess (TTS_VOICE = voice name, "en-us" by default)
+ *   stub               – silence, or a tone with TTS_STUB_MODE=tone; no engine needed
+ *
+ * An unknown name is reported once and the default provider used instead.
+ * `TTS_VOICE` sets the default voice for any provider and `TTS_COMMAND` the
+ * path of a local engine's executable.
+ */
+
+'use strict';
+
+const log = require('../../lib/logger');
+const { DeepgramTtsProvider } = require('./deepgram');
+const { LocalTtsProvider, LOCAL_ENGINES } = require('./localEngine');
+const { StubTtsProvider } = require('./stub');
+
+// Names accepted for TTS_PROVIDER besides the provider ids.
+const ALIASES = {
+  'espeak-ng': 'espeak',
+  silent: 'stub',
+  tone: 'stub',
+  mock: 'stub',
+};
+
+const PROVIDER_NAMES = ['deepgram', ...LOCAL_ENGINES, 'stub'];
+const DEFAULT_PROVIDER = 'deepgram';
+
+// Unknown names have been reported once already.
+const reportedUnknownNames = new Set();
+
+/**
+ * Canonical provider name for a provider id or alias, or null if unknown.
+ */
+function resolveTtsProviderName(name) {
+  const requested = String(name || '').toLowerCase();
+  const resolved = ALIASES[requested] || requested;
+  return PROVIDER_NAMES.includes(resolved) ? resolved : null;
+}
+
+/**
+ * Canonical name of the provider that serves `requested` (TTS_PROVIDER by
+ * default): the default provider when the name is unknown.
+ */
+function configuredTtsProviderName(requested = process.env.TTS_PROVIDER || DEFAULT_PROVIDER) {
+  const name = resolveTtsProviderName(requested);
+  if (name) return name;
+  if (!reportedUnknownNames.has(requested)) {
+    reportedUnknownNames.add(requested);
+    log.warn(
+      `[tts] Unknown TTS provider "${requested}"; using ${DEFAULT_PROVIDER}. Expected one of: ${PROVIDER_NAMES.join(', ')}`
+    );
+  }
+  return DEFAULT_PROVIDER;
+}
+
+/**
+ * Build the provider named by `options.provider` (or `TTS_PROVIDER`).
+ * Unset options fall back to environment variables, then to the provider's
+ * defaults.
+ *
+ * @param {Object} [options]
+ * @returns {Object} provider instance
+ */
+function createTtsProvider(options = {}) {
+  const requested = options.provider || process.env.TTS_PROVIDER || DEFAULT_PROVIDER;
+  const name = configuredTtsProviderName(requested);
+  const voice = options.voice || process.env.TTS_VOICE;
+  const timeoutMs = options.timeoutMs || Number(process.env.TTS_TIMEOUT_MS || 15000);
+
+  if (name === 'stub') {
+    const mode = options.mode || process.env.TTS_STUB_MODE || (String(requested).toLowerCase() === 'tone' ? 'tone' : 'silent');
+    return new StubTtsProvider({ mode });
+  }
+
+  if (name === 'deepgram') {
+    return new DeepgramTtsProvider({
+      apiKey: options.apiKey || process.env.DEEPGRAM_API_KEY || '',
+      model: voice,
+      timeoutMs,
+    });
+  }
+
+  return new LocalTtsProvider({
+    engine: name,
+    command: options.command || process.env.TTS_COMMAND,
+    voice: voice || (name === 'espeak' ? 'en-us' : undefined),
+    rawSampleRate: Number(options.rawSampleRate || process.env.PIPER_SAMPLE_RATE || 22050),
+    rate: options.rate || Number(process.env.ESPEAK_RATE || 0) || undefined,
+    timeoutMs,
+  });
+}
+
+module.exports = { PROVIDER_NAMES, resolveTtsProviderName, configuredTtsProviderName, createTtsProvider };
@@ -0,0 +1,141 @@
+/**
+ * Local TTS Engine Provider
+ *
+ * Runs an offline speech synthesiser as a subprocess, one process per
+ * sentence, so calls work without a cloud TTS account:
+ *
+ *   piper     – `piper --model <voice.onnx> --output_raw`, raw PCM16 at the
+ *               voice's sample rate (PIPER_SAMPLE_RATE, 22050 by default)
+ *   espeak-ng – `espeak-ng --stdout -v <voice>`, a WAV file
+ *
+ * `prosody` maps to piper's length scale and espeak's speed and pitch.
+ * Text is written to the engine's stdin rather than passed as an argument.
+ * Output is converted to mono PCM16 at the requested sample rate and yielded
+ * as the engine writes it.  Aborting the request signal kills the process.
+ */
+
+'use strict';
+
+const { spawn } = require('child_process');
+const { readWavHeader, createPcmConverter } = require('./pcm');
+
+const ENGINES = {
+  piper: {
+    command: 'piper',
+    // Piper has no pitch control; a shorter length scale speaks faster.
+    args: ({ voice, rate }) => ['--model', voice, '--output_raw', '--quiet', '--length_scale', (1 / rate).toFixed(3)],
+    output: 'raw',
+  },
+  espeak: {
+    command: 'espeak-ng',
+    args: ({ voice, rate, pitch, wordsPerMinute }) => [
+      '--stdout',
+      '-v',
+      voice,
+      '-s',
+      String(Math.round(wordsPerMinute * rate)),
+      '-p',
+      String(Math.max(0, Math.min(99, Math.round(50 * pitch)))),
+    ],
+    output: 'wav',
+  },
+};
+
+class LocalTtsProvider {
+  /**
+   * @param {Object} options
+   * @param {'piper'|'espeak'} options.engine
+   * @param {string} [options.command]     – executable path (defaults to the engine's name on PATH)
+   * @param {string} options.voice         – piper model file or espeak voice name
+   * @param {number} [options.rawSampleRate] – piper voice sample rate
+   * @param {number} [options.rate]        – espeak words per minute at prosody rate 1
+   * @param {number} [options.timeoutMs]
+   */
+  constructor({ engine, command, voice, rawSampleRate, rate, timeoutMs }) {
+    const definition = ENGINES[engine];
+    if (!definition) {
+      throw new Error(`Unknown local TTS engine "${engine}". Expected one of: ${Object.keys(ENGINES).join(', ')}`);
+    }
+    this.name = engine;
+    this.engine = definition;
+    this.command = command || definition.command;
+    this.model = voice;
+    this.rawSampleRate = rawSampleRate || 22050;
+    this.wordsPerMinute = rate || 175;
+    this.timeoutMs = timeoutMs || 15000;
+  }
+
+  async *streamSpeech(text, options = {}) {
+    const encoding = options.encoding || 'linear16';
+    if (encoding !== 'linear16') {
+      throw new Error(`${this.name} TTS only produces linear16 audio (requested ${encoding})`);
+    }
+    if (!this.model) {
+      throw new Error(`${this.name} TTS requires a voice (set TTS_VOICE)`);
+    }
+    const sampleRate = options.sampleRate || 16000;
+    const signal = options.signal;
+    const child = spawn(this.command, this.engine.args({
+      voice: options.model || this.model,
+      rate: (options.prosody && options.prosody.rate) || 1,
+      pitch: (options.prosody && options.prosody.pitch) || 1,
+      wordsPerMinute: this.wordsPerMinute,
+    }), {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      timeout: this.timeoutMs,
+      signal,
+    });
+
+    let stderr = '';
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk.toString();
+    });
+    const exited = new Promise((resolve, reject) => {
+      child.on('error', (err) => {
+        reject(err.code === 'ENOENT' ? new Error(`${this.name} TTS executable not found: ${this.command}`) : err);
+      });
+      child.on('close', (code, closeSignal) => {
+        if (code === 0) {
+          resolve();
+        } else if (closeSignal === 'SIGTERM' && !(signal && signal.aborted)) {
+          reject(new Error(`${this.name} TTS timed out after ${this.timeoutMs} ms`));
+        } else if (!(signal && signal.aborted)) {
+          reject(new Error(`${this.name} TTS exited with code ${code}: ${stderr.trim().slice(0, 200)}`));
+        }
+      });
+    });
+    exited.catch(() => {}); // Awaited below; this only stops an early failure counting as unhandled.
+
+    // The engine may exit before reading stdin (e.g. a bad voice); its exit code reports why.
+    child.stdin.on('error', () => {});
+    child.stdin.end(text);
+
+    let converter = this.engine.output === 'raw'
+      ? createPcmConverter({ fromRate: this.rawSampleRate, toRate: sampleRate })
+      : null;
+    let header = Buffer.alloc(0);
+    try {
+      for await (const chunk of child.stdout) {
+        let data = chunk;
+        if (!converter) {
+          header = Buffer.concat([header, chunk]);
+          const wav = readWavHeader(header);
+          if (!wav) continue;
+          if (wav.bitsPerSample !== 16) {
+            throw new Error(`${this.name} TTS returned ${wav.bitsPerSample}-bit audio; expected 16-bit`);
+          }
+          converter = createPcmConverter({ fromRate: wav.sampleRate, toRate: sampleRate, channels: wav.channels });
+          data = header.subarray(wav.dataOffset);
+        }
+        const audio = converter.push(data);
+        if (audio.length > 0) yield audio;
+      }
+      await exited;
+    } finally {
+      // Stopping early (barge-in) ends the process instead of letting it finish the sentence.
+      if (child.exitCode === null && child.signalCode === null) child.kill();
+    }
+  }
+}
+
+module.exports = { LocalTtsProvider, LOCAL_ENGINES: Object.keys(ENGINES) };
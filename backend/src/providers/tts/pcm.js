@@ -0,0 +1,104 @@
+/**
+ * PCM helpers for TTS providers.
+ *
+ * Every provider streams mono 16-bit little-endian PCM at the sample rate the
+ * caller asked for, since that is what the browser playback expects.  Local
+ * engines produce WAV or raw PCM at their own rate, so their output is
+ * unpacked and resampled here as it arrives; providers without a
+ * speaking-rate control resample for prosody too.
+ */
+
+'use strict';
+
+/**
+ * Read a WAV header from the start of a stream.
+ *
+ * @param {Buffer} buffer – bytes received so far
+ * @returns {{sampleRate: number, channels: number, bitsPerSample: number, dataOffset: number}|null}
+ *   null until the header is complete
+ * @throws when the bytes are not a WAV file
+ */
+function readWavHeader(buffer) {
+  if (buffer.length < 12) return null;
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('TTS engine did not return a WAV file');
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (chunkId === 'data') {
+      if (!format) throw new Error('WAV file has no format chunk');
+      // Engines writing to a pipe cannot seek back, so the data size is
+      // often a placeholder; the data simply runs to the end of the stream.
+      return { ...format, dataOffset: body };
+    }
+    if (body + chunkSize > buffer.length) return null;
+    if (chunkId === 'fmt ') {
+      format = {
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14),
+      };
+    }
+    offset = body + chunkSize + (chunkSize % 2);
+  }
+  return null;
+}
+
+/**
+ * Incremental converter from 16-bit PCM (any rate, interleaved channels) to
+ * mono PCM16 at `toRate`, using linear interpolation.  Chunks may split a
+ * sample or frame anywhere; the remainder is carried to the next push.
+ *
+ * @param {{fromRate: number, toRate: number, channels?: number}} format
+ * @returns {{push: (chunk: Buffer) => Buffer}}
+ */
+function createPcmConverter({ fromRate, toRate, channels = 1 }) {
+  const frameBytes = 2 * channels;
+  const step = fromRate / toRate; // input frames per output sample
+  let pending = Buffer.alloc(0); // bytes of an incomplete frame
+  let previous = null; // last input sample of the previous push
+  let position = 0; // next output position, in input frames from `previous`
+
+  function push(chunk) {
+    const bytes = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+    const frameCount = Math.floor(bytes.length / frameBytes);
+    pending = bytes.subarray(frameCount * frameBytes);
+    if (frameCount === 0) return Buffer.alloc(0);
+
+    if (step === 1 && channels === 1) return bytes.subarray(0, frameCount * 2);
+
+    const offset = previous == null ? 0 : 1;
+    const samples = new Float32Array(frameCount + offset);
+    if (previous != null) samples[0] = previous;
+    for (let frame = 0; frame < frameCount; frame++) {
+      let sum = 0;
+      for (let channel = 0; channel < channels; channel++) {
+        sum += bytes.readInt16LE(frame * frameBytes + channel * 2);
+      }
+      samples[frame + offset] = sum / channels;
+    }
+
+    const output = [];
+    while (position + 1 < samples.length) {
+      const index = Math.floor(position);
+      const sample = samples[index] + (samples[index + 1] - samples[index]) * (position - index);
+      output.push(Math.max(-32768, Math.min(32767, Math.round(sample))));
+      position += step;
+    }
+    previous = samples[samples.length - 1];
+    position -= samples.length - 1;
+
+    const buffer = Buffer.alloc(output.length * 2);
+    output.forEach((sample, i) => buffer.writeInt16LE(sample, i * 2));
+    return buffer;
+  }
+
+  return { push };
+}
+
+module.exports = { readWavHeader, createPcmConverter };
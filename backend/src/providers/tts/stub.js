@@ -0,0 +1,61 @@
+/**
+ * Stub TTS Provider
+ *
+ * Returns silence or a quiet tone instead of speech, so calls, tests and
+ * demos run without a TTS service.  The audio lasts about as long as the
+ * text would take to say, which keeps talk-time metrics and barge-in timing
+ * realistic.
+ */
+
+'use strict';
+
+const WORDS_PER_MINUTE = 150;
+const TONE_HZ = 440;
+const TONE_AMPLITUDE = 0.1;
+const CHUNK_BYTES = 8192;
+
+function abortError() {
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+class StubTtsProvider {
+  /**
+   * @param {Object} [options]
+   * @param {'silent'|'tone'} [options.mode]
+   */
+  constructor({ mode } = {}) {
+    this.name = 'stub';
+    this.mode = mode === 'tone' ? 'tone' : 'silent';
+    this.model = this.mode;
+  }
+
+  async *streamSpeech(text, options = {}) {
+    if (options.signal && options.signal.aborted) throw abortError();
+    const encoding = options.encoding || 'linear16';
+    if (encoding !== 'linear16') {
+      throw new Error(`Stub TTS only produces linear16 audio (requested ${encoding})`);
+    }
+
+    const sampleRate = options.sampleRate || 16000;
+    const words = text.split(/\s+/).filter(Boolean).length;
+    const rate = (options.prosody && options.prosody.rate) || 1;
+    const samples = Math.round((Math.max(words, 1) / (WORDS_PER_MINUTE * rate)) * 60 * sampleRate);
+    const audio = Buffer.alloc(samples * 2);
+    const mode = options.model === 'tone' || options.model === 'silent' ? options.model : this.mode;
+    if (mode === 'tone') {
+      for (let i = 0; i < samples; i++) {
+        const value = Math.sin((2 * Math.PI * TONE_HZ * i) / sampleRate) * TONE_AMPLITUDE * 32767;
+        audio.writeInt16LE(Math.round(value), i * 2);
+      }
+    }
+    // Yielded in slices, like a real stream, so consumers see more than one chunk.
+    for (let offset = 0; offset < audio.length; offset += CHUNK_BYTES) {
+      if (options.signal && options.signal.aborted) throw abortError();
+      yield audio.subarray(offset, offset + CHUNK_BYTES);
+    }
+  }
+}
+
+module.exports = { StubTtsProvider };
@@ -0,0 +1,391 @@
+/**
+ * Scoring Rubrics
+ *
+ * A rubric is the list of criteria the end-of-call feedback is scored
+ * against.  Each criterion has a name, a weight and optional level
+ * descriptors ("8: Uncovered budget, timeline and decision process").
+ *
+ * The rubric for a call is the scenario's own rubric, else the
+ * organization's rubric (organization_settings), else DEFAULT_RUBRIC — the
+ * three skills every session was scored on before rubrics existed.
+ *
+ * Scored feedback keeps `overall_score` and adds:
+ *   scores         – `{ [criterion key]: 0-10 }`
+ *   rubric         – `{ id, name, overall, criteria: [{ key, name, weight }] }`
+ *   weighted_score – weighted mean of the criterion scores
+ * Criteria that share a legacy key (`objection_handling`, …) are also copied
+ * to the top level, so older consumers and skill ratings keep working.
+ */
+
+'use strict';
+
+const { SKILL_SCORE_FIELDS } = require('./feedbackSchema');
+
+const RUBRIC_LIMITS = {
+  maxCriteria: 8,
+  maxLevels: 6,
+  nameLength: 80,
+  descriptionLength: 300,
+  descriptorLength: 300,
+  maxWeight: 100,
+};
+
+// How `overall_score` is produced: the weighted criterion mean, or the
+// model's own holistic judgement.
+const OVERALL_MODES = ['weighted', 'model'];
+
+const RESERVED_KEYS = ['overall_score', 'weighted_score'];
+
+const DEFAULT_RUBRIC = {
+  id: 'default',
+  name: 'Standard Sales Call',
+  overall: 'model',
+  criteria: [
+    {
+      key: 'objection_handling',
+      name: 'Objection Handling',
+      weight: 1,
+      description: 'Acknowledges concerns, answers them with specifics and confirms they are resolved.',
+      levels: [],
+    },
+    {
+      key: 'communication_clarity',
+      name: 'Communication Clarity',
+      weight: 1,
+      description: 'Explains the offer in concrete, easy-to-follow terms without jargon.',
+      levels: [],
+    },
+    {
+      key: 'confidence',
+      name: 'Confidence',
+      weight: 1,
+      description: 'Speaks decisively, holds the value position and leads the conversation.',
+      levels: [],
+    },
+  ],
+};
+
+const DIMENSION_LABELS = {
+  overall_score: 'Overall',
+  ...Object.fromEntries(DEFAULT_RUBRIC.criteria.map((criterion) => [criterion.key, criterion.name])),
+};
+
+// ── Validation ──────────────────────────────────────────────────────────────
+
+function slugify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 60);
+}
+
+function toScore(value) {
+  if (value == null) return null; // unscored, not zero
+  const num = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+  return Number.isFinite(num) ? Math.max(0, Math.min(10, num)) : null;
+}
+
+function normalizeLevels(input, label) {
+  if (input == null) return { value: [], error: null };
+  if (!Array.isArray(input)) return { value: null, error: `${label}.levels must be an array` };
+  if (input.length > RUBRIC_LIMITS.maxLevels) {
+    return { value: null, error: `${label} may have at most ${RUBRIC_LIMITS.maxLevels} levels` };
+  }
+
+  const levels = [];
+  for (const [index, raw] of input.entries()) {
+    const score = Number(raw && raw.score);
+    if (!Number.isFinite(score) || score < 0 || score > 10) {
+      return { value: null, error: `${label}.levels[${index}].score must be a number from 0 to 10` };
+    }
+    const descriptor = String((raw && raw.descriptor) || '').trim();
+    if (!descriptor) return { value: null, error: `${label}.levels[${index}].descriptor is required` };
+    if (descriptor.length > RUBRIC_LIMITS.descriptorLength) {
+      return {
+        value: null,
+        error: `${label}.levels[${index}].descriptor must be at most ${RUBRIC_LIMITS.descriptorLength} characters`,
+      };
+    }
+    if (levels.some((level) => level.score === score)) {
+      return { value: null, error: `${label} has more than one level for score ${score}` };
+    }
+    levels.push({ score, descriptor });
+  }
+  return { value: levels.sort((a, b) => b.score - a.score), error: null };
+}
+
+/**
+ * Validate a trainer-submitted rubric.  `null` means "no rubric" (inherit).
+ *
+ * @param {Object|null} input
+ * @returns {{value: Object|null, error: string|null}}
+ */
+function normalizeRubric(input) {
+  if (input == null) return { value: null, error: null };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { value: null, error: 'rubric must be an object' };
+  }
+
+  const name = String(input.name || 'Custom Rubric').trim();
+  if (name.length > RUBRIC_LIMITS.nameLength) {
+    return { value: null, error: `rubric.name must be at most ${RUBRIC_LIMITS.nameLength} characters` };
+  }
+  const overall = input.overall == null ? 'weighted' : input.overall;
+  if (!OVERALL_MODES.includes(overall)) {
+    return { value: null, error: `rubric.overall must be one of: ${OVERALL_MODES.join(', ')}` };
+  }
+  if (!Array.isArray(input.criteria) || input.criteria.length === 0) {
+    return { value: null, error: 'rubric.criteria must be a non-empty array' };
+  }
+  if (input.criteria.length > RUBRIC_LIMITS.maxCriteria) {
+    return { value: null, error: `A rubric may have at most ${RUBRIC_LIMITS.maxCriteria} criteria` };
+  }
+
+  const criteria = [];
+  for (const [index, raw] of input.criteria.entries()) {
+    const label = `rubric.criteria[${index}]`;
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      return { value: null, error: `${label} must be an object` };
+    }
+    const criterionName = String(raw.name || '').trim();
+    if (!criterionName) return { value: null, error: `${label}.name is required` };
+    if (criterionName.length > RUBRIC_LIMITS.nameLength) {
+      return { value: null, error: `${label}.name must be at most ${RUBRIC_LIMITS.nameLength} characters` };
+    }
+    const key = slugify(raw.key || criterionName);
+    if (!key || RESERVED_KEYS.includes(key)) {
+      return { value: null, error: `${label}.key "${key}" is not allowed` };
+    }
+    if (criteria.some((criterion) => criterion.key === key)) {
+      return { value: null, error: `${label}.key "${key}" is duplicated` };
+    }
+    const weight = raw.weight == null ? 1 : Number(raw.weight);
+    if (!Number.isFinite(weight) || weight <= 0 || weight > RUBRIC_LIMITS.maxWeight) {
+      return { value: null, error: `${label}.weight must be greater than 0 and at most ${RUBRIC_LIMITS.maxWeight}` };
+    }
+    const description = String(raw.description || '').trim();
+    if (description.length > RUBRIC_LIMITS.descriptionLength) {
+      return {
+        value: null,
+        error: `${label}.description must be at most ${RUBRIC_LIMITS.descriptionLength} characters`,
+      };
+    }
+    const levels = normalizeLevels(raw.levels, label);
+    if (levels.error) return { value: null, error: levels.error };
+
+    criteria.push({ key, name: criterionName, weight, description, levels: levels.value });
+  }
+
+  return {
+    value: { id: slugify(input.id || name) || 'custom', name, overall, criteria },
+    error: null,
+  };
+}
+
+/**
+ * The rubric a call is scored against: scenario, then organization, then
+ * the default.
+ */
+function resolveRubric(scenario, orgRubric) {
+  return (scenario && scenario.rubric) || orgRubric || DEFAULT_RUBRIC;
+}
+
+// ── Prompting ───────────────────────────────────────────────────────────────
+
+/**
+ * Prompt section describing the criteria to score.
+ */
+function buildRubricPrompt(rubric) {
+  const lines = [`Scoring rubric "${rubric.name}" (score every criterion 0-10):`];
+  for (const criterion of rubric.criteria) {
+    lines.push(
+      `- ${criterion.key}: ${criterion.name}` +
+        (criterion.weight !== 1 ? ` (weight ${criterion.weight})` : '') +
+        (criterion.description ? ` — ${criterion.description}` : '')
+    );
+    for (const level of criterion.levels || []) {
+      lines.push(`    ${level.score}: ${level.descriptor}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * The `"scores"` member of the feedback JSON template.
+ */
+function buildScoresTemplate(rubric) {
+  const entries = rubric.criteria.map((criterion) => `    "${criterion.key}": <number 0-10>`);
+  return `  "scores": {\n${entries.join(',\n')}\n  }`;
+}
+
+// ── Scoring ─────────────────────────────────────────────────────────────────
+
+function summarizeRubric(rubric) {
+  return {
+    id: rubric.id,
+    name: rubric.name,
+    overall: rubric.overall,
+    criteria: rubric.criteria.map(({ key, name, weight }) => ({ key, name, weight })),
+  };
+}
+
+function weightedMean(scores, criteria) {
+  let sum = 0;
+  let weightSum = 0;
+  for (const criterion of criteria) {
+    const score = scores[criterion.key];
+    if (score == null) continue;
+    sum += score * criterion.weight;
+    weightSum += criterion.weight;
+  }
+  return weightSum > 0 ? sum / weightSum : null;
+}
+
+/**
+ * Attach rubric scores to validated feedback.
+ *
+ * @param {Object} feedback – from generateStructuredFeedback
+ * @param {Object} rubric
+ * @returns {Object} new feedback object
+ */
+function applyRubric(feedback, rubric) {
+  const rawScores = feedback.scores || {};
+  const scores = {};
+  for (const criterion of rubric.criteria) {
+    scores[criterion.key] = toScore(rawScores[criterion.key] ?? feedback[criterion.key]);
+  }
+
+  const weighted = weightedMean(scores, rubric.criteria);
+  const scored = {
+    ...feedback,
+    scores,
+    rubric: summarizeRubric(rubric),
+    weighted_score: weighted === null ? null : Math.round(weighted * 100) / 100,
+  };
+  for (const key of SKILL_SCORE_FIELDS) {
+    if (scores[key] != null) scored[key] = scores[key];
+  }
+  if (rubric.overall === 'weighted' && weighted !== null) {
+    scored.overall_score = Math.round(weighted * 10) / 10;
+  }
+  return scored;
+}
+
+/**
+ * Feedback for a call the model could not score: the rubric's shape with
+ * every score left empty, so nothing downstream mistakes it for zeros.
+ *
+ * @param {Object} rubric
+ * @param {string} message – shown as the only weakness
+ * @returns {Object}
+ */
+function unscoredFeedback(rubric, message) {
+  const scores = Object.fromEntries(rubric.criteria.map((criterion) => [criterion.key, null]));
+  const feedback = {
+    overall_score: null,
+    scores,
+    rubric: summarizeRubric(rubric),
+    weighted_score: null,
+    strengths: [],
+    weaknesses: [message],
+    missed_opportunities: [],
+    actionable_suggestions: [],
+  };
+  for (const key of SKILL_SCORE_FIELDS) {
+    if (key in scores) feedback[key] = null;
+  }
+  return feedback;
+}
+
+// ── Dimensions ──────────────────────────────────────────────────────────────
+
+/**
+ * Every score a stored session carries, keyed by dimension: `overall_score`,
+ * the legacy skill fields and any rubric criteria.
+ *
+ * @param {Object} feedback – `call_sessions.feedback`
+ * @returns {Object<string, number>}
+ */
+function feedbackDimensions(feedback) {
+  const source = feedback || {};
+  const dimensions = {};
+  for (const key of ['overall_score', ...SKILL_SCORE_FIELDS]) {
+    const score = toScore(source[key]);
+    if (score !== null) dimensions[key] = score;
+  }
+  if (source.scores && typeof source.scores === 'object') {
+    for (const [key, value] of Object.entries(source.scores)) {
+      const score = toScore(value);
+      if (score !== null) dimensions[key] = score;
+    }
+  }
+  return dimensions;
+}
+
+/**
+ * Display name of a score dimension: the rubric's criterion name when known,
+ * else the default label, else the key in title case.
+ *
+ * @param {string} key
+ * @param {Map<string, string>} [labels] – criterion key → name
+ */
+function dimensionLabel(key, labels = new Map()) {
+  if (labels.has(key)) return labels.get(key);
+  if (DIMENSION_LABELS[key]) return DIMENSION_LABELS[key];
+  return key.replace(/_/g, ' ').replace(/\b\w/g, (letter) => letter.toUpperCase());
+}
+
+/**
+ * Average every dimension across sessions.  Each dimension is averaged over
+ * the sessions that scored it, so mixing rubrics does not drag averages
+ * towards zero.
+ *
+ * @param {Array<Object>} feedbackList – `call_sessions.feedback` values
+ * @returns {Array<{key, label, avg, count}>} overall first, then the legacy
+ *   skills, then rubric criteria in the order first seen
+ */
+function averageDimensions(feedbackList) {
+  const totals = new Map();
+  const labels = new Map();
+  for (const key of ['overall_score', ...SKILL_SCORE_FIELDS]) {
+    totals.set(key, { sum: 0, count: 0 });
+  }
+
+  for (const feedback of feedbackList) {
+    const criteria = (feedback && feedback.rubric && feedback.rubric.criteria) || [];
+    for (const criterion of criteria) {
+      if (criterion && criterion.key && criterion.name) labels.set(criterion.key, criterion.name);
+    }
+    for (const [key, score] of Object.entries(feedbackDimensions(feedback))) {
+      const total = totals.get(key) || { sum: 0, count: 0 };
+      total.sum += score;
+      total.count += 1;
+      totals.set(key, total);
+    }
+  }
+
+  return Array.from(totals.entries())
+    .filter(([, total]) => total.count > 0)
+    .map(([key, total]) => ({
+      key,
+      label: dimensionLabel(key, labels),
+      avg: total.sum / total.count,
+      count: total.count,
+    }));
+}
+
+module.exports = {
+  RUBRIC_LIMITS,
+  OVERALL_MODES,
+  DEFAULT_RUBRIC,
+  normalizeRubric,
+  resolveRubric,
+  buildRubricPrompt,
+  buildScoresTemplate,
+  applyRubric,
+  unscoredFeedback,
+  feedbackDimensions,
+  dimensionLabel,
+  averageDimensions,
+};
@@ -0,0 +1,316 @@
+/**
+ * Scenario Packs
+ *
+ * A pack is a versioned, portable bundle of scenarios (persona, stages,
+ * buying criteria, rubric, voice) plus difficulty modifiers and a pack-wide scoring
+ * rubric that scenarios without their own inherit on import.  Packs are
+ * exchanged as JSON or YAML so trainers can share libraries between
+ * organizations and keep them in version control.
+ *
+ * The built-in scenarios ship as `packs/default.json`.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { normalizePersona } = require('./personaCompiler');
+const { normalizeStages } = require('./stageTracker');
+const { normalizeBuyingCriteria } = require('./dealOutcome');
+const { normalizeRubric } = require('./rubrics');
+const { normalizeVoiceSettings } = require('./customerVoice');
+
+const PACK_FORMAT = 'sales-training-scenario-pack';
+const PACK_VERSION = 1;
+const DIFFICULTY_LEVELS = ['Beginner', 'Intermediate', 'Advanced'];
+const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'rename'];
+
+const PACK_LIMITS = {
+  maxScenarios: 50,
+  nameLength: 120,
+  descriptionLength: 500,
+  modifierLength: 1000,
+};
+
+const DEFAULT_PACK_PATH = path.join(__dirname, 'packs', 'default.json');
+
+// ── Validation ──────────────────────────────────────────────────────────────
+
+function slugify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 80);
+}
+
+/**
+ * Validate a difficulty-modifier map (`{ Beginner?, Intermediate?, Advanced? }`).
+ * @returns {{value: Object|null, error: string|null}}
+ */
+function normalizeDifficultyModifiers(input) {
+  if (input == null) return { value: null, error: null };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { value: null, error: 'difficulty_modifiers must be an object' };
+  }
+
+  const value = {};
+  for (const [level, text] of Object.entries(input)) {
+    if (!DIFFICULTY_LEVELS.includes(level)) {
+      return { value: null, error: `Unknown difficulty level: ${level}` };
+    }
+    const modifier = String(text || '').trim();
+    if (modifier.length > PACK_LIMITS.modifierLength) {
+      return { value: null, error: `Difficulty modifier ${level} must be at most ${PACK_LIMITS.modifierLength} characters` };
+    }
+    if (modifier) value[level] = modifier;
+  }
+  return { value: Object.keys(value).length > 0 ? value : null, error: null };
+}
+
+function normalizePackScenario(raw, index) {
+  const label = `scenarios[${index}]`;
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { value: null, error: `${label} must be an object` };
+  }
+
+  const name = String(raw.name || '').trim();
+  if (!name) return { value: null, error: `${label}.name is required` };
+  if (name.length > PACK_LIMITS.nameLength) {
+    return { value: null, error: `${label}.name must be at most ${PACK_LIMITS.nameLength} characters` };
+  }
+  const description = String(raw.description || '').trim();
+  if (description.length > PACK_LIMITS.descriptionLength) {
+    return { value: null, error: `${label}.description must be at most ${PACK_LIMITS.descriptionLength} characters` };
+  }
+
+  const persona = normalizePersona(raw.persona);
+  if (persona.error) return { value: null, error: `${label}.persona: ${persona.error}` };
+
+  let stages = null;
+  if (raw.stages != null) {
+    const result = normalizeStages(raw.stages);
+    if (result.error) return { value: null, error: `${label}.stages: ${result.error}` };
+    stages = result.value;
+  }
+
+  const criteria = normalizeBuyingCriteria(raw.buying_criteria || []);
+  if (criteria.error) return { value: null, error: `${label}.buying_criteria: ${criteria.error}` };
+
+  const modifiers = normalizeDifficultyModifiers(raw.difficulty_modifiers);
+  if (modifiers.error) return { value: null, error: `${label}.${modifiers.error}` };
+
+  const rubric = normalizeRubric(raw.rubric);
+  if (rubric.error) return { value: null, error: `${label}.${rubric.error}` };
+
+  const voice = normalizeVoiceSettings(raw.voice);
+  if (voice.error) return { value: null, error: `${label}.voice: ${voice.error}` };
+
+  return {
+    value: {
+      id: slugify(raw.id || name),
+      name,
+      description,
+      persona: persona.value,
+      stages,
+      buying_criteria: criteria.value,
+      difficulty_modifiers: modifiers.value,
+      rubric: rubric.value,
+      voice: voice.value,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Validate a parsed pack object against the pack schema.
+ *
+ * @param {Object} input
+ * @returns {{value: Object|null, errors: string[]}}
+ */
+function validatePack(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value: null, errors: ['Pack must be an object'] };
+  }
+  if (input.format !== PACK_FORMAT) {
+    errors.push(`format must be "${PACK_FORMAT}"`);
+  }
+  if (!Number.isInteger(input.version) || input.version < 1) {
+    errors.push('version must be a positive integer');
+  } else if (input.version > PACK_VERSION) {
+    errors.push(`Pack version ${input.version} is newer than supported version ${PACK_VERSION}`);
+  }
+  if (!Array.isArray(input.scenarios) || input.scenarios.length === 0) {
+    errors.push('scenarios must be a non-empty array');
+  } else if (input.scenarios.length > PACK_LIMITS.maxScenarios) {
+    errors.push(`A pack may contain at most ${PACK_LIMITS.maxScenarios} scenarios`);
+  }
+  const rubric = normalizeRubric(input.rubric);
+  if (rubric.error) errors.push(rubric.error);
+
+  const modifiers = normalizeDifficultyModifiers(input.difficulty_modifiers);
+  if (modifiers.error) errors.push(modifiers.error);
+
+  const scenarios = [];
+  const seenIds = new Set();
+  for (let i = 0; Array.isArray(input.scenarios) && i < input.scenarios.length && i < PACK_LIMITS.maxScenarios; i++) {
+    const result = normalizePackScenario(input.scenarios[i], i);
+    if (result.error) {
+      errors.push(result.error);
+      continue;
+    }
+    if (seenIds.has(result.value.id)) {
+      errors.push(`scenarios[${i}].id "${result.value.id}" is duplicated`);
+      continue;
+    }
+    seenIds.add(result.value.id);
+    scenarios.push(result.value);
+  }
+
+  if (errors.length > 0) return { value: null, errors };
+
+  return {
+    value: {
+      format: PACK_FORMAT,
+      version: input.version,
+      name: String(input.name || 'Untitled Pack').trim().slice(0, PACK_LIMITS.nameLength),
+      description: String(input.description || '').trim().slice(0, PACK_LIMITS.descriptionLength),
+      difficulty_modifiers: modifiers.value,
+      rubric: rubric.value,
+      scenarios,
+    },
+    errors: [],
+  };
+}
+
+// ── Serialization ───────────────────────────────────────────────────────────
+
+/**
+ * Parse pack text.  JSON is detected by a leading `{`; anything else is YAML
+ * (which is a superset of JSON anyway).
+ *
+ * @returns {{value: Object|null, error: string|null}}
+ */
+function parsePackText(text) {
+  const source = String(text || '').trim();
+  if (!source) return { value: null, error: 'Pack is empty' };
+  try {
+    return { value: source.startsWith('{') ? JSON.parse(source) : YAML.parse(source), error: null };
+  } catch (err) {
+    return { value: null, error: `Could not parse pack: ${err.message}` };
+  }
+}
+
+function serializePack(pack, format) {
+  return format === 'yaml' ? YAML.stringify(pack, { aliasDuplicateObjects: false }) : `${JSON.stringify(pack, null, 2)}\n`;
+}
+
+/**
+ * Assemble a pack from scenario objects (built-in or compiled custom rows).
+ */
+function buildPack({ name, description, scenarios, difficultyModifiers, rubric }) {
+  return {
+    format: PACK_FORMAT,
+    version: PACK_VERSION,
+    name: name || 'Scenario Pack',
+    description: description || '',
+    exported_at: new Date().toISOString(),
+    difficulty_modifiers: difficultyModifiers || null,
+    rubric: rubric || null,
+    scenarios: scenarios.map((scenario) => ({
+      id: slugify(scenario.id && !/^[0-9a-f-]{36}$/i.test(scenario.id) ? scenario.id : scenario.name),
+      name: scenario.name,
+      description: scenario.description || '',
+      persona: scenario.persona,
+      stages: scenario.stages || null,
+      buying_criteria: scenario.buying_criteria || [],
+      difficulty_modifiers: scenario.difficulty_modifiers || null,
+      rubric: scenario.rubric || null,
+      voice: scenario.voice || null,
+    })),
+  };
+}
+
+// ── Import planning ─────────────────────────────────────────────────────────
+
+/**
+ * Decide what an import will do, given the names already taken in the
+ * organization.  Matching is by case-insensitive scenario name.
+ *
+ * @param {Object} pack – validated pack
+ * @param {{builtInNames: string[], existing: Array<{id, name}>}} current
+ * @param {'skip'|'overwrite'|'rename'} strategy
+ * @returns {{create: Array, overwrite: Array, skipped: Array, renamed: Array}}
+ */
+function planImport(pack, current, strategy) {
+  const builtIn = new Set(current.builtInNames.map((name) => name.toLowerCase()));
+  const existing = new Map(current.existing.map((row) => [row.name.toLowerCase(), row]));
+  const taken = new Set([...builtIn, ...existing.keys()]);
+  const plan = { create: [], overwrite: [], skipped: [], renamed: [] };
+
+  for (const scenario of pack.scenarios) {
+    const row = {
+      name: scenario.name,
+      description: scenario.description,
+      persona: scenario.persona,
+      stages: scenario.stages,
+      buying_criteria: scenario.buying_criteria,
+      difficulty_modifiers: scenario.difficulty_modifiers || pack.difficulty_modifiers || null,
+      rubric: scenario.rubric || pack.rubric || null,
+      voice: scenario.voice || null,
+    };
+    const key = scenario.name.toLowerCase();
+
+    if (!taken.has(key)) {
+      plan.create.push(row);
+      taken.add(key);
+      continue;
+    }
+
+    // Built-ins are read-only, so "overwrite" falls back to skipping them.
+    if (strategy === 'overwrite' && existing.has(key)) {
+      plan.overwrite.push({ id: existing.get(key).id, row });
+      continue;
+    }
+    if (strategy === 'rename') {
+      let suffix = 2;
+      while (taken.has(`${key} (${suffix})`)) suffix += 1;
+      const renamed = `${scenario.name} (${suffix})`;
+      plan.create.push({ ...row, name: renamed });
+      plan.renamed.push({ from: scenario.name, to: renamed });
+      taken.add(renamed.toLowerCase());
+      continue;
+    }
+    plan.skipped.push(scenario.name);
+  }
+
+  return plan;
+}
+
+/**
+ * Load and validate the pack that seeds the built-in scenarios.  A broken
+ * default pack is a deployment error, so this throws.
+ */
+function loadDefaultPack() {
+  const parsed = parsePackText(fs.readFileSync(DEFAULT_PACK_PATH, 'utf8'));
+  if (parsed.error) throw new Error(`Default scenario pack: ${parsed.error}`);
+  const { value, errors } = validatePack(parsed.value);
+  if (!value) throw new Error(`Default scenario pack is invalid: ${errors.join('; ')}`);
+  return value;
+}
+
+module.exports = {
+  PACK_FORMAT,
+  PACK_VERSION,
+  DIFFICULTY_LEVELS,
+  CONFLICT_STRATEGIES,
+  normalizeDifficultyModifiers,
+  validatePack,
+  parsePackText,
+  serializePack,
+  buildPack,
+  planImport,
+  loadDefaultPack,
+};
@@ -0,0 +1,191 @@
+/**
+ * Scenario Versions
+ *
+ * Every distinct piece of scenario content (persona, stages, buying criteria,
+ * difficulty modifiers, rubric, voice and the compiled customer prompt) is recorded
+ * once in the append-only `scenario_versions` table, identified by a SHA-256
+ * hash of its canonical JSON.  Sessions store the version they were practiced on, so
+ * old scores stay interpretable after a trainer edits the scenario.
+ *
+ * Built-in scenarios are versioned the same way (with no organization), which
+ * captures changes shipped in the default pack.
+ *
+ * Schema: supabase/migrations/20261019000000_scenario_versions.sql.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { supabase } = require('./lib/supabase');
+const log = require('./lib/logger');
+
+const VERSION_COLUMNS = 'id, scenario_key, organization_id, version_number, content_hash, name, created_by, created_at';
+
+const VERSION_INSERT_ATTEMPTS = 3;
+
+// Postgres unique_violation: another call recorded the same version first.
+const UNIQUE_VIOLATION = '23505';
+
+// ── Hashing ─────────────────────────────────────────────────────────────────
+
+/**
+ * JSON with object keys sorted recursively, so equal content always produces
+ * the same string regardless of key order in the stored jsonb.
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => canonicalJson(item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * The content that defines how a scenario plays.  Presentation-only fields
+ * (id, custom flag, timestamps) are excluded.
+ */
+function scenarioSnapshot(scenario) {
+  return {
+    name: scenario.name,
+    description: scenario.description || '',
+    persona: scenario.persona || null,
+    stages: scenario.stages || null,
+    buying_criteria: scenario.buying_criteria || [],
+    difficulty_modifiers: scenario.difficulty_modifiers || null,
+    // Left out when unset so scenarios without a rubric keep their hashes.
+    rubric: scenario.rubric || undefined,
+    voice: scenario.voice || undefined,
+    system_prompt: scenario.systemPrompt,
+  };
+}
+
+function hashScenarioContent(scenario) {
+  return crypto.createHash('sha256').update(canonicalJson(scenarioSnapshot(scenario))).digest('hex');
+}
+
+// ── Storage ─────────────────────────────────────────────────────────────────
+
+const versionCache = new Map(); // `${scenarioKey}:${hash}` -> version row
+
+async function findVersion(scenarioKey, contentHash) {
+  const { data, error } = await supabase
+    .from('scenario_versions')
+    .select(VERSION_COLUMNS)
+    .eq('scenario_key', scenarioKey)
+    .eq('content_hash', contentHash)
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return data || null;
+}
+
+/**
+ * Return the version row for the scenario's current content, inserting a new
+ * immutable version when the content has not been seen before.
+ *
+ * @param {Object} scenario – compiled scenario (built-in or custom)
+ * @param {{organizationId?: string, createdBy?: string}} [options]
+ * @returns {Promise<Object>} version row
+ */
+async function recordScenarioVersion(scenario, options = {}) {
+  const contentHash = hashScenarioContent(scenario);
+  const cacheKey = `${scenario.id}:${contentHash}`;
+  if (versionCache.has(cacheKey)) return versionCache.get(cacheKey);
+  if (!supabase) throw new Error('Supabase not configured');
+
+  // A unique violation means another writer got there first: either with the
+  // same content (found by hash on the next pass) or with different content
+  // that took this version number (retried with a freshly read number).
+  let version = null;
+  for (let attempt = 1; attempt <= VERSION_INSERT_ATTEMPTS && !version; attempt++) {
+    version = await findVersion(scenario.id, contentHash);
+    if (version) break;
+
+    const { data: latest, error: latestError } = await supabase
+      .from('scenario_versions')
+      .select('version_number')
+      .eq('scenario_key', scenario.id)
+      .order('version_number', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (latestError) {
+      throw latestError;
+    }
+
+    const { data, error } = await supabase
+      .from('scenario_versions')
+      .insert({
+        scenario_key: scenario.id,
+        organization_id: options.organizationId || null,
+        version_number: (latest?.version_number || 0) + 1,
+        content_hash: contentHash,
+        name: scenario.name,
+        content: scenarioSnapshot(scenario),
+        created_by: options.createdBy || null,
+      })
+      .select(VERSION_COLUMNS)
+      .single();
+
+    if (error && error.code === UNIQUE_VIOLATION) {
+      log.info(`[scenario] Version conflict for ${scenario.name} (attempt ${attempt}); retrying`);
+    } else if (error) {
+      throw error;
+    } else {
+      version = data;
+      log.info(`[scenario] Recorded version ${data.version_number} of ${scenario.name}`);
+    }
+  }
+
+  if (version) versionCache.set(cacheKey, version);
+  return version;
+}
+
+/**
+ * Version reference stored with a session.  Falls back to the bare content
+ * hash when the version table is unreachable, so the session still pins the
+ * exact content it was practiced on.
+ */
+async function resolveSessionVersion(scenario, organizationId) {
+  const reference = { id: null, version_number: null, content_hash: hashScenarioContent(scenario) };
+  try {
+    const version = await recordScenarioVersion(scenario, { organizationId });
+    if (version) {
+      reference.id = version.id;
+      reference.version_number = version.version_number;
+    }
+  } catch (err) {
+    log.warn('[scenario] Failed to resolve scenario version:' + err.message || err);
+  }
+  return reference;
+}
+
+async function listScenarioVersions(scenarioKey) {
+  if (!supabase) return [];
+  const { data, error } = await supabase
+    .from('scenario_versions')
+    .select(VERSION_COLUMNS)
+    .eq('scenario_key', scenarioKey)
+    .order('version_number', { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+  return Array.isArray(data) ? data : [];
+}
+
+module.exports = {
+  canonicalJson,
+  hashScenarioContent,
+  recordScenarioVersion,
+  resolveSessionVersion,
+  listScenarioVersions,
+};
@@ -0,0 +1,272 @@
+// Scenario catalogue: built-in customer personas plus trainer-authored
+// scenarios stored per organization in the `org_scenarios` table.
+// Each scenario's customer is a structured persona (see personaCompiler.js)
+// that is compiled into the system prompt.
+//
+// Built-in scenarios are always available. Custom scenarios are merged on top
+// of them when a trainee in the same organization selects one.
+
+const { supabase } = require('./lib/supabase');
+const log = require('./lib/logger');
+const { normalizePersona, compilePersonaPrompt } = require('./personaCompiler');
+const { DEFAULT_STAGES, normalizeStages } = require('./stageTracker');
+const { normalizeBuyingCriteria, buildCriteriaPrompt } = require('./dealOutcome');
+const { loadDefaultPack, normalizeDifficultyModifiers } = require('./scenarioPacks');
+const { normalizeRubric } = require('./rubrics');
+const { normalizeVoiceSettings } = require('./customerVoice');
+
+const BASE_CUSTOMER_PROMPT =
+  'You are a realistic customer in a sales training simulation.\n' +
+  'You are the CUSTOMER. The trainee is the salesperson.\n' +
+  'Never act like the agent or support rep. Do not say things like "How can I help you?" or "I can assist you."\n' +
+  'Never pitch, offer services, or describe products as if they are yours.\n' +
+  'If the trainee is vague (e.g., "services"), ask what they mean and request specifics.\n' +
+  'IMPORTANT: Do NOT make assumptions about vague or unclear statements.\n' +
+  'IMPORTANT: This is a VOICE conversation. The trainee\'s text comes from speech-to-text transcription.\n' +
+  'Expect natural speech patterns: filler words ("um", "uh"), minor grammatical errors, repeated words, and informal phrasing.\n' +
+  'These are NORMAL in spoken language — do NOT treat them as unclear or confusing.\n' +
+  'Only ask for clarification when the actual MEANING or INTENT is genuinely unclear, not because of speech disfluencies.\n' +
+  'If the trainee provides substantive information (product names, pricing tiers, features, numbers), acknowledge it and respond as a customer would — ask follow-up questions, raise concerns, or push back on specifics.\n' +
+  'When the salesperson is truly unclear or vague (e.g., gives no real information, just says "we have solutions"), respond with:\n' +
+  '- "I\'m not sure what you mean. Can you be more specific?"\n' +
+  '- "Sorry, can you clarify what you\'re offering?"\n' +
+  '- "I need you to be clearer about..."\n' +
+  'Do NOT use "I didn\'t catch that" unless the previous message was extremely short (under 5 words) or truly unintelligible.\n' +
+  'If you need details, ask as a customer (e.g., "What does that include?", "How much does it cost?", "What is the timeline?").\n' +
+  'Ask direct follow-up questions when information is missing.\n' +
+  'Challenge vague pitches by asking for concrete details.\n' +
+  'Your goal is to train the salesperson to communicate clearly and specifically.';
+
+const ROLE_COMPLIANCE_SUFFIX =
+  '\nROLE COMPLIANCE (STRICT): You are the CUSTOMER. The trainee is the salesperson.\n' +
+  'Do not act like an agent or support rep. Never say you can help, assist, resolve, or handle their issue.\n' +
+  'Always respond as the customer with customer needs, concerns, and questions.';
+
+// Built-in customers come from the default scenario pack (packs/default.json)
+// so they use the same format trainers import and export.
+const DEFAULT_PACK = loadDefaultPack();
+
+function buildSystemPrompt(scenarioText, buyingCriteria) {
+  const criteriaPrompt = buildCriteriaPrompt(buyingCriteria);
+  return (
+    `${BASE_CUSTOMER_PROMPT}\n${scenarioText}` +
+    (criteriaPrompt ? `\n${criteriaPrompt}` : '') +
+    ROLE_COMPLIANCE_SUFFIX
+  );
+}
+
+const SCENARIOS = DEFAULT_PACK.scenarios.map((scenario) => ({
+  ...scenario,
+  stages: scenario.stages || DEFAULT_STAGES,
+  custom: false,
+  buying_criteria: scenario.buying_criteria || [],
+  difficulty_modifiers: scenario.difficulty_modifiers || DEFAULT_PACK.difficulty_modifiers,
+  rubric: scenario.rubric || null,
+  voice: scenario.voice || null,
+  systemPrompt: buildSystemPrompt(compilePersonaPrompt(scenario.persona), scenario.buying_criteria),
+}));
+
+const DEFAULT_SCENARIO_ID = 'price_sensitive_small_business';
+
+const SCENARIO_MAP = SCENARIOS.reduce((acc, scenario) => {
+  acc[scenario.id] = scenario;
+  return acc;
+}, {});
+
+const SCENARIO_FIELD_LIMITS = {
+  name: 120,
+  description: 500,
+  persona_brief: 4000,
+  first_response_rule: 500,
+};
+
+function coerceText(value) {
+  return String(value || '').trim();
+}
+
+/**
+ * Validate and normalise a trainer-submitted scenario body.
+ * @param {object} body  Raw request body.
+ * @param {{partial?: boolean}} [options]  When partial, missing fields are left untouched.
+ * @returns {{value: object|null, error: string|null}}
+ */
+function normalizeScenarioInput(body, options = {}) {
+  const partial = Boolean(options.partial);
+  const source = body || {};
+  const value = {};
+
+  for (const [field, maxLength] of Object.entries(SCENARIO_FIELD_LIMITS)) {
+    if (partial && source[field] === undefined) continue;
+    const text = coerceText(source[field]);
+    if (text.length > maxLength) {
+      return { value: null, error: `Field ${field} must be at most ${maxLength} characters` };
+    }
+    value[field] = text;
+  }
+
+  if (!partial || value.name !== undefined) {
+    if (!value.name) return { value: null, error: 'Scenario name is required' };
+  }
+  if (source.persona !== undefined && source.persona !== null) {
+    const persona = normalizePersona(source.persona);
+    if (persona.error) return { value: null, error: persona.error };
+    value.persona = persona.value;
+  }
+  // `stages: null` resets a custom scenario to the default stage list.
+  if (source.stages !== undefined) {
+    if (source.stages === null) {
+      value.stages = null;
+    } else {
+      const stages = normalizeStages(source.stages);
+      if (stages.error) return { value: null, error: stages.error };
+      value.stages = stages.value;
+    }
+  }
+  if (source.buying_criteria !== undefined) {
+    const criteria = normalizeBuyingCriteria(source.buying_criteria || []);
+    if (criteria.error) return { value: null, error: criteria.error };
+    value.buying_criteria = criteria.value;
+  }
+  if (source.difficulty_modifiers !== undefined) {
+    const modifiers = normalizeDifficultyModifiers(source.difficulty_modifiers);
+    if (modifiers.error) return { value: null, error: modifiers.error };
+    value.difficulty_modifiers = modifiers.value;
+  }
+  // `rubric: null` makes the scenario use the organization rubric again.
+  if (source.rubric !== undefined) {
+    const rubric = normalizeRubric(source.rubric);
+    if (rubric.error) return { value: null, error: rubric.error };
+    value.rubric = rubric.value;
+  }
+  // `voice: null` goes back to the voice derived from the persona.
+  if (source.voice !== undefined) {
+    const voice = normalizeVoiceSettings(source.voice);
+    if (voice.error) return { value: null, error: voice.error };
+    value.voice = voice.value;
+  }
+  if (!partial && !value.persona && !value.persona_brief) {
+    return { value: null, error: 'A persona is required' };
+  }
+  if (partial && Object.keys(value).length === 0) {
+    return { value: null, error: 'No fields to update' };
+  }
+
+  return { value, error: null };
+}
+
+// Compile a stored scenario row into the same shape as the built-in scenarios.
+// Rows created before structured personas only carry a free-text persona brief.
+function compileCustomScenario(row) {
+  const persona = row.persona ? normalizePersona(row.persona).value : null;
+  const buyingCriteria = (row.buying_criteria && normalizeBuyingCriteria(row.buying_criteria).value) || [];
+  let scenarioText;
+  if (persona) {
+    scenarioText = compilePersonaPrompt(persona);
+  } else {
+    const firstResponse = coerceText(row.first_response_rule);
+    scenarioText =
+      coerceText(row.persona_brief) +
+      (firstResponse ? `\nFIRST RESPONSE MUST ${firstResponse.replace(/^first response must\s*/i, '')}` : '');
+  }
+  const systemPrompt = buildSystemPrompt(scenarioText, buyingCriteria);
+
+  return {
+    id: row.id,
+    organization_id: row.organization_id,
+    name: row.name,
+    description: row.description || '',
+    custom: true,
+    persona,
+    stages: (row.stages && normalizeStages(row.stages).value) || DEFAULT_STAGES,
+    buying_criteria: buyingCriteria,
+    difficulty_modifiers:
+      (row.difficulty_modifiers && normalizeDifficultyModifiers(row.difficulty_modifiers).value) ||
+      DEFAULT_PACK.difficulty_modifiers,
+    rubric: (row.rubric && normalizeRubric(row.rubric).value) || null,
+    voice: (row.voice && normalizeVoiceSettings(row.voice).value) || null,
+    systemPrompt,
+  };
+}
+
+// Public-facing shape for the scenario picker (no prompt text).
+function toScenarioSummary(scenario) {
+  return {
+    id: scenario.id,
+    name: scenario.name,
+    description: scenario.description || '',
+    custom: Boolean(scenario.custom),
+  };
+}
+
+async function getOrganizationIdForUser(userId) {
+  if (!supabase || !userId) return null;
+  const { data, error } = await supabase
+    .from('organization_members')
+    .select('organization_id')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return data?.organization_id || null;
+}
+
+async function fetchOrgScenarioRows(orgId) {
+  if (!supabase || !orgId) return [];
+  const { data, error } = await supabase
+    .from('org_scenarios')
+    .select('id, organization_id, name, description, persona, stages, buying_criteria, difficulty_modifiers, rubric, voice, persona_brief, first_response_rule, created_by, created_at, updated_at')
+    .eq('organization_id', orgId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+  return Array.isArray(data) ? data : [];
+}
+
+/**
+ * Build the scenario lookup for one organization: built-ins plus the org's
+ * custom scenarios keyed by id.
+ */
+async function loadScenarioMap(orgId) {
+  const map = { ...SCENARIO_MAP };
+  if (!orgId) return map;
+
+  try {
+    const rows = await fetchOrgScenarioRows(orgId);
+    for (const row of rows) {
+      map[row.id] = compileCustomScenario(row);
+    }
+  } catch (err) {
+    log.warn('[scenario] Failed to load org scenarios:' + err.message || err);
+  }
+  return map;
+}
+
+async function loadScenarioMapForUser(userId) {
+  try {
+    const orgId = await getOrganizationIdForUser(userId);
+    return loadScenarioMap(orgId);
+  } catch (err) {
+    log.warn('[scenario] Failed to resolve organization:' + err.message || err);
+    return { ...SCENARIO_MAP };
+  }
+}
+
+module.exports = {
+  DEFAULT_PACK,
+  BASE_CUSTOMER_PROMPT,
+  ROLE_COMPLIANCE_SUFFIX,
+  SCENARIOS,
+  SCENARIO_MAP,
+  DEFAULT_SCENARIO_ID,
+  normalizeScenarioInput,
+  compileCustomScenario,
+  toScenarioSummary,
+  fetchOrgScenarioRows,
+  getOrganizationIdForUser,
+  loadScenarioMap,
+  loadScenarioMapForUser,
+};
@@ -0,0 +1,71 @@
+/**
+ * Sentence Splitter
+ *
+ * Incrementally splits streamed LLM text into sentences so speech synthesis
+ * can start on the first sentence while later ones are still generating.
+ * Common abbreviations ("Mr.", "e.g.") and decimals ("3.5") do not end a
+ * sentence, and fragments shorter than `minChars` are held back and joined
+ * with the next sentence to avoid choppy audio.
+ */
+
+'use strict';
+
+const BOUNDARY = /[.!?]+["')\]]*\s+|\n+/g;
+
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'etc', 'inc', 'ltd', 'co', 'corp',
+  'e.g', 'i.e', 'approx', 'no', 'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept',
+  'oct', 'nov', 'dec',
+]);
+
+const DEFAULT_MIN_CHARS = 12;
+
+function endsWithAbbreviation(text) {
+  const match = text.match(/([A-Za-z.]+)\.$/);
+  return Boolean(match && ABBREVIATIONS.has(match[1].toLowerCase()));
+}
+
+/**
+ * @param {{minChars?: number}} [options]
+ * @returns {{push: (text: string) => string[], flush: () => string[]}}
+ */
+function createSentenceSplitter(options = {}) {
+  const minChars = options.minChars || DEFAULT_MIN_CHARS;
+  let buffer = '';
+
+  // Return the complete sentences now available in the buffer.
+  function push(text) {
+    buffer += text || '';
+    const sentences = [];
+    let start = 0;
+    BOUNDARY.lastIndex = 0;
+
+    let match;
+    while ((match = BOUNDARY.exec(buffer)) !== null) {
+      const end = match.index + match[0].length;
+      const candidate = buffer.slice(start, end).trim();
+      if (!candidate) {
+        start = end;
+        continue;
+      }
+      if (endsWithAbbreviation(buffer.slice(start, match.index + 1).trim())) continue;
+      if (candidate.length < minChars) continue;
+      sentences.push(candidate);
+      start = end;
+    }
+
+    buffer = buffer.slice(start);
+    return sentences;
+  }
+
+  // Return whatever is left once the stream has ended.
+  function flush() {
+    const rest = buffer.trim();
+    buffer = '';
+    return rest ? [rest] : [];
+  }
+
+  return { push, flush };
+}
+
+module.exports = { createSentenceSplitter };
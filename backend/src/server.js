@@ -6,12 +6,47 @@ const cors = require('cors');
 const PDFDocument = require('pdfkit');
 const { setupWebsocket } = require('./websocket');
 const { supabase } = require('./lib/supabase');
-const { aggregateMetrics } = require('./metricsEngine');
+const { METHODOLOGIES, METHODOLOGY_IDS, aggregateMetrics } = require('./metricsEngine');
 const { aggregateVoiceMetrics } = require('./voiceMetrics');
+const {
+  DEFAULT_PACK,
+  SCENARIOS,
+  SCENARIO_MAP,
+  normalizeScenarioInput,
+  compileCustomScenario,
+  toScenarioSummary,
+  fetchOrgScenarioRows,
+} = require('./scenarios');
+const {
+  CONFLICT_STRATEGIES,
+  validatePack,
+  parsePackText,
+  serializePack,
+  buildPack,
+  planImport,
+} = require('./scenarioPacks');
+const { recordScenarioVersion, listScenarioVersions } = require('./scenarioVersions');
+const { RATED_SKILLS, toRatingSummary, fetchRatings, fetchRatingHistory } = require('./skillRating');
+const { getLlmBreakerStatus } = require('./llmClient');
+const { feedbackItemText } = require('./feedbackSchema');
+const { normalizeRubric, averageDimensions, DEFAULT_RUBRIC } = require('./rubrics');
+const { getOrgSettings, updateOrgSettings } = require('./orgSettings');
+const { SPEAKING_STYLES, RATE_RANGE, listVoices } = require('./customerVoice');
+const { configuredTtsProviderName } = require('./providers/tts');
+const { GROUPABLE_ATTRIBUTES, normalizePersona } = require('./personaCompiler');
+const {
+  DOC_TYPES,
+  KNOWLEDGE_LIMITS,
+  normalizeKnowledgeInput,
+  loadKnowledgeIndex,
+  invalidateKnowledgeIndex,
+  searchIndex,
+} = require('./knowledgeBase');
 
 // ── Observability modules ────────────────────────────────────────────────────
 const log = require('./lib/logger');
 const perf = require('./lib/perfTracker');
+const ttsCache = require('./lib/ttsCache');
 const usage = require('./lib/usageTracker');
 const { apiLimiter, authLimiter, heavyLimiter } = require('./lib/rateLimiter');
 const errorMonitor = require('./lib/errorMonitor');
@@ -24,7 +59,8 @@ const PORT = process.env.PORT ? Number(process.env.PORT) : 3001;
 
 const app = express();
 
-app.use(express.json());
+// Raised from the 100kb default so knowledge-base documents fit in one request.
+app.use(express.json({ limit: '1mb' }));
 
 // Allow the Next.js dev server to reach this API. Adjust origins when deploying.
 app.use(cors({
@@ -48,6 +84,8 @@ app.get('/api/health', (_req, res) => {
     timestamp: new Date().toISOString(),
     usage: usage.getGlobalStats(),
     perf: perf.getSummary(),
+    llm: { breakers: getLlmBreakerStatus() },
+    tts: { cache: ttsCache.getStats() },
   });
 });
 
@@ -189,7 +227,7 @@ function formatDate(value) {
 }
 
 function formatScore(value) {
-  const num = Number(value);
+  const num = value == null ? NaN : Number(value);
   return Number.isFinite(num) ? `${num}/10` : 'N/A';
 }
 
@@ -239,6 +277,29 @@ function addBulletList(doc, items) {
   });
 }
 
+// "Turn 4 (Trainee, 1m 23s): "quote"" for evidence-linked feedback items.
+function formatEvidence(item) {
+  if (!item || typeof item !== 'object' || item.turn_index == null) return null;
+  const details = [item.speaker === 'customer' ? 'Customer' : item.speaker === 'trainee' ? 'Trainee' : null];
+  if (item.offset_ms != null) details.push(formatDuration(item.offset_ms));
+  const label = `Turn ${item.turn_index + 1}${details.some(Boolean) ? ` (${details.filter(Boolean).join(', ')})` : ''}`;
+  return item.quote ? `${label}: "${item.quote}"` : label;
+}
+
+// Bullets for feedback items, each followed by its transcript citation.
+function addFeedbackItemList(doc, items) {
+  if (!items || items.length === 0) return;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  items.forEach((item) => {
+    doc.text(`• ${feedbackItemText(item)}`, { indent: 10, width });
+    const evidence = formatEvidence(item);
+    if (evidence) {
+      doc.font('Helvetica-Oblique').fontSize(9).fillColor('#64748b').text(evidence, { indent: 20, width });
+      doc.font('Helvetica').fontSize(11).fillColor('#333333');
+    }
+  });
+}
+
 function shortenLabel(text, maxLength) {
   const clean = String(text || '').trim();
   if (clean.length <= maxLength) return clean;
@@ -340,7 +401,7 @@ function drawLineChart(doc, points, options = {}) {
 }
 
 function roundScore(value) {
-  const num = Number(value);
+  const num = value == null ? NaN : Number(value);
   if (!Number.isFinite(num)) return null;
   return Math.round(num * 10) / 10;
 }
@@ -353,17 +414,12 @@ function summarizeScoreLabel(value) {
 }
 
 function buildSessionInsights(feedback) {
-  const overall = roundScore(feedback.overall_score);
-  const objection = roundScore(feedback.objection_handling);
-  const clarity = roundScore(feedback.communication_clarity);
-  const confidence = roundScore(feedback.confidence);
-
-  return [
-    `Overall: ${summarizeScoreLabel(overall)}`,
-    `Objection Handling: ${summarizeScoreLabel(objection)}`,
-    `Communication Clarity: ${summarizeScoreLabel(clarity)}`,
-    `Confidence: ${summarizeScoreLabel(confidence)}`,
-  ];
+  const dimensions = averageDimensions([feedback]);
+  const insights = dimensions.map((dimension) => `${dimension.label}: ${summarizeScoreLabel(roundScore(dimension.avg))}`);
+  if (!dimensions.some((dimension) => dimension.key === 'overall_score')) {
+    insights.unshift(`Overall: ${summarizeScoreLabel(null)}`);
+  }
+  return insights;
 }
 
 function tallyListItems(rows, field) {
@@ -371,7 +427,7 @@ function tallyListItems(rows, field) {
   rows.forEach((row) => {
     const list = coerceList(row?.feedback?.[field]);
     list.forEach((item) => {
-      const key = String(item).trim();
+      const key = feedbackItemText(item).trim();
       if (!key) return;
       counts.set(key, (counts.get(key) || 0) + 1);
     });
@@ -386,7 +442,7 @@ function tallyListCounts(rows, field) {
   rows.forEach((row) => {
     const list = coerceList(row?.feedback?.[field]);
     list.forEach((item) => {
-      const key = String(item).trim();
+      const key = feedbackItemText(item).trim();
       if (!key) return;
       counts.set(key, (counts.get(key) || 0) + 1);
     });
@@ -412,10 +468,23 @@ function computeTrendDelta(rows) {
 }
 
 function toNumber(value) {
+  if (value == null || value === '') return null; // unscored sessions store null, not 0
   const num = Number(value);
   return Number.isFinite(num) ? num : null;
 }
 
+function dimensionAverage(dimensions, key) {
+  const dimension = dimensions.find((entry) => entry.key === key);
+  return dimension ? dimension.avg : 0;
+}
+
+function emptyPersonaGroups() {
+  return GROUPABLE_ATTRIBUTES.reduce((acc, attribute) => {
+    acc[attribute] = [];
+    return acc;
+  }, {});
+}
+
 async function fetchAnalyticsData(userIds) {
   const ids = Array.isArray(userIds) ? userIds : [userIds];
   if (ids.length === 0) {
@@ -428,18 +497,18 @@ async function fetchAnalyticsData(userIds) {
         avgConfidence: 0,
         bestScore: 0,
         worstScore: 0,
+        dimensions: [],
       },
       trend: [],
       byScenario: [],
+      byPersona: emptyPersonaGroups(),
       range: null,
     };
   }
 
   const { data, error } = await supabase
     .from('call_sessions')
-    .select(
-      'scenario, created_at, feedback, overall_score:feedback->>overall_score, objection_handling:feedback->>objection_handling, communication_clarity:feedback->>communication_clarity, confidence:feedback->>confidence'
-    )
+    .select('scenario, created_at, feedback, overall_score:feedback->>overall_score')
     .in('user_id', ids)
     .order('created_at', { ascending: true })
     .limit(500);
@@ -459,31 +528,28 @@ async function fetchAnalyticsData(userIds) {
         avgConfidence: 0,
         bestScore: 0,
         worstScore: 0,
+        dimensions: [],
       },
       trend: [],
       byScenario: [],
+      byPersona: emptyPersonaGroups(),
       range: null,
     };
   }
 
   const totals = {
     overall: 0,
-    objection: 0,
-    clarity: 0,
-    confidence: 0,
     count: 0,
     best: null,
     worst: null,
   };
 
   const scenarioBuckets = new Map();
+  const personaBuckets = new Map(GROUPABLE_ATTRIBUTES.map((attribute) => [attribute, new Map()]));
   const trend = [];
 
   for (const row of rows) {
     const overall = toNumber(row.overall_score);
-    const objection = toNumber(row.objection_handling);
-    const clarity = toNumber(row.communication_clarity);
-    const confidence = toNumber(row.confidence);
     const scenario = row.scenario || 'Unknown';
 
     if (overall !== null) {
@@ -492,9 +558,6 @@ async function fetchAnalyticsData(userIds) {
       totals.best = totals.best === null ? overall : Math.max(totals.best, overall);
       totals.worst = totals.worst === null ? overall : Math.min(totals.worst, overall);
     }
-    if (objection !== null) totals.objection += objection;
-    if (clarity !== null) totals.clarity += clarity;
-    if (confidence !== null) totals.confidence += confidence;
 
     trend.push({
       created_at: row.created_at,
@@ -513,6 +576,20 @@ async function fetchAnalyticsData(userIds) {
       bucket.totalOverall += overall;
       bucket.count += 1;
     }
+
+    // Sessions recorded before structured personas have no attributes to group by.
+    const persona = row.feedback && row.feedback.persona;
+    if (persona && overall !== null) {
+      for (const attribute of GROUPABLE_ATTRIBUTES) {
+        const value = persona[attribute];
+        if (!value) continue;
+        const groups = personaBuckets.get(attribute);
+        const group = groups.get(value) || { value, totalOverall: 0, count: 0 };
+        group.totalOverall += overall;
+        group.count += 1;
+        groups.set(value, group);
+      }
+    }
   }
 
   const byScenario = Array.from(scenarioBuckets.values()).map((bucket) => ({
@@ -521,6 +598,15 @@ async function fetchAnalyticsData(userIds) {
     count: bucket.count,
   }));
 
+  const byPersona = emptyPersonaGroups();
+  for (const [attribute, groups] of personaBuckets) {
+    byPersona[attribute] = Array.from(groups.values()).map((group) => ({
+      value: group.value,
+      avgOverallScore: group.totalOverall / group.count,
+      count: group.count,
+    }));
+  }
+
   // Aggregate conversation intelligence metrics from feedback JSONB.
   const metricsList = rows
     .map((row) => {
@@ -539,18 +625,24 @@ async function fetchAnalyticsData(userIds) {
     .filter(Boolean);
   const voiceMetrics = aggregateVoiceMetrics(voiceMetricsList);
 
+  // Every scored dimension (legacy skills and rubric criteria), averaged over
+  // the sessions that scored it.
+  const dimensions = averageDimensions(rows.map((row) => row.feedback || {}));
+
   return {
     summary: {
       totalSessions: totals.count,
       avgOverallScore: totals.count > 0 ? totals.overall / totals.count : 0,
-      avgObjectionHandling: totals.count > 0 ? totals.objection / totals.count : 0,
-      avgCommunicationClarity: totals.count > 0 ? totals.clarity / totals.count : 0,
-      avgConfidence: totals.count > 0 ? totals.confidence / totals.count : 0,
+      avgObjectionHandling: dimensionAverage(dimensions, 'objection_handling'),
+      avgCommunicationClarity: dimensionAverage(dimensions, 'communication_clarity'),
+      avgConfidence: dimensionAverage(dimensions, 'confidence'),
+      dimensions,
       bestScore: totals.best ?? 0,
       worstScore: totals.worst ?? 0,
     },
     trend,
     byScenario,
+    byPersona,
     conversationMetrics,
     voiceMetrics,
     range: {
@@ -883,47 +975,24 @@ app.get('/api/org/team', async (req, res) => {
       return;
     }
 
-    const stats = new Map();
+    const feedbackByUser = new Map();
     (sessions || []).forEach((session) => {
-      const feedback = session.feedback || {};
-      const overall = toNumber(feedback.overall_score) ?? 0;
-      const objection = toNumber(feedback.objection_handling) ?? 0;
-      const clarity = toNumber(feedback.communication_clarity) ?? 0;
-      const confidence = toNumber(feedback.confidence) ?? 0;
-      if (!stats.has(session.user_id)) {
-        stats.set(session.user_id, {
-          count: 0,
-          overall: 0,
-          objection: 0,
-          clarity: 0,
-          confidence: 0,
-        });
-      }
-      const entry = stats.get(session.user_id);
-      entry.count += 1;
-      entry.overall += overall;
-      entry.objection += objection;
-      entry.clarity += clarity;
-      entry.confidence += confidence;
+      if (!feedbackByUser.has(session.user_id)) feedbackByUser.set(session.user_id, []);
+      feedbackByUser.get(session.user_id).push(session.feedback || {});
     });
 
     const membersPayload = traineeIds.map((traineeId) => {
-      const entry = stats.get(traineeId) || {
-        count: 0,
-        overall: 0,
-        objection: 0,
-        clarity: 0,
-        confidence: 0,
-      };
-      const count = entry.count || 0;
+      const feedbackList = feedbackByUser.get(traineeId) || [];
+      const dimensions = averageDimensions(feedbackList);
       return {
         user_id: traineeId,
         email: emailMap.get(traineeId) || 'Unknown',
-        avgOverallScore: count > 0 ? entry.overall / count : 0,
-        avgObjectionHandling: count > 0 ? entry.objection / count : 0,
-        avgCommunicationClarity: count > 0 ? entry.clarity / count : 0,
-        avgConfidence: count > 0 ? entry.confidence / count : 0,
-        sessionCount: count,
+        avgOverallScore: dimensionAverage(dimensions, 'overall_score'),
+        avgObjectionHandling: dimensionAverage(dimensions, 'objection_handling'),
+        avgCommunicationClarity: dimensionAverage(dimensions, 'communication_clarity'),
+        avgConfidence: dimensionAverage(dimensions, 'confidence'),
+        dimensions,
+        sessionCount: feedbackList.length,
       };
     });
 
@@ -972,6 +1041,7 @@ app.get('/api/org/trainees/:userId/analytics', async (req, res) => {
       summary: analytics.summary,
       trend: analytics.trend,
       byScenario: analytics.byScenario,
+      byPersona: analytics.byPersona,
       conversationMetrics: analytics.conversationMetrics,
       range: analytics.range,
     });
@@ -1028,6 +1098,626 @@ app.get('/api/org/trainees/:userId/sessions', async (req, res) => {
   }
 });
 
+// ============================================================
+// TRAINING SETTINGS ENDPOINTS
+// ============================================================
+
+// GET /api/org/rubric — the organization's scoring rubric (null → the default rubric is used).
+app.get('/api/org/rubric', async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  try {
+    const membership = await getMembership(user.id);
+    const settings = membership ? await getOrgSettings(membership.organization_id) : {};
+    res.json({ rubric: settings.rubric || null, default: DEFAULT_RUBRIC });
+  } catch (err) {
+    log.error('[rubric] Failed to fetch rubric:' + err.message || err);
+    res.status(500).json({ error: 'Failed to fetch rubric' });
+  }
+});
+
+// PUT /api/org/rubric — trainer sets the organization's scoring rubric.
+// Body: { rubric: { name, overall?: 'weighted' | 'model',
+//   criteria: [{ key?, name, weight?, description?, levels?: [{ score, descriptor }] }] } | null }
+// Scenarios with their own rubric keep it; `rubric: null` restores the default.
+app.put('/api/org/rubric', async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const { value, error: validationError } = normalizeRubric(req.body?.rubric);
+  if (validationError) {
+    res.status(400).json({ error: validationError });
+    return;
+  }
+
+  try {
+    const membership = await requireTrainer(user.id, res);
+    if (!membership) return;
+
+    const settings = await updateOrgSettings(membership.organization_id, { rubric: value }, user.id);
+    log.info(`[rubric] Organization rubric ${value ? `set to "${value.name}"` : 'reset to default'}`);
+    res.json({ rubric: settings.rubric || null, default: DEFAULT_RUBRIC });
+  } catch (err) {
+    log.error('[rubric] Failed to update rubric:' + err.message || err);
+    res.status(500).json({ error: 'Failed to update rubric' });
+  }
+});
+
+function toMethodologyOptions() {
+  return METHODOLOGY_IDS.map((id) => ({
+    id,
+    name: METHODOLOGIES[id].name,
+    elements: METHODOLOGIES[id].elements.map((element) => element.label),
+  }));
+}
+
+// GET /api/org/methodology — the organization's sales methodology (null → no coverage tracking).
+app.get('/api/org/methodology', async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  try {
+    const membership = await getMembership(user.id);
+    const settings = membership ? await getOrgSettings(membership.organization_id) : {};
+    res.json({ methodology: settings.methodology || null, options: toMethodologyOptions() });
+  } catch (err) {
+    log.error('[methodology] Failed to fetch methodology:' + err.message || err);
+    res.status(500).json({ error: 'Failed to fetch methodology' });
+  }
+});
+
+// PUT /api/org/methodology — trainer selects the methodology calls are checked against.
+// Body: { methodology: 'spin' | 'bant' | 'meddic' | null }
+app.put('/api/org/methodology', async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const methodology = req.body?.methodology ?? null;
+  if (methodology !== null && !METHODOLOGY_IDS.includes(methodology)) {
+    res.status(400).json({ error: `methodology must be one of: ${METHODOLOGY_IDS.join(', ')} or null` });
+    return;
+  }
+
+  try {
+    const membership = await requireTrainer(user.id, res);
+    if (!membership) return;
+
+    const settings = await updateOrgSettings(membership.organization_id, { methodology }, user.id);
+    log.info(`[methodology] Organization methodology set to ${methodology || 'none'}`);
+    res.json({ methodology: settings.methodology || null, options: toMethodologyOptions() });
+  } catch (err) {
+    log.error('[methodology] Failed to update methodology:' + err.message || err);
+    res.status(500).json({ error: 'Failed to update methodology' });
+  }
+});
+
+// ============================================================
+// SCENARIO ENDPOINTS
+// ============================================================
+
+const SCENARIO_COLUMNS = 'id, organization_id, name, description, persona, stages, buying_criteria, difficulty_modifiers, rubric, voice, persona_brief, first_response_rule, created_by, created_at, updated_at';
+
+function toEditableScenario(row) {
+  return {
+    ...toScenarioSummary({ ...row, custom: true }),
+    persona: row.persona || null,
+    stages: row.stages || null,
+    buying_criteria: row.buying_criteria || [],
+    difficulty_modifiers: row.difficulty_modifiers || null,
+    rubric: row.rubric || null,
+    voice: row.voice || null,
+    persona_brief: row.persona_brief || '',
+    first_response_rule: row.first_response_rule || '',
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+// Record a saved scenario row as an immutable version.  Failures only warn:
+// the call flow records any missing version when the scenario is practiced.
+async function recordRowVersion(row, userId) {
+  try {
+    return await recordScenarioVersion(compileCustomScenario(row), {
+      organizationId: row.organization_id,
+      createdBy: userId,
+    });
+  } catch (err) {
+    log.warn('[scenario] Failed to record scenario version:' + err.message || err);
+    return null;
+  }
+}
+
+function formatScenarioVersion(reference) {
+  if (!reference || !reference.content_hash) return 'Not recorded';
+  const hash = reference.content_hash.slice(0, 12);
+  return reference.version_number ? `v${reference.version_number} (${hash})` : hash;
+}
+
+// GET /api/tts/voices — voices of the configured TTS provider, speaking styles and
+// the rate range, for the scenario editor.
+app.get('/api/tts/voices', async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const provider = configuredTtsProviderName();
+  res.json({
+    provider,
+    voices: listVoices(provider),
+    styles: Object.entries(SPEAKING_STYLES).map(([id, style]) => ({ id, label: style.label })),
+    rate: RATE_RANGE,
+  });
+});
+
+// GET /api/org/scenarios — built-in scenarios plus the caller's organization scenarios.
+// Trainers also receive the editable fields of their custom scenarios.
+app.get('/api/org/scenarios', async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  try {
+    const membership = await getMembership(user.id);
+    const builtIn = SCENARIOS.map((scenario) => toScenarioSummary(scenario));
+    if (!membership) {
+      res.json({ scenarios: builtIn });
+      return;
+    }
+
+    const rows = await fetchOrgScenarioRows(membership.organization_id);
+    const custom = rows.map((row) =>
+      membership.role === 'trainer' ? toEditableScenario(row) : toScenarioSummary({ ...row, custom: true })
+    );
+    res.json({ scenarios: [...builtIn, ...custom] });
+  } catch (err) {
+    log.error('[scenario] Failed to list scenarios:' + err.message || err);
+    res.status(500).json({ error: 'Failed to list scenarios' });
+  }
+});
+
+// POST /api/org/scenarios — trainer creates a custom scenario for their organization.
+// Body: { name, description?, persona: { role, company_size?, industry?, budget?, pain_points?,
+//   hidden_objections?, decision_authority?, temperament?, notes?, first_response? },
+//   stages?: [{ id?, name, prompt?, entry?, exit? }],  (omitted → default discovery/demo/objection/close)
+//   buying_criteria?: [{ id?, description, keywords? }],
+//   difficulty_modifiers?: { Beginner?, Intermediate?, Advanced? },
+//   rubric?: { name, overall?, criteria: [{ key?, name, weight?, description?, levels?: [{ score, descriptor }] }] },
+//   voice?: { voice?, rate?, style? } }  (see GET /api/tts/voices; omitted → derived from the temperament)
+app.post('/api/org/scenarios', async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const { value, error: validationError } = normalizeScenarioInput(req.body);
+  if (validationError) {
+    res.status(400).json({ error: validationError });
+    return;
+  }
+
+  try {
+    const membership = await requireTrainer(user.id, res);
+    if (!membership) return;
+
+    const { data, error } = await supabase
+      .from('org_scenarios')
+      .insert({
+        ...value,
+        organization_id: membership.organization_id,
+        created_by: user.id,
+      })
+      .select(SCENARIO_COLUMNS)
+      .single();
+
+    if (error || !data) {
+      log.error('[scenario] Failed to create scenario:' + error?.message || error);
+      res.status(500).json({ error: 'Failed to create scenario' });
+      return;
+    }
+
+    log.info(`[scenario] Custom scenario created: ${data.name}`);
+    const version = await recordRowVersion(data, user.id);
+    res.json({ scenario: toEditableScenario(data), version });
+  } catch (err) {
+    log.error('[scenario] Failed to create scenario:' + err.message || err);
+    res.status(500).json({ error: 'Failed to create scenario' });
+  }
+});
+
+// PATCH /api/org/scenarios/:scenarioId — trainer edits one of their organization's scenarios.
+app.patch('/api/org/scenarios/:scenarioId', async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const scenarioId = req.params.scenarioId;
+  const { value, error: validationError } = normalizeScenarioInput(req.body, { partial: true });
+  if (validationError) {
+    res.status(400).json({ error: validationError });
+    return;
+  }
+
+  try {
+    const membership = await requireTrainer(user.id, res);
+    if (!membership) return;
+
+    const { data, error } = await supabase
+      .from('org_scenarios')
+      .update({ ...value, updated_at: new Date().toISOString() })
+      .eq('id', scenarioId)
+      .eq('organization_id', membership.organization_id)
+      .select(SCENARIO_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      log.error('[scenario] Failed to update scenario:' + error.message || error);
+      res.status(500).json({ error: 'Failed to update scenario' });
+      return;
+    }
+    if (!data) {
+      res.status(404).json({ error: 'Scenario not found' });
+      return;
+    }
+
+    const version = await recordRowVersion(data, user.id);
+    res.json({ scenario: toEditableScenario(data), version });
+  } catch (err) {
+    log.error('[scenario] Failed to update scenario:' + err.message || err);
+    res.status(500).json({ error: 'Failed to update scenario' });
+  }
+});
+
+// DELETE /api/org/scenarios/:scenarioId — trainer removes a custom scenario.
+app.delete('/api/org/scenarios/:scenarioId', async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const scenarioId = req.params.scenarioId;
+
+  try {
+    const membership = await requireTrainer(user.id, res);
+    if (!membership) return;
+
+    const { error } = await supabase
+      .from('org_scenarios')
+      .delete()
+      .eq('id', scenarioId)
+      .eq('organization_id', membership.organization_id);
+
+    if (error) {
+      log.error('[scenario] Failed to delete scenario:' + error.message || error);
+      res.status(500).json({ error: 'Failed to delete scenario' });
+      return;
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    log.error('[scenario] Failed to delete scenario:' + err.message || err);
+    res.status(500).json({ error: 'Failed to delete scenario' });
+  }
+});
+
+// GET /api/org/scenarios/:scenarioId/versions — version history of a built-in or organization scenario.
+app.get('/api/org/scenarios/:scenarioId/versions', async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const scenarioId = req.params.scenarioId;
+
+  try {
+    const membership = await requireTrainer(user.id, res);
+    if (!membership) return;
+
+    if (!SCENARIO_MAP[scenarioId]) {
+      const { data, error } = await supabase
+        .from('org_scenarios')
+        .select('id')
+        .eq('id', scenarioId)
+        .eq('organization_id', membership.organization_id)
+        .maybeSingle();
+
+      if (error) {
+        log.error('[scenario] Failed to fetch scenario:' + error.message || error);
+        res.status(500).json({ error: 'Failed to fetch scenario versions' });
+        return;
+      }
+      if (!data) {
+        res.status(404).json({ error: 'Scenario not found' });
+        return;
+      }
+    }
+
+    const versions = await listScenarioVersions(scenarioId);
+    res.json({ versions });
+  } catch (err) {
+    log.error('[scenario] Failed to list scenario versions:' + err.message || err);
+    res.status(500).json({ error: 'Failed to fetch scenario versions' });
+  }
+});
+
+// GET /api/org/scenarios/export?format=json|yaml&include=all|custom
+// Download the organization's scenarios as a versioned scenario pack.
+app.get('/api/org/scenarios/export', async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const format = req.query.format === 'yaml' ? 'yaml' : 'json';
+  const include = req.query.include === 'custom' ? 'custom' : 'all';
+
+  try {
+    const membership = await requireTrainer(user.id, res);
+    if (!membership) return;
+
+    const rows = await fetchOrgScenarioRows(membership.organization_id);
+    const custom = rows.map((row) => {
+      const scenario = compileCustomScenario(row);
+      // Scenarios saved before structured personas carry only a free-text brief.
+      const persona =
+        scenario.persona ||
+        normalizePersona({ role: 'customer', notes: row.persona_brief, first_response: row.first_response_rule }).value;
+      return { ...scenario, persona, difficulty_modifiers: row.difficulty_modifiers || null };
+    });
+    const builtIn = include === 'all' ? SCENARIOS.map((scenario) => ({ ...scenario, difficulty_modifiers: null })) : [];
+    const settings = await getOrgSettings(membership.organization_id);
+
+    const orgName = membership.organizations?.name || 'Organization';
+    const pack = buildPack({
+      name: `${orgName} Scenarios`,
+      scenarios: [...builtIn, ...custom],
+      difficultyModifiers: DEFAULT_PACK.difficulty_modifiers,
+      rubric: settings.rubric || DEFAULT_PACK.rubric,
+    });
+
+    const filename = `scenario-pack-${orgName.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.${format === 'yaml' ? 'yaml' : 'json'}`;
+    res.setHeader('Content-Type', format === 'yaml' ? 'application/yaml' : 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(serializePack(pack, format));
+  } catch (err) {
+    log.error('[scenario] Failed to export scenario pack:' + err.message || err);
+    res.status(500).json({ error: 'Failed to export scenario pack' });
+  }
+});
+
+// POST /api/org/scenarios/import — import a scenario pack into the organization.
+// Body: { pack: <object or JSON/YAML text>, on_conflict?: 'skip' | 'overwrite' | 'rename', dry_run?: boolean }
+// Conflicts are matched by scenario name; built-in scenarios are never overwritten.
+app.post('/api/org/scenarios/import', async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const strategy = req.body?.on_conflict || 'skip';
+  if (!CONFLICT_STRATEGIES.includes(strategy)) {
+    res.status(400).json({ error: `on_conflict must be one of: ${CONFLICT_STRATEGIES.join(', ')}` });
+    return;
+  }
+
+  let rawPack = req.body?.pack;
+  if (typeof rawPack === 'string') {
+    const parsed = parsePackText(rawPack);
+    if (parsed.error) {
+      res.status(400).json({ error: parsed.error });
+      return;
+    }
+    rawPack = parsed.value;
+  }
+  const { value: pack, errors } = validatePack(rawPack);
+  if (!pack) {
+    res.status(400).json({ error: 'Invalid scenario pack', details: errors });
+    return;
+  }
+
+  try {
+    const membership = await requireTrainer(user.id, res);
+    if (!membership) return;
+
+    const rows = await fetchOrgScenarioRows(membership.organization_id);
+    const plan = planImport(
+      pack,
+      { builtInNames: SCENARIOS.map((scenario) => scenario.name), existing: rows },
+      strategy
+    );
+    const warnings = [];
+    if (pack.rubric) {
+      warnings.push(`Scenarios without their own rubric were given the pack rubric "${pack.rubric.name}".`);
+    }
+
+    const result = {
+      pack: { name: pack.name, version: pack.version },
+      created: plan.create.map((row) => row.name),
+      overwritten: plan.overwrite.map((entry) => entry.row.name),
+      skipped: plan.skipped,
+      renamed: plan.renamed,
+      warnings,
+      dry_run: Boolean(req.body?.dry_run),
+    };
+    if (result.dry_run) {
+      res.json(result);
+      return;
+    }
+
+    const savedRows = [];
+    if (plan.create.length > 0) {
+      const { data, error } = await supabase
+        .from('org_scenarios')
+        .insert(
+          plan.create.map((row) => ({
+            ...row,
+            organization_id: membership.organization_id,
+            created_by: user.id,
+          }))
+        )
+        .select(SCENARIO_COLUMNS);
+      if (error) {
+        log.error('[scenario] Failed to import scenarios:' + error.message || error);
+        res.status(500).json({ error: 'Failed to import scenarios' });
+        return;
+      }
+      savedRows.push(...(data || []));
+    }
+
+    for (const entry of plan.overwrite) {
+      const { data, error } = await supabase
+        .from('org_scenarios')
+        .update({ ...entry.row, persona_brief: '', first_response_rule: '', updated_at: new Date().toISOString() })
+        .eq('id', entry.id)
+        .eq('organization_id', membership.organization_id)
+        .select(SCENARIO_COLUMNS)
+        .maybeSingle();
+      if (error) {
+        log.error('[scenario] Failed to overwrite scenario:' + error.message || error);
+        res.status(500).json({ error: `Failed to overwrite scenario ${entry.row.name}` });
+        return;
+      }
+      if (data) savedRows.push(data);
+    }
+
+    for (const row of savedRows) {
+      await recordRowVersion(row, user.id);
+    }
+
+    log.info(
+      `[scenario] Pack imported: ${pack.name} (${result.created.length} created, ` +
+        `${result.overwritten.length} overwritten, ${result.skipped.length} skipped)`
+    );
+    res.json(result);
+  } catch (err) {
+    log.error('[scenario] Failed to import scenario pack:' + err.message || err);
+    res.status(500).json({ error: 'Failed to import scenario pack' });
+  }
+});
+
+// ============================================================
+// KNOWLEDGE BASE ENDPOINTS
+// ============================================================
+
+const KNOWLEDGE_COLUMNS = 'id, organization_id, title, doc_type, created_by, created_at, updated_at';
+
+// GET /api/org/knowledge — list the organization's knowledge documents (without content).
+app.get('/api/org/knowledge', async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  try {
+    const membership = await requireTrainer(user.id, res);
+    if (!membership) return;
+
+    const { data, error } = await supabase
+      .from('knowledge_documents')
+      .select(KNOWLEDGE_COLUMNS)
+      .eq('organization_id', membership.organization_id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      log.error('[knowledge] Failed to list documents:' + error.message || error);
+      res.status(500).json({ error: 'Failed to list documents' });
+      return;
+    }
+
+    res.json({ documents: data || [], docTypes: DOC_TYPES });
+  } catch (err) {
+    log.error('[knowledge] Failed to list documents:' + err.message || err);
+    res.status(500).json({ error: 'Failed to list documents' });
+  }
+});
+
+// POST /api/org/knowledge — trainer uploads a Markdown or plain-text document.
+// Body: { title, doc_type: 'product' | 'pricing' | 'competitor' | 'other', content }
+app.post('/api/org/knowledge', async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const { value, error: validationError } = normalizeKnowledgeInput(req.body);
+  if (validationError) {
+    res.status(400).json({ error: validationError });
+    return;
+  }
+
+  try {
+    const membership = await requireTrainer(user.id, res);
+    if (!membership) return;
+
+    const { count } = await supabase
+      .from('knowledge_documents')
+      .select('id', { count: 'exact', head: true })
+      .eq('organization_id', membership.organization_id);
+    if ((count || 0) >= KNOWLEDGE_LIMITS.maxDocuments) {
+      res.status(400).json({ error: `Knowledge base is limited to ${KNOWLEDGE_LIMITS.maxDocuments} documents` });
+      return;
+    }
+
+    const { data, error } = await supabase
+      .from('knowledge_documents')
+      .insert({
+        ...value,
+        organization_id: membership.organization_id,
+        created_by: user.id,
+      })
+      .select(KNOWLEDGE_COLUMNS)
+      .single();
+
+    if (error || !data) {
+      log.error('[knowledge] Failed to upload document:' + error?.message || error);
+      res.status(500).json({ error: 'Failed to upload document' });
+      return;
+    }
+
+    invalidateKnowledgeIndex(membership.organization_id);
+    log.info(`[knowledge] Document uploaded: ${data.title}`);
+    res.json({ document: data });
+  } catch (err) {
+    log.error('[knowledge] Failed to upload document:' + err.message || err);
+    res.status(500).json({ error: 'Failed to upload document' });
+  }
+});
+
+// DELETE /api/org/knowledge/:documentId — trainer removes a document.
+app.delete('/api/org/knowledge/:documentId', async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  try {
+    const membership = await requireTrainer(user.id, res);
+    if (!membership) return;
+
+    const { error } = await supabase
+      .from('knowledge_documents')
+      .delete()
+      .eq('id', req.params.documentId)
+      .eq('organization_id', membership.organization_id);
+
+    if (error) {
+      log.error('[knowledge] Failed to delete document:' + error.message || error);
+      res.status(500).json({ error: 'Failed to delete document' });
+      return;
+    }
+
+    invalidateKnowledgeIndex(membership.organization_id);
+    res.json({ success: true });
+  } catch (err) {
+    log.error('[knowledge] Failed to delete document:' + err.message || err);
+    res.status(500).json({ error: 'Failed to delete document' });
+  }
+});
+
+// GET /api/org/knowledge/search?q= — preview which snippets a call would retrieve.
+app.get('/api/org/knowledge/search', async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const query = coerceText(req.query.q);
+  if (!query) {
+    res.status(400).json({ error: 'Missing query' });
+    return;
+  }
+
+  try {
+    const membership = await requireTrainer(user.id, res);
+    if (!membership) return;
+
+    const index = await loadKnowledgeIndex(membership.organization_id);
+    res.json({ results: searchIndex(index, query, { limit: 5 }) });
+  } catch (err) {
+    log.error('[knowledge] Failed to search knowledge base:' + err.message || err);
+    res.status(500).json({ error: 'Failed to search knowledge base' });
+  }
+});
+
 app.get('/api/admin/me', async (req, res) => {
   const user = await requireUser(req, res);
   if (!user) return;
@@ -2018,6 +2708,36 @@ app.get('/api/sessions', async (req, res) => {
   }
 });
 
+// GET /api/me/ratings — the caller's current skill ratings and their history.
+// Ratings carry a 95% interval (rating ± 2·RD); history is oldest first for charts.
+app.get('/api/me/ratings', async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  try {
+    const [ratings, history] = await Promise.all([fetchRatings(user.id), fetchRatingHistory(user.id)]);
+    res.json({
+      // Built-in skills first, then custom rubric criteria alphabetically.
+      ratings: [
+        ...RATED_SKILLS.filter((skill) => ratings[skill]),
+        ...Object.keys(ratings).filter((skill) => !RATED_SKILLS.includes(skill)).sort(),
+      ].map((skill) => toRatingSummary(ratings[skill])),
+      history: history.map((entry) => ({
+        skill: entry.skill,
+        session_id: entry.session_id,
+        rating: Math.round(entry.rating * 10) / 10,
+        rd: Math.round(entry.rd * 10) / 10,
+        score: entry.score,
+        opponent_rating: entry.opponent_rating,
+        created_at: entry.created_at,
+      })),
+    });
+  } catch (err) {
+    log.error('[rating] Failed to fetch skill ratings:' + err.message || err);
+    res.status(500).json({ error: 'Failed to fetch skill ratings' });
+  }
+});
+
 app.get('/api/report/analytics', async (req, res) => {
   const user = await requireUser(req, res);
   if (!user) return;
@@ -2086,9 +2806,11 @@ app.get('/api/report/analytics', async (req, res) => {
     addSectionTitle(doc, 'Summary');
     doc.text(`Total Sessions: ${analytics.summary.totalSessions}`);
     doc.text(`Average Overall Score: ${formatScore(analytics.summary.avgOverallScore)}`);
-    doc.text(`Average Objection Handling: ${formatScore(analytics.summary.avgObjectionHandling)}`);
-    doc.text(`Average Communication Clarity: ${formatScore(analytics.summary.avgCommunicationClarity)}`);
-    doc.text(`Average Confidence: ${formatScore(analytics.summary.avgConfidence)}`);
+    analytics.summary.dimensions
+      .filter((dimension) => dimension.key !== 'overall_score')
+      .forEach((dimension) => {
+        doc.text(`Average ${dimension.label}: ${formatScore(dimension.avg)} (${dimension.count} sessions)`);
+      });
     doc.text(`Best Score: ${formatScore(analytics.summary.bestScore)}`);
     doc.text(`Worst Score: ${formatScore(analytics.summary.worstScore)}`);
 
@@ -2160,10 +2882,53 @@ app.get('/api/report/analytics', async (req, res) => {
       }
       doc.text(`Avg Speaking Pace: ${cm.avg_words_per_minute} wpm`);
       doc.text(`Avg Engagement Score: ${cm.avg_engagement_score}/10`);
+      if (cm.talk_time) {
+        doc.text(`Avg Talk-Time Share: ${(cm.talk_time.avg_talk_time_ratio * 100).toFixed(0)}%`);
+        doc.text(
+          `Avg Turn Duration: ${(cm.talk_time.avg_trainee_turn_ms / 1000).toFixed(1)}s trainee · ` +
+            `${(cm.talk_time.avg_customer_turn_ms / 1000).toFixed(1)}s customer`
+        );
+        doc.text(
+          `Avg Monologues (over ${cm.talk_time.monologue_threshold_ms / 1000}s): ${cm.talk_time.avg_monologue_count} per session`
+        );
+      }
+      if (cm.question_quality) {
+        const qq = cm.question_quality;
+        doc.text(`Avg Open Question Ratio: ${(qq.avg_open_question_ratio * 100).toFixed(0)}%`);
+        doc.text(`Avg Stacked Questions: ${qq.avg_stacked_questions}`);
+        doc.text(`Avg Longest Stretch Without a Question: ${qq.avg_longest_no_question_streak} turns`);
+        drawBarChart(
+          doc,
+          [
+            { label: 'Open', value: qq.avg_open_questions },
+            { label: 'Closed', value: qq.avg_closed_questions },
+            { label: 'Leading', value: qq.avg_leading_questions },
+          ],
+          { width: 420, height: 70, barColor: '#a78bfa' }
+        );
+      }
       doc.text(`Sessions with Objections: ${cm.customer_objection_pct}%`);
       doc.text(`Sessions with Pricing Discussion: ${cm.pricing_session_pct}%`);
       doc.text(`Sessions with Competitor Mentions: ${cm.competitor_session_pct}%`);
       doc.text(`Sessions with Closing Attempts: ${cm.closing_session_pct}%`);
+      if (cm.objection_handling && cm.objection_handling.objections_resolved_pct != null) {
+        const oh = cm.objection_handling;
+        doc.text(`Objections Resolved: ${oh.objections_resolved_pct}% of ${oh.total_objections} (avg ${oh.avg_objections} per session)`);
+        doc.text(
+          `Objection Handling: ${oh.handling_pct.answered}% answered · ${oh.handling_pct.explored}% explored · ` +
+            `${oh.handling_pct.acknowledged}% acknowledged · ${oh.handling_pct.ignored}% ignored`
+        );
+      }
+
+      (cm.methodology_coverage || []).forEach((group) => {
+        doc.moveDown(0.3);
+        doc.font('Helvetica-Bold').fontSize(11).text(`${group.name} Coverage (${group.sessions} sessions, avg ${group.avg_coverage_pct}%):`);
+        doc.font('Helvetica').fontSize(11);
+        addBulletList(
+          doc,
+          group.elements.map((element) => `${element.label}: covered in ${element.covered_pct}% of sessions`)
+        );
+      });
     }
 
     // Voice / Audio Intelligence Averages.
@@ -2241,16 +3006,20 @@ app.get('/api/report/:sessionId', async (req, res) => {
 
     const feedback = data.feedback || {};
     const difficulty = feedback.difficulty || 'Unknown';
+    const scenarioVersion = formatScenarioVersion(feedback.scenario_version);
     const summary = summarizeTranscript(data.transcript);
     const strengths = coerceList(feedback.strengths);
     const weaknesses = coerceList(feedback.weaknesses);
+    const missedOpportunities = coerceList(feedback.missed_opportunities);
     const suggestions = coerceList(feedback.actionable_suggestions);
+    const weaknessTexts = weaknesses.map(feedbackItemText);
+    const suggestionTexts = suggestions.map(feedbackItemText);
     const insights = buildSessionInsights(feedback);
+    // Rubric criteria, or the legacy skills for sessions scored before rubrics.
+    const skills = averageDimensions([feedback]).filter((dimension) => dimension.key !== 'overall_score');
     const skillChart = [
       { label: 'Overall', value: roundScore(feedback.overall_score) || 0 },
-      { label: 'Objection', value: roundScore(feedback.objection_handling) || 0 },
-      { label: 'Clarity', value: roundScore(feedback.communication_clarity) || 0 },
-      { label: 'Confidence', value: roundScore(feedback.confidence) || 0 },
+      ...skills.map((dimension) => ({ label: dimension.label, value: roundScore(dimension.avg) || 0 })),
     ];
 
     res.setHeader('Content-Type', 'application/pdf');
@@ -2269,7 +3038,25 @@ app.get('/api/report/:sessionId', async (req, res) => {
     doc.font('Helvetica').fontSize(11).fillColor('#333333');
     doc.text(`Date: ${formatDate(data.created_at)}`);
     doc.text(`Scenario: ${data.scenario || 'Unknown'}`);
+    doc.text(`Scenario Version: ${scenarioVersion}`);
+    if (feedback.llm && feedback.llm.feedback_model) {
+      doc.text(`Feedback Model: ${feedback.llm.feedback_model}`);
+    }
     doc.text(`Difficulty Level: ${difficulty}`);
+    const difficultyChanges = Array.isArray(feedback.difficulty_timeline) ? feedback.difficulty_timeline.slice(1) : [];
+    if (difficultyChanges.length > 0) {
+      doc.text(
+        `Difficulty Changes: ${difficultyChanges
+          .map((entry) => `${entry.reason === 'ease' ? 'eased' : 'escalated'} to ${entry.level} at turn ${entry.turn}`)
+          .join(', ')}`
+      );
+    }
+    if (Array.isArray(feedback.difficulty_focus) && feedback.difficulty_focus.length > 0) {
+      doc.text(`Skill Focus: ${feedback.difficulty_focus.map((focus) => focus.label || focus.skill).join(', ')}`);
+    }
+    if (feedback.difficulty_modifier) {
+      doc.text(`Difficulty Modifier: ${feedback.difficulty_modifier}`);
+    }
     doc.text(`Call Duration: ${formatDuration(data.call_duration)}`);
     addDivider(doc);
 
@@ -2277,17 +3064,59 @@ app.get('/api/report/:sessionId', async (req, res) => {
     doc.font('Helvetica-Bold').fontSize(22).fillColor('#111111');
     doc.text(formatScore(feedback.overall_score));
     doc.font('Helvetica').fontSize(11).fillColor('#333333');
+    if (feedback.feedback_error) {
+      doc.text('This call could not be scored; its transcript and metrics are kept below.');
+    }
 
     addSectionTitle(doc, 'Key Insights');
     addBulletList(doc, insights);
 
     addSectionTitle(doc, 'Skill Breakdown');
-    doc.text(`Objection Handling: ${formatScore(feedback.objection_handling)}`);
-    doc.text(`Communication Clarity: ${formatScore(feedback.communication_clarity)}`);
-    doc.text(`Confidence: ${formatScore(feedback.confidence)}`);
+    if (feedback.rubric && feedback.rubric.name) {
+      doc.text(`Rubric: ${feedback.rubric.name}`);
+    }
+    skills.forEach((dimension) => {
+      const criterion = (feedback.rubric?.criteria || []).find((entry) => entry.key === dimension.key);
+      const weight = criterion && criterion.weight !== 1 ? ` (weight ${criterion.weight})` : '';
+      doc.text(`${dimension.label}: ${formatScore(dimension.avg)}${weight}`);
+    });
 
     addSectionTitle(doc, 'Skill Snapshot');
-    drawBarChart(doc, skillChart, { width: 420, height: 120, barColor: '#2563eb' });
+    drawBarChart(doc, skillChart, {
+      width: 420,
+      height: Math.max(120, skillChart.length * 22),
+      barColor: '#2563eb',
+    });
+
+    // Hidden buying criteria / deal outcome section.
+    const deal = feedback.deal_outcome;
+    if (deal && Array.isArray(deal.criteria)) {
+      addSectionTitle(doc, 'Deal Outcome');
+      doc.font('Helvetica-Bold').fontSize(14).fillColor('#111111');
+      doc.text(String(deal.outcome || 'unknown').toUpperCase());
+      doc.font('Helvetica').fontSize(11).fillColor('#333333');
+      if (deal.reason) doc.text(deal.reason);
+      doc.text(`Buying criteria uncovered: ${deal.uncovered_count ?? 0}/${deal.total_criteria ?? deal.criteria.length}`);
+      addBulletList(
+        doc,
+        deal.criteria.map((criterion) =>
+          `${criterion.description}: ${criterion.satisfied ? 'met' : criterion.uncovered ? 'uncovered, not met' : 'never uncovered'}`
+        )
+      );
+    }
+
+    // Scenario stage progression section.
+    const stageSummary = feedback.stages;
+    if (stageSummary && Array.isArray(stageSummary.stages)) {
+      addSectionTitle(doc, 'Call Stages');
+      addBulletList(
+        doc,
+        stageSummary.stages.map((stage) => `${stage.name}: ${stage.status === 'pending' ? 'not reached' : stage.status}`)
+      );
+      const missed = (stageSummary.skipped || []).length + (stageSummary.not_reached || []).length;
+      doc.text(`Stages Missed: ${missed} of ${stageSummary.stages.length}`);
+      doc.text(`Win Condition: ${stageSummary.win_condition_met ? 'Met' : 'Not met'}`);
+    }
 
     // Conversation Intelligence Metrics section.
     const cm = feedback.conversation_metrics;
@@ -2304,6 +3133,40 @@ app.get('/api/report/:sessionId', async (req, res) => {
       doc.text(`Speaking Pace: ${cm.user_words_per_minute} wpm`);
       doc.text(`Engagement Score: ${cm.engagement_score}/10`);
       doc.text(`Rapport Phrases Used: ${cm.rapport_building_phrases}`);
+      // Sessions recorded before the talk-time timeline have no talk_timeline.
+      if (Array.isArray(cm.talk_timeline) && cm.talk_timeline.length > 0) {
+        doc.text(
+          `Talk Time: ${(cm.trainee_talk_ms / 1000).toFixed(0)}s trainee · ${(cm.customer_talk_ms / 1000).toFixed(0)}s customer ` +
+            `(${(cm.talk_time_ratio * 100).toFixed(0)}% trainee)`
+        );
+        doc.text(
+          `Monologues over ${cm.monologue_threshold_ms / 1000}s: ${cm.monologue_count} ` +
+            `(longest ${(cm.longest_monologue_ms / 1000).toFixed(0)}s)`
+        );
+        drawBarChart(
+          doc,
+          [
+            { label: 'Trainee (s)', value: Math.round(cm.trainee_talk_ms / 1000) },
+            { label: 'Customer (s)', value: Math.round(cm.customer_talk_ms / 1000) },
+          ],
+          { width: 420, height: 40, barColor: '#22d3ee' }
+        );
+      }
+      // Sessions recorded before question classification have no question_types.
+      if (cm.question_types) {
+        doc.text(`Open Question Ratio: ${(cm.open_question_ratio * 100).toFixed(0)}%`);
+        doc.text(`Stacked Questions: ${cm.stacked_question_count}`);
+        doc.text(`Longest Stretch Without a Question: ${cm.longest_no_question_streak} turns`);
+        drawBarChart(
+          doc,
+          [
+            { label: 'Open', value: cm.question_types.open },
+            { label: 'Closed', value: cm.question_types.closed },
+            { label: 'Leading', value: cm.question_types.leading },
+          ],
+          { width: 420, height: 70, barColor: '#a78bfa' }
+        );
+      }
 
       const topics = [];
       if (cm.objection_detected) topics.push('Trainee addressed objections');
@@ -2317,6 +3180,35 @@ app.get('/api/report/:sessionId', async (req, res) => {
         doc.font('Helvetica').fontSize(11);
         addBulletList(doc, topics);
       }
+
+      // Sessions recorded before objection pairing have no objections list.
+      if (Array.isArray(cm.objections) && cm.objections.length > 0) {
+        doc.moveDown(0.3);
+        doc.font('Helvetica-Bold').fontSize(11).text(`Objection Timeline (${cm.objections_resolved_pct}% resolved):`);
+        doc.font('Helvetica').fontSize(11);
+        addBulletList(
+          doc,
+          cm.objections.map((objection) => {
+            const outcome = objection.resolved ? 'resolved' : objection.raised_again ? 'raised again' : 'unresolved';
+            return `Turn ${objection.turn_index + 1} · ${objection.label}: "${objection.quote}" — ${objection.handling}, ${outcome}`;
+          })
+        );
+      }
+
+      const coverage = cm.methodology_coverage;
+      if (coverage) {
+        doc.moveDown(0.3);
+        doc.font('Helvetica-Bold').fontSize(11).text(`${coverage.name} Checklist (${coverage.coverage_pct}% covered):`);
+        doc.font('Helvetica').fontSize(11);
+        addBulletList(
+          doc,
+          coverage.elements.map(
+            (element) =>
+              `${element.covered ? '[x]' : '[ ]'} ${element.label}` +
+              (element.covered ? ` (${element.count}x, first at turn ${element.first_turn + 1})` : '')
+          )
+        );
+      }
     }
 
     // Voice / Audio Intelligence Metrics section.
@@ -2343,39 +3235,44 @@ app.get('/api/report/:sessionId', async (req, res) => {
     if (strengths.length === 0) {
       doc.text('No strengths recorded.');
     } else {
-      addBulletList(doc, strengths);
+      addFeedbackItemList(doc, strengths);
     }
 
     addSectionTitle(doc, 'Areas for Improvement');
     if (weaknesses.length === 0) {
       doc.text('No improvement areas recorded.');
     } else {
-      addBulletList(doc, weaknesses);
+      addFeedbackItemList(doc, weaknesses);
+    }
+
+    if (missedOpportunities.length > 0) {
+      addSectionTitle(doc, 'Missed Opportunities');
+      addFeedbackItemList(doc, missedOpportunities);
     }
 
     addSectionTitle(doc, 'Actionable Suggestions');
     if (suggestions.length === 0) {
       doc.text('No suggestions recorded.');
     } else {
-      addBulletList(doc, suggestions);
+      addFeedbackItemList(doc, suggestions);
     }
 
     addSectionTitle(doc, 'Next Session Focus');
-    if (weaknesses.length > 0) {
-      addBulletList(doc, weaknesses.slice(0, 3).map((item) => `Focus on: ${item}`));
-    } else if (suggestions.length > 0) {
-      addBulletList(doc, suggestions.slice(0, 3).map((item) => `Practice: ${item}`));
+    if (weaknessTexts.length > 0) {
+      addBulletList(doc, weaknessTexts.slice(0, 3).map((item) => `Focus on: ${item}`));
+    } else if (suggestionTexts.length > 0) {
+      addBulletList(doc, suggestionTexts.slice(0, 3).map((item) => `Practice: ${item}`));
     } else {
       doc.text('Maintain consistency and build on current strengths.');
     }
 
     addSectionTitle(doc, 'Practice Checklist');
     const checklist = [];
-    if (suggestions.length > 0) {
-      checklist.push(...suggestions.slice(0, 5));
+    if (suggestionTexts.length > 0) {
+      checklist.push(...suggestionTexts.slice(0, 5));
     }
-    if (checklist.length === 0 && weaknesses.length > 0) {
-      checklist.push(...weaknesses.slice(0, 5));
+    if (checklist.length === 0 && weaknessTexts.length > 0) {
+      checklist.push(...weaknessTexts.slice(0, 5));
     }
     if (checklist.length === 0) {
       doc.text('Keep reinforcing strong habits and try a more challenging scenario.');
@@ -2413,6 +3310,7 @@ app.get('/api/analytics', async (req, res) => {
       summary: analytics.summary,
       trend: analytics.trend,
       byScenario: analytics.byScenario,
+      byPersona: analytics.byPersona,
       conversationMetrics: analytics.conversationMetrics,
     });
   } catch (err) {
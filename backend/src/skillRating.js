@@ -0,0 +1,242 @@
+/**
+ * Skill Ratings
+ *
+ * Glicko-style rating per trainee and skill, updated after every scored
+ * session.  Each session is treated as a game against the scenario's
+ * difficulty level: a 7/10 against an Advanced customer moves the rating more
+ * than a 7/10 against a Beginner one.  The rating deviation (RD) shrinks as
+ * sessions accumulate and grows again during inactivity, so new or returning
+ * trainees move quickly and established ratings stay stable.
+ *
+ * Current ratings live in `skill_ratings` (one row per user and skill) and
+ * every update is appended to `skill_rating_history` for charts.
+ */
+
+'use strict';
+
+const { supabase } = require('./lib/supabase');
+const log = require('./lib/logger');
+const { feedbackDimensions, dimensionLabel } = require('./rubrics');
+
+// The built-in skills, listed first.  Every other score a session carries
+// (custom rubric criteria) is rated too, under its criterion key.
+const RATED_SKILLS = ['overall_score', 'objection_handling', 'communication_clarity', 'confidence'];
+
+const RATING_CONFIG = {
+  initialRating: 1500,
+  initialRd: 350,
+  minRd: 50,
+  maxRd: 350,
+  // RD growth per idle day; an established rating (RD 50) is fully
+  // uncertain again after roughly six months without practice.
+  rdGrowthPerDay: 25.8,
+  // The "opponent" each difficulty level represents.
+  levelRatings: {
+    Beginner: 1300,
+    Intermediate: 1500,
+    Advanced: 1700,
+  },
+  levelRd: 80,
+  historyLimit: 200,
+};
+
+const Q = Math.log(10) / 400;
+
+// ── Glicko maths ────────────────────────────────────────────────────────────
+
+function g(rd) {
+  return 1 / Math.sqrt(1 + (3 * Q * Q * rd * rd) / (Math.PI * Math.PI));
+}
+
+function expectedScore(rating, opponentRating, opponentRd) {
+  return 1 / (1 + Math.pow(10, (-g(opponentRd) * (rating - opponentRating)) / 400));
+}
+
+/**
+ * Inflate RD for the time since the rating was last updated.
+ */
+function decayRd(rd, lastUpdatedAt, now = Date.now()) {
+  if (!lastUpdatedAt) return rd;
+  const days = Math.max(0, (now - new Date(lastUpdatedAt).getTime()) / 86400000);
+  return Math.min(RATING_CONFIG.maxRd, Math.sqrt(rd * rd + RATING_CONFIG.rdGrowthPerDay ** 2 * days));
+}
+
+/**
+ * Apply one session result.
+ *
+ * @param {{rating: number, rd: number}} current
+ * @param {number} score           – session score 0-10
+ * @param {number} opponentRating  – rating of the difficulty faced
+ * @returns {{rating: number, rd: number}}
+ */
+function updateRating(current, score, opponentRating) {
+  const outcome = Math.max(0, Math.min(1, score / 10));
+  const gRd = g(RATING_CONFIG.levelRd);
+  const expected = expectedScore(current.rating, opponentRating, RATING_CONFIG.levelRd);
+  const dSquared = 1 / (Q * Q * gRd * gRd * expected * (1 - expected));
+  const precision = 1 / (current.rd * current.rd) + 1 / dSquared;
+
+  return {
+    rating: current.rating + (Q / precision) * gRd * (outcome - expected),
+    rd: Math.max(RATING_CONFIG.minRd, Math.sqrt(1 / precision)),
+  };
+}
+
+/**
+ * Opponent rating for a session: the mean of every level the customer played
+ * at (mid-call escalation can change it), or the starting level.
+ */
+function opponentRatingForSession(feedback) {
+  const levels =
+    Array.isArray(feedback.difficulty_timeline) && feedback.difficulty_timeline.length > 0
+      ? feedback.difficulty_timeline.map((entry) => entry.level)
+      : [feedback.difficulty];
+  const ratings = levels.map((level) => RATING_CONFIG.levelRatings[level]).filter(Number.isFinite);
+  if (ratings.length === 0) return RATING_CONFIG.levelRatings.Intermediate;
+  return ratings.reduce((sum, value) => sum + value, 0) / ratings.length;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Public shape of one rating, with a 95% interval.
+ */
+function toRatingSummary(row) {
+  return {
+    skill: row.skill,
+    label: dimensionLabel(row.skill),
+    rating: round(row.rating),
+    rd: round(row.rd),
+    interval: [round(row.rating - 2 * row.rd), round(row.rating + 2 * row.rd)],
+    sessions: row.sessions || 0,
+    updated_at: row.updated_at || null,
+  };
+}
+
+// ── Storage ─────────────────────────────────────────────────────────────────
+
+/**
+ * Current ratings for a user keyed by skill, with RD already inflated for
+ * inactivity.
+ *
+ * @returns {Promise<Object>} { [skill]: { skill, rating, rd, sessions, updated_at } }
+ */
+async function fetchRatings(userId) {
+  if (!supabase || !userId) return {};
+  const { data, error } = await supabase
+    .from('skill_ratings')
+    .select('skill, rating, rd, sessions, updated_at')
+    .eq('user_id', userId);
+
+  if (error) {
+    throw error;
+  }
+
+  const ratings = {};
+  for (const row of data || []) {
+    ratings[row.skill] = { ...row, rd: decayRd(row.rd, row.updated_at) };
+  }
+  return ratings;
+}
+
+/**
+ * Update the rating of every score in a session (see rubrics.feedbackDimensions).  Never throws; a failed
+ * update is logged and the session is simply not counted.
+ *
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} [params.sessionId] – `call_sessions.id` of the scored session
+ * @param {Object} params.feedback    – stored feedback (scores + difficulty)
+ * @returns {Promise<Object|null>} updated ratings keyed by skill
+ */
+async function recordSessionRatings({ userId, sessionId, feedback }) {
+  if (!supabase || !userId || !feedback) return null;
+
+  try {
+    const current = await fetchRatings(userId);
+    const opponentRating = opponentRatingForSession(feedback);
+    const now = new Date().toISOString();
+    const rows = [];
+    const history = [];
+
+    for (const [skill, score] of Object.entries(feedbackDimensions(feedback))) {
+      const previous = current[skill] || {
+        rating: RATING_CONFIG.initialRating,
+        rd: RATING_CONFIG.initialRd,
+        sessions: 0,
+      };
+      const next = updateRating(previous, score, opponentRating);
+      rows.push({
+        user_id: userId,
+        skill,
+        rating: next.rating,
+        rd: next.rd,
+        sessions: (previous.sessions || 0) + 1,
+        updated_at: now,
+      });
+      history.push({
+        user_id: userId,
+        skill,
+        session_id: sessionId || null,
+        rating: next.rating,
+        rd: next.rd,
+        score,
+        opponent_rating: opponentRating,
+        created_at: now,
+      });
+    }
+
+    if (rows.length === 0) return null;
+
+    const { error } = await supabase.from('skill_ratings').upsert(rows, { onConflict: 'user_id,skill' });
+    if (error) {
+      throw error;
+    }
+    const { error: historyError } = await supabase.from('skill_rating_history').insert(history);
+    if (historyError) {
+      log.warn('[rating] Failed to append rating history:' + historyError.message || historyError);
+    }
+
+    const overall = rows.find((row) => row.skill === 'overall_score');
+    if (overall) {
+      log.info(`[rating] Overall rating ${round(overall.rating)} ± ${round(2 * overall.rd)} after ${overall.sessions} sessions`);
+    }
+    return rows.reduce((acc, row) => {
+      acc[row.skill] = row;
+      return acc;
+    }, {});
+  } catch (err) {
+    log.error('[rating] Failed to update skill ratings:' + err.message || err);
+    return null;
+  }
+}
+
+async function fetchRatingHistory(userId) {
+  if (!supabase || !userId) return [];
+  const { data, error } = await supabase
+    .from('skill_rating_history')
+    .select('skill, session_id, rating, rd, score, opponent_rating, created_at')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(RATING_CONFIG.historyLimit);
+
+  if (error) {
+    throw error;
+  }
+  // Newest entries win the limit; charts want them oldest first.
+  return Array.isArray(data) ? data.reverse() : [];
+}
+
+module.exports = {
+  RATED_SKILLS,
+  RATING_CONFIG,
+  decayRd,
+  updateRating,
+  opponentRatingForSession,
+  toRatingSummary,
+  fetchRatings,
+  fetchRatingHistory,
+  recordSessionRatings,
+};
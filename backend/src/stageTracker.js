@@ -0,0 +1,329 @@
+/**
+ * Scenario Stage Tracker
+ *
+ * Scenarios declare ordered stages (e.g. discovery → demo → objection →
+ * close).  Each stage has entry and exit criteria that are checked after every
+ * turn with plain keyword / turn-count matching – no LLM calls – so progress is
+ * deterministic and cheap to evaluate on the hot path.
+ *
+ * A stage's `prompt` is appended to the customer system prompt while the call
+ * is in that stage.  Completing the exit criteria of the final stage is the
+ * scenario's win condition.
+ */
+
+'use strict';
+
+// ── Stage definitions ───────────────────────────────────────────────────────
+
+/**
+ * Criteria shape:
+ *   speaker   – 'trainee' | 'customer'; whose line is matched (default trainee)
+ *   keywords  – any one must appear in the line as a whole word or phrase; a
+ *               trailing '*' matches word stems ('integrat*' → integration).
+ *               Empty means "no keyword check"
+ *   min_turns – trainee turns before the criteria can pass (turns in the stage
+ *               for exit criteria, turns in the call for entry criteria)
+ *
+ * Entry criteria let the trainee jump ahead (e.g. asking for the sale during
+ * discovery); stages passed over that way are reported as skipped.  Stages
+ * without entry keywords are only reached by finishing the previous stage.
+ */
+const DEFAULT_STAGES = [
+  {
+    id: 'discovery',
+    name: 'Discovery',
+    prompt:
+      'STAGE: Discovery. The trainee should be learning about your situation. ' +
+      'Answer questions honestly, but only share details when asked a good question.',
+    entry: null,
+    exit: {
+      speaker: 'trainee',
+      keywords: ['how many', 'how much', 'how often', 'what are', 'what is', 'tell me about', 'currently', 'challenge*', 'process', 'why'],
+      min_turns: 2,
+    },
+  },
+  {
+    id: 'demo',
+    name: 'Demo',
+    prompt:
+      'STAGE: Demo. The trainee is presenting their offering. ' +
+      'Ask how specific features address the pain points you described.',
+    entry: {
+      speaker: 'trainee',
+      keywords: ['let me show', 'demo', 'our product*', 'our platform*', 'we offer', 'we provide', 'our solution*'],
+      min_turns: 1,
+    },
+    exit: {
+      speaker: 'trainee',
+      keywords: ['feature*', 'integrat*', 'save', 'saves', 'saving', 'roi', 'result*', 'for example', 'customers like'],
+      min_turns: 2,
+    },
+  },
+  {
+    id: 'objection',
+    name: 'Objection Handling',
+    prompt:
+      'STAGE: Objection. Raise your strongest concerns now, including any hidden objections, ' +
+      'and keep pushing back until the trainee addresses them with specifics.',
+    entry: {
+      speaker: 'customer',
+      keywords: ['expensive', 'budget', 'not sure', 'concern*', 'competitor*', 'risk*', 'think about it'],
+      min_turns: 3,
+    },
+    exit: {
+      speaker: 'trainee',
+      keywords: ['understand', 'fair point', "that's why", 'guarantee', 'trial', 'compared to', 'what if'],
+      min_turns: 1,
+    },
+  },
+  {
+    id: 'close',
+    name: 'Close',
+    prompt:
+      'STAGE: Close. The trainee is asking for commitment. ' +
+      'Agree to a concrete next step only if your concerns were addressed; otherwise stall.',
+    entry: {
+      speaker: 'trainee',
+      keywords: ['next step*', 'move forward', 'get started', 'sign', 'signed', 'signing', 'contract*', 'proposal*', 'schedule'],
+      min_turns: 2,
+    },
+    exit: {
+      speaker: 'customer',
+      keywords: ['sounds good', "let's do it", 'send me', 'go ahead', 'works for me', "let's schedule", 'sign me up'],
+      min_turns: 0,
+    },
+  },
+];
+
+const STAGE_LIMITS = {
+  maxStages: 8,
+  maxKeywords: 20,
+  keywordLength: 60,
+  nameLength: 80,
+  promptLength: 1000,
+  maxMinTurns: 20,
+};
+
+// ── Validation ──────────────────────────────────────────────────────────────
+
+function normalizeCriteria(input, label) {
+  if (input == null) return { value: null, error: null };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { value: null, error: `${label} must be an object` };
+  }
+
+  const speaker = input.speaker || 'trainee';
+  if (speaker !== 'trainee' && speaker !== 'customer') {
+    return { value: null, error: `${label} speaker must be "trainee" or "customer"` };
+  }
+
+  const keywords = (Array.isArray(input.keywords) ? input.keywords : [])
+    .map((keyword) => String(keyword || '').trim().toLowerCase().slice(0, STAGE_LIMITS.keywordLength))
+    .filter(Boolean)
+    .slice(0, STAGE_LIMITS.maxKeywords);
+
+  const minTurns = Number(input.min_turns ?? 0);
+  if (!Number.isInteger(minTurns) || minTurns < 0 || minTurns > STAGE_LIMITS.maxMinTurns) {
+    return { value: null, error: `${label} min_turns must be an integer 0-${STAGE_LIMITS.maxMinTurns}` };
+  }
+
+  return { value: { speaker, keywords, min_turns: minTurns }, error: null };
+}
+
+/**
+ * Validate a scenario's stage list.
+ *
+ * @param {Array} input – raw stages (from a request body or stored JSON)
+ * @returns {{value: Array|null, error: string|null}}
+ */
+function normalizeStages(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { value: null, error: 'Stages must be a non-empty array' };
+  }
+  if (input.length > STAGE_LIMITS.maxStages) {
+    return { value: null, error: `At most ${STAGE_LIMITS.maxStages} stages are allowed` };
+  }
+
+  const seen = new Set();
+  const stages = [];
+  for (let i = 0; i < input.length; i++) {
+    const raw = input[i] || {};
+    const name = String(raw.name || '').trim().slice(0, STAGE_LIMITS.nameLength);
+    if (!name) return { value: null, error: `Stage ${i + 1} needs a name` };
+
+    const id = String(raw.id || name)
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+    if (!id || seen.has(id)) return { value: null, error: `Stage ${i + 1} needs a unique id` };
+    seen.add(id);
+
+    const entry = normalizeCriteria(raw.entry, `Stage ${name} entry`);
+    if (entry.error) return { value: null, error: entry.error };
+    const exit = normalizeCriteria(raw.exit, `Stage ${name} exit`);
+    if (exit.error) return { value: null, error: exit.error };
+
+    stages.push({
+      id,
+      name,
+      prompt: String(raw.prompt || '').trim().slice(0, STAGE_LIMITS.promptLength),
+      entry: entry.value,
+      exit: exit.value,
+    });
+  }
+
+  return { value: stages, error: null };
+}
+
+// ── Tracking ────────────────────────────────────────────────────────────────
+
+// Compiled once per keyword; keywords come from a bounded set of scenarios.
+const keywordPatterns = new Map();
+
+function keywordPattern(keyword) {
+  let pattern = keywordPatterns.get(keyword);
+  if (!pattern) {
+    const stem = keyword.endsWith('*');
+    const phrase = stem ? keyword.slice(0, -1) : keyword;
+    const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    // Word boundaries only where the keyword itself starts/ends with a word
+    // character, so symbols like '$' still match in "$50".
+    const start = /^\w/.test(phrase) ? '(?<!\\w)' : '';
+    const end = !stem && /\w$/.test(phrase) ? '(?!\\w)' : '';
+    pattern = new RegExp(start + escaped + end, 'i');
+    keywordPatterns.set(keyword, pattern);
+  }
+  return pattern;
+}
+
+function matchesKeyword(text, keywords) {
+  return keywords.some((keyword) => keywordPattern(keyword).test(text));
+}
+
+function criteriaMet(criteria, event, turnsInStage) {
+  if (!criteria) return false;
+  if ((criteria.speaker || 'trainee') !== event.speaker) return false;
+  if (turnsInStage < (criteria.min_turns || 0)) return false;
+  if (!criteria.keywords || criteria.keywords.length === 0) return true;
+  return matchesKeyword(event.text, criteria.keywords);
+}
+
+/**
+ * Create a tracker for one call.
+ *
+ * @param {Array} stages – normalised stage list
+ * @returns {{current: Function, evaluate: Function, summary: Function, snapshot: Function}}
+ */
+function createStageTracker(stages) {
+  const list = Array.isArray(stages) && stages.length > 0 ? stages : DEFAULT_STAGES;
+  const state = list.map((stage, index) => ({
+    id: stage.id,
+    name: stage.name,
+    status: index === 0 ? 'reached' : 'pending',
+    entered_turn: index === 0 ? 0 : null,
+    exited_turn: null,
+  }));
+  let currentIndex = 0;
+  let traineeTurns = 0;
+  let turnsInStage = 0;
+  let winConditionMet = false;
+
+  function enter(index) {
+    for (let i = currentIndex + 1; i < index; i++) {
+      if (state[i].status === 'pending') state[i].status = 'skipped';
+    }
+    if (state[currentIndex].status === 'reached') {
+      state[currentIndex].exited_turn = traineeTurns;
+    }
+    currentIndex = index;
+    turnsInStage = 0;
+    state[index].status = 'reached';
+    state[index].entered_turn = traineeTurns;
+  }
+
+  /**
+   * Check stage criteria against one conversation line.
+   *
+   * @param {{speaker: 'trainee'|'customer', text: string}} event
+   * @returns {{changed: boolean, stage: Object}}
+   */
+  function evaluate(event) {
+    const text = String(event?.text || '').trim();
+    if (!text || winConditionMet) return { changed: false, stage: list[currentIndex] };
+
+    const normalized = { speaker: event.speaker, text };
+    if (normalized.speaker === 'trainee') {
+      traineeTurns += 1;
+      turnsInStage += 1;
+    }
+
+    // Jump ahead when a later stage's entry criteria match (furthest first).
+    for (let i = list.length - 1; i > currentIndex; i--) {
+      const entry = list[i].entry;
+      if (entry && entry.keywords.length > 0 && criteriaMet(entry, normalized, traineeTurns)) {
+        enter(i);
+        return { changed: true, stage: list[currentIndex] };
+      }
+    }
+
+    if (criteriaMet(list[currentIndex].exit, normalized, turnsInStage)) {
+      state[currentIndex].status = 'completed';
+      state[currentIndex].exited_turn = traineeTurns;
+      if (currentIndex === list.length - 1) {
+        winConditionMet = true;
+        return { changed: true, stage: list[currentIndex] };
+      }
+      enter(currentIndex + 1);
+      return { changed: true, stage: list[currentIndex] };
+    }
+
+    return { changed: false, stage: list[currentIndex] };
+  }
+
+  function current() {
+    return list[currentIndex];
+  }
+
+  /** Payload for the `scenario.stage` WebSocket event. */
+  function snapshot() {
+    return {
+      stage: { id: list[currentIndex].id, name: list[currentIndex].name, index: currentIndex },
+      total: list.length,
+      stages: state.map((entry) => ({ id: entry.id, name: entry.name, status: entry.status })),
+      winConditionMet,
+    };
+  }
+
+  /**
+   * End-of-call summary stored with the session feedback.  `skipped` are
+   * stages jumped over mid-call; `not_reached` are the ones still pending
+   * when the call ended.
+   */
+  function summary() {
+    return {
+      stages: state.map((entry) => ({ ...entry })),
+      reached: state.filter((entry) => entry.status === 'reached' || entry.status === 'completed').map((entry) => entry.id),
+      skipped: state.filter((entry) => entry.status === 'skipped').map((entry) => entry.id),
+      not_reached: state.filter((entry) => entry.status === 'pending').map((entry) => entry.id),
+      final_stage: list[currentIndex].id,
+      win_condition_met: winConditionMet,
+    };
+  }
+
+  return { current, evaluate, snapshot, summary };
+}
+
+/**
+ * Append the current stage's instructions to a customer system prompt.
+ */
+function applyStagePrompt(basePrompt, stage) {
+  return stage && stage.prompt ? `${basePrompt}\n\n${stage.prompt}` : basePrompt;
+}
+
+module.exports = {
+  DEFAULT_STAGES,
+  normalizeStages,
+  createStageTracker,
+  applyStagePrompt,
+};
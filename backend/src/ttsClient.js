@@ -1,91 +1,131 @@
-const https = require('https');
-const log = require('./lib/logger');
-
-// Deepgram TTS REST endpoint for generating speech from text.
-// Docs: https://developers.deepgram.com/docs/text-to-speech
+// Text-to-speech client with pluggable providers.
+// The provider chosen by TTS_PROVIDER (see providers/tts) does the synthesis:
+// Deepgram's REST API by default, a local Piper / espeak-ng subprocess for
+// offline use, or a silent stub for tests.  Audio is streamed: callers get
+// chunks as the provider produces them instead of waiting for the whole text.
+// Repeated phrases are served from the phrase cache (lib/ttsCache).
 
-const DEEPGRAM_TTS_URL = 'api.deepgram.com';
-const DEEPGRAM_TTS_PATH = '/v1/speak';
+const log = require('./lib/logger');
+const ttsCache = require('./lib/ttsCache');
+const { createTtsProvider } = require('./providers/tts');
 
 class TtsClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey;
+  /**
+   * @param {Object} [options] – `adapter` (provider instance) and `cache` (a TtsCache,
+   *   or null for none), or options for createTtsProvider
+   */
+  constructor(options = {}) {
+    this.adapter = options.adapter || createTtsProvider(options);
+    this.cache = options.cache === undefined ? ttsCache : options.cache;
+    this.provider = this.adapter.name;
+    this.model = this.adapter.model;
   }
 
-  async generateSpeech(text, options = {}) {
+  /**
+   * Stream the audio for one piece of text as the provider produces it.
+   *
+   * @param {string} text
+   * @param {{encoding?: string, sampleRate?: number, model?: string, prosody?: Object, signal?: AbortSignal}} [options]
+   *   Aborting `signal` (barge-in) cancels synthesis; iteration then throws an AbortError.
+   * @returns {AsyncGenerator<Buffer>} raw audio chunks
+   */
+  async *streamSpeech(text, options = {}) {
     if (!text || typeof text !== 'string') {
       throw new Error('TTS requires valid text input');
     }
 
-    const model = options.model || 'aura-asteria-en'; // Natural-sounding female voice
-    const encoding = options.encoding || 'linear16'; // PCM16 for browser Web Audio API
-    const sampleRate = options.sampleRate || 16000;
-    const container = options.container || 'none'; // Raw audio bytes
-
-    return new Promise((resolve, reject) => {
-      const queryParams = new URLSearchParams({
-        model,
-        encoding,
-        sample_rate: sampleRate,
-        container,
-      });
-
-      const requestOptions = {
-        hostname: DEEPGRAM_TTS_URL,
-        path: `${DEEPGRAM_TTS_PATH}?${queryParams.toString()}`,
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Token ${this.apiKey}`,
-        },
-      };
-
-      const timeoutMs = 15000;
-
-      log.info(`[tts] Generating speech for text: "${text.slice(0, 60)}${text.length > 60 ? '...' : ''}"`);
-
-      const req = https.request(requestOptions, (res) => {
-        if (res.statusCode !== 200) {
-          let errorBody = '';
-          res.on('data', (chunk) => {
-            errorBody += chunk.toString();
-          });
-          res.on('end', () => {
-            reject(new Error(`TTS request failed (${res.statusCode}): ${errorBody}`));
-          });
-          return;
-        }
+    const preview = `"${text.slice(0, 60)}${text.length > 60 ? '...' : ''}"`;
+    const cacheKey = this.cache
+      ? this.cache.key({
+          provider: this.provider,
+          text,
+          voice: options.model || this.model,
+          encoding: options.encoding || 'linear16',
+          sampleRate: options.sampleRate || 16000,
+          prosody: options.prosody,
+        })
+      : null;
+    const cached = cacheKey ? await this.cache.get(cacheKey) : null;
+    if (cached) {
+      log.info(`[tts] Cache hit (${cached.length} bytes) for text: ${preview}`);
+      yield cached;
+      return;
+    }
 
-        const chunks = [];
-        let totalBytes = 0;
+    log.info(`[tts] Generating speech (${this.provider}) for text: ${preview}`);
+    const chunks = [];
+    for await (const chunk of this.adapter.streamSpeech(text, options)) {
+      chunks.push(chunk);
+      yield chunk;
+    }
+    const audio = Buffer.concat(chunks);
+    log.info(`[tts] Generated ${audio.length} bytes of audio`);
+    // Only complete audio is cached; a cancelled stream never gets here.
+    if (cacheKey) this.cache.set(cacheKey, audio);
+  }
 
-        res.on('data', (chunk) => {
+  /**
+   * Like streamSpeech, but synthesis starts now rather than when iteration
+   * begins, and chunks are buffered until read.  Lets the next sentence be
+   * synthesised while the current one is still being sent.
+   *
+   * @returns {AsyncGenerator<Buffer>}
+   */
+  startSpeech(text, options = {}) {
+    const source = this.streamSpeech(text, options);
+    const chunks = [];
+    let done = false;
+    let error = null;
+    let wake = null;
+
+    (async () => {
+      try {
+        for await (const chunk of source) {
           chunks.push(chunk);
-          totalBytes += chunk.length;
-        });
-
-        res.on('end', () => {
-          const audioBuffer = Buffer.concat(chunks);
-          log.info(`[tts] Generated ${totalBytes} bytes of audio`);
-          resolve(audioBuffer);
-        });
-
-        res.on('error', (err) => {
-          reject(err);
-        });
-      });
-
-      req.setTimeout(timeoutMs, () => {
-        req.destroy(new Error(`TTS request timed out after ${timeoutMs} ms`));
-      });
-
-      req.on('error', (err) => {
-        reject(err);
-      });
+          if (wake) wake();
+        }
+      } catch (err) {
+        error = err;
+      } finally {
+        done = true;
+        if (wake) wake();
+      }
+    })();
+
+    return (async function* drain() {
+      try {
+        for (;;) {
+          if (chunks.length > 0) {
+            yield chunks.shift();
+          } else if (error) {
+            throw error;
+          } else if (done) {
+            return;
+          } else {
+            await new Promise((resolve) => {
+              wake = resolve;
+            });
+            wake = null;
+          }
+        }
+      } finally {
+        // A reader that stops early no longer needs the rest of the audio.
+        if (!done) source.return().catch(() => {});
+      }
+    })();
+  }
 
-      req.write(JSON.stringify({ text }));
-      req.end();
-    });
+  /**
+   * Synthesise one piece of text in full.
+   *
+   * @returns {Promise<Buffer>} raw audio
+   */
+  async generateSpeech(text, options = {}) {
+    const chunks = [];
+    for await (const chunk of this.streamSpeech(text, options)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
   }
 }
 
@@ -348,4 +348,4 @@ function aggregateVoiceMetrics(metricsList) {
   };
 }
 
-module.exports = { computeVoiceMetrics, aggregateVoiceMetrics };
+module.exports = { computeVoiceMetrics, aggregateVoiceMetrics, HESITATION_REGEX };
@@ -1,11 +1,48 @@
 const { WebSocketServer } = require('ws');
 const { randomUUID } = require('crypto');
-const { DeepgramClient } = require('./deepgramClient');
+const { createSttProvider } = require('./providers/stt');
 const { LlmClient } = require('./llmClient');
 const { TtsClient } = require('./ttsClient');
+const { resolveCustomerVoice, detectCustomerMood, prosodyFor } = require('./customerVoice');
 const { supabase } = require('./lib/supabase');
-const { computeMetrics } = require('./metricsEngine');
+const { METHODOLOGY_IDS, computeMetrics } = require('./metricsEngine');
 const { computeVoiceMetrics } = require('./voiceMetrics');
+const {
+  DEFAULT_PACK,
+  SCENARIO_MAP,
+  DEFAULT_SCENARIO_ID,
+  loadScenarioMapForUser,
+  getOrganizationIdForUser,
+} = require('./scenarios');
+const { loadKnowledgeIndex, searchIndex, formatSnippets } = require('./knowledgeBase');
+const { resolveSessionVersion } = require('./scenarioVersions');
+const { personaAttributes } = require('./personaCompiler');
+const { createStageTracker, applyStagePrompt } = require('./stageTracker');
+const { evaluateDealOutcome } = require('./dealOutcome');
+const { fetchRatings, recordSessionRatings } = require('./skillRating');
+const { createSentenceSplitter } = require('./sentenceSplitter');
+const { generateStructuredFeedback } = require('./feedbackSchema');
+const { formatNumberedTranscript, evidenceItemFormat, linkFeedbackEvidence } = require('./feedbackEvidence');
+const {
+  DEFAULT_RUBRIC,
+  normalizeRubric,
+  resolveRubric,
+  buildRubricPrompt,
+  buildScoresTemplate,
+  applyRubric,
+  unscoredFeedback,
+} = require('./rubrics');
+const { getOrgSettings } = require('./orgSettings');
+const {
+  DIFFICULTY_CONFIG,
+  computeAverages,
+  assessDifficulty,
+  assessDifficultyFromRatings,
+  computeLiveSignals,
+  decideLiveDifficulty,
+  buildDifficultyModifier,
+  applyDifficultyModifier,
+} = require('./difficultyEngine');
 
 // ── Observability ────────────────────────────────────────────────────────────
 const log = require('./lib/logger');
@@ -13,36 +50,22 @@ const perf = require('./lib/perfTracker');
 const usage = require('./lib/usageTracker');
 
 const SILENCE_TIMEOUT_MS = 5000; // Fallback: 5 seconds after last speech to trigger LLM response.
-                                 // Normally Deepgram's UtteranceEnd fires sooner (see utterance_end_ms).
+                                 // Normally the STT provider's utterance end fires sooner (Deepgram: utterance_end_ms).
 const COACH_HINT_COOLDOWN_MS = 10000;
 const COACHING_SYSTEM_PROMPT =
   'You are a live sales coach.\n' +
   'Provide a short, actionable suggestion (1 sentence max).\n' +
   'Only suggest improvements.\n' +
+  'When product knowledge is provided, correct any inaccurate claim and suggest the accurate answer.\n' +
   'If no suggestion is needed, return null.';
-
-const DIFFICULTY_CONFIG = {
-  thresholds: {
-    beginnerMax: 5,
-    intermediateMax: 7.5,
-  },
-  sessionLookback: 10,
-  defaultLevel: 'Beginner',
-  modifiers: {
-    Beginner:
-      'DIFFICULTY: Beginner.\n' +
-      'Customer is slightly patient.\n' +
-      'Gives clearer objections.\n' +
-      'Interrupts less often.',
-    Intermediate:
-      'DIFFICULTY: Intermediate.\n' +
-      'Customer shows balanced skepticism.\n' +
-      'Occasional interruptions.',
-    Advanced:
-      'DIFFICULTY: Advanced.\n' +
-      'Customer is highly skeptical and interrupts frequently.\n' +
-      'Raises complex objections and demands ROI, compliance, and competitor comparisons.',
-  },
+const CUSTOMER_KNOWLEDGE_PROMPT =
+  'PRODUCT FACTS (from the vendor\'s own materials; you researched them before this call).\n' +
+  'Use them to judge the trainee\'s claims. If the trainee states a price, feature or limit that contradicts them, challenge it.\n' +
+  'Do not recite these facts unprompted.\n';
+const KNOWLEDGE_CHAR_BUDGET = {
+  customer: 1500,
+  coach: 1000,
+  feedback: 2500,
 };
 
 // Message types keep the contract explicit and easy to extend later.
@@ -69,150 +92,12 @@ const MESSAGE_TYPES = {
   CALL_END: 'call.end',
   CALL_RESET: 'call.reset',
   CALL_FEEDBACK: 'call.feedback',
+  SCENARIO_STAGE: 'scenario.stage',
 };
 
-const BASE_CUSTOMER_PROMPT =
-  'You are a realistic customer in a sales training simulation.\n' +
-  'You are the CUSTOMER. The trainee is the salesperson.\n' +
-  'Never act like the agent or support rep. Do not say things like "How can I help you?" or "I can assist you."\n' +
-  'Never pitch, offer services, or describe products as if they are yours.\n' +
-  'If the trainee is vague (e.g., "services"), ask what they mean and request specifics.\n' +
-  'IMPORTANT: Do NOT make assumptions about vague or unclear statements.\n' +
-  'IMPORTANT: This is a VOICE conversation. The trainee\'s text comes from speech-to-text transcription.\n' +
-  'Expect natural speech patterns: filler words ("um", "uh"), minor grammatical errors, repeated words, and informal phrasing.\n' +
-  'These are NORMAL in spoken language — do NOT treat them as unclear or confusing.\n' +
-  'Only ask for clarification when the actual MEANING or INTENT is genuinely unclear, not because of speech disfluencies.\n' +
-  'If the trainee provides substantive information (product names, pricing tiers, features, numbers), acknowledge it and respond as a customer would — ask follow-up questions, raise concerns, or push back on specifics.\n' +
-  'When the salesperson is truly unclear or vague (e.g., gives no real information, just says "we have solutions"), respond with:\n' +
-  '- "I\'m not sure what you mean. Can you be more specific?"\n' +
-  '- "Sorry, can you clarify what you\'re offering?"\n' +
-  '- "I need you to be clearer about..."\n' +
-  'Do NOT use "I didn\'t catch that" unless the previous message was extremely short (under 5 words) or truly unintelligible.\n' +
-  'If you need details, ask as a customer (e.g., "What does that include?", "How much does it cost?", "What is the timeline?").\n' +
-  'Ask direct follow-up questions when information is missing.\n' +
-  'Challenge vague pitches by asking for concrete details.\n' +
-  'Your goal is to train the salesperson to communicate clearly and specifically.';
-
-const SCENARIOS = [
-  {
-    id: 'price_sensitive_small_business',
-    name: 'Price-Sensitive Small Business',
-    description: 'Owner/operator focused on cost, quick ROI, and limited budget.',
-    systemPrompt:
-      BASE_CUSTOMER_PROMPT +
-      '\nYou are a small business owner focused on keeping costs low and seeing quick ROI.\n' +
-      'You are price-sensitive, ask about discounts, and push back on premium tiers.\n' +
-      'FIRST RESPONSE MUST reference budget sensitivity and ask for pricing or discounts.',
-  },
-  {
-    id: 'enterprise_procurement_officer',
-    name: 'Enterprise Procurement Officer',
-    description: 'Procurement lead focused on compliance, vendor risk, and contracts.',
-    systemPrompt:
-      BASE_CUSTOMER_PROMPT +
-      '\nYou are an enterprise procurement officer evaluating vendors.\n' +
-      'You care about compliance, SLAs, security, and procurement process details.\n' +
-      'FIRST RESPONSE MUST ask about compliance, security, and procurement process requirements.',
-  },
-  {
-    id: 'angry_existing_customer',
-    name: 'Angry Existing Customer',
-    description: 'Upset customer with a recent issue and low patience.',
-    systemPrompt:
-      BASE_CUSTOMER_PROMPT +
-      '\nYou are an existing customer who is angry about a recent issue.\n' +
-      'You are impatient, want accountability, and need a clear resolution plan.\n' +
-      'FIRST RESPONSE MUST start with a complaint and urgency about the unresolved issue.',
-  },
-  {
-    id: 'cold_uninterested_prospect',
-    name: 'Cold Uninterested Prospect',
-    description: 'Busy prospect with low interest and short attention span.',
-    systemPrompt:
-      BASE_CUSTOMER_PROMPT +
-      '\nYou are a cold prospect with low interest and limited time.\n' +
-      'You ask why this matters and try to end the call quickly unless it is compelling.\n' +
-      'FIRST RESPONSE MUST signal low interest and time pressure.',
-  },
-];
-
-const ROLE_COMPLIANCE_SUFFIX =
-  '\nROLE COMPLIANCE (STRICT): You are the CUSTOMER. The trainee is the salesperson.\n' +
-  'Do not act like an agent or support rep. Never say you can help, assist, resolve, or handle their issue.\n' +
-  'Always respond as the customer with customer needs, concerns, and questions.';
-
-const SCENARIO_MAP = SCENARIOS.reduce((acc, scenario) => {
-  acc[scenario.id] = {
-    ...scenario,
-    systemPrompt: `${scenario.systemPrompt}${ROLE_COMPLIANCE_SUFFIX}`,
-  };
-  return acc;
-}, {});
-
-// TODO: Add skill-specific difficulty weighting per score dimension.
 // TODO: Add scenario-specific scaling for difficulty thresholds.
-// TODO: Add adaptive mid-call escalation based on live performance signals.
-
-function toNumber(value) {
-  const num = Number(value);
-  return Number.isFinite(num) ? num : null;
-}
-
-function computeAverages(rows) {
-  if (!Array.isArray(rows) || rows.length === 0) {
-    return null;
-  }
-
-  let count = 0;
-  let overallSum = 0;
-  let objectionSum = 0;
-  let claritySum = 0;
-  let confidenceSum = 0;
-
-  for (const row of rows) {
-    const feedback = row?.feedback || {};
-    const overall = toNumber(feedback.overall_score);
-    const objection = toNumber(feedback.objection_handling);
-    const clarity = toNumber(feedback.communication_clarity);
-    const confidence = toNumber(feedback.confidence);
-
-    if (overall === null && objection === null && clarity === null && confidence === null) {
-      continue;
-    }
-
-    count += 1;
-    overallSum += overall ?? 0;
-    objectionSum += objection ?? 0;
-    claritySum += clarity ?? 0;
-    confidenceSum += confidence ?? 0;
-  }
-
-  if (count === 0) return null;
-
-  return {
-    overall_score: overallSum / count,
-    objection_handling: objectionSum / count,
-    communication_clarity: claritySum / count,
-    confidence: confidenceSum / count,
-  };
-}
-
-function classifyDifficulty(averages) {
-  if (!averages) return DIFFICULTY_CONFIG.defaultLevel;
-  const overall = averages.overall_score ?? 0;
-  if (overall < DIFFICULTY_CONFIG.thresholds.beginnerMax) return 'Beginner';
-  if (overall <= DIFFICULTY_CONFIG.thresholds.intermediateMax) return 'Intermediate';
-  return 'Advanced';
-}
-
-function applyDifficultyModifier(basePrompt, level) {
-  const modifier = DIFFICULTY_CONFIG.modifiers[level] || '';
-  return modifier ? `${basePrompt}\n\n${modifier}` : basePrompt;
-}
-
 // TODO: Add scenario difficulty levels.
 // TODO: Add industry-specific scripts.
-// TODO: Support trainer-created custom scenarios.
 
 // Track basic stream state per connection so we can log duration and sizes.
 function createStreamState() {
@@ -224,6 +109,30 @@ function createStreamState() {
   };
 }
 
+// Per-call record of which LLM answered, stored with the session.
+function createLlmUsage() {
+  return {
+    customer_models: {}, // "provider/model" -> customer turns answered
+    fallback_turns: 0,
+    feedback_model: null,
+    feedback_repairs: 0, // Re-asks needed before the feedback JSON validated.
+  };
+}
+
+function llmAnswerMeta(answer) {
+  return {
+    model: `${answer.provider}/${answer.model}`,
+    attempts: answer.attempts,
+    fallback: answer.fallback,
+  };
+}
+
+function recordLlmAnswer(llmUsage, answer) {
+  const { model } = llmAnswerMeta(answer);
+  llmUsage.customer_models[model] = (llmUsage.customer_models[model] || 0) + 1;
+  if (answer.fallback) llmUsage.fallback_turns += 1;
+}
+
 // Simple helper to avoid crashing on malformed JSON payloads.
 function safeParseJson(data) {
   try {
@@ -242,21 +151,28 @@ function setupWebsocket(server) {
     log.info(`[ws] Client connected${clientAddress ? ` from ${clientAddress}` : ''}`);
 
     const streamState = createStreamState();
-    let deepgramClient = null;
+    let sttClient = null;
+    let sttTurn = 0; // Index of the next user audio stream in this call (replay STT plays turns in order).
+    // The audio stream whose STT session is still being set up: { held, ended, cancelled }.
+    // Chunks are held until the session connects; an end that arrives first
+    // is applied once the held audio has been forwarded.
+    let pendingStream = null;
     const llmClient = new LlmClient();
-    const ttsClient = new TtsClient(process.env.DEEPGRAM_API_KEY || '');
+    const ttsClient = new TtsClient();
     let conversation = [];
     let accumulatedTranscript = '';
     let silenceTimer = null;
     let callStartTime = Date.now();
     let sessionId = null;
     let scenarioLocked = false;
-    let activeScenario = SCENARIO_MAP.price_sensitive_small_business;
+    let activeScenario = SCENARIO_MAP[DEFAULT_SCENARIO_ID];
+    let scenarioSelection = null; // Pending custom-scenario lookup; awaited before the call starts.
     let llmInFlight = false;
     let pendingTranscript = '';
     let interrupted = false; // Barge-in flag: when true, stop sending agent audio chunks.
     let agentSpeakingState = false; // Track whether agent TTS is in progress.
     let ttsSessionId = 0; // Increment to invalidate in-flight chunk send loops.
+    let activeTurnAbort = null; // Aborts the current turn's LLM stream and TTS requests.
     let interruptNotified = false; // Ensure we only notify interrupt once per utterance.
     let callEnded = false;
     let coachHintSentForTurn = false;
@@ -265,11 +181,25 @@ function setupWebsocket(server) {
     let autoDifficultyEnabled = true;
     let currentDifficulty = DIFFICULTY_CONFIG.defaultLevel;
     let difficultyAverages = null;
+    let difficultyFocus = []; // Weak skills targeted by this call's modifiers.
+    let liveDifficultyEnabled = false; // Mid-call escalation only runs when a modifier was applied.
+    let difficultyTimeline = []; // {level, turn, elapsed_ms, reason, modifier, performance?, signals?}
+    let lastDifficultyChangeTurn = 0;
+    let coachHintCount = 0;
+    let llmUsage = createLlmUsage(); // Which models answered this call's customer turns and feedback.
+    let stageTracker = null; // Created per call from the active scenario's stages.
+    let knowledgeIndex = null; // BM25 index of the organization's knowledge base, loaded at call start.
+    let scenarioVersion = null; // { id, version_number, content_hash } of the scenario content in play.
+    let activeRubric = DEFAULT_RUBRIC; // Scoring rubric for this call's feedback, resolved at call start.
+    let activeMethodology = null; // Organization's sales methodology (spin/bant/meddic) for coverage metrics.
+    let customerVoice = resolveCustomerVoice(activeScenario, ttsClient.provider); // Voice, rate and style for this scenario.
+    let customerMood = customerVoice.baseline_mood; // Shifts prosody as the customer's replies show frustration or interest.
 
     // ── Conversation intelligence tracking ──────────────────────
     let interruptionCount = 0;
-    let turnTimestamps = []; // {role, timestamp} per conversation turn
+    let turnTimestamps = []; // {role, timestamp, durationMs?} per conversation turn
     let lastUserTurnEndTime = null; // for response latency measurement
+    let userSpeechMsAtLastTurn = 0; // trainee audio already attributed to earlier turns
 
     // ── Voice / audio intelligence tracking ─────────────────────
     let speakingSegments = []; // {startMs, endMs, samples, sampleRate}
@@ -285,12 +215,73 @@ function setupWebsocket(server) {
       accumulatedTranscript = '';
     }
 
-    function sendDifficultyUpdate(level, averages) {
+    function sendStageUpdate() {
+      if (!stageTracker) return;
+      ws.send(
+        JSON.stringify({
+          type: MESSAGE_TYPES.SCENARIO_STAGE,
+          ...stageTracker.snapshot(),
+        })
+      );
+    }
+
+    // Check stage criteria against one line and swap the stage prompt on change.
+    function advanceStage(speaker, text) {
+      if (!stageTracker || callEnded) return;
+      const { changed, stage } = stageTracker.evaluate({ speaker, text });
+      if (!changed) return;
+      conversation[0].content = applyStagePrompt(activeScenario.systemPrompt, stage);
+      log.info(`[stage] ${stageTracker.snapshot().winConditionMet ? 'Win condition met in' : 'Entered'} stage: ${stage.name}`);
+      sendStageUpdate();
+    }
+
+    // The caller's organization, or null when it cannot be looked up.
+    async function lookupOrganizationId() {
+      try {
+        return await getOrganizationIdForUser(currentUserId);
+      } catch (err) {
+        log.warn('[org] Failed to look up organization:' + err.message || err);
+        return null;
+      }
+    }
+
+    async function loadKnowledgeForCall(orgId) {
+      try {
+        knowledgeIndex = await loadKnowledgeIndex(orgId);
+      } catch (err) {
+        log.warn('[knowledge] Failed to load knowledge base:' + err.message || err);
+        knowledgeIndex = null;
+      }
+    }
+
+    // Organization training settings for this call.  The scenario's own rubric
+    // wins, then the organization's, then the default.
+    async function loadOrgSettingsForCall(orgId) {
+      let settings = {};
+      try {
+        settings = await getOrgSettings(activeScenario.organization_id || orgId);
+      } catch (err) {
+        log.warn('[settings] Failed to load organization settings:' + err.message || err);
+      }
+      const orgRubric = settings.rubric ? normalizeRubric(settings.rubric).value : null;
+      activeRubric = resolveRubric(activeScenario, orgRubric);
+      activeMethodology = METHODOLOGY_IDS.includes(settings.methodology) ? settings.methodology : null;
+    }
+
+    // Retrieve knowledge-base snippets relevant to `query`, formatted for a prompt.
+    function lookupKnowledge(query, maxChars) {
+      if (!knowledgeIndex) return '';
+      return formatSnippets(searchIndex(knowledgeIndex, query, { limit: 3 }), maxChars);
+    }
+
+    function sendDifficultyUpdate(level, averages, change = null) {
       ws.send(
         JSON.stringify({
           type: MESSAGE_TYPES.DIFFICULTY_ASSIGNED,
           level,
           averages,
+          change,
+          focusSkills: difficultyFocus,
           autoEnabled: autoDifficultyEnabled,
         })
       );
@@ -314,44 +305,130 @@ function setupWebsocket(server) {
       return computeAverages(data || []);
     }
 
-    function buildScenarioWithDifficulty(scenario, level) {
+    // Modifier text comes from the scenario (or its pack), falling back to the
+    // default pack, followed by focus modifiers for the trainee's weak skills.
+    function buildScenarioWithDifficulty(scenario, difficultyContext) {
+      const modifier = buildDifficultyModifier(
+        difficultyContext.level,
+        scenario.difficulty_modifiers || DEFAULT_PACK.difficulty_modifiers,
+        difficultyContext.focusSkills
+      );
+      const basePrompt = scenario.basePrompt || scenario.systemPrompt;
       return {
         ...scenario,
-        systemPrompt: applyDifficultyModifier(scenario.systemPrompt, level),
+        basePrompt,
+        systemPrompt: applyDifficultyModifier(basePrompt, modifier),
+        appliedDifficultyModifier: modifier || null,
       };
     }
 
+    // Re-check live signals after a completed turn and move the customer one
+    // difficulty step when the trainee is clearly cruising or struggling.
+    function reassessDifficulty() {
+      if (!liveDifficultyEnabled || !autoDifficultyEnabled || callEnded) return;
+
+      const signals = computeLiveSignals({ conversation, hintCount: coachHintCount });
+      const decision = decideLiveDifficulty({
+        level: currentDifficulty,
+        signals,
+        lastChangeTurn: lastDifficultyChangeTurn,
+      });
+      if (!decision) return;
+
+      activeScenario = buildScenarioWithDifficulty(activeScenario, {
+        level: decision.level,
+        focusSkills: difficultyFocus,
+      });
+      conversation[0].content = stageTracker
+        ? applyStagePrompt(activeScenario.systemPrompt, stageTracker.current())
+        : activeScenario.systemPrompt;
+      currentDifficulty = decision.level;
+      lastDifficultyChangeTurn = signals.trainee_turns;
+      difficultyTimeline.push({
+        level: decision.level,
+        turn: signals.trainee_turns,
+        elapsed_ms: Date.now() - callStartTime,
+        reason: decision.direction,
+        performance: decision.performance,
+        signals,
+        modifier: activeScenario.appliedDifficultyModifier,
+      });
+      log.info(
+        `[difficulty] ${decision.direction === 'escalate' ? 'Escalated' : 'Eased'} to ${decision.level} ` +
+          `at turn ${signals.trainee_turns} (live performance ${decision.performance})`
+      );
+      sendDifficultyUpdate(currentDifficulty, difficultyAverages, decision.direction);
+    }
+
     async function resolveDifficulty() {
       if (!autoDifficultyEnabled) {
         return {
           level: 'Intermediate',
           averages: null,
+          weightedScore: null,
+          focusSkills: [],
           applyModifier: false,
         };
       }
 
+      // Skill ratings pick the level once they are reliable; until then the
+      // recent session averages do.
+      let ratings = null;
+      try {
+        ratings = await fetchRatings(currentUserId);
+      } catch (err) {
+        log.warn('[difficulty] Failed to fetch skill ratings:' + err.message || err);
+      }
       const averages = await fetchRecentAverages();
-      const level = classifyDifficulty(averages);
-      return { level, averages, applyModifier: true };
+      const fromRatings = assessDifficultyFromRatings(ratings);
+      const { level, weightedScore, focusSkills } = fromRatings || assessDifficulty(averages);
+      return {
+        level,
+        averages,
+        weightedScore,
+        focusSkills,
+        source: fromRatings ? 'ratings' : 'averages',
+        applyModifier: true,
+      };
     }
 
     function startCallWithScenario(scenario, difficultyContext) {
       activeScenario = scenario;
+      customerVoice = resolveCustomerVoice(scenario, ttsClient.provider);
+      customerMood = customerVoice.baseline_mood;
       scenarioLocked = true;
       callEnded = false;
       coachHintSentForTurn = false;
       callStartTime = Date.now();
+      sttTurn = 0;
       sessionId = randomUUID();
       usage.trackCallStart(currentUserId || 'anonymous');
       resetConversationForScenario(scenario);
+      stageTracker = createStageTracker(scenario.stages);
+      conversation[0].content = applyStagePrompt(scenario.systemPrompt, stageTracker.current());
       log.info(`[scenario] Call started under scenario: ${scenario.name}`);
+      sendStageUpdate();
       if (difficultyContext) {
         currentDifficulty = difficultyContext.level;
         difficultyAverages = difficultyContext.averages;
+        difficultyFocus = difficultyContext.focusSkills || [];
+        liveDifficultyEnabled = Boolean(difficultyContext.applyModifier);
+        difficultyTimeline = [
+          {
+            level: currentDifficulty,
+            turn: 0,
+            elapsed_ms: 0,
+            reason: 'initial',
+            modifier: scenario.appliedDifficultyModifier || null,
+          },
+        ];
+        lastDifficultyChangeTurn = 0;
+        coachHintCount = 0;
+        llmUsage = createLlmUsage();
         log.info(
-          `[difficulty] Assigned ${currentDifficulty} (avg overall: ${
-            difficultyAverages?.overall_score?.toFixed(2) ?? 'n/a'
-          })`
+          `[difficulty] Assigned ${currentDifficulty} from ${difficultyContext.source || 'defaults'} (weighted score: ${
+            difficultyContext.weightedScore?.toFixed(2) ?? 'n/a'
+          }, focus: ${difficultyFocus.map((focus) => focus.skill).join(', ') || 'none'})`
         );
         if (difficultyAverages) {
           log.info(
@@ -391,8 +468,10 @@ function setupWebsocket(server) {
 
       const contextBlock = recentMessages || 'No prior messages.';
       const scenarioLabel = activeScenario ? activeScenario.name : 'Unknown';
+      const knowledge = lookupKnowledge(latestText, KNOWLEDGE_CHAR_BUDGET.coach);
       const coachPrompt =
         `Scenario: ${scenarioLabel}\n` +
+        (knowledge ? `Product knowledge:\n${knowledge}\n\n` : '') +
         `Recent conversation:\n${contextBlock}\n\n` +
         `Latest trainee statement: "${latestText}"\n` +
         'Return one short suggestion or null.';
@@ -415,6 +494,7 @@ function setupWebsocket(server) {
             text: cleaned,
           })
         );
+        coachHintCount += 1;
         log.info('[coach] Coaching hint generated');
       } catch (err) {
         log.info('[coach] Hint skipped (error)');
@@ -423,6 +503,122 @@ function setupWebsocket(server) {
 
     resetConversationForScenario(activeScenario);
 
+    // Trainee audio received so far this call, including a stream still open.
+    function userSpeechMsSoFar() {
+      const segmentMs = (segment) =>
+        segment.sampleRate ? (segment.samples / segment.sampleRate) * 1000 : segment.endMs - segment.startMs;
+      const finishedMs = speakingSegments.reduce((sum, segment) => sum + segmentMs(segment), 0);
+      const liveMs = streamState.active && streamState.sampleRate
+        ? (streamState.totalSamples / streamState.sampleRate) * 1000
+        : 0;
+      return finishedMs + liveMs;
+    }
+
+    // Speak a streamed reply sentence by sentence. Each sentence's TTS stream
+    // starts as soon as the sentence is complete; its audio is forwarded as it
+    // arrives, strictly in sentence order, as agent.audio.chunk frames. A
+    // barge-in (ttsSessionId bump or `signal` abort) drops everything not yet
+    // sent, and the abort cancels the upstream TTS requests.
+    function createSpeechPipeline(turnTtsSession, turn, signal) {
+      const frameSize = 4096; // ~128ms frames at 16kHz PCM16
+      const endFirstAudioTimer = perf.start('tts_first_audio', { sessionId, turn });
+      let tail = Promise.resolve();
+      let started = false;
+      let chunkCount = 0;
+      let sentenceCount = 0;
+      let audioMs = 0; // customer audio actually sent, for the talk-time timeline
+      const cancelled = () => callEnded || interrupted || turnTtsSession !== ttsSessionId;
+
+      async function sendFrame(frame) {
+        if (!started) {
+          ws.send(JSON.stringify({ type: MESSAGE_TYPES.AGENT_AUDIO_START }));
+          started = true;
+          endFirstAudioTimer();
+        }
+        ws.send(
+          JSON.stringify({
+            type: MESSAGE_TYPES.AGENT_AUDIO_CHUNK,
+            payload: frame.toString('base64'),
+            format: 'pcm16',
+            sampleRate: 16000,
+          })
+        );
+        chunkCount++;
+        audioMs += (frame.length / 2 / 16000) * 1000;
+        // Yield to event loop so user.interrupt can be processed immediately.
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+
+      function enqueue(sentence) {
+        if (cancelled()) return;
+        agentSpeakingState = true;
+        const index = sentenceCount++;
+        const endTtsTimer = perf.start('tts', { sessionId, turn, sentence: index });
+        usage.trackTTS(currentUserId || 'anonymous');
+        const mood = detectCustomerMood(sentence, customerMood);
+        if (mood !== customerMood) log.info(`[tts] Customer mood: ${customerMood} → ${mood}`);
+        customerMood = mood;
+        const audio = ttsClient.startSpeech(sentence, {
+          encoding: 'linear16',
+          sampleRate: 16000,
+          model: customerVoice.voice || undefined,
+          prosody: prosodyFor(customerVoice, mood),
+          signal,
+        });
+
+        tail = tail.then(async () => {
+          let pending = Buffer.alloc(0);
+          let received = 0;
+          try {
+            for await (const chunk of audio) {
+              // Barge-in: stop forwarding immediately if the user interrupted.
+              if (cancelled()) {
+                log.info(`[tts] Barge-in: dropped the rest of sentence ${index}`);
+                return;
+              }
+              received += chunk.length;
+              pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+              while (pending.length >= frameSize && !cancelled()) {
+                await sendFrame(pending.subarray(0, frameSize));
+                pending = pending.subarray(frameSize);
+              }
+            }
+            endTtsTimer();
+          } catch (ttsErr) {
+            if (ttsErr.name === 'AbortError') {
+              log.info(`[tts] Sentence ${index} synthesis cancelled`);
+            } else {
+              log.error('[tts] Failed to generate speech:' + ttsErr.message || ttsErr);
+            }
+          }
+          if (received === 0 && !cancelled()) {
+            log.warn(`[tts] Sentence ${index} produced no audio; skipping`);
+            return;
+          }
+          // Whatever audio arrived before a mid-sentence failure is still spoken.
+          if (pending.length > 0 && !cancelled()) await sendFrame(pending);
+        });
+      }
+
+      async function finish() {
+        await tail;
+        agentSpeakingState = false;
+        if (cancelled()) {
+          // Notify frontend that agent speech was interrupted.
+          if (!interruptNotified) {
+            ws.send(JSON.stringify({ type: MESSAGE_TYPES.AGENT_INTERRUPT }));
+            interruptNotified = true;
+          }
+          log.info(`[tts] Agent speech interrupted after ${chunkCount} chunks`);
+        } else if (started) {
+          ws.send(JSON.stringify({ type: MESSAGE_TYPES.AGENT_AUDIO_END }));
+          log.info(`[tts] Sent ${chunkCount} audio chunks for ${sentenceCount} sentences`);
+        }
+      }
+
+      return { enqueue, finish, audioMs: () => Math.round(audioMs) };
+    }
+
     async function handleFinalTranscript(transcriptText) {
       if (callEnded) return;
       const text = (transcriptText || '').trim();
@@ -430,101 +626,82 @@ function setupWebsocket(server) {
 
       conversation.push({ role: 'user', content: text });
       lastUserTurnEndTime = Date.now();
-      turnTimestamps.push({ role: 'user', timestamp: lastUserTurnEndTime });
+      const spokenMs = userSpeechMsSoFar();
+      turnTimestamps.push({
+        role: 'user',
+        timestamp: lastUserTurnEndTime,
+        durationMs: spokenMs > userSpeechMsAtLastTurn ? Math.round(spokenMs - userSpeechMsAtLastTurn) : undefined,
+      });
+      userSpeechMsAtLastTurn = spokenMs;
       const turnCount = Math.floor((conversation.length - 1) / 2);
       log.info(`[llm] Turn ${turnCount} user transcript: "${text}"`);
 
+      // Barge-in aborts this controller, cancelling the LLM stream and any
+      // TTS requests still in flight for this turn.
+      const turnAbort = new AbortController();
+      activeTurnAbort = turnAbort;
+      interrupted = false; // Reset barge-in flag before starting new utterance.
+      interruptNotified = false;
+      customerMood = customerVoice.baseline_mood; // Each reply starts from the persona's usual mood.
+      const speech = createSpeechPipeline(++ttsSessionId, turnCount, turnAbort.signal);
+      const splitter = createSentenceSplitter();
+      let responseText = '';
+      let replyStamp = null;
+
       try {
         const endLlmTimer = perf.start('llm', { sessionId, turn: turnCount });
+        let answer = null;
         usage.trackLLM(currentUserId || 'anonymous');
-        const responseText = await llmClient.generate(conversation);
-        endLlmTimer();
-        if (callEnded) return;
-        const safeResponse = responseText || '...';
-        conversation.push({ role: 'assistant', content: safeResponse });
-        turnTimestamps.push({ role: 'assistant', timestamp: Date.now() });
-        log.info(`[llm] Turn ${turnCount} customer reply: "${safeResponse}"`);
-
-        ws.send(
-          JSON.stringify({
-            type: MESSAGE_TYPES.AGENT_TEXT,
-            text: safeResponse,
-          })
-        );
+        // Product facts ride along for this turn only so the stored conversation stays clean.
+        const knowledge = lookupKnowledge(text, KNOWLEDGE_CHAR_BUDGET.customer);
+        const messages = knowledge
+          ? [
+              ...conversation.slice(0, -1),
+              { role: 'system', content: `${CUSTOMER_KNOWLEDGE_PROMPT}${knowledge}` },
+              conversation[conversation.length - 1],
+            ]
+          : conversation;
 
-        // TODO: Stream LLM tokens directly to TTS for lower latency once streaming is enabled.
-        // Generate TTS audio for the agent response.
         try {
-          log.info('[tts] Starting speech generation...');
-          if (callEnded) return;
-          interrupted = false; // Reset barge-in flag before starting new utterance.
-          interruptNotified = false;
-          agentSpeakingState = true;
-          const currentTtsSession = ++ttsSessionId;
-          let ttsStarted = false;
-
-          const endTtsTimer = perf.start('tts', { sessionId, turn: turnCount });
-          usage.trackTTS(currentUserId || 'anonymous');
-          const audioBuffer = await ttsClient.generateSpeech(safeResponse, {
-            encoding: 'linear16',
-            sampleRate: 16000,
-          });
-          endTtsTimer();
-
-          if (!audioBuffer || audioBuffer.length === 0) {
-            log.warn('[tts] Generated empty audio buffer; skipping playback');
-            agentSpeakingState = false;
-            return;
-          }
-
-          ws.send(JSON.stringify({ type: MESSAGE_TYPES.AGENT_AUDIO_START }));
-          ttsStarted = true;
-
-          // Split audio into chunks for streaming-like experience.
-          // Check interrupted flag before sending each chunk for barge-in support.
-          const chunkSize = 4096; // ~256ms chunks at 16kHz PCM16
-          let offset = 0;
-          let chunkCount = 0;
-          while (offset < audioBuffer.length) {
-            // Barge-in: stop sending chunks immediately if user interrupted.
-            if (callEnded || interrupted || currentTtsSession !== ttsSessionId) {
-              log.info(`[tts] Barge-in: cancelled remaining ${Math.ceil((audioBuffer.length - offset) / chunkSize)} chunks`);
-              break;
-            }
-            const chunk = audioBuffer.slice(offset, offset + chunkSize);
-            ws.send(
-              JSON.stringify({
-                type: MESSAGE_TYPES.AGENT_AUDIO_CHUNK,
-                payload: chunk.toString('base64'),
-                format: 'pcm16',
-                sampleRate: 16000,
-              })
-            );
-            offset += chunkSize;
-            chunkCount++;
-            // Yield to event loop so user.interrupt can be processed immediately.
-            await new Promise((resolve) => setTimeout(resolve, 0));
+          const onAnswer = (info) => {
+            answer = info;
+          };
+          for await (const delta of llmClient.stream(messages, { signal: turnAbort.signal, onAnswer })) {
+            responseText += delta;
+            splitter.push(delta).forEach(speech.enqueue);
           }
+          splitter.flush().forEach(speech.enqueue);
+        } catch (streamErr) {
+          if (!turnAbort.signal.aborted) throw streamErr;
+          log.info(`[barge-in] LLM stream cancelled after ${responseText.length} characters`);
+        }
+        endLlmTimer(answer ? llmAnswerMeta(answer) : {});
+        if (answer) recordLlmAnswer(llmUsage, answer);
+        if (callEnded) return;
 
-          agentSpeakingState = false;
-          if (callEnded || interrupted || currentTtsSession !== ttsSessionId) {
-            // Notify frontend that agent speech was interrupted.
-            if (!interruptNotified) {
-              ws.send(JSON.stringify({ type: MESSAGE_TYPES.AGENT_INTERRUPT }));
-              interruptNotified = true;
-            }
-            log.info(`[tts] Agent speech interrupted after ${chunkCount} chunks`);
-          } else if (ttsStarted) {
-            ws.send(JSON.stringify({ type: MESSAGE_TYPES.AGENT_AUDIO_END }));
-            log.info(`[tts] Sent ${chunkCount} audio chunks`);
-          }
-        } catch (ttsErr) {
-          log.error('[tts] Failed to generate speech:' + ttsErr.message || ttsErr);
-          agentSpeakingState = false;
-          ws.send(JSON.stringify({ type: MESSAGE_TYPES.AGENT_AUDIO_END }));
+        // An interrupted reply keeps only what the customer got to say.
+        const safeResponse = responseText.trim() || (turnAbort.signal.aborted ? '' : '...');
+        if (safeResponse) {
+          conversation.push({ role: 'assistant', content: safeResponse });
+          replyStamp = { role: 'assistant', timestamp: Date.now() };
+          turnTimestamps.push(replyStamp);
+          log.info(`[llm] Turn ${turnCount} customer reply: "${safeResponse}"`);
+          advanceStage('customer', safeResponse);
+          reassessDifficulty();
+
+          ws.send(
+            JSON.stringify({
+              type: MESSAGE_TYPES.AGENT_TEXT,
+              text: safeResponse,
+            })
+          );
         }
+
+        await speech.finish();
+        if (replyStamp && speech.audioMs() > 0) replyStamp.durationMs = speech.audioMs();
       } catch (err) {
         log.error('[llm] Failed to generate response:' + err.message || err);
+        await speech.finish();
         ws.send(
           JSON.stringify({
             type: MESSAGE_TYPES.AGENT_TEXT,
@@ -532,6 +709,7 @@ function setupWebsocket(server) {
           })
         );
       } finally {
+        if (activeTurnAbort === turnAbort) activeTurnAbort = null;
         llmInFlight = false;
         if (!callEnded && pendingTranscript) {
           const nextTranscript = pendingTranscript;
@@ -552,8 +730,81 @@ function setupWebsocket(server) {
         return;
       }
       llmInFlight = true;
+      advanceStage('trainee', cleaned);
       handleFinalTranscript(cleaned);
     }
+
+    // Transcript events from the STT provider (see providers/stt).
+    function handleSttEvent(eventType, data) {
+      switch (eventType) {
+        case 'stt.partial': {
+          ws.send(
+            JSON.stringify({
+              type: MESSAGE_TYPES.STT_PARTIAL,
+              text: data.text,
+            })
+          );
+          break;
+        }
+        case 'stt.final': {
+          ws.send(
+            JSON.stringify({
+              type: MESSAGE_TYPES.STT_FINAL,
+              text: data.text,
+            })
+          );
+
+          // Track STT event for voice metrics.
+          sttEvents.push({
+            text: data.text || '',
+            timestamp: Date.now(),
+            confidence: data.confidence != null ? data.confidence : null,
+          });
+
+          // Accumulate transcript and reset silence timer.
+          const cleaned = (data.text || '').trim();
+          if (cleaned) {
+            accumulatedTranscript = accumulatedTranscript ? `${accumulatedTranscript} ${cleaned}` : cleaned;
+            generateCoachHint(accumulatedTranscript);
+          }
+          // Reset the fallback silence timer (fires only if UtteranceEnd never arrives).
+          if (silenceTimer) clearTimeout(silenceTimer);
+          silenceTimer = setTimeout(() => {
+            silenceTimer = null;
+            // Only flush if the user has stopped recording (pressed Stop Speaking).
+            // While the mic is active, we keep accumulating — USER_AUDIO_END will flush.
+            if (accumulatedTranscript && !streamState.active) {
+              log.info('[ws] Fallback silence timer fired — flushing transcript');
+              const toSend = accumulatedTranscript;
+              accumulatedTranscript = '';
+              queueTranscript(toSend);
+              coachHintSentForTurn = false;
+            }
+          }, SILENCE_TIMEOUT_MS);
+          break;
+        }
+        case 'stt.utterance_end': {
+          // The STT provider detected genuine audio silence (Deepgram: 1.5s)
+          // — the user has finished speaking.  Flush the accumulated
+          // transcript so the agent responds promptly.
+          if (silenceTimer) {
+            clearTimeout(silenceTimer);
+            silenceTimer = null;
+          }
+          if (accumulatedTranscript) {
+            log.info('[ws] STT utterance end — flushing transcript');
+            const toSend = accumulatedTranscript;
+            accumulatedTranscript = '';
+            queueTranscript(toSend);
+            coachHintSentForTurn = false;
+          }
+          break;
+        }
+        default:
+          break;
+      }
+    }
+
     // TODO: Add end-of-call feedback summarization once call termination flow exists.
 
     async function generateCallFeedback() {
@@ -571,6 +822,8 @@ function setupWebsocket(server) {
           callDurationMs,
           interruptionCount,
           turnTimestamps,
+          callStartTime,
+          methodology: activeMethodology,
         });
         log.info(`[metrics] Talk ratio: ${conversationMetrics.talk_ratio}, Questions: ${conversationMetrics.user_questions_asked}, Engagement: ${conversationMetrics.engagement_score}`);
       } catch (metricsErr) {
@@ -609,126 +862,175 @@ function setupWebsocket(server) {
         transcriptLines.push(`${speaker}: ${msg.content}`);
       }
       const transcript = transcriptLines.join('\n');
-
+      const transcriptMessages = conversation.slice(1);
+
+      const stageSummary = stageTracker ? stageTracker.summary() : null;
+      const stageContext = stageSummary
+        ? `Call stages reached: ${stageSummary.reached.join(', ') || 'none'}. ` +
+          `Skipped: ${stageSummary.skipped.join(', ') || 'none'}. ` +
+          `Not reached: ${stageSummary.not_reached.join(', ') || 'none'}. ` +
+          `Win condition ${stageSummary.win_condition_met ? 'met' : 'not met'}.\n\n`
+        : '';
+
+      const coverage = conversationMetrics && conversationMetrics.methodology_coverage;
+      const methodologyContext = coverage
+        ? `${coverage.name} coverage (keyword-detected): ` +
+          coverage.elements.map((element) => `${element.label} ${element.covered ? 'covered' : 'missed'}`).join(', ') +
+          '. List important missed elements under missed_opportunities.\n\n'
+        : '';
+
+      const traineeText = conversation
+        .filter((msg) => msg.role === 'user')
+        .map((msg) => msg.content)
+        .join(' ');
+      const knowledge = lookupKnowledge(traineeText, KNOWLEDGE_CHAR_BUDGET.feedback);
+      const knowledgeContext = knowledge
+        ? `Product knowledge (list any trainee claim that contradicts it under weaknesses):\n${knowledge}\n\n`
+        : '';
+
+      const rubric = activeRubric;
       const feedbackPrompt =
         'You are a sales coach evaluating a sales training call.\n' +
         'Analyze the trainee\'s performance objectively and constructively.\n' +
         `\nScenario: ${activeScenario ? activeScenario.name : 'Unknown'}\n\n` +
-        `Call transcript:\n${transcript}\n\n` +
-        'Provide feedback in STRICT JSON format with this structure:\n' +
+        stageContext +
+        methodologyContext +
+        knowledgeContext +
+        `Call transcript (turn numbers in brackets):\n${formatNumberedTranscript(transcriptMessages)}\n\n` +
+        `${buildRubricPrompt(rubric)}\n\n` +
+        'Provide feedback in STRICT JSON format with this structure, where every <item> is ' +
+        `${evidenceItemFormat()} citing the turn that best supports the point:\n` +
         '{\n' +
         '  "overall_score": <number 0-10>,\n' +
-        '  "strengths": [<string>],\n' +
-        '  "weaknesses": [<string>],\n' +
-        '  "objection_handling": <number 0-10>,\n' +
-        '  "communication_clarity": <number 0-10>,\n' +
-        '  "confidence": <number 0-10>,\n' +
-        '  "missed_opportunities": [<string>],\n' +
-        '  "actionable_suggestions": [<string>]\n' +
+        `${buildScoresTemplate(rubric)},\n` +
+        '  "strengths": [<item>],\n' +
+        '  "weaknesses": [<item>],\n' +
+        '  "missed_opportunities": [<item>],\n' +
+        '  "actionable_suggestions": [<item>]\n' +
         '}\n\n' +
         'Return ONLY valid JSON. Do not include any explanatory text.';
 
+      // The customer's buy/no-buy decision runs alongside the coach feedback;
+      // it never rejects (falls back to keyword matching on failure).
+      const dealOutcomePromise = evaluateDealOutcome({
+        criteria: activeScenario ? activeScenario.buying_criteria : null,
+        conversation,
+        llmClient,
+        scenarioName: activeScenario ? activeScenario.name : null,
+      });
+
+      // A call the model cannot score is still saved (transcript, metrics,
+      // stages, deal outcome) with `feedback_error`; only the scores are missing.
+      let feedbackData;
+      let feedbackError = null;
       try {
         const endFeedbackTimer = perf.start('feedback', { sessionId });
-        const feedbackText = await llmClient.generate([
-          { role: 'system', content: feedbackPrompt },
-        ]);
-        endFeedbackTimer();
-
-        // Parse and validate JSON.
-        let feedbackData;
-        try {
-          feedbackData = JSON.parse(feedbackText);
-        } catch (parseErr) {
-          log.error('[feedback] Failed to parse LLM JSON response:' + parseErr);
-          throw new Error('LLM returned invalid JSON');
-        }
-
-        // Validate required fields.
-        const requiredFields = [
-          'overall_score',
-          'strengths',
-          'weaknesses',
-          'objection_handling',
-          'communication_clarity',
-          'confidence',
-          'missed_opportunities',
-          'actionable_suggestions',
-        ];
-        for (const field of requiredFields) {
-          if (!(field in feedbackData)) {
-            throw new Error(`Missing required field: ${field}`);
-          }
-        }
+        let feedbackAnswer = null;
+        // Fences, prose and out-of-range scores are repaired, or the model is re-asked.
+        const { feedback: rawFeedback, repairs } = await generateStructuredFeedback({
+          llmClient,
+          prompt: feedbackPrompt,
+          scoreKeys: rubric.criteria.map((criterion) => criterion.key),
+          onAnswer: (info) => {
+            feedbackAnswer = info;
+          },
+        });
+        endFeedbackTimer(feedbackAnswer ? llmAnswerMeta(feedbackAnswer) : {});
+        if (feedbackAnswer) llmUsage.feedback_model = llmAnswerMeta(feedbackAnswer).model;
+        llmUsage.feedback_repairs = repairs;
+        // Citations are checked against the real transcript before anyone sees them.
+        feedbackData = linkFeedbackEvidence(applyRubric(rawFeedback, rubric), {
+          messages: transcriptMessages,
+          turnTimestamps,
+          callStartTime,
+        });
 
         log.info('[feedback] Successfully generated feedback');
         log.info(`[feedback] Overall score: ${feedbackData.overall_score}/10`);
-        usage.trackCallEnd(currentUserId || 'anonymous');
-        usage.trackSTT(currentUserId || 'anonymous', callDurationMs / 1000);
+      } catch (err) {
+        log.error('[feedback] Failed to generate feedback:' + err.message || err);
+        feedbackError = err.message || String(err);
+        feedbackData = unscoredFeedback(rubric, 'Unable to score this call due to a technical error.');
+      }
 
-        ws.send(
-          JSON.stringify({
-            type: MESSAGE_TYPES.CALL_FEEDBACK,
-            payload: feedbackData,
-            conversationMetrics,
-            audioMetrics,
-            callDurationMs,
-            turnCount,
-          })
+      const dealOutcome = await dealOutcomePromise;
+      if (dealOutcome) {
+        feedbackData.deal_outcome = dealOutcome;
+        log.info(
+          `[deal] Outcome: ${dealOutcome.outcome} (${dealOutcome.uncovered_count}/${dealOutcome.total_criteria} criteria uncovered)`
         );
+      }
+      usage.trackCallEnd(currentUserId || 'anonymous');
+      usage.trackSTT(currentUserId || 'anonymous', callDurationMs / 1000);
 
-        if (supabase && sessionId && currentUserId) {
-          const feedbackForStorage = {
-            ...feedbackData,
-            difficulty: currentDifficulty,
-            difficulty_averages: difficultyAverages,
-            difficulty_auto: autoDifficultyEnabled,
-            conversation_metrics: conversationMetrics,
-            audio_metrics: audioMetrics,
-          };
-          supabase
-            .from('call_sessions')
-            .insert({
-              session_id: sessionId,
-              user_id: currentUserId,
-              scenario: activeScenario ? activeScenario.name : 'Unknown',
-              call_duration: callDurationMs,
-              transcript,
-              feedback: feedbackForStorage,
-            })
-            .then(({ error }) => {
-              if (error) {
-                log.error('[supabase] Failed to save session:' + error.message || error);
-                return;
-              }
-              log.info('[supabase] Session saved successfully');
-            })
-            .catch((error) => {
+      ws.send(
+        JSON.stringify({
+          type: MESSAGE_TYPES.CALL_FEEDBACK,
+          payload: feedbackData,
+          conversationMetrics,
+          audioMetrics,
+          callDurationMs,
+          turnCount,
+          stages: stageSummary,
+          difficultyTimeline: difficultyTimeline.map(({ modifier, ...entry }) => entry),
+          ...(feedbackError ? { error: true } : {}),
+        })
+      );
+
+      if (supabase && sessionId && currentUserId) {
+        const feedbackForStorage = {
+          ...feedbackData,
+          // `difficulty` stays the starting level so existing analytics keep working.
+          difficulty: difficultyTimeline.length > 0 ? difficultyTimeline[0].level : currentDifficulty,
+          difficulty_timeline: difficultyTimeline,
+          difficulty_averages: difficultyAverages,
+          difficulty_focus: difficultyFocus,
+          difficulty_auto: autoDifficultyEnabled,
+          conversation_metrics: conversationMetrics,
+          audio_metrics: audioMetrics,
+          persona: personaAttributes(activeScenario && activeScenario.persona),
+          stages: stageSummary,
+          scenario_version: scenarioVersion,
+          llm: llmUsage,
+          difficulty_modifier: difficultyTimeline.length > 0 ? difficultyTimeline[0].modifier : null,
+          ...(feedbackError ? { feedback_error: feedbackError } : {}),
+        };
+        const ratedUserId = currentUserId;
+        supabase
+          .from('call_sessions')
+          .insert({
+            session_id: sessionId,
+            user_id: currentUserId,
+            scenario: activeScenario ? activeScenario.name : 'Unknown',
+            call_duration: callDurationMs,
+            transcript,
+            feedback: feedbackForStorage,
+            // Also kept in `feedback` (older rows only have it there); the columns make them
+            // queryable.  Added by supabase/migrations/20261019000000_scenario_versions.sql.
+            scenario_version_id: scenarioVersion ? scenarioVersion.id : null,
+            difficulty_modifier: feedbackForStorage.difficulty_modifier,
+          })
+          .select('id')
+          .single()
+          .then(({ data, error }) => {
+            if (error) {
               log.error('[supabase] Failed to save session:' + error.message || error);
+              return;
+            }
+            log.info(`[supabase] Session saved successfully${feedbackError ? ' (unscored)' : ''}`);
+            // An unscored session has nothing to rate.
+            if (feedbackError) return null;
+            return recordSessionRatings({
+              userId: ratedUserId,
+              sessionId: data ? data.id : null,
+              feedback: feedbackForStorage,
             });
-        } else if (!currentUserId) {
-          log.info('[supabase] Session not saved (unauthenticated user)');
-        }
-      } catch (err) {
-        log.error('[feedback] Failed to generate feedback:' + err.message || err);
-        ws.send(
-          JSON.stringify({
-            type: MESSAGE_TYPES.CALL_FEEDBACK,
-            payload: {
-              overall_score: 0,
-              strengths: [],
-              weaknesses: ['Unable to generate feedback due to technical error.'],
-              objection_handling: 0,
-              communication_clarity: 0,
-              confidence: 0,
-              missed_opportunities: [],
-              actionable_suggestions: ['Please try ending the call again.'],
-            },
-            callDurationMs,
-            turnCount,
-            error: true,
           })
-        );
+          .catch((error) => {
+            log.error('[supabase] Failed to save session:' + error.message || error);
+          });
+      } else if (!currentUserId) {
+        log.info('[supabase] Session not saved (unauthenticated user)');
       }
     }
     // TODO: Persist feedback to database for analytics and historical tracking.
@@ -756,10 +1058,14 @@ function setupWebsocket(server) {
 
     ws.on('close', () => {
       clearInterval(intervalId);
-      // Ensure Deepgram session is cleaned up when the client disconnects.
-      if (deepgramClient) {
-        deepgramClient.close();
-        deepgramClient = null;
+      // Ensure the STT session is cleaned up when the client disconnects.
+      if (pendingStream) {
+        pendingStream.cancelled = true;
+        pendingStream = null;
+      }
+      if (sttClient) {
+        sttClient.close();
+        sttClient = null;
       }
       currentUserId = null;
       log.info(`[ws] Client disconnected${clientAddress ? ` from ${clientAddress}` : ''}`);
@@ -822,137 +1128,132 @@ function setupWebsocket(server) {
             break;
           }
           const scenarioId = typeof parsed.scenarioId === 'string' ? parsed.scenarioId : null;
-          const scenario = scenarioId && SCENARIO_MAP[scenarioId];
-          if (!scenario) {
+          if (!scenarioId) {
             log.warn('[scenario] Unknown scenario selection; using default');
             break;
           }
-          activeScenario = scenario;
-          resetConversationForScenario(scenario);
-          log.info(`[scenario] Scenario selected: ${scenario.name}`);
+          if (SCENARIO_MAP[scenarioId]) {
+            activeScenario = SCENARIO_MAP[scenarioId];
+            resetConversationForScenario(activeScenario);
+            log.info(`[scenario] Scenario selected: ${activeScenario.name}`);
+            break;
+          }
+          // Not a built-in: look it up among the user's organization scenarios.
+          const selection = loadScenarioMapForUser(currentUserId)
+            .then((scenarioMap) => {
+              const scenario = scenarioMap[scenarioId];
+              if (!scenario) {
+                log.warn('[scenario] Unknown scenario selection; using default');
+                return;
+              }
+              if (scenarioLocked) {
+                log.info('[scenario] Selection ignored; scenario already locked for this session');
+                return;
+              }
+              activeScenario = scenario;
+              resetConversationForScenario(scenario);
+              log.info(`[scenario] Custom scenario selected: ${scenario.name}`);
+            })
+            .finally(() => {
+              if (scenarioSelection === selection) scenarioSelection = null;
+            });
+          scenarioSelection = selection;
           break;
         }
         case MESSAGE_TYPES.USER_AUDIO_START: {
+          // Accept audio right away; chunks that arrive before the STT session
+          // is connected are held and forwarded once it is.
+          coachHintSentForTurn = false;
+          streamState.active = true;
+          streamState.sampleRate = typeof parsed.sampleRate === 'number' ? parsed.sampleRate : null;
+          streamState.totalSamples = 0;
+          streamState.startedAt = Date.now();
+          log.info('[ws] User audio start received');
+          // A stream that started without ending is finished off like an early end.
+          if (pendingStream) pendingStream.ended = true;
+          const pending = { held: [], ended: false, cancelled: false };
+          pendingStream = pending;
+
           (async () => {
+            if (!scenarioLocked && scenarioSelection) {
+              await scenarioSelection;
+            }
             if (!scenarioLocked) {
-              const difficultyContext = await resolveDifficulty();
+              const orgId = await lookupOrganizationId();
+              const [, , version, difficultyContext] = await Promise.all([
+                loadKnowledgeForCall(orgId),
+                loadOrgSettingsForCall(orgId),
+                resolveSessionVersion(activeScenario, activeScenario.organization_id),
+                resolveDifficulty(),
+              ]);
+              scenarioVersion = version;
               const scenarioWithDifficulty = difficultyContext.applyModifier
-                ? buildScenarioWithDifficulty(activeScenario, difficultyContext.level)
+                ? buildScenarioWithDifficulty(activeScenario, difficultyContext)
                 : activeScenario;
               startCallWithScenario(scenarioWithDifficulty, difficultyContext);
             }
-            coachHintSentForTurn = false;
-            streamState.active = true;
-            streamState.sampleRate = typeof parsed.sampleRate === 'number' ? parsed.sampleRate : null;
-            streamState.totalSamples = 0;
-            streamState.startedAt = Date.now();
-            log.info('[ws] User audio start received');
-
-            // Establish Deepgram realtime session for this turn.
-            const apiKey = process.env.DEEPGRAM_API_KEY;
-            if (!apiKey) {
-              log.error('[ws] DEEPGRAM_API_KEY not set; cannot start Deepgram session');
+            if (pending.cancelled) {
+              log.warn('[ws] User audio stream was cancelled before the STT session was ready');
+              return;
+            }
+
+            // Establish the STT session for this turn.
+            let client;
+            try {
+              client = createSttProvider({ turn: sttTurn++, onEvent: handleSttEvent });
+            } catch (err) {
+              log.error('[ws] Cannot start STT session:' + err.message || err);
+              if (pendingStream === pending) pendingStream = null;
               ws.send(
                 JSON.stringify({
                   type: 'error',
-                  message: 'DEEPGRAM_API_KEY not configured',
+                  message: err.message,
                 })
               );
               return;
             }
 
-            // Clean any previous session for safety.
-            if (deepgramClient) {
-              deepgramClient.close();
-              deepgramClient = null;
+            // A stream that has already ended gets a session of its own, only to
+            // transcribe its held audio; otherwise this is the live session.
+            if (!pending.ended) {
+              // Clean any previous session for safety.
+              if (sttClient) sttClient.close();
+              sttClient = client;
             }
 
-            deepgramClient = new DeepgramClient(apiKey, (eventType, data) => {
-              switch (eventType) {
-                case 'stt.partial': {
-                  ws.send(
-                    JSON.stringify({
-                      type: MESSAGE_TYPES.STT_PARTIAL,
-                      text: data.text,
-                    })
-                  );
-                  break;
+            client
+              .connect()
+              .then(() => {
+                log.info(`[ws] STT streaming started (${client.name})`);
+                if (pendingStream === pending) pendingStream = null;
+                if (pending.cancelled) {
+                  client.close();
+                  return;
                 }
-                case 'stt.final': {
-                  ws.send(
-                    JSON.stringify({
-                      type: MESSAGE_TYPES.STT_FINAL,
-                      text: data.text,
-                    })
-                  );
-
-                  // Track STT event for voice metrics.
-                  sttEvents.push({
-                    text: data.text || '',
-                    timestamp: Date.now(),
-                    confidence: data.confidence != null ? data.confidence : null,
-                  });
-
-                  // Accumulate transcript and reset silence timer.
-                  const cleaned = (data.text || '').trim();
-                  if (cleaned) {
-                    accumulatedTranscript = accumulatedTranscript ? `${accumulatedTranscript} ${cleaned}` : cleaned;
-                    generateCoachHint(accumulatedTranscript);
-                  }
-                  // Reset the fallback silence timer (fires only if UtteranceEnd never arrives).
-                  if (silenceTimer) clearTimeout(silenceTimer);
-                  silenceTimer = setTimeout(() => {
-                    silenceTimer = null;
-                    // Only flush if the user has stopped recording (pressed Stop Speaking).
-                    // While the mic is active, we keep accumulating — USER_AUDIO_END will flush.
-                    if (accumulatedTranscript && !streamState.active) {
-                      log.info('[ws] Fallback silence timer fired — flushing transcript');
-                      const toSend = accumulatedTranscript;
-                      accumulatedTranscript = '';
-                      queueTranscript(toSend);
-                      coachHintSentForTurn = false;
-                    }
-                  }, SILENCE_TIMEOUT_MS);
-                  break;
+                if (pending.held.length > 0) {
+                  log.info(`[ws] Forwarding ${pending.held.length} audio chunks received during setup`);
+                  pending.held.forEach((buffer) => client.sendAudio(buffer));
+                  pending.held = [];
                 }
-                case 'stt.utterance_end': {
-                  // Deepgram detected 1.5s of genuine audio silence — the user
-                  // has finished speaking.  Flush the accumulated transcript so
-                  // the agent responds promptly.
-                  if (silenceTimer) {
-                    clearTimeout(silenceTimer);
-                    silenceTimer = null;
-                  }
-                  if (accumulatedTranscript) {
-                    log.info('[ws] Deepgram UtteranceEnd — flushing transcript');
-                    const toSend = accumulatedTranscript;
-                    accumulatedTranscript = '';
-                    queueTranscript(toSend);
-                    coachHintSentForTurn = false;
-                  }
-                  break;
+                if (pending.ended) {
+                  client.close();
+                  if (sttClient === client) sttClient = null;
                 }
-                default:
-                  break;
-              }
-            });
-
-            deepgramClient
-              .connect()
-              .then(() => {
-                log.info('[ws] Deepgram streaming started');
               })
               .catch((err) => {
-                log.error('[ws] Failed to connect to Deepgram:' + err);
+                if (pendingStream === pending) pendingStream = null;
+                if (pending.cancelled) return; // Closed while connecting by a reset or disconnect.
+                log.error('[ws] Failed to connect to STT provider:' + err);
                 ws.send(
                   JSON.stringify({
                     type: 'error',
-                    message: 'Failed to connect to Deepgram',
+                    message: 'Failed to connect to speech recognition',
                   })
                 );
               });
           })().catch((err) => {
             log.error('[difficulty] Failed to resolve difficulty:' + err);
+            if (pendingStream === pending) pendingStream = null;
           });
           break;
         }
@@ -978,9 +1279,11 @@ function setupWebsocket(server) {
 
             log.info(`[ws] Audio chunk received: ${bytes} bytes (~${chunkDurationMs} ms)`);
 
-            // Forward audio to Deepgram for transcription.
-            if (deepgramClient && deepgramClient.connected) {
-              deepgramClient.sendAudio(buffer);
+            // Forward audio to the STT provider for transcription.
+            if (pendingStream) {
+              pendingStream.held.push(buffer);
+            } else if (sttClient && sttClient.connected) {
+              sttClient.sendAudio(buffer);
             }
           } catch (err) {
             log.warn('[ws] Failed to decode audio chunk payload');
@@ -1014,10 +1317,14 @@ function setupWebsocket(server) {
             });
           }
 
-          // Close Deepgram stream after user finishes speaking.
-          if (deepgramClient && deepgramClient.connected) {
-            deepgramClient.close();
-            deepgramClient = null;
+          // Close the STT stream after user finishes speaking.  One still
+          // connecting is closed once its held audio has been forwarded.
+          if (pendingStream) {
+            pendingStream.ended = true;
+            pendingStream = null;
+          } else if (sttClient) {
+            sttClient.close();
+            sttClient = null;
           }
 
           // Clear silence timer and flush accumulated transcript immediately.
@@ -1054,6 +1361,7 @@ function setupWebsocket(server) {
           interrupted = true;
           interruptionCount += 1;
           ttsSessionId += 1; // Invalidate any in-flight TTS chunk loop.
+          if (activeTurnAbort) activeTurnAbort.abort(); // Stop generating the rest of the reply.
           agentSpeakingState = false;
           log.info('[barge-in] Interruption detected');
           log.info('[barge-in] Agent speech cancelled');
@@ -1075,14 +1383,15 @@ function setupWebsocket(server) {
           callEnded = true;
           interrupted = true;
           ttsSessionId += 1;
+          if (activeTurnAbort) activeTurnAbort.abort();
           agentSpeakingState = false;
           if (!interruptNotified) {
             ws.send(JSON.stringify({ type: MESSAGE_TYPES.AGENT_INTERRUPT }));
             interruptNotified = true;
           }
-          if (deepgramClient) {
-            deepgramClient.close();
-            deepgramClient = null;
+          if (sttClient) {
+            sttClient.close();
+            sttClient = null;
           }
           if (silenceTimer) {
             clearTimeout(silenceTimer);
@@ -1095,7 +1404,19 @@ function setupWebsocket(server) {
           log.info('[ws] Call reset received, clearing session state');
           callEnded = false;
           scenarioLocked = false;
-          activeScenario = SCENARIO_MAP.price_sensitive_small_business;
+          activeScenario = SCENARIO_MAP[DEFAULT_SCENARIO_ID];
+          scenarioSelection = null;
+          stageTracker = null;
+          knowledgeIndex = null;
+          scenarioVersion = null;
+          activeRubric = DEFAULT_RUBRIC;
+          activeMethodology = null;
+          difficultyFocus = [];
+          liveDifficultyEnabled = false;
+          difficultyTimeline = [];
+          lastDifficultyChangeTurn = 0;
+          coachHintCount = 0;
+          llmUsage = createLlmUsage();
           resetConversationForScenario(activeScenario);
           sessionId = null;
           coachHintSentForTurn = false;
@@ -1105,17 +1426,25 @@ function setupWebsocket(server) {
           llmInFlight = false;
           interrupted = false;
           ttsSessionId += 1;
+          if (activeTurnAbort) activeTurnAbort.abort();
+          activeTurnAbort = null;
           agentSpeakingState = false;
           interruptNotified = false;
           callStartTime = Date.now();
           interruptionCount = 0;
           turnTimestamps = [];
           lastUserTurnEndTime = null;
+          userSpeechMsAtLastTurn = 0;
           speakingSegments = [];
           sttEvents = [];
-          if (deepgramClient) {
-            deepgramClient.close();
-            deepgramClient = null;
+          sttTurn = 0;
+          if (pendingStream) {
+            pendingStream.cancelled = true;
+            pendingStream = null;
+          }
+          if (sttClient) {
+            sttClient.close();
+            sttClient = null;
           }
           if (silenceTimer) {
             clearTimeout(silenceTimer);
@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CircuitBreaker } = require('../src/lib/circuitBreaker');
+
+const COOLDOWN_MS = 20;
+const waitForCooldown = () => new Promise((resolve) => setTimeout(resolve, COOLDOWN_MS + 5));
+
+test('opens after the failure threshold and rejects requests', () => {
+  const breaker = new CircuitBreaker('test', { failureThreshold: 2, cooldownMs: 60000 });
+  breaker.recordFailure();
+  assert.equal(breaker.state, 'closed');
+  assert.equal(breaker.canRequest(), true);
+  breaker.recordFailure();
+  assert.equal(breaker.state, 'open');
+  assert.equal(breaker.canRequest(), false);
+});
+
+test('a success resets the failure count', () => {
+  const breaker = new CircuitBreaker('test', { failureThreshold: 2 });
+  breaker.recordFailure();
+  breaker.recordSuccess();
+  breaker.recordFailure();
+  assert.equal(breaker.state, 'closed');
+  assert.equal(breaker.getStatus().failures, 1);
+});
+
+test('lets one trial through after the cooldown', async () => {
+  const breaker = new CircuitBreaker('test', { failureThreshold: 1, cooldownMs: COOLDOWN_MS });
+  breaker.recordFailure();
+  assert.equal(breaker.canRequest(), false);
+
+  await waitForCooldown();
+  assert.equal(breaker.state, 'half-open');
+  assert.equal(breaker.canRequest(), true);
+  assert.equal(breaker.canRequest(), false, 'only one trial at a time');
+
+  breaker.recordSuccess();
+  assert.equal(breaker.state, 'closed');
+});
+
+test('a failed trial re-opens the breaker', async () => {
+  const breaker = new CircuitBreaker('test', { failureThreshold: 3, cooldownMs: COOLDOWN_MS });
+  breaker.recordFailure();
+  breaker.recordFailure();
+  breaker.recordFailure();
+  await waitForCooldown();
+  assert.equal(breaker.canRequest(), true);
+  breaker.recordFailure();
+  assert.equal(breaker.state, 'open');
+});
+
+test('release gives back the trial slot', async () => {
+  const breaker = new CircuitBreaker('test', { failureThreshold: 1, cooldownMs: COOLDOWN_MS });
+  breaker.recordFailure();
+  await waitForCooldown();
+  assert.equal(breaker.canRequest(), true);
+  breaker.release();
+  assert.equal(breaker.state, 'half-open');
+  assert.equal(breaker.canRequest(), true);
+});
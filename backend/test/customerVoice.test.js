@@ -0,0 +1,78 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  listVoices,
+  normalizeVoiceSettings,
+  resolveCustomerVoice,
+  detectCustomerMood,
+  prosodyFor,
+} = require('../src/customerVoice');
+
+// ── Settings ────────────────────────────────────────────────────────────────
+
+test('normalizeVoiceSettings fills defaults and checks each field', () => {
+  assert.deepEqual(normalizeVoiceSettings({ voice: ' aura-luna-en ' }), {
+    value: { voice: 'aura-luna-en', rate: 1, style: null },
+    error: null,
+  });
+  assert.deepEqual(normalizeVoiceSettings(null), { value: null, error: null });
+
+  assert.match(normalizeVoiceSettings('aura-luna-en').error, /must be an object/);
+  assert.match(normalizeVoiceSettings({ voice: 'en-us; rm -rf /' }).error, /Invalid voice/);
+  assert.match(normalizeVoiceSettings({ rate: 2 }).error, /between 0.7 and 1.4/);
+  assert.match(normalizeVoiceSettings({ rate: 'fast' }).error, /between/);
+  assert.match(normalizeVoiceSettings({ style: 'whisper' }).error, /Unknown voice style/);
+});
+
+test('listVoices reads piper voices from the environment', (t) => {
+  const previous = process.env.PIPER_VOICES;
+  t.after(() => {
+    if (previous === undefined) delete process.env.PIPER_VOICES;
+    else process.env.PIPER_VOICES = previous;
+  });
+  process.env.PIPER_VOICES = '/voices/en_US-amy-medium.onnx, /voices/en_GB-alan-low.onnx';
+
+  assert.deepEqual(listVoices('piper').map((voice) => voice.label), ['en_US-amy-medium', 'en_GB-alan-low']);
+  assert.ok(listVoices('deepgram').some((voice) => voice.id === 'aura-asteria-en'));
+  assert.deepEqual(listVoices('polly'), []);
+});
+
+// ── Resolution ──────────────────────────────────────────────────────────────
+
+test('resolveCustomerVoice derives the style and mood from the temperament', () => {
+  const scenario = { persona: { temperament: 'hostile' }, voice: { voice: 'aura-zeus-en', rate: 1.1, style: null } };
+  assert.deepEqual(resolveCustomerVoice(scenario, 'deepgram'), {
+    voice: 'aura-zeus-en',
+    rate: 1.1,
+    style: 'curt',
+    baseline_mood: 'skeptical',
+  });
+
+  const styled = { ...scenario, voice: { ...scenario.voice, style: 'hesitant' } };
+  assert.equal(resolveCustomerVoice(styled, 'deepgram').style, 'hesitant');
+});
+
+test('resolveCustomerVoice drops a voice the provider does not have', () => {
+  const scenario = { persona: { temperament: 'friendly' }, voice: { voice: 'aura-zeus-en', rate: 1, style: null } };
+  assert.equal(resolveCustomerVoice(scenario, 'espeak').voice, null);
+  assert.deepEqual(resolveCustomerVoice({}, 'stub'), { voice: null, rate: 1, style: 'neutral', baseline_mood: 'calm' });
+});
+
+// ── Mood and prosody ────────────────────────────────────────────────────────
+
+test('detectCustomerMood picks the first cue and keeps the mood otherwise', () => {
+  assert.equal(detectCustomerMood('This is a waste of my time.', 'calm'), 'frustrated');
+  assert.equal(detectCustomerMood("I'm not sure that's true. Really?", 'calm'), 'skeptical');
+  assert.equal(detectCustomerMood('Interesting, tell me more.', 'skeptical'), 'interested');
+  assert.equal(detectCustomerMood('We have about forty reps.', 'skeptical'), 'skeptical');
+  assert.equal(detectCustomerMood('Seriously, that sounds good.', 'calm'), 'frustrated', 'frustration wins');
+});
+
+test('prosodyFor combines rate, style and mood within the limits', () => {
+  assert.deepEqual(prosodyFor({ rate: 1, style: 'neutral' }, 'calm'), { rate: 1, pitch: 1 });
+  assert.deepEqual(prosodyFor({ rate: 1, style: 'curt' }, 'frustrated'), { rate: 1.254, pitch: 1.028 });
+  assert.deepEqual(prosodyFor({ rate: 1.4, style: 'brisk' }, 'frustrated'), { rate: 1.3, pitch: 1.06 });
+  assert.deepEqual(prosodyFor({ rate: 0.7, style: 'unknown' }, 'skeptical'), { rate: 0.75, pitch: 0.98 });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeBuyingCriteria, buildCriteriaPrompt, evaluateDealOutcome } = require('../src/dealOutcome');
+
+const { value: criteria } = normalizeBuyingCriteria([
+  { description: 'Supports single sign-on', keywords: ['SSO', 'single sign-on'] },
+  { id: 'price', description: 'Costs under $40 per seat', keywords: ['price', 'per seat'] },
+]);
+
+const conversation = [
+  { role: 'system', content: 'You are the customer.' },
+  { role: 'user', content: 'Does your team need SSO?' },
+  { role: 'assistant', content: 'Yes, it is a must.' },
+];
+
+const llmReturning = (text) => ({ generate: async () => text });
+
+test('normalizeBuyingCriteria slugs ids, lowercases keywords and accepts strings', () => {
+  assert.deepEqual(criteria[0], {
+    id: 'supports_single_sign_on',
+    description: 'Supports single sign-on',
+    keywords: ['sso', 'single sign-on'],
+  });
+  assert.equal(criteria[1].id, 'price');
+
+  const { value } = normalizeBuyingCriteria(['Fast onboarding', 'Fast onboarding']);
+  assert.deepEqual(value.map((criterion) => criterion.id), ['fast_onboarding', 'fast_onboarding_2']);
+});
+
+test('normalizeBuyingCriteria rejects invalid input', () => {
+  assert.match(normalizeBuyingCriteria('SSO').error, /array/);
+  assert.match(normalizeBuyingCriteria([{ description: ' ' }]).error, /needs a description/);
+  assert.match(normalizeBuyingCriteria(new Array(7).fill('x')).error, /At most/);
+});
+
+test('buildCriteriaPrompt lists the criteria and is empty without any', () => {
+  assert.match(buildCriteriaPrompt(criteria), /SECRET BUYING CRITERIA[\s\S]*- Supports single sign-on\n- Costs under \$40 per seat/);
+  assert.equal(buildCriteriaPrompt([]), '');
+});
+
+test('evaluateDealOutcome returns null when the scenario has no criteria', async () => {
+  assert.equal(await evaluateDealOutcome({ criteria: [], conversation, llmClient: llmReturning('{}') }), null);
+});
+
+test('evaluateDealOutcome uses the customer verdict', async () => {
+  const reply =
+    'Here is my decision: {"outcome": "won", "reason": "Everything checked out.", "criteria": [' +
+    '{"id": "supports_single_sign_on", "uncovered": true, "satisfied": true},' +
+    '{"id": "price", "uncovered": true, "satisfied": true}]}';
+  const result = await evaluateDealOutcome({ criteria, conversation, llmClient: llmReturning(reply) });
+
+  assert.equal(result.outcome, 'won');
+  assert.equal(result.source, 'customer');
+  assert.equal(result.satisfied_count, 2);
+  assert.equal(result.total_criteria, 2);
+});
+
+test('evaluateDealOutcome downgrades a win while a criterion is unmet', async () => {
+  const reply = JSON.stringify({
+    outcome: 'won',
+    reason: 'Liked the demo.',
+    criteria: [{ id: 'supports_single_sign_on', uncovered: false, satisfied: true }],
+  });
+  const result = await evaluateDealOutcome({ criteria, conversation, llmClient: llmReturning(reply) });
+
+  assert.equal(result.outcome, 'stalled');
+  assert.equal(result.criteria[0].uncovered, true, 'a satisfied criterion counts as uncovered');
+  assert.equal(result.criteria[1].satisfied, false);
+});
+
+test('evaluateDealOutcome falls back to keyword matching when the reply is unusable', async () => {
+  const result = await evaluateDealOutcome({ criteria, conversation, llmClient: llmReturning('I would rather not say.') });
+
+  assert.equal(result.source, 'keywords');
+  assert.equal(result.outcome, 'stalled');
+  assert.deepEqual(result.criteria.map((criterion) => criterion.uncovered), [true, false]);
+  assert.equal(result.satisfied_count, 0);
+});
+
+test('evaluateDealOutcome reports a lost deal when nothing was uncovered and the LLM fails', async () => {
+  const llmClient = { generate: async () => { throw new Error('offline'); } };
+  const result = await evaluateDealOutcome({
+    criteria,
+    conversation: [{ role: 'user', content: 'Hello!' }],
+    llmClient,
+  });
+  assert.equal(result.outcome, 'lost');
+  assert.equal(result.uncovered_count, 0);
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatNumberedTranscript, linkFeedbackEvidence } = require('../src/feedbackEvidence');
+
+const callStartTime = 1000000;
+const messages = [
+  { role: 'assistant', content: 'Hello, who is this?' },
+  { role: 'user', content: "Hi, it's Sam from Acme. What do you use for onboarding today?" },
+  { role: 'assistant', content: 'Mostly spreadsheets, honestly.' },
+  { role: 'user', content: 'We can cut that setup time in half.' },
+];
+const turnTimestamps = [
+  { role: 'assistant', timestamp: callStartTime + 500 },
+  { role: 'user', timestamp: callStartTime + 4000 },
+  { role: 'assistant', timestamp: callStartTime + 6000 },
+  { role: 'assistant', timestamp: callStartTime + 9000 }, // recorded for the wrong speaker
+];
+
+const link = (feedback) => linkFeedbackEvidence(feedback, { messages, turnTimestamps, callStartTime });
+
+test('formatNumberedTranscript numbers turns from 1 and names the speakers', () => {
+  assert.equal(
+    formatNumberedTranscript(messages.slice(0, 2)),
+    "[1] Customer: Hello, who is this?\n[2] Trainee: Hi, it's Sam from Acme. What do you use for onboarding today?"
+  );
+});
+
+test('a cited turn and quote link the item to that moment of the call', () => {
+  const { strengths } = link({ strengths: [{ text: 'Asked an open question', turn: 2, quote: 'What do you use for onboarding today?' }] });
+  assert.deepEqual(strengths, [
+    {
+      text: 'Asked an open question',
+      turn_index: 1,
+      speaker: 'trainee',
+      timestamp: callStartTime + 4000,
+      offset_ms: 4000,
+      quote: 'What do you use for onboarding today?',
+    },
+  ]);
+});
+
+test('a quote found in another turn wins over a wrong turn number', () => {
+  const [item] = link({ weaknesses: [{ text: 'Vague claim', turn: 1, quote: 'cut that setup time' }] }).weaknesses;
+  assert.equal(item.turn_index, 3);
+  assert.equal(item.speaker, 'trainee');
+});
+
+test('quotes are matched ignoring case and punctuation, and dropped when not in the transcript', () => {
+  const [matched, invented] = link({
+    strengths: [
+      { text: 'Introduced themselves', quote: "HI, IT'S SAM -- FROM ACME!" },
+      { text: 'Built rapport', turn: 3, quote: 'We are great friends' },
+    ],
+  }).strengths;
+
+  assert.equal(matched.turn_index, 1);
+  assert.equal(matched.quote, "HI, IT'S SAM -- FROM ACME!");
+  assert.equal(invented.quote, null);
+  assert.equal(invented.turn_index, 2, 'the cited turn is kept without the quote');
+});
+
+test('timestamps recorded for a different speaker are not trusted', () => {
+  const [item] = link({ weaknesses: [{ text: 'Vague claim', turn: 4 }] }).weaknesses;
+  assert.equal(item.turn_index, 3);
+  assert.equal(item.timestamp, null);
+  assert.equal(item.offset_ms, null);
+});
+
+test('plain strings, out-of-range turns and empty items are handled', () => {
+  const linked = link({
+    strengths: ['Good energy', { text: 'Listened', turn: 99 }, { text: '  ' }],
+    missed_opportunities: 'not a list',
+    overall_score: 7,
+  });
+
+  assert.deepEqual(linked.strengths.map((item) => [item.text, item.turn_index]), [
+    ['Good energy', null],
+    ['Listened', null],
+  ]);
+  assert.equal(linked.missed_opportunities, 'not a list');
+  assert.equal(linked.overall_score, 7);
+});
@@ -0,0 +1,202 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  FEEDBACK_SCHEMA,
+  validateSchema,
+  extractJsonObject,
+  parseFeedback,
+  generateStructuredFeedback,
+} = require('../src/feedbackSchema');
+
+function validFeedback(overrides = {}) {
+  return {
+    overall_score: 7,
+    scores: { objection_handling: 6, communication_clarity: 8, confidence: 7 },
+    strengths: ['Asked about current tools'],
+    weaknesses: ['Rushed the pricing discussion'],
+    missed_opportunities: [],
+    actionable_suggestions: ['Quantify the savings'],
+    ...overrides,
+  };
+}
+
+// LLM client that replies with `replies` in order and records what it was sent.
+function scriptedLlm(replies) {
+  const requests = [];
+  return {
+    requests,
+    async generate(messages, options) {
+      requests.push({ messages: messages.map((message) => ({ ...message })), options });
+      return replies.shift();
+    },
+  };
+}
+
+// ── Extraction ──────────────────────────────────────────────────────────────
+
+test('extractJsonObject strips code fences and surrounding prose', () => {
+  const text = 'Here is the feedback:\n```json\n{"overall_score": 7}\n```\nLet me know!';
+  assert.deepEqual(extractJsonObject(text), { value: { overall_score: 7 }, error: null });
+});
+
+test('extractJsonObject explains why nothing could be parsed', () => {
+  assert.equal(extractJsonObject('No JSON here.').error, 'Response does not contain a JSON object');
+  assert.match(extractJsonObject('{"overall_score": 7,}').error, /^Response is not valid JSON/);
+  assert.equal(extractJsonObject(null).value, null);
+});
+
+// ── Validation ──────────────────────────────────────────────────────────────
+
+test('validateSchema accepts valid feedback', () => {
+  assert.deepEqual(validateSchema(validFeedback(), FEEDBACK_SCHEMA), []);
+});
+
+test('validateSchema reports missing fields, wrong types and limits by path', () => {
+  const feedback = validFeedback({
+    scores: { objection_handling: 6, confidence: 'high' },
+    strengths: new Array(11).fill('Good'),
+    weaknesses: [3],
+  });
+  delete feedback.overall_score;
+
+  assert.deepEqual(validateSchema(feedback, FEEDBACK_SCHEMA), [
+    '$.overall_score is required',
+    '$.scores.communication_clarity is required',
+    '$.scores.confidence must be a number',
+    '$.strengths must have at most 10 items',
+    '$.weaknesses[0] must be an object',
+  ]);
+  assert.deepEqual(validateSchema(-1, { type: 'number', minimum: 0, maximum: 10 }), ['$ must be >= 0']);
+  assert.deepEqual(validateSchema(NaN, { type: 'number' }), ['$ must be a number']);
+});
+
+test('validateSchema accepts evidence-linked items alongside plain strings', () => {
+  const feedback = validFeedback({
+    strengths: ['Good opener', { text: 'Asked about tools', turn: 3, quote: 'What do you use today?' }],
+    weaknesses: [{ text: 'Rushed pricing', turn: null, quote: null }],
+  });
+  assert.deepEqual(validateSchema(feedback, FEEDBACK_SCHEMA), []);
+  assert.deepEqual(validateSchema(validFeedback({ strengths: [{ turn: 2 }] }), FEEDBACK_SCHEMA), [
+    '$.strengths[0].text is required',
+  ]);
+  assert.deepEqual(validateSchema({ text: 'x', turn: 'two' }, { type: 'object', properties: { turn: { type: ['number', 'null'] } } }), [
+    '$.turn must be a number or a null',
+  ]);
+});
+
+// ── Repair ──────────────────────────────────────────────────────────────────
+
+test('parseFeedback fixes mechanical mistakes', () => {
+  const reply = JSON.stringify(
+    validFeedback({
+      overall_score: '8/10',
+      scores: { objection_handling: 6, communication_clarity: '7', confidence: '6/10' },
+      strengths: 'Good rapport',
+      weaknesses: ['', 'Talked too much'],
+    })
+  );
+  const { value, errors } = parseFeedback(reply);
+
+  assert.deepEqual(errors, []);
+  assert.equal(value.overall_score, 8);
+  assert.deepEqual(value.scores, { objection_handling: 6, communication_clarity: 7, confidence: 6 });
+  assert.deepEqual(value.strengths, ['Good rapport']);
+  assert.deepEqual(value.weaknesses, ['Talked too much']);
+});
+
+test('parseFeedback reports scores outside 0-10 instead of clamping them', () => {
+  const reply = JSON.stringify(
+    validFeedback({ overall_score: 85, scores: { objection_handling: '-1', communication_clarity: 8, confidence: '12/10' } })
+  );
+  assert.deepEqual(parseFeedback(reply), {
+    value: null,
+    errors: [
+      '$.overall_score must be <= 10',
+      '$.scores.objection_handling must be >= 0',
+      '$.scores.confidence must be <= 10',
+    ],
+  });
+});
+
+test('parseFeedback moves top-level criterion scores into scores', () => {
+  const legacy = validFeedback({ objection_handling: 5, communication_clarity: 6, confidence: 7 });
+  delete legacy.scores;
+  const { value, errors } = parseFeedback(JSON.stringify(legacy));
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value.scores, { objection_handling: 5, communication_clarity: 6, confidence: 7 });
+});
+
+test('parseFeedback checks the criterion keys of the active rubric', () => {
+  const reply = JSON.stringify(validFeedback({ scores: { discovery: 6, closing: 4 } }));
+  assert.deepEqual(parseFeedback(reply, ['discovery', 'closing']).errors, []);
+  assert.deepEqual(parseFeedback(reply, ['discovery', 'rapport']).errors, ['$.scores.rapport is required']);
+  assert.deepEqual(parseFeedback(reply).errors, [
+    '$.scores.objection_handling is required',
+    '$.scores.communication_clarity is required',
+    '$.scores.confidence is required',
+  ]);
+});
+
+test('parseFeedback normalises evidence items', () => {
+  const reply = JSON.stringify(
+    validFeedback({ strengths: [{ text: ' Asked about tools ', turn: 'Turn 3', quote: '  ' }, { text: 'Closed well', turn: null, quote: 'I will send the deck.' }] })
+  );
+  assert.deepEqual(parseFeedback(reply).value.strengths, [
+    { text: 'Asked about tools', turn: 3, quote: null },
+    { text: 'Closed well', turn: null, quote: 'I will send the deck.' },
+  ]);
+});
+
+test('parseFeedback returns the validation errors for unfixable replies', () => {
+  const feedback = validFeedback();
+  delete feedback.actionable_suggestions;
+  assert.deepEqual(parseFeedback(JSON.stringify(feedback)), { value: null, errors: ['$.actionable_suggestions is required'] });
+  assert.deepEqual(parseFeedback('[1, 2]').errors, ['Response does not contain a JSON object']);
+});
+
+// ── Generation ──────────────────────────────────────────────────────────────
+
+test('generateStructuredFeedback asks for JSON mode and returns the first valid reply', async () => {
+  const llmClient = scriptedLlm([JSON.stringify(validFeedback())]);
+  const { feedback, repairs } = await generateStructuredFeedback({ llmClient, prompt: 'Score this call.' });
+
+  assert.equal(repairs, 0);
+  assert.equal(feedback.overall_score, 7);
+  assert.equal(llmClient.requests[0].options.json, true);
+  assert.deepEqual(llmClient.requests[0].messages, [{ role: 'system', content: 'Score this call.' }]);
+});
+
+test('generateStructuredFeedback sends the errors back and accepts the corrected reply', async () => {
+  const invalid = JSON.stringify(validFeedback({ overall_score: 'great' }));
+  const llmClient = scriptedLlm([invalid, JSON.stringify(validFeedback())]);
+  const { feedback, repairs } = await generateStructuredFeedback({ llmClient, prompt: 'Score this call.' });
+
+  assert.equal(repairs, 1);
+  assert.equal(feedback.overall_score, 7);
+  const [, assistant, repair] = llmClient.requests[1].messages;
+  assert.deepEqual(assistant, { role: 'assistant', content: invalid });
+  assert.equal(repair.role, 'user');
+  assert.match(repair.content, /- \$\.overall_score must be a number/);
+});
+
+test('generateStructuredFeedback asks again when a score is out of range', async () => {
+  const outOfRange = JSON.stringify(validFeedback({ overall_score: 85 }));
+  const llmClient = scriptedLlm([outOfRange, JSON.stringify(validFeedback({ overall_score: 8.5 }))]);
+  const { feedback, repairs } = await generateStructuredFeedback({ llmClient, prompt: 'Score this call.' });
+
+  assert.equal(repairs, 1);
+  assert.equal(feedback.overall_score, 8.5);
+  assert.match(llmClient.requests[1].messages[2].content, /- \$\.overall_score must be <= 10/);
+});
+
+test('generateStructuredFeedback gives up after the repair attempts run out', async () => {
+  const llmClient = scriptedLlm(['Sorry, I cannot.', 'Still no.', 'Nope.']);
+  await assert.rejects(
+    generateStructuredFeedback({ llmClient, prompt: 'Score this call.' }),
+    /LLM returned invalid feedback: Response does not contain a JSON object/
+  );
+  assert.equal(llmClient.requests.length, 3);
+});
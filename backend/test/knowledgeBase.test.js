@@ -0,0 +1,99 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  tokenize,
+  chunkDocument,
+  buildIndex,
+  searchIndex,
+  formatSnippets,
+  normalizeKnowledgeInput,
+} = require('../src/knowledgeBase');
+
+const documents = [
+  {
+    id: 'pricing',
+    title: 'Pricing Sheet',
+    doc_type: 'pricing',
+    content: '# Plans\nStarter costs $29 per seat per month.\n\n# Discounts\nAnnual billing saves 20%.',
+  },
+  {
+    id: 'product',
+    title: 'Product Overview',
+    doc_type: 'product',
+    content: '# Integrations\nConnects to Salesforce and HubSpot.\n\n# Security\nSSO and SOC 2 compliance included.',
+  },
+  {
+    id: 'battlecard',
+    title: 'Acme Battlecard',
+    doc_type: 'competitor',
+    content: 'Acme charges per seat too, but has no SSO. Acme onboarding takes months.',
+  },
+];
+
+test('tokenize lowercases, drops stopwords and keeps prices and percentages', () => {
+  assert.deepEqual(tokenize('What is the price? It is $29, or 20% off.'), ['price', '$29', '20%', 'off']);
+});
+
+test('chunkDocument splits on headings and remembers them', () => {
+  const chunks = chunkDocument(documents[0].content);
+  assert.deepEqual(chunks, [
+    { heading: 'Plans', text: 'Starter costs $29 per seat per month.' },
+    { heading: 'Discounts', text: 'Annual billing saves 20%.' },
+  ]);
+});
+
+test('chunkDocument keeps chunks near the target size', () => {
+  const paragraph = 'word '.repeat(100).trim();
+  const chunks = chunkDocument(Array(5).fill(paragraph).join('\n\n'));
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every((chunk) => chunk.text.length <= 1100));
+});
+
+test('searchIndex ranks the chunk that matches the query best first', () => {
+  const index = buildIndex(documents);
+  assert.equal(index.chunks.length, 5);
+
+  const [top] = searchIndex(index, 'Do you support SSO and SOC 2?');
+  assert.equal(top.documentId, 'product');
+  assert.equal(top.heading, 'Security');
+
+  const pricing = searchIndex(index, 'annual discounts', { limit: 1 });
+  assert.equal(pricing.length, 1);
+  assert.equal(pricing[0].heading, 'Discounts');
+});
+
+test('rare terms outweigh common ones', () => {
+  const index = buildIndex(documents);
+  // "seat" appears in two documents, "salesforce" in one.
+  const [top] = searchIndex(index, 'seat salesforce');
+  assert.equal(top.documentId, 'product');
+});
+
+test('searchIndex returns nothing for empty indexes or queries without terms', () => {
+  assert.deepEqual(searchIndex(buildIndex([]), 'pricing'), []);
+  assert.deepEqual(searchIndex(buildIndex(documents), 'what is the'), []);
+  assert.deepEqual(searchIndex(null, 'pricing'), []);
+});
+
+test('formatSnippets labels snippets and respects the character budget', () => {
+  const snippets = searchIndex(buildIndex(documents), 'SSO per seat', { limit: 3 });
+  const text = formatSnippets(snippets, 10000);
+  assert.match(text, /^\[\w+\] .+\n/);
+  assert.equal(text.split('\n---\n').length, snippets.length);
+
+  assert.equal(formatSnippets(snippets, 20).length, 20);
+});
+
+test('normalizeKnowledgeInput validates trainer documents', () => {
+  assert.deepEqual(normalizeKnowledgeInput({ title: ' Sheet ', content: 'Text', doc_type: 'Pricing' }).value, {
+    title: 'Sheet',
+    content: 'Text',
+    doc_type: 'pricing',
+  });
+  assert.equal(normalizeKnowledgeInput({ title: 'Sheet', content: 'Text' }).value.doc_type, 'other');
+  assert.match(normalizeKnowledgeInput({ content: 'Text' }).error, /title/);
+  assert.match(normalizeKnowledgeInput({ title: 'Sheet' }).error, /content/);
+  assert.match(normalizeKnowledgeInput({ title: 'Sheet', content: 'Text', doc_type: 'memo' }).error, /doc_type/);
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+process.env.LLM_MAX_RETRIES = '2';
+process.env.LLM_RETRY_BASE_MS = '1';
+process.env.LLM_BREAKER_THRESHOLD = '3';
+process.env.LLM_FALLBACKS = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LlmClient } = require('../src/llmClient');
+
+function failure(message, retryable) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
+// Adapter that plays back `results` in order (an Error is thrown, anything
+// else returned); breakers are shared per name/model, so each test uses its own model.
+function adapter(model, results) {
+  const calls = [];
+  return {
+    name: 'fake',
+    model,
+    calls,
+    async generate(messages) {
+      calls.push(messages);
+      const result = results.length > 1 ? results.shift() : results[0];
+      if (result instanceof Error) throw result;
+      return result;
+    },
+  };
+}
+
+test('retryable failures are retried on the same model', async () => {
+  const primary = adapter('retry', [failure('503', true), failure('timeout', true), 'Hello!']);
+  const client = new LlmClient({ adapter: primary, fallbacks: [] });
+  let answer = null;
+
+  assert.equal(await client.generate([], { onAnswer: (info) => (answer = info) }), 'Hello!');
+  assert.equal(primary.calls.length, 3);
+  assert.deepEqual(answer, { provider: 'fake', model: 'retry', attempts: 3, fallback: false });
+});
+
+test('a rejected request is not retried and moves on to the fallback', async () => {
+  const primary = adapter('rejected', [failure('400 bad request', false)]);
+  const backup = adapter('rejected-backup', ['From the backup.']);
+  const client = new LlmClient({ adapter: primary, fallbacks: [backup] });
+  let answer = null;
+
+  assert.equal(await client.generate([], { onAnswer: (info) => (answer = info) }), 'From the backup.');
+  assert.equal(primary.calls.length, 1);
+  assert.equal(answer.fallback, true);
+});
+
+test('rejected requests do not open the circuit', async () => {
+  const primary = adapter('bad-requests', [failure('401 unauthorized', false)]);
+  const client = new LlmClient({ adapter: primary, fallbacks: [] });
+
+  for (let i = 0; i < 5; i++) {
+    await assert.rejects(client.generate([]), /401/);
+  }
+  assert.equal(primary.calls.length, 5, 'every request still reached the model');
+});
+
+test('repeated upstream failures open the circuit and skip the model', async () => {
+  const primary = adapter('down', [failure('502', true)]);
+  const backup = adapter('down-backup', ['Backup reply.']);
+  const client = new LlmClient({ adapter: primary, fallbacks: [backup] });
+
+  assert.equal(await client.generate([]), 'Backup reply.');
+  assert.equal(primary.calls.length, 3, 'the breaker opened on the third failure');
+
+  assert.equal(await client.generate([]), 'Backup reply.');
+  assert.equal(primary.calls.length, 3, 'the open circuit was skipped');
+});
+
+test('the last error is thrown once every model has failed', async () => {
+  const client = new LlmClient({ adapter: adapter('all-fail', [failure('400 bad request', false)]), fallbacks: [] });
+  await assert.rejects(client.generate([]), /400 bad request/);
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveProviderName, createLlmProvider } = require('../src/providers/llm');
+const { LlmClient } = require('../src/llmClient');
+
+const ENV_KEYS = ['LLM_PROVIDER', 'LLM_API_KEY', 'LLM_BASE_URL', 'LLM_MODEL', 'LLM_FALLBACKS'];
+
+// Run `fn` with the given LLM_* variables, restoring the environment afterwards.
+function withEnv(values, fn) {
+  const saved = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+  ENV_KEYS.forEach((key) => delete process.env[key]);
+  Object.assign(process.env, values);
+  try {
+    return fn();
+  } finally {
+    ENV_KEYS.forEach((key) => {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+  }
+}
+
+const messages = [{ role: 'user', content: 'Hello' }];
+
+test('resolveProviderName accepts registry keys and aliases', () => {
+  assert.equal(resolveProviderName('OpenAI'), 'openai-compatible');
+  assert.equal(resolveProviderName('llama.cpp'), 'llamacpp');
+  assert.equal(resolveProviderName('mock'), 'scripted');
+  assert.equal(resolveProviderName('groq'), null);
+});
+
+test('an unknown provider name is served by the openai-compatible adapter', () => {
+  const env = {
+    LLM_PROVIDER: 'groq',
+    LLM_API_KEY: 'key',
+    LLM_BASE_URL: 'https://api.groq.com/openai/v1/chat/completions',
+    LLM_MODEL: 'llama-3.1-8b-instant',
+  };
+  const provider = withEnv(env, () => createLlmProvider());
+
+  assert.equal(provider.name, 'groq');
+  assert.equal(provider.model, 'llama-3.1-8b-instant');
+  const request = provider.buildRequest(messages, { stream: false, json: false });
+  assert.equal(request.url, 'https://api.groq.com/openai/v1/chat/completions');
+  assert.equal(request.headers['X-LLM-Provider'], 'groq');
+  assert.equal(request.headers.Authorization, 'Bearer key');
+});
+
+test('the X-LLM-Provider header carries the name as configured', () => {
+  const provider = withEnv({ LLM_PROVIDER: 'openai', LLM_API_KEY: 'key' }, () => createLlmProvider());
+  assert.equal(provider.name, 'openai-compatible');
+  assert.equal(provider.buildRequest(messages, { stream: false, json: false }).headers['X-LLM-Provider'], 'openai');
+});
+
+test('LlmClient starts with an unknown provider and keeps it for model fallbacks', () => {
+  const client = withEnv({ LLM_PROVIDER: 'openrouter', LLM_FALLBACKS: 'gpt-4o-mini,mock:demo' }, () => new LlmClient());
+  assert.equal(client.provider, 'openrouter');
+  assert.deepEqual(
+    client.chain.map((adapter) => `${adapter.name}/${adapter.model}`),
+    ['openrouter/gpt-3.5-turbo', 'openrouter/gpt-4o-mini', 'scripted/demo']
+  );
+});
@@ -0,0 +1,178 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  METHODOLOGY_IDS,
+  computeMetrics,
+  computeMethodologyCoverage,
+  classifyQuestion,
+  computeObjectionTimeline,
+  computeTalkTimeline,
+} = require('../src/metricsEngine');
+
+const coverageOf = (result) =>
+  Object.fromEntries(result.elements.map((element) => [element.key, element.covered ? element.first_turn : null]));
+
+// ── computeMethodologyCoverage ──────────────────────────────────────────────
+
+test('SPIN tags each question with its most specific element', () => {
+  const result = computeMethodologyCoverage(
+    [
+      { role: 'user', content: 'How many reps do you have today?' },
+      { role: 'assistant', content: 'About forty.' },
+      { role: 'user', content: 'What challenges do they run into? How does that impact your revenue?' },
+      { role: 'assistant', content: 'Deals slip.' },
+      { role: 'user', content: 'The biggest challenge is ramp time.' },
+    ],
+    'spin'
+  );
+
+  assert.deepEqual(coverageOf(result), { situation: 0, problem: 2, implication: 2, need_payoff: null });
+  assert.equal(result.elements[1].count, 1, 'statements do not count as SPIN questions');
+  assert.equal(result.covered_count, 3);
+  assert.equal(result.coverage_pct, 75);
+});
+
+test('BANT and MEDDIC count one sentence towards every element it covers', () => {
+  const turns = [
+    { role: 'user', content: 'Who signs off on the budget for this?' },
+    { role: 'assistant', content: 'Our metrics are a pain, to be honest.' },
+  ];
+
+  const bant = computeMethodologyCoverage(turns, 'bant');
+  assert.deepEqual(coverageOf(bant), { budget: 0, authority: 0, need: null, timeline: null });
+
+  const meddic = computeMethodologyCoverage(turns, 'meddic');
+  assert.deepEqual(coverageOf(meddic), {
+    metrics: null,
+    economic_buyer: 0,
+    decision_criteria: null,
+    decision_process: null,
+    identify_pain: null,
+    champion: null,
+  }, 'only the trainee turns are tagged');
+});
+
+test('computeMethodologyCoverage returns null for an unknown methodology', () => {
+  assert.equal(computeMethodologyCoverage([], 'challenger'), null);
+  assert.deepEqual(METHODOLOGY_IDS, ['spin', 'bant', 'meddic']);
+});
+
+test('computeMetrics reports coverage only when a methodology is configured', () => {
+  const conversation = [
+    { role: 'system', content: 'You are a buyer.' },
+    { role: 'user', content: 'What is your timeline for this?' },
+  ];
+  const params = { conversation, callDurationMs: 60000, interruptionCount: 0, turnTimestamps: [] };
+
+  assert.equal(computeMetrics(params).methodology_coverage, null);
+  const coverage = computeMetrics({ ...params, methodology: 'bant' }).methodology_coverage;
+  assert.equal(coverage.elements.find((element) => element.key === 'timeline').first_turn, 0);
+});
+
+// ── classifyQuestion ────────────────────────────────────────────────────────
+
+test('classifyQuestion tells open, closed and leading questions apart', () => {
+  assert.equal(classifyQuestion('What does your onboarding look like today?'), 'open');
+  assert.equal(classifyQuestion('Tell me about your team.'), 'open');
+  assert.equal(classifyQuestion('Do you use a CRM?'), 'closed');
+  assert.equal(classifyQuestion('How many reps do you have?'), 'closed');
+  assert.equal(classifyQuestion("Don't you think that would save time?"), 'leading');
+  assert.equal(classifyQuestion('That would help, right?'), 'leading');
+});
+
+test('classifyQuestion ignores lead-in words', () => {
+  assert.equal(classifyQuestion('So, um, why is that a priority now?'), 'open');
+});
+
+// ── computeObjectionTimeline ────────────────────────────────────────────────
+
+test('computeObjectionTimeline pairs each objection with the response', () => {
+  const turns = [
+    { role: 'user', content: 'Hi, I wanted to show you our onboarding platform.' },
+    { role: 'assistant', content: "Honestly, it sounds too expensive for us." },
+    { role: 'user', content: 'I understand. Most teams see a payback within two months.' },
+    { role: 'assistant', content: 'We already use another vendor for this.' },
+    { role: 'user', content: 'Okay.' },
+  ];
+  const timeline = computeObjectionTimeline(turns);
+
+  assert.equal(timeline.length, 2);
+  const [price, competitor] = timeline;
+  assert.equal(price.category, 'price');
+  assert.equal(price.turn_index, 1);
+  assert.equal(price.response_turn_index, 2);
+  assert.equal(price.acknowledged, true);
+  assert.equal(price.handling, 'answered');
+  assert.equal(price.resolved, true);
+
+  assert.equal(competitor.category, 'competitor');
+  assert.equal(competitor.handling, 'ignored');
+  assert.equal(competitor.resolved, false);
+});
+
+test('computeObjectionTimeline marks objections the customer raises again', () => {
+  const turns = [
+    { role: 'assistant', content: 'This is too expensive.' },
+    { role: 'user', content: 'What budget did you have in mind?' },
+    { role: 'assistant', content: 'It still costs too much.' },
+  ];
+  const [first, second] = computeObjectionTimeline(turns);
+
+  assert.equal(first.handling, 'explored');
+  assert.equal(first.raised_again, true);
+  assert.equal(first.resolved, false);
+  assert.equal(second.repeat, true);
+  assert.equal(second.response_turn_index, null);
+});
+
+// ── computeTalkTimeline ─────────────────────────────────────────────────────
+
+test('computeTalkTimeline uses measured durations and estimates the rest', () => {
+  const turns = [
+    { role: 'user', content: 'Hi there, thanks for taking the call today.' },
+    { role: 'assistant', content: 'Sure, what is this about?' },
+  ];
+  const start = 1000000;
+  const stamps = [{ role: 'user', timestamp: start + 3000, durationMs: 2500 }];
+  const result = computeTalkTimeline(turns, stamps, start);
+
+  assert.equal(result.talk_timeline[0].speaker, 'trainee');
+  assert.equal(result.talk_timeline[0].duration_ms, 2500);
+  assert.equal(result.talk_timeline[0].estimated, false);
+  assert.equal(result.talk_timeline[0].offset_ms, 3000);
+
+  // Five words at 150 words per minute.
+  assert.equal(result.talk_timeline[1].duration_ms, 2000);
+  assert.equal(result.talk_timeline[1].estimated, true);
+  assert.equal(result.talk_timeline[1].offset_ms, null);
+
+  assert.equal(result.trainee_talk_ms, 2500);
+  assert.equal(result.customer_talk_ms, 2000);
+  assert.equal(result.talk_time_ratio, Number((2500 / 4500).toFixed(3)));
+});
+
+test('computeTalkTimeline ignores timestamps recorded for the other speaker', () => {
+  const turns = [{ role: 'user', content: 'Hello' }];
+  const result = computeTalkTimeline(turns, [{ role: 'assistant', timestamp: 5, durationMs: 9000 }], 0);
+  assert.equal(result.talk_timeline[0].estimated, true);
+});
+
+test('computeTalkTimeline joins consecutive trainee turns into one monologue', () => {
+  const turns = [
+    { role: 'user', content: 'First part.' },
+    { role: 'user', content: 'Second part.' },
+    { role: 'assistant', content: 'Okay.' },
+  ];
+  const stamps = [
+    { role: 'user', timestamp: 0, durationMs: 30000 },
+    { role: 'user', timestamp: 0, durationMs: 30000 },
+    { role: 'assistant', timestamp: 0, durationMs: 1000 },
+  ];
+  const result = computeTalkTimeline(turns, stamps, null);
+
+  assert.equal(result.longest_monologue_ms, 60000);
+  assert.equal(result.monologue_count, 1);
+  assert.equal(result.avg_trainee_turn_ms, 30000);
+});
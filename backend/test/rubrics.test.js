@@ -0,0 +1,163 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_RUBRIC,
+  normalizeRubric,
+  resolveRubric,
+  buildRubricPrompt,
+  buildScoresTemplate,
+  applyRubric,
+  unscoredFeedback,
+  feedbackDimensions,
+  dimensionLabel,
+  averageDimensions,
+} = require('../src/rubrics');
+
+const { value: discoveryRubric } = normalizeRubric({
+  name: 'Discovery Call',
+  criteria: [
+    { name: 'Discovery Questions', weight: 3, levels: [{ score: 4, descriptor: 'Some' }, { score: 9, descriptor: 'Deep' }] },
+    { name: 'Next Steps', key: 'Next Steps!', weight: 1 },
+  ],
+});
+
+const feedback = (scores, extra = {}) => ({
+  overall_score: 5,
+  scores,
+  strengths: [],
+  weaknesses: [],
+  missed_opportunities: [],
+  actionable_suggestions: [],
+  ...extra,
+});
+
+// ── Validation ──────────────────────────────────────────────────────────────
+
+test('normalizeRubric fills defaults, slugs keys and sorts levels best first', () => {
+  assert.deepEqual(discoveryRubric, {
+    id: 'discovery_call',
+    name: 'Discovery Call',
+    overall: 'weighted',
+    criteria: [
+      {
+        key: 'discovery_questions',
+        name: 'Discovery Questions',
+        weight: 3,
+        description: '',
+        levels: [{ score: 9, descriptor: 'Deep' }, { score: 4, descriptor: 'Some' }],
+      },
+      { key: 'next_steps', name: 'Next Steps', weight: 1, description: '', levels: [] },
+    ],
+  });
+  assert.deepEqual(normalizeRubric(null), { value: null, error: null });
+});
+
+test('normalizeRubric rejects invalid rubrics', () => {
+  const criterion = { name: 'Rapport' };
+  assert.match(normalizeRubric([]).error, /must be an object/);
+  assert.match(normalizeRubric({ criteria: [] }).error, /non-empty/);
+  assert.match(normalizeRubric({ overall: 'median', criteria: [criterion] }).error, /rubric\.overall/);
+  assert.match(normalizeRubric({ criteria: [criterion, criterion] }).error, /duplicated/);
+  assert.match(normalizeRubric({ criteria: [{ name: 'Overall Score' }] }).error, /not allowed/);
+  assert.match(normalizeRubric({ criteria: [{ name: 'Rapport', weight: 0 }] }).error, /weight/);
+  assert.match(normalizeRubric({ criteria: [{ name: 'Rapport', levels: [{ score: 11, descriptor: 'x' }] }] }).error, /0 to 10/);
+  assert.match(
+    normalizeRubric({ criteria: [{ name: 'Rapport', levels: [{ score: 5, descriptor: 'a' }, { score: 5, descriptor: 'b' }] }] }).error,
+    /more than one level/
+  );
+});
+
+test('resolveRubric prefers the scenario, then the organization, then the default', () => {
+  const orgRubric = { ...discoveryRubric, id: 'org' };
+  assert.equal(resolveRubric({ rubric: discoveryRubric }, orgRubric), discoveryRubric);
+  assert.equal(resolveRubric({ rubric: null }, orgRubric), orgRubric);
+  assert.equal(resolveRubric({}, null), DEFAULT_RUBRIC);
+});
+
+// ── Prompting ───────────────────────────────────────────────────────────────
+
+test('the prompt lists every criterion with its weight and levels', () => {
+  assert.equal(
+    buildRubricPrompt(discoveryRubric),
+    'Scoring rubric "Discovery Call" (score every criterion 0-10):\n' +
+      '- discovery_questions: Discovery Questions (weight 3)\n' +
+      '    9: Deep\n' +
+      '    4: Some\n' +
+      '- next_steps: Next Steps'
+  );
+  assert.equal(
+    buildScoresTemplate(discoveryRubric),
+    '  "scores": {\n    "discovery_questions": <number 0-10>,\n    "next_steps": <number 0-10>\n  }'
+  );
+});
+
+// ── Scoring ─────────────────────────────────────────────────────────────────
+
+test('a weighted rubric replaces the overall score with the weighted criterion mean', () => {
+  const scored = applyRubric(feedback({ discovery_questions: 8, next_steps: 4 }), discoveryRubric);
+  assert.equal(scored.weighted_score, 7);
+  assert.equal(scored.overall_score, 7);
+  assert.deepEqual(scored.rubric.criteria.map((criterion) => criterion.weight), [3, 1]);
+});
+
+test('a model rubric keeps the model overall and mirrors the legacy skill fields', () => {
+  const scored = applyRubric(feedback({ objection_handling: 9, communication_clarity: 6, confidence: '3' }), DEFAULT_RUBRIC);
+  assert.equal(scored.overall_score, 5);
+  assert.equal(scored.weighted_score, 6);
+  assert.equal(scored.confidence, 3);
+  assert.equal(scored.objection_handling, 9);
+});
+
+test('criteria the model left out stay unscored and out of the weighted mean', () => {
+  const scored = applyRubric(feedback({ discovery_questions: 6 }), discoveryRubric);
+  assert.equal(scored.scores.next_steps, null);
+  assert.equal(scored.weighted_score, 6);
+});
+
+test('unscoredFeedback keeps the active rubric shape with empty scores', () => {
+  const fallback = unscoredFeedback(discoveryRubric, 'Could not score this call.');
+  assert.equal(fallback.overall_score, null);
+  assert.deepEqual(fallback.scores, { discovery_questions: null, next_steps: null });
+  assert.equal(fallback.rubric.id, 'discovery_call');
+  assert.deepEqual(fallback.weaknesses, ['Could not score this call.']);
+  assert.equal('confidence' in fallback, false);
+
+  assert.equal(unscoredFeedback(DEFAULT_RUBRIC, 'x').confidence, null);
+  assert.deepEqual(feedbackDimensions(fallback), {}, 'nothing is counted as a zero');
+});
+
+// ── Dimensions ──────────────────────────────────────────────────────────────
+
+test('feedbackDimensions collects overall, legacy skills and criterion scores', () => {
+  assert.deepEqual(feedbackDimensions({ overall_score: 6, confidence: 7, scores: { next_steps: 4, rapport: null } }), {
+    overall_score: 6,
+    confidence: 7,
+    next_steps: 4,
+  });
+  assert.deepEqual(feedbackDimensions(null), {});
+});
+
+test('averageDimensions averages each dimension over the sessions that scored it', () => {
+  const sessions = [
+    applyRubric(feedback({ discovery_questions: 8, next_steps: 4 }), discoveryRubric),
+    applyRubric(feedback({ objection_handling: 6, communication_clarity: 6, confidence: 6 }), DEFAULT_RUBRIC),
+    applyRubric(feedback({ discovery_questions: 4, next_steps: 8 }), discoveryRubric),
+  ];
+
+  assert.deepEqual(averageDimensions(sessions), [
+    { key: 'overall_score', label: 'Overall', avg: 17 / 3, count: 3 },
+    { key: 'objection_handling', label: 'Objection Handling', avg: 6, count: 1 },
+    { key: 'communication_clarity', label: 'Communication Clarity', avg: 6, count: 1 },
+    { key: 'confidence', label: 'Confidence', avg: 6, count: 1 },
+    { key: 'discovery_questions', label: 'Discovery Questions', avg: 6, count: 2 },
+    { key: 'next_steps', label: 'Next Steps', avg: 6, count: 2 },
+  ]);
+});
+
+test('dimensionLabel falls back to the key in title case', () => {
+  assert.equal(dimensionLabel('confidence'), 'Confidence');
+  assert.equal(dimensionLabel('next_steps', new Map([['next_steps', 'Agreed Next Steps']])), 'Agreed Next Steps');
+  assert.equal(dimensionLabel('value_selling'), 'Value Selling');
+});
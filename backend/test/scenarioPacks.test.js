@@ -0,0 +1,104 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  PACK_FORMAT,
+  PACK_VERSION,
+  validatePack,
+  parsePackText,
+  serializePack,
+  buildPack,
+  planImport,
+  loadDefaultPack,
+} = require('../src/scenarioPacks');
+
+const defaultPack = loadDefaultPack();
+
+function packWith(scenarios, extra = {}) {
+  return { format: PACK_FORMAT, version: PACK_VERSION, name: 'Test Pack', scenarios, ...extra };
+}
+
+test('the default pack is valid and seeds the built-in scenarios', () => {
+  assert.equal(defaultPack.format, PACK_FORMAT);
+  assert.ok(defaultPack.scenarios.length > 0);
+  assert.ok(defaultPack.scenarios.every((scenario) => scenario.id && scenario.persona));
+});
+
+test('validatePack reports every problem with its location', () => {
+  const { value, errors } = validatePack({
+    format: 'something-else',
+    version: PACK_VERSION + 1,
+    difficulty_modifiers: { Expert: 'Harder.' },
+    scenarios: [{ name: '' }, { ...defaultPack.scenarios[0], persona: 'a string' }],
+  });
+
+  assert.equal(value, null);
+  assert.ok(errors.some((error) => /^format must be/.test(error)));
+  assert.ok(errors.some((error) => /newer than supported/.test(error)));
+  assert.ok(errors.some((error) => /Unknown difficulty level: Expert/.test(error)));
+  assert.ok(errors.some((error) => /^scenarios\[0\]\.name is required/.test(error)));
+  assert.ok(errors.some((error) => /^scenarios\[1\]\.persona/.test(error)));
+});
+
+test('validatePack rejects empty packs and duplicated scenario ids', () => {
+  assert.ok(validatePack(packWith([])).errors.some((error) => /non-empty/.test(error)));
+
+  const scenario = defaultPack.scenarios[0];
+  const { errors } = validatePack(packWith([scenario, { ...scenario, name: 'Copy' }]));
+  assert.ok(errors.some((error) => /is duplicated/.test(error)));
+});
+
+test('packs survive a JSON and a YAML round trip', () => {
+  const pack = buildPack({ name: 'Export', scenarios: defaultPack.scenarios.slice(0, 2) });
+  for (const format of ['json', 'yaml']) {
+    const parsed = parsePackText(serializePack(pack, format));
+    assert.equal(parsed.error, null);
+    const { value, errors } = validatePack(parsed.value);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(
+      value.scenarios.map((scenario) => scenario.name),
+      defaultPack.scenarios.slice(0, 2).map((scenario) => scenario.name)
+    );
+  }
+});
+
+test('parsePackText reports empty and malformed input', () => {
+  assert.equal(parsePackText('  ').error, 'Pack is empty');
+  assert.match(parsePackText('{"format": ').error, /Could not parse pack/);
+});
+
+test('buildPack does not export database ids', () => {
+  const scenario = { ...defaultPack.scenarios[0], id: '123e4567-e89b-12d3-a456-426614174000', name: 'My Custom Call' };
+  assert.equal(buildPack({ scenarios: [scenario] }).scenarios[0].id, 'my_custom_call');
+});
+
+// ── Import conflicts ────────────────────────────────────────────────────────
+
+const pack = {
+  difficulty_modifiers: { Advanced: 'Be tough.' },
+  scenarios: ['Fresh Call', 'Existing Call', 'Built-in Call'].map((name) => ({ ...defaultPack.scenarios[0], name })),
+};
+const current = { builtInNames: ['Built-in Call'], existing: [{ id: 'row-1', name: 'existing call' }] };
+
+test('planImport skips scenarios whose names are taken', () => {
+  const plan = planImport(pack, current, 'skip');
+  assert.deepEqual(plan.create.map((row) => row.name), ['Fresh Call']);
+  assert.deepEqual(plan.skipped, ['Existing Call', 'Built-in Call']);
+  assert.deepEqual(plan.create[0].difficulty_modifiers, { Advanced: 'Be tough.' }, 'pack modifiers are inherited');
+});
+
+test('planImport overwrites custom scenarios but never built-ins', () => {
+  const plan = planImport(pack, current, 'overwrite');
+  assert.deepEqual(plan.overwrite.map((entry) => entry.id), ['row-1']);
+  assert.deepEqual(plan.skipped, ['Built-in Call']);
+});
+
+test('planImport renames conflicts to the next free name', () => {
+  const plan = planImport(pack, { ...current, existing: [...current.existing, { id: 'row-2', name: 'Existing Call (2)' }] }, 'rename');
+  assert.deepEqual(plan.renamed, [
+    { from: 'Existing Call', to: 'Existing Call (3)' },
+    { from: 'Built-in Call', to: 'Built-in Call (2)' },
+  ]);
+  assert.deepEqual(plan.create.map((row) => row.name), ['Fresh Call', 'Existing Call (3)', 'Built-in Call (2)']);
+});
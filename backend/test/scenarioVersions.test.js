@@ -0,0 +1,172 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// ── In-memory stand-in for the scenario_versions table ──────────────────────
+
+const table = [];
+const hooks = { beforeInsert: null, failReads: false };
+
+function query() {
+  const filters = [];
+  let sort = null;
+  let max = Infinity;
+  let pending = null;
+
+  const run = () => {
+    let rows = table.filter((row) => filters.every(([column, value]) => row[column] === value));
+    if (sort) {
+      rows = [...rows].sort((a, b) => (a[sort.column] - b[sort.column]) * (sort.ascending ? 1 : -1));
+    }
+    return rows.slice(0, max);
+  };
+  const read = () => (hooks.failReads ? { data: null, error: new Error('storage offline') } : null);
+
+  const builder = {
+    select: () => builder,
+    eq: (column, value) => {
+      filters.push([column, value]);
+      return builder;
+    },
+    order: (column, { ascending }) => {
+      sort = { column, ascending };
+      return builder;
+    },
+    limit: (n) => {
+      max = n;
+      return builder;
+    },
+    insert: (row) => {
+      pending = row;
+      return builder;
+    },
+    maybeSingle: async () => read() || { data: run()[0] || null, error: null },
+    single: async () => {
+      if (hooks.beforeInsert) hooks.beforeInsert(pending);
+      const clash = table.some(
+        (row) =>
+          row.scenario_key === pending.scenario_key &&
+          (row.version_number === pending.version_number || row.content_hash === pending.content_hash)
+      );
+      if (clash) return { data: null, error: { code: '23505', message: 'duplicate key value' } };
+      const row = { id: `version-${table.length + 1}`, ...pending };
+      table.push(row);
+      return { data: row, error: null };
+    },
+    then: (resolve, reject) => Promise.resolve(read() || { data: run(), error: null }).then(resolve, reject),
+  };
+  return builder;
+}
+
+const supabasePath = require.resolve('../src/lib/supabase');
+require.cache[supabasePath] = {
+  id: supabasePath,
+  filename: supabasePath,
+  loaded: true,
+  exports: { supabase: { from: query } },
+};
+
+const {
+  canonicalJson,
+  hashScenarioContent,
+  recordScenarioVersion,
+  resolveSessionVersion,
+  listScenarioVersions,
+} = require('../src/scenarioVersions');
+
+function scenario(id, overrides = {}) {
+  return {
+    id,
+    name: 'Price-Sensitive Buyer',
+    description: 'Owner focused on cost.',
+    persona: { role: 'owner', temperament: 'skeptical' },
+    stages: null,
+    buying_criteria: [],
+    difficulty_modifiers: null,
+    systemPrompt: 'You are the customer.',
+    ...overrides,
+  };
+}
+
+test.afterEach(() => {
+  hooks.beforeInsert = null;
+  hooks.failReads = false;
+});
+
+// ── Hashing ─────────────────────────────────────────────────────────────────
+
+test('canonicalJson sorts keys at every level and drops undefined values', () => {
+  assert.equal(canonicalJson({ b: 1, a: { d: [2, { f: 1, e: 0 }], c: undefined } }), '{"a":{"d":[2,{"e":0,"f":1}]},"b":1}');
+});
+
+test('hashScenarioContent ignores key order and presentation-only fields', () => {
+  const base = scenario('built_in');
+  const reordered = { systemPrompt: base.systemPrompt, ...base, persona: { temperament: 'skeptical', role: 'owner' } };
+  const renamedRow = { ...base, id: 'another-id', custom: true, created_at: '2026-01-01' };
+
+  assert.equal(hashScenarioContent(reordered), hashScenarioContent(base));
+  assert.equal(hashScenarioContent(renamedRow), hashScenarioContent(base));
+  assert.notEqual(hashScenarioContent({ ...base, systemPrompt: 'You are a tough customer.' }), hashScenarioContent(base));
+  assert.match(hashScenarioContent(base), /^[0-9a-f]{64}$/);
+});
+
+// ── Storage ─────────────────────────────────────────────────────────────────
+
+test('recordScenarioVersion stores each distinct content once, numbering versions per scenario', async () => {
+  const first = await recordScenarioVersion(scenario('dedupe'), { organizationId: 'org-1' });
+  assert.equal(first.version_number, 1);
+  assert.equal(first.organization_id, 'org-1');
+
+  const again = await recordScenarioVersion(scenario('dedupe', { persona: { temperament: 'skeptical', role: 'owner' } }));
+  assert.equal(again.id, first.id);
+
+  const edited = await recordScenarioVersion(scenario('dedupe', { description: 'Owner focused on ROI.' }));
+  assert.equal(edited.version_number, 2);
+
+  const other = await recordScenarioVersion(scenario('other_scenario'));
+  assert.equal(other.version_number, 1);
+
+  assert.equal(table.filter((row) => row.scenario_key === 'dedupe').length, 2);
+  assert.deepEqual((await listScenarioVersions('dedupe')).map((row) => row.version_number), [2, 1]);
+});
+
+test('recordScenarioVersion reuses the row a concurrent writer inserted for the same content', async () => {
+  const content = scenario('race_same');
+  hooks.beforeInsert = (row) => {
+    hooks.beforeInsert = null;
+    table.push({ ...row, id: 'concurrent-row' });
+  };
+
+  const version = await recordScenarioVersion(content);
+  assert.equal(version.id, 'concurrent-row');
+  assert.equal(table.filter((row) => row.scenario_key === 'race_same').length, 1);
+});
+
+test('recordScenarioVersion takes the next number when different content claimed its number first', async () => {
+  await recordScenarioVersion(scenario('race_other'));
+  hooks.beforeInsert = (row) => {
+    hooks.beforeInsert = null;
+    table.push({ ...row, id: 'concurrent-row', content_hash: 'someone-elses-edit' });
+  };
+
+  const version = await recordScenarioVersion(scenario('race_other', { description: 'Owner focused on ROI.' }));
+  assert.equal(version.version_number, 3);
+  assert.deepEqual(
+    table.filter((row) => row.scenario_key === 'race_other').map((row) => row.version_number),
+    [1, 2, 3]
+  );
+});
+
+test('recordScenarioVersion gives up after repeated conflicts', async () => {
+  hooks.beforeInsert = (row) => table.push({ ...row, id: `conflict-${table.length}`, content_hash: `edit-${table.length}` });
+  assert.equal(await recordScenarioVersion(scenario('race_forever')), null);
+  assert.equal(table.filter((row) => row.scenario_key === 'race_forever').length, 3);
+});
+
+test('resolveSessionVersion falls back to the content hash when storage fails', async () => {
+  hooks.failReads = true;
+  const content = scenario('offline');
+  const reference = await resolveSessionVersion(content, 'org-1');
+  assert.deepEqual(reference, { id: null, version_number: null, content_hash: hashScenarioContent(content) });
+});
@@ -0,0 +1,32 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSentenceSplitter } = require('../src/sentenceSplitter');
+
+test('returns sentences as soon as they are complete', () => {
+  const splitter = createSentenceSplitter();
+  assert.deepEqual(splitter.push('Thanks for calling today. We'), ['Thanks for calling today.']);
+  assert.deepEqual(splitter.push(' mostly use spreadsheets'), []);
+  assert.deepEqual(splitter.push(' right now! What do you'), ['We mostly use spreadsheets right now!']);
+  assert.deepEqual(splitter.flush(), ['What do you']);
+  assert.deepEqual(splitter.flush(), []);
+});
+
+test('does not split on abbreviations or decimals', () => {
+  const splitter = createSentenceSplitter();
+  assert.deepEqual(splitter.push('I spoke with Dr. Patel about version 3.5 of the tool. '), [
+    'I spoke with Dr. Patel about version 3.5 of the tool.',
+  ]);
+});
+
+test('joins fragments shorter than minChars with the next sentence', () => {
+  const splitter = createSentenceSplitter({ minChars: 12 });
+  assert.deepEqual(splitter.push('Sure. That works for our team. '), ['Sure. That works for our team.']);
+});
+
+test('splits on newlines', () => {
+  const splitter = createSentenceSplitter();
+  assert.deepEqual(splitter.push('First line without a stop\nSecond line'), ['First line without a stop']);
+  assert.deepEqual(splitter.flush(), ['Second line']);
+});
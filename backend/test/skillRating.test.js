@@ -0,0 +1,39 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RATING_CONFIG, updateRating } = require('../src/skillRating');
+
+const fresh = { rating: RATING_CONFIG.initialRating, rd: RATING_CONFIG.initialRd };
+const intermediate = RATING_CONFIG.levelRatings.Intermediate;
+
+test('a strong session raises the rating and a weak one lowers it', () => {
+  assert.ok(updateRating(fresh, 9, intermediate).rating > fresh.rating);
+  assert.ok(updateRating(fresh, 2, intermediate).rating < fresh.rating);
+});
+
+test('a score matching the expected outcome leaves the rating in place', () => {
+  const next = updateRating(fresh, 5, intermediate);
+  assert.ok(Math.abs(next.rating - fresh.rating) < 1e-9);
+});
+
+test('each session narrows the deviation, down to minRd', () => {
+  let current = fresh;
+  for (let i = 0; i < 200; i++) {
+    const next = updateRating(current, 6, intermediate);
+    assert.ok(next.rd <= current.rd);
+    current = next;
+  }
+  assert.equal(current.rd, RATING_CONFIG.minRd);
+});
+
+test('the same score moves the rating more against a harder opponent', () => {
+  const easy = updateRating(fresh, 7, RATING_CONFIG.levelRatings.Beginner);
+  const hard = updateRating(fresh, 7, RATING_CONFIG.levelRatings.Advanced);
+  assert.ok(hard.rating > easy.rating);
+});
+
+test('scores outside 0-10 are clamped', () => {
+  assert.deepEqual(updateRating(fresh, 14, intermediate), updateRating(fresh, 10, intermediate));
+  assert.deepEqual(updateRating(fresh, -3, intermediate), updateRating(fresh, 0, intermediate));
+});
@@ -0,0 +1,120 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeStages, createStageTracker, applyStagePrompt } = require('../src/stageTracker');
+
+const trainee = (text) => ({ speaker: 'trainee', text });
+const customer = (text) => ({ speaker: 'customer', text });
+
+test('a call that works through every default stage meets the win condition', () => {
+  const tracker = createStageTracker();
+  assert.equal(tracker.current().id, 'discovery');
+
+  assert.equal(tracker.evaluate(trainee('Hi, thanks for taking my call.')).changed, false);
+  assert.equal(tracker.evaluate(trainee('What are your biggest challenges with onboarding today?')).stage.id, 'demo');
+  assert.equal(tracker.evaluate(trainee('Our platform automates the first week of training.')).changed, false);
+  assert.equal(tracker.evaluate(trainee('For example, customers like you cut ramp time in half.')).stage.id, 'objection');
+  assert.equal(tracker.evaluate(customer('Honestly, it sounds expensive.')).changed, false);
+  assert.equal(tracker.evaluate(trainee("I understand, that's why we start with a free trial.")).stage.id, 'close');
+  assert.equal(tracker.evaluate(customer('Sounds good, go ahead.')).changed, true);
+
+  const summary = tracker.summary();
+  assert.equal(summary.win_condition_met, true);
+  assert.deepEqual(summary.reached, ['discovery', 'demo', 'objection', 'close']);
+  assert.deepEqual(summary.skipped, []);
+  assert.deepEqual(summary.not_reached, []);
+  assert.deepEqual(summary.stages.map((stage) => stage.status), ['completed', 'completed', 'completed', 'completed']);
+  assert.equal(tracker.snapshot().winConditionMet, true);
+});
+
+test('entry criteria jump ahead and mark the stages passed over as skipped', () => {
+  const tracker = createStageTracker();
+  tracker.evaluate(trainee('Hi there.'));
+  const result = tracker.evaluate(trainee('Could we talk about next steps and a proposal?'));
+
+  assert.equal(result.changed, true);
+  assert.equal(result.stage.id, 'close');
+  const summary = tracker.summary();
+  assert.deepEqual(summary.skipped, ['demo', 'objection']);
+  assert.equal(summary.final_stage, 'close');
+  assert.equal(summary.stages[0].exited_turn, 2);
+});
+
+test('stages still pending at the end of the call are reported as not reached', () => {
+  const tracker = createStageTracker();
+  tracker.evaluate(trainee('Hi, thanks for taking my call.'));
+  tracker.evaluate(trainee('What are your biggest challenges with onboarding today?'));
+
+  const summary = tracker.summary();
+  assert.deepEqual(summary.reached, ['discovery', 'demo']);
+  assert.deepEqual(summary.skipped, []);
+  assert.deepEqual(summary.not_reached, ['objection', 'close']);
+});
+
+test('entry criteria wait for their minimum number of trainee turns', () => {
+  const tracker = createStageTracker();
+  assert.equal(tracker.evaluate(trainee("Let's agree on a next step.")).changed, false);
+  assert.equal(tracker.current().id, 'discovery');
+});
+
+test('criteria only match lines from their speaker', () => {
+  const tracker = createStageTracker();
+  tracker.evaluate(trainee('Hello.'));
+  assert.equal(tracker.evaluate(customer('What are you selling? Tell me about it.')).changed, false);
+  assert.equal(tracker.current().id, 'discovery');
+});
+
+test('custom stages without keywords pass on turn count alone', () => {
+  const { value, error } = normalizeStages([
+    { name: 'Opening', exit: { min_turns: 2 } },
+    { name: 'Wrap Up', prompt: 'Say goodbye.', exit: { speaker: 'customer', keywords: ['Bye'] } },
+  ]);
+  assert.equal(error, null);
+  assert.deepEqual(value.map((stage) => stage.id), ['opening', 'wrap_up']);
+  assert.deepEqual(value[1].exit.keywords, ['bye']);
+
+  const tracker = createStageTracker(value);
+  assert.equal(tracker.evaluate(trainee('Hello.')).changed, false);
+  assert.equal(tracker.evaluate(trainee('Anyway.')).stage.id, 'wrap_up');
+  tracker.evaluate(customer('Okay, bye!'));
+  assert.equal(tracker.summary().win_condition_met, true);
+});
+
+test('normalizeStages rejects invalid stage lists', () => {
+  assert.match(normalizeStages([]).error, /non-empty/);
+  assert.match(normalizeStages([{ name: '' }]).error, /needs a name/);
+  assert.match(normalizeStages([{ name: 'Demo' }, { name: 'demo' }]).error, /unique id/);
+  assert.match(normalizeStages([{ name: 'Demo', exit: { speaker: 'coach' } }]).error, /speaker/);
+  assert.match(normalizeStages([{ name: 'Demo', exit: { min_turns: -1 } }]).error, /min_turns/);
+});
+
+test('applyStagePrompt appends the stage instructions', () => {
+  assert.equal(applyStagePrompt('Base prompt.', { prompt: 'STAGE: Demo.' }), 'Base prompt.\n\nSTAGE: Demo.');
+  assert.equal(applyStagePrompt('Base prompt.', { prompt: '' }), 'Base prompt.');
+});
+
+test('keywords match whole words, not fragments of longer words', () => {
+  const tracker = createStageTracker();
+  tracker.evaluate(trainee('Hi there.'));
+  assert.equal(tracker.evaluate(trainee('We designed our platform around your signal flow.')).stage.id, 'demo');
+  assert.equal(tracker.evaluate(trainee('I can assign that to the team.')).changed, false);
+  assert.equal(tracker.evaluate(trainee('That was a heroic effort on the unsaved draft.')).changed, false);
+  assert.deepEqual(tracker.summary().skipped, []);
+  assert.equal(tracker.current().id, 'demo');
+
+  assert.equal(tracker.evaluate(trainee('Most teams save two hours a week.')).stage.id, 'objection');
+  assert.equal(tracker.evaluate(trainee('Ready to sign?')).stage.id, 'close');
+});
+
+test('keywords ending in * match word stems and symbols match inside numbers', () => {
+  const { value } = normalizeStages([
+    { name: 'Listen', prompt: 'Let them vent.', exit: { keywords: ['frustrat*'] } },
+    { name: 'Price', prompt: 'Quote a price.', exit: { keywords: ['$'] } },
+  ]);
+  const tracker = createStageTracker(value);
+
+  assert.equal(tracker.evaluate(trainee('I hear how frustrating this has been.')).stage.id, 'price');
+  assert.equal(tracker.evaluate(trainee('It comes to $50 a month.')).changed, true);
+  assert.equal(tracker.summary().win_condition_met, true);
+});
@@ -0,0 +1,188 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveSttProviderName, createSttProvider } = require('../src/providers/stt');
+const { ReplaySttProvider } = require('../src/providers/stt/replay');
+const { WhisperSttProvider } = require('../src/providers/stt/whisper');
+
+const CHUNK_SAMPLES = 1600; // 100 ms at 16 kHz
+
+function audioChunk(level) {
+  const buffer = Buffer.alloc(CHUNK_SAMPLES * 2);
+  for (let i = 0; i < CHUNK_SAMPLES; i++) buffer.writeInt16LE(i % 2 ? level : -level, i * 2);
+  return buffer;
+}
+
+const speech = () => audioChunk(2000);
+const quiet = () => audioChunk(0);
+
+/** Provider options that record events; `done` resolves on the first `until` event. */
+function recorder(until = 'stt.utterance_end') {
+  const events = [];
+  let finish;
+  const done = new Promise((resolve) => {
+    finish = resolve;
+  });
+  return {
+    events,
+    done,
+    onEvent(eventType, payload) {
+      events.push([eventType, payload]);
+      if (eventType === until) finish();
+    },
+  };
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+// ── Registry ────────────────────────────────────────────────────────────────
+
+test('resolveSttProviderName accepts provider ids and aliases', () => {
+  assert.equal(resolveSttProviderName('Deepgram'), 'deepgram');
+  assert.equal(resolveSttProviderName('whisper.cpp'), 'whisper');
+  assert.equal(resolveSttProviderName('scripted'), 'replay');
+  assert.equal(resolveSttProviderName('vosk'), null);
+});
+
+test('createSttProvider builds the requested provider or explains why not', (t) => {
+  const previous = process.env.DEEPGRAM_API_KEY;
+  t.after(() => {
+    if (previous === undefined) delete process.env.DEEPGRAM_API_KEY;
+    else process.env.DEEPGRAM_API_KEY = previous;
+  });
+  delete process.env.DEEPGRAM_API_KEY;
+  const onEvent = () => {};
+
+  const replay = createSttProvider({ provider: 'mock', turn: 2, speed: '4', onEvent });
+  assert.equal(replay.model, 'script:default');
+  assert.equal(replay.turn, 2);
+  assert.equal(replay.speed, 4);
+  assert.equal(createSttProvider({ provider: 'local', model: 'ggml-base.en.bin', onEvent }).name, 'whisper');
+
+  assert.throws(() => createSttProvider({ provider: 'vosk', onEvent }), /Unknown STT provider "vosk"/);
+  assert.throws(() => createSttProvider({ provider: 'deepgram', onEvent }), /DEEPGRAM_API_KEY not configured/);
+});
+
+// ── Replay ──────────────────────────────────────────────────────────────────
+
+test('replay plays a turn as partials, finals and an utterance end', async () => {
+  const events = recorder();
+  const script = {
+    name: 'timed',
+    turns: [
+      'ignored',
+      [
+        { text: 'We help teams', startMs: 0, endMs: 300, confidence: 0.9 },
+        { text: 'ramp faster.', endMs: 600 },
+      ],
+    ],
+  };
+  const stt = new ReplaySttProvider({ script, turn: 1, speed: 10, onEvent: events.onEvent });
+  await stt.connect();
+  stt.sendAudio(speech());
+  await events.done;
+
+  assert.deepEqual(events.events, [
+    ['stt.partial', { text: 'We' }],
+    ['stt.partial', { text: 'We help' }],
+    ['stt.final', { text: 'We help teams', confidence: 0.9 }],
+    ['stt.partial', { text: 'ramp' }],
+    ['stt.final', { text: 'ramp faster.', confidence: null }],
+    ['stt.utterance_end', {}],
+  ]);
+  assert.equal(stt.model, 'script:timed');
+});
+
+test('replay drops what was not yet heard when the stream closes', async () => {
+  const events = recorder();
+  const script = { turns: [{ segments: [{ text: 'One.', startMs: 0, endMs: 0 }, { text: 'Two.', startMs: 5000 }], utteranceEndMs: false }] };
+  const stt = new ReplaySttProvider({ script, onEvent: events.onEvent });
+  await stt.connect();
+  await settle();
+  stt.close();
+
+  assert.deepEqual(events.events, [['stt.final', { text: 'One.', confidence: null }]]);
+  assert.equal(stt.connected, false);
+  assert.equal(stt.timers.length, 0);
+});
+
+test('replay reads scripts from a file and stays silent past the last turn', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stt-replay-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const scriptPath = path.join(dir, 'script.json');
+  fs.writeFileSync(scriptPath, JSON.stringify({ name: 'file', turns: ['Hello.'] }));
+
+  const events = recorder();
+  const stt = new ReplaySttProvider({ scriptPath, turn: 1, onEvent: events.onEvent });
+  await stt.connect();
+  await settle();
+  assert.equal(stt.model, 'script:file');
+  assert.deepEqual(events.events, []);
+  stt.close();
+});
+
+// ── whisper.cpp ─────────────────────────────────────────────────────────────
+
+function fakeWhisper(onEvent, transcripts) {
+  const stt = new WhisperSttProvider({ model: '/models/ggml-base.en.bin', endpointMs: 300, utteranceEndMs: 600, onEvent });
+  stt.runs = [];
+  stt._run = async (args) => {
+    const file = args[args.indexOf('-f') + 1];
+    stt.runs.push({ args, bytes: fs.statSync(file).size });
+    return transcripts.shift();
+  };
+  return stt;
+}
+
+test('whisper transcribes each spoken segment and then ends the utterance', async () => {
+  const events = recorder();
+  const stt = fakeWhisper(events.onEvent, [' Hi there. [BLANK_AUDIO]\n', 'How are you?']);
+  await stt.connect();
+
+  for (const chunk of [speech(), speech(), quiet(), quiet(), quiet(), speech(), quiet(), quiet(), quiet()]) {
+    stt.sendAudio(chunk);
+  }
+  for (let i = 0; i < 6; i++) stt.sendAudio(quiet());
+  await events.done;
+
+  assert.deepEqual(events.events, [
+    ['stt.final', { text: 'Hi there.', confidence: null }],
+    ['stt.final', { text: 'How are you?', confidence: null }],
+    ['stt.utterance_end', {}],
+  ]);
+  assert.deepEqual(stt.runs[0].args.slice(-4), ['-l', 'en', '-nt', '-np']);
+  assert.equal(stt.runs[0].bytes, 44 + 5 * CHUNK_SAMPLES * 2, 'the segment keeps its trailing quiet');
+});
+
+test('whisper transcribes speech still buffered when the stream closes and ends the utterance', async () => {
+  const events = recorder();
+  const stt = fakeWhisper(events.onEvent, ['Goodbye.']);
+  await stt.connect();
+  stt.sendAudio(speech());
+  stt.close();
+  await events.done;
+
+  assert.deepEqual(events.events, [
+    ['stt.final', { text: 'Goodbye.', confidence: null }],
+    ['stt.utterance_end', {}],
+  ]);
+  stt.sendAudio(speech());
+  assert.equal(stt.segment.length, 0, 'audio after close is ignored');
+});
+
+test('whisper needs a model and an executable', async () => {
+  await assert.rejects(new WhisperSttProvider({ onEvent: () => {} }).connect(), /requires a model/);
+
+  // A short timeout: Node keeps the spawn timer running when the executable is missing.
+  const missing = new WhisperSttProvider({
+    model: 'model.bin',
+    command: '/nonexistent/whisper-cli',
+    timeoutMs: 100,
+    onEvent: () => {},
+  });
+  await assert.rejects(missing._run(['-h']), /whisper executable not found: \/nonexistent\/whisper-cli/);
+});
@@ -0,0 +1,179 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TtsCache } = require('../src/lib/ttsCache');
+const { TtsClient } = require('../src/ttsClient');
+
+const request = { provider: 'stub', text: 'Sorry, can you clarify?', voice: 'silent', encoding: 'linear16', sampleRate: 16000 };
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+async function waitFor(check) {
+  for (let attempt = 0; attempt < 100 && !check(); attempt++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.ok(check(), 'timed out waiting');
+}
+
+function countingAdapter() {
+  const adapter = {
+    name: 'stub',
+    model: 'silent',
+    calls: 0,
+    async *streamSpeech(text) {
+      adapter.calls++;
+      yield Buffer.from(`${text}:1`);
+      yield Buffer.from(`${text}:2`);
+    },
+  };
+  return adapter;
+}
+
+// ── Keys ────────────────────────────────────────────────────────────────────
+
+test('the key covers everything that changes the audio', () => {
+  const cache = new TtsCache();
+  const key = cache.key(request);
+  assert.equal(cache.key({ ...request, text: '  Sorry,  can you\nclarify? ' }), key, 'whitespace is normalised');
+  assert.notEqual(cache.key({ ...request, voice: 'tone' }), key);
+  assert.notEqual(cache.key({ ...request, sampleRate: 24000 }), key);
+  assert.notEqual(cache.key({ ...request, prosody: { rate: 1.1 } }), key);
+  assert.equal(cache.key({ ...request, prosody: { rate: 1, pitch: 1 } }), key);
+});
+
+// ── Memory ──────────────────────────────────────────────────────────────────
+
+test('get reports hits and misses', async () => {
+  const cache = new TtsCache();
+  assert.equal(await cache.get('a'), null);
+  cache.set('a', Buffer.from('audio'));
+  assert.deepEqual(await cache.get('a'), Buffer.from('audio'));
+
+  assert.deepEqual(cache.getStats(), {
+    enabled: true,
+    persistent: false,
+    entries: 1,
+    bytes: 5,
+    maxBytes: 32 * 1024 * 1024,
+    diskEntries: 0,
+    diskBytes: 0,
+    hits: 1,
+    misses: 1,
+    diskHits: 0,
+    diskErrors: 0,
+    diskEvictions: 0,
+    hitRate: 0.5,
+  });
+});
+
+test('the least recently used entries are evicted to stay within budget', async () => {
+  const cache = new TtsCache({ maxBytes: 10 });
+  cache.set('a', Buffer.alloc(4));
+  cache.set('b', Buffer.alloc(4));
+  await cache.get('a');
+  cache.set('c', Buffer.alloc(4));
+
+  assert.equal(await cache.get('b'), null, 'b was least recently used');
+  assert.ok(await cache.get('a'));
+  assert.ok(await cache.get('c'));
+  assert.equal(cache.getStats().bytes, 8);
+
+  cache.set('huge', Buffer.alloc(11));
+  assert.equal(await cache.get('huge'), null, 'audio bigger than the budget is not cached');
+  assert.equal(cache.getStats().entries, 2);
+});
+
+test('a disabled cache stores nothing', async () => {
+  const cache = new TtsCache({ enabled: false });
+  cache.set('a', Buffer.from('audio'));
+  assert.equal(await cache.get('a'), null);
+  assert.equal(cache.getStats().misses, 0);
+});
+
+// ── Disk ────────────────────────────────────────────────────────────────────
+
+test('persisted entries are read back after a restart', async (t) => {
+  const dir = tempDir(t);
+  const key = new TtsCache().key(request);
+  new TtsCache({ dir }).set(key, Buffer.from('audio'));
+  await waitFor(() => fs.existsSync(path.join(dir, `${key}.pcm`)));
+
+  const restarted = new TtsCache({ dir });
+  assert.deepEqual(await restarted.get(key), Buffer.from('audio'));
+  assert.ok(await restarted.get(key));
+  const stats = restarted.getStats();
+  assert.equal(stats.diskHits, 1, 'the second read comes from memory');
+  assert.equal(stats.hits, 2);
+});
+
+test('the least recently used files are deleted to stay within the disk budget', async (t) => {
+  const dir = tempDir(t);
+  const cache = new TtsCache({ dir, maxBytes: 4, diskMaxBytes: 10 });
+  const [a, b, c] = ['a', 'b', 'c'].map((text) => cache.key({ ...request, text }));
+  const file = (key) => path.join(dir, `${key}.pcm`);
+
+  cache.set(a, Buffer.alloc(4));
+  cache.set(b, Buffer.alloc(4));
+  await waitFor(() => cache.getStats().diskEntries === 2);
+  assert.ok(await cache.get(a), 'read back from disk, so a is now the most recently used');
+  cache.set(c, Buffer.alloc(4));
+  await waitFor(() => cache.getStats().diskEvictions === 1);
+
+  assert.equal(fs.existsSync(file(b)), false, 'b was least recently used');
+  assert.ok(fs.existsSync(file(a)));
+  assert.ok(fs.existsSync(file(c)));
+  assert.equal(await cache.get(b), null);
+  assert.equal(cache.getStats().diskBytes, 8);
+});
+
+test('files left from an earlier run are trimmed to the disk budget, oldest first', async (t) => {
+  const dir = tempDir(t);
+  const keys = ['a', 'b', 'c'].map((text) => new TtsCache().key({ ...request, text }));
+  keys.forEach((key, index) => {
+    const file = path.join(dir, `${key}.pcm`);
+    fs.writeFileSync(file, Buffer.alloc(4));
+    fs.utimesSync(file, new Date(), new Date(Date.now() - (3 - index) * 60000));
+  });
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a cache entry');
+
+  const cache = new TtsCache({ dir, diskMaxBytes: 10 });
+  assert.equal(await cache.get(keys[0]), null, 'the oldest file was evicted');
+  assert.ok(await cache.get(keys[2]));
+  assert.deepEqual(fs.readdirSync(dir).sort(), [`${keys[1]}.pcm`, `${keys[2]}.pcm`, 'notes.txt'].sort());
+  assert.equal(cache.getStats().diskEvictions, 1);
+});
+
+// ── TtsClient ───────────────────────────────────────────────────────────────
+
+test('TtsClient serves repeated phrases from the cache', async () => {
+  const adapter = countingAdapter();
+  const client = new TtsClient({ adapter, cache: new TtsCache() });
+
+  const first = await client.generateSpeech('Hello');
+  const second = await client.generateSpeech('Hello');
+  assert.deepEqual(second, first);
+  assert.equal(adapter.calls, 1);
+
+  await client.generateSpeech('Hello', { prosody: { rate: 1.1 } });
+  assert.equal(adapter.calls, 2, 'other prosody is a different phrase');
+});
+
+test('TtsClient does not cache a stream that was stopped early', async () => {
+  const adapter = countingAdapter();
+  const cache = new TtsCache();
+  const client = new TtsClient({ adapter, cache });
+
+  for await (const chunk of client.streamSpeech('Hello')) {
+    assert.ok(chunk);
+    break;
+  }
+  assert.equal(cache.getStats().entries, 0);
+});
@@ -0,0 +1,181 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveTtsProviderName, configuredTtsProviderName, createTtsProvider } = require('../src/providers/tts');
+const { LocalTtsProvider } = require('../src/providers/tts/localEngine');
+const { readWavHeader, createPcmConverter } = require('../src/providers/tts/pcm');
+
+function pcm16(samples) {
+  const buffer = Buffer.alloc(samples.length * 2);
+  samples.forEach((sample, index) => buffer.writeInt16LE(sample, index * 2));
+  return buffer;
+}
+
+function samplesOf(buffer) {
+  const samples = [];
+  for (let offset = 0; offset < buffer.length; offset += 2) samples.push(buffer.readInt16LE(offset));
+  return samples;
+}
+
+function wav(data, { sampleRate, channels = 1, dataSize = data.length }) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28);
+  header.writeUInt16LE(channels * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataSize, 40);
+  return Buffer.concat([header, data]);
+}
+
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return chunks;
+}
+
+/**
+ * Write an executable standing in for a local engine.  It saves its
+ * arguments and stdin next to itself and writes `output` (base64) to stdout.
+ */
+function fakeEngine(t, output) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-engine-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const command = path.join(dir, 'engine');
+  fs.writeFileSync(
+    command,
+    `#!${process.execPath}
+const fs = require('fs');
+const input = fs.readFileSync(0, 'utf8');
+fs.writeFileSync(__filename + '.json', JSON.stringify({ args: process.argv.slice(2), input }));
+process.stdout.write(Buffer.from(${JSON.stringify(output.toString('base64'))}, 'base64'));
+`,
+    { mode: 0o755 }
+  );
+  return { command, calls: () => JSON.parse(fs.readFileSync(`${command}.json`, 'utf8')) };
+}
+
+// ── Registry ────────────────────────────────────────────────────────────────
+
+test('resolveTtsProviderName accepts provider ids and aliases', () => {
+  assert.equal(resolveTtsProviderName('Deepgram'), 'deepgram');
+  assert.equal(resolveTtsProviderName('espeak-ng'), 'espeak');
+  assert.equal(resolveTtsProviderName('tone'), 'stub');
+  assert.equal(resolveTtsProviderName('polly'), null);
+});
+
+test('createTtsProvider builds the requested provider', () => {
+  assert.equal(createTtsProvider({ provider: 'stub' }).model, 'silent');
+  assert.equal(createTtsProvider({ provider: 'tone' }).model, 'tone');
+
+  const espeak = createTtsProvider({ provider: 'espeak-ng' });
+  assert.equal(espeak.name, 'espeak');
+  assert.equal(espeak.model, 'en-us');
+
+});
+
+test('an unknown TTS provider falls back to the default instead of throwing', () => {
+  assert.equal(configuredTtsProviderName('polly'), 'deepgram');
+  assert.equal(configuredTtsProviderName('espeak-ng'), 'espeak');
+  assert.equal(createTtsProvider({ provider: 'polly' }).name, 'deepgram');
+});
+
+// ── Stub ────────────────────────────────────────────────────────────────────
+
+test('the stub streams about as much audio as the text takes to say', async () => {
+  const silent = await collect(createTtsProvider({ provider: 'stub' }).streamSpeech('one two three', { sampleRate: 16000 }));
+  const audio = Buffer.concat(silent);
+  assert.equal(audio.length, 19200 * 2, 'three words at 150 words per minute');
+  assert.ok(silent.length > 1, 'the audio arrives in more than one chunk');
+  assert.ok(audio.every((byte) => byte === 0));
+
+  const tone = Buffer.concat(await collect(createTtsProvider({ provider: 'tone' }).streamSpeech('one two three', { sampleRate: 16000 })));
+  assert.equal(tone.length, audio.length);
+  assert.ok(samplesOf(tone).some((sample) => sample !== 0));
+});
+
+test('the stub follows the prosody rate and the request voice', async () => {
+  const stub = createTtsProvider({ provider: 'stub' });
+  const normal = Buffer.concat(await collect(stub.streamSpeech('one two three', { sampleRate: 16000 })));
+  const fast = Buffer.concat(await collect(stub.streamSpeech('one two three', { sampleRate: 16000, prosody: { rate: 1.25 } })));
+  assert.equal(fast.length, Math.round(normal.length / 1.25));
+
+  const tone = Buffer.concat(await collect(stub.streamSpeech('one two three', { sampleRate: 16000, model: 'tone' })));
+  assert.ok(samplesOf(tone).some((sample) => sample !== 0));
+});
+
+test('the stub stops when the request is aborted', async () => {
+  const stub = createTtsProvider({ provider: 'stub' });
+  const controller = new AbortController();
+  const stream = stub.streamSpeech('one two three', { signal: controller.signal });
+  assert.equal((await stream.next()).done, false);
+  controller.abort();
+  await assert.rejects(stream.next(), { name: 'AbortError' });
+  await assert.rejects(collect(stub.streamSpeech('hello', { encoding: 'mp3' })), /only produces linear16/);
+});
+
+// ── PCM helpers ─────────────────────────────────────────────────────────────
+
+test('readWavHeader waits for the whole header and finds the data', () => {
+  const file = wav(pcm16([1, -2, 3, -4]), { sampleRate: 22050, channels: 2, dataSize: 0xffffffff });
+  assert.equal(readWavHeader(file.subarray(0, 30)), null);
+  assert.deepEqual(readWavHeader(file), { channels: 2, sampleRate: 22050, bitsPerSample: 16, dataOffset: 44 });
+  assert.throws(() => readWavHeader(Buffer.from('not a wav file')), /did not return a WAV file/);
+});
+
+test('the PCM converter mixes channels down and resamples across chunks', () => {
+  const stereo = createPcmConverter({ fromRate: 16000, toRate: 16000, channels: 2 });
+  const mixed = [stereo.push(pcm16([100, 300, -100])), stereo.push(pcm16([-300, 50, 50]))];
+  assert.deepEqual(samplesOf(Buffer.concat(mixed)), [200, -200], 'a frame split between chunks is kept');
+
+  const ramp = pcm16([0, 100, 200, 300, 400, 500, 600]);
+  const whole = createPcmConverter({ fromRate: 24000, toRate: 16000 }).push(ramp);
+  assert.deepEqual(samplesOf(whole), [0, 150, 300, 450]);
+
+  const pieces = createPcmConverter({ fromRate: 24000, toRate: 16000 });
+  const split = [ramp.subarray(0, 5), ramp.subarray(5, 9), ramp.subarray(9)].map((chunk) => pieces.push(chunk));
+  assert.deepEqual(samplesOf(Buffer.concat(split)), samplesOf(whole));
+});
+
+// ── Local engines ───────────────────────────────────────────────────────────
+
+test('piper output is resampled to the requested rate', async (t) => {
+  const engine = fakeEngine(t, pcm16([0, 10, 20, 30, 40]));
+  const piper = new LocalTtsProvider({ engine: 'piper', command: engine.command, voice: 'voice.onnx', rawSampleRate: 32000 });
+
+  const audio = Buffer.concat(await collect(piper.streamSpeech('Hello there.', { sampleRate: 16000, prosody: { rate: 1.25 } })));
+  assert.deepEqual(samplesOf(audio), [0, 20]);
+  assert.deepEqual(engine.calls(), {
+    args: ['--model', 'voice.onnx', '--output_raw', '--quiet', '--length_scale', '0.800'],
+    input: 'Hello there.',
+  });
+});
+
+test('espeak output is unpacked from WAV and gets the prosody', async (t) => {
+  const engine = fakeEngine(t, wav(pcm16([5, 5, 7, 7, 9, 9]), { sampleRate: 16000, channels: 2 }));
+  const espeak = new LocalTtsProvider({ engine: 'espeak', command: engine.command, voice: 'en-us', rate: 160 });
+
+  const audio = Buffer.concat(await collect(espeak.streamSpeech('hi', { model: 'en-gb', prosody: { rate: 1.1, pitch: 0.9 } })));
+  assert.deepEqual(samplesOf(audio), [5, 7]);
+  assert.deepEqual(engine.calls().args, ['--stdout', '-v', 'en-gb', '-s', '176', '-p', '45']);
+});
+
+test('local engines report a missing voice or executable', async () => {
+  await assert.rejects(collect(new LocalTtsProvider({ engine: 'piper' }).streamSpeech('hi')), /requires a voice/);
+
+  // A short timeout: Node keeps the spawn timer running when the executable is missing.
+  const missing = new LocalTtsProvider({ engine: 'espeak', voice: 'en-us', command: '/nonexistent/espeak-ng', timeoutMs: 100 });
+  await assert.rejects(collect(missing.streamSpeech('hi')), /executable not found: \/nonexistent\/espeak-ng/);
+  assert.throws(() => new LocalTtsProvider({ engine: 'festival' }), /Unknown local TTS engine/);
+});
@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * Drives a whole call over the WebSocket with the offline providers: the
+ * replay STT "hears" the default script, the scripted LLM answers and scores
+ * the call, and the stub TTS speaks.  No network or credentials are needed.
+ */
+
+process.env.LLM_PROVIDER = 'scripted';
+process.env.STT_PROVIDER = 'replay';
+process.env.STT_REPLAY_SPEED = '20';
+process.env.TTS_PROVIDER = 'stub';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const WebSocket = require('ws');
+const { setupWebsocket, MESSAGE_TYPES } = require('../src/websocket');
+const { DEFAULT_SCRIPT } = require('../src/providers/stt/replay');
+const { WhisperSttProvider } = require('../src/providers/stt/whisper');
+
+const MESSAGE_TIMEOUT_MS = 15000;
+
+function startServer() {
+  const server = http.createServer();
+  setupWebsocket(server);
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function connect(server) {
+  const ws = new WebSocket(`ws://127.0.0.1:${server.address().port}`);
+  const received = [];
+  const waiters = [];
+  ws.on('message', (raw) => {
+    const message = JSON.parse(raw.toString());
+    received.push(message);
+    waiters.filter((waiter) => waiter.type === message.type).forEach((waiter) => waiter.resolve(message));
+  });
+
+  // Resolve with the first message of `type`, including ones already received.
+  function nextMessage(type) {
+    const seen = received.find((message) => message.type === type);
+    if (seen) return Promise.resolve(seen);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${type}`)), MESSAGE_TIMEOUT_MS);
+      waiters.push({
+        type,
+        resolve: (message) => {
+          clearTimeout(timer);
+          resolve(message);
+        },
+      });
+    });
+  }
+
+  const send = (message) => ws.send(JSON.stringify(message));
+  return new Promise((resolve, reject) => {
+    ws.once('open', () => resolve({ ws, received, nextMessage, send }));
+    ws.once('error', reject);
+  });
+}
+
+test('a call streams audio, speaks the reply and returns feedback', async (t) => {
+  const server = await startServer();
+  const client = await connect(server);
+  t.after(() => {
+    client.ws.close();
+    server.close();
+  });
+
+  client.send({ type: MESSAGE_TYPES.USER_AUDIO_START, sampleRate: 16000 });
+  for (let i = 0; i < 5; i++) {
+    client.send({ type: MESSAGE_TYPES.USER_AUDIO_CHUNK, payload: Buffer.alloc(3200).toString('base64') });
+  }
+
+  const stage = await client.nextMessage(MESSAGE_TYPES.SCENARIO_STAGE);
+  assert.equal(stage.stage.index, 0);
+  assert.ok(stage.total > 0);
+
+  const final = await client.nextMessage(MESSAGE_TYPES.STT_FINAL);
+  assert.equal(final.text, DEFAULT_SCRIPT.turns[0]);
+  client.send({ type: MESSAGE_TYPES.USER_AUDIO_END });
+
+  const chunk = await client.nextMessage(MESSAGE_TYPES.AGENT_AUDIO_CHUNK);
+  assert.equal(typeof chunk.payload, 'string');
+  assert.ok(chunk.payload.length > 0);
+  await client.nextMessage(MESSAGE_TYPES.AGENT_AUDIO_END);
+
+  client.send({ type: MESSAGE_TYPES.CALL_END });
+  const feedback = await client.nextMessage(MESSAGE_TYPES.CALL_FEEDBACK);
+  assert.equal(feedback.error, undefined);
+  assert.equal(typeof feedback.payload.overall_score, 'number');
+  assert.ok(Array.isArray(feedback.payload.strengths));
+});
+
+test('audio that ends before the STT session is ready is still transcribed', async (t) => {
+  const saved = { provider: process.env.STT_PROVIDER, model: process.env.STT_MODEL };
+  const { connect: originalConnect, _run: originalRun } = WhisperSttProvider.prototype;
+  const sessions = [];
+  process.env.STT_PROVIDER = 'whisper';
+  process.env.STT_MODEL = 'ggml-base.en.bin';
+  // A slow connect keeps the session setting up until after the stream ends.
+  WhisperSttProvider.prototype.connect = async function connect() {
+    sessions.push(this);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    return originalConnect.call(this);
+  };
+  WhisperSttProvider.prototype._run = async () => 'Sorry, you cut out there.';
+
+  const server = await startServer();
+  const client = await connect(server);
+  t.after(() => {
+    client.ws.close();
+    server.close();
+    process.env.STT_PROVIDER = saved.provider;
+    if (saved.model === undefined) delete process.env.STT_MODEL;
+    else process.env.STT_MODEL = saved.model;
+    Object.assign(WhisperSttProvider.prototype, { connect: originalConnect, _run: originalRun });
+  });
+
+  const speech = Buffer.alloc(3200);
+  for (let i = 0; i < speech.length; i += 2) speech.writeInt16LE(i % 4 ? 2000 : -2000, i);
+  client.send({ type: MESSAGE_TYPES.USER_AUDIO_START, sampleRate: 16000 });
+  for (let i = 0; i < 5; i++) {
+    client.send({ type: MESSAGE_TYPES.USER_AUDIO_CHUNK, payload: speech.toString('base64') });
+  }
+  client.send({ type: MESSAGE_TYPES.USER_AUDIO_END });
+
+  const final = await client.nextMessage(MESSAGE_TYPES.STT_FINAL);
+  assert.equal(final.text, 'Sorry, you cut out there.');
+  assert.equal(sessions.length, 1);
+  assert.equal(sessions[0].connected, false, 'the session is closed once the held audio is sent');
+});
@@ -20,12 +20,22 @@ import {
   YAxis,
 } from "recharts";
 
+// One averaged score dimension: the overall score, a legacy skill or a rubric
+// criterion, averaged over the sessions that scored it.
+type ScoreDimension = {
+  key: string;
+  label: string;
+  avg: number;
+  count: number;
+};
+
 type AnalyticsSummary = {
   totalSessions: number;
   avgOverallScore: number;
   avgObjectionHandling: number;
   avgCommunicationClarity: number;
   avgConfidence: number;
+  dimensions?: ScoreDimension[];
   bestScore: number;
   worstScore: number;
 };
@@ -59,9 +69,52 @@ type ConversationMetrics = {
   competitor_session_pct: number;
   closing_session_pct: number;
   customer_objection_pct: number;
+  question_quality?: QuestionQuality | null;
+  objection_handling?: ObjectionHandling | null;
+  talk_time?: TalkTime | null;
+  methodology_coverage?: MethodologyCoverageGroup[];
   total_sessions: number;
 };
 
+type QuestionQuality = {
+  avg_open_questions: number;
+  avg_closed_questions: number;
+  avg_leading_questions: number;
+  avg_open_question_ratio: number;
+  avg_stacked_questions: number;
+  avg_longest_no_question_streak: number;
+  sessions: number;
+};
+
+// Measured speaking time and monologues, across sessions.
+type TalkTime = {
+  avg_talk_time_ratio: number;
+  avg_trainee_turn_ms: number;
+  avg_customer_turn_ms: number;
+  avg_longest_monologue_ms: number;
+  avg_monologue_count: number;
+  monologue_threshold_ms: number;
+  sessions: number;
+};
+
+// Customer objections paired with the trainee's response, across sessions.
+type ObjectionHandling = {
+  avg_objections: number;
+  total_objections: number;
+  objections_resolved_pct: number | null;
+  handling_pct: { answered: number; explored: number; acknowledged: number; ignored: number } | null;
+  sessions: number;
+};
+
+// Sessions grouped by the methodology they were checked against.
+type MethodologyCoverageGroup = {
+  methodology: string;
+  name: string;
+  sessions: number;
+  avg_coverage_pct: number;
+  elements: { key: string; label: string; covered_pct: number; avg_count: number }[];
+};
+
 type VoiceMetrics = {
   avg_speaking_rate_wpm: number;
   avg_silence_duration_ms: number;
@@ -75,10 +128,78 @@ type VoiceMetrics = {
   total_sessions: number;
 };
 
+type PersonaAttribute = "industry" | "company_size" | "decision_authority" | "temperament";
+
+type PersonaGroup = {
+  value: string;
+  avgOverallScore: number;
+  count: number;
+};
+
+const PERSONA_ATTRIBUTE_LABELS: Record<PersonaAttribute, string> = {
+  industry: "Industry",
+  company_size: "Company Size",
+  decision_authority: "Decision Authority",
+  temperament: "Temperament",
+};
+
+// The built-in skills; custom rubric criteria are rated under their own keys.
+type RatedSkill = "overall_score" | "objection_handling" | "communication_clarity" | "confidence";
+
+type SkillRating = {
+  skill: RatedSkill | string;
+  label?: string;
+  rating: number;
+  rd: number;
+  interval: [number, number];
+  sessions: number;
+  updated_at: string | null;
+};
+
+type RatingHistoryEntry = {
+  skill: RatedSkill | string;
+  session_id: string | null;
+  rating: number;
+  rd: number;
+  score: number;
+  opponent_rating: number;
+  created_at: string;
+};
+
+type RatingsResponse = {
+  ratings: SkillRating[];
+  history: RatingHistoryEntry[];
+};
+
+const RATED_SKILL_LABELS: Record<RatedSkill, string> = {
+  overall_score: "Overall",
+  objection_handling: "Objection",
+  communication_clarity: "Clarity",
+  confidence: "Confidence",
+};
+
+const RATED_SKILL_COLORS: Record<RatedSkill, string> = {
+  overall_score: "#38bdf8",
+  objection_handling: "#f97316",
+  communication_clarity: "#a78bfa",
+  confidence: "#22c55e",
+};
+
+const CRITERION_COLORS = ["#f472b6", "#facc15", "#2dd4bf", "#fb7185", "#818cf8", "#a3e635", "#e879f9", "#fdba74"];
+
+function ratedSkillLabel(entry: SkillRating): string {
+  return RATED_SKILL_LABELS[entry.skill as RatedSkill] || entry.label || entry.skill;
+}
+
+function ratedSkillColor(skill: string, index: number): string {
+  return RATED_SKILL_COLORS[skill as RatedSkill] || CRITERION_COLORS[index % CRITERION_COLORS.length];
+}
+
 type AnalyticsResponse = {
   summary: AnalyticsSummary;
   trend: AnalyticsTrendPoint[];
   byScenario: AnalyticsScenario[];
+  byPersona?: Partial<Record<PersonaAttribute, PersonaGroup[]>>;
   conversationMetrics?: ConversationMetrics | null;
   voiceMetrics?: VoiceMetrics | null;
 };
@@ -90,6 +211,7 @@ type TeamMember = {
   avgObjectionHandling: number;
   avgCommunicationClarity: number;
   avgConfidence: number;
+  dimensions?: ScoreDimension[];
   sessionCount: number;
 };
 
@@ -103,8 +225,10 @@ const API_BASE = process.env.NEXT_PUBLIC_API_BASE || "http://localhost:3001";
 export default function AnalyticsPage() {
   const router = useRouter();
   const [data, setData] = useState<AnalyticsResponse | null>(null);
+  const [ratings, setRatings] = useState<RatingsResponse | null>(null);
   const [loading, setLoading] = useState<boolean>(true);
   const [error, setError] = useState<string>("");
+  const [personaAttribute, setPersonaAttribute] = useState<PersonaAttribute>("industry");
   const [authLoading, setAuthLoading] = useState<boolean>(true);
   const [authEmail, setAuthEmail] = useState<string>("");
   const [authToken, setAuthToken] = useState<string>("");
@@ -184,6 +308,16 @@ export default function AnalyticsPage() {
         if (active) {
           setData(payload);
         }
+
+        // Ratings are optional; the page still renders without them.
+        const ratingsResponse = await fetch(`${API_BASE}/api/me/ratings`, {
+          headers: {
+            Authorization: `Bearer ${authToken}`,
+          },
+        });
+        if (ratingsResponse.ok && active) {
+          setRatings((await ratingsResponse.json()) as RatingsResponse);
+        }
       } catch (err) {
         console.error("Failed to load analytics", err);
         if (active) {
@@ -337,8 +471,24 @@ export default function AnalyticsPage() {
     }));
   }, [data]);
 
+  const personaData = useMemo(() => {
+    const groups = data?.byPersona?.[personaAttribute];
+    if (!groups) return [];
+    return groups.map((entry) => ({
+      value: entry.value.replace(/_/g, " "),
+      avgOverallScore: Number(entry.avgOverallScore.toFixed(2)),
+      count: entry.count,
+    }));
+  }, [data, personaAttribute]);
+
   const radarData = useMemo(() => {
     if (!data?.summary) return [];
+    if (data.summary.dimensions && data.summary.dimensions.length > 0) {
+      return data.summary.dimensions.map((dimension) => ({
+        skill: dimension.label,
+        score: Number(dimension.avg.toFixed(2)),
+      }));
+    }
     return [
       { skill: "Overall", score: Number(data.summary.avgOverallScore.toFixed(2)) },
       { skill: "Objection", score: Number(data.summary.avgObjectionHandling.toFixed(2)) },
@@ -347,6 +497,19 @@ export default function AnalyticsPage() {
     ];
   }, [data]);
 
+  // One point per rated session, one line per skill.
+  const ratingTrendData = useMemo(() => {
+    if (!ratings?.history) return [];
+    const points = new Map<string, Record<string, number | string>>();
+    for (const entry of ratings.history) {
+      const key = entry.session_id || entry.created_at;
+      const point = points.get(key) || { date: new Date(entry.created_at).toLocaleDateString() };
+      point[entry.skill] = entry.rating;
+      points.set(key, point);
+    }
+    return Array.from(points.values());
+  }, [ratings]);
+
   const teamChartData = useMemo(() => {
     return teamMembers.map((member) => ({
       name: member.email,
@@ -480,6 +643,38 @@ export default function AnalyticsPage() {
                 >
                   Messages
                 </a>
+                <Link
+                  href="/scenarios"
+                  style={{
+                    marginLeft: "0.75rem",
+                    padding: "0.45rem 0.85rem",
+                    borderRadius: "999px",
+                    border: "1px solid rgba(34,197,94,0.3)",
+                    background: "rgba(34, 197, 94, 0.15)",
+                    color: "#86efac",
+                    textDecoration: "none",
+                    fontSize: "0.85rem",
+                    fontWeight: 600,
+                  }}
+                >
+                  Scenario Library
+                </Link>
+                <Link
+                  href="/knowledge"
+                  style={{
+                    marginLeft: "0.75rem",
+                    padding: "0.45rem 0.85rem",
+                    borderRadius: "999px",
+                    border: "1px solid rgba(56,189,248,0.3)",
+                    background: "rgba(56, 189, 248, 0.15)",
+                    color: "#7dd3fc",
+                    textDecoration: "none",
+                    fontSize: "0.85rem",
+                    fontWeight: 600,
+                  }}
+                >
+                  Knowledge Base
+                </Link>
                 <button
                   onClick={() => {
                     setShowComplaintModal(true);
@@ -619,7 +814,10 @@ export default function AnalyticsPage() {
                         <div key={member.user_id} style={{ display: "flex", flexDirection: "column", gap: "0.25rem" }}>
                           <strong>{member.email}</strong>
                           <span style={{ fontSize: "0.85rem", opacity: 0.75 }}>
-                            Sessions: {member.sessionCount} · Overall {member.avgOverallScore.toFixed(2)} · Objection {member.avgObjectionHandling.toFixed(2)} · Clarity {member.avgCommunicationClarity.toFixed(2)} · Confidence {member.avgConfidence.toFixed(2)}
+                            Sessions: {member.sessionCount} ·{" "}
+                            {member.dimensions
+                              ? member.dimensions.map((dimension) => `${dimension.label} ${dimension.avg.toFixed(2)}`).join(" · ")
+                              : `Overall ${member.avgOverallScore.toFixed(2)} · Objection ${member.avgObjectionHandling.toFixed(2)} · Clarity ${member.avgCommunicationClarity.toFixed(2)} · Confidence ${member.avgConfidence.toFixed(2)}`}
                           </span>
                           <Link
                             href={`/analytics/trainee/${member.user_id}`}
@@ -804,6 +1002,116 @@ export default function AnalyticsPage() {
               </div>
             </section>
 
+            {ratings && ratings.ratings.length > 0 && (
+              <section
+                style={{
+                  padding: "1.5rem",
+                  borderRadius: "18px",
+                  background: "rgba(15, 23, 42, 0.85)",
+                  border: "1px solid rgba(148, 163, 184, 0.15)",
+                }}
+              >
+                <h2 style={{ margin: "0 0 0.5rem", fontSize: "1.2rem" }}>Skill Ratings</h2>
+                <p style={{ margin: "0 0 1rem", fontSize: "0.85rem", opacity: 0.7 }}>
+                  Ratings start at 1500 and account for scenario difficulty. The range narrows as you practice.
+                </p>
+                <div style={{ display: "flex", flexWrap: "wrap", gap: "0.75rem", marginBottom: "1rem" }}>
+                  {ratings.ratings.map((entry, index) => (
+                    <div
+                      key={entry.skill}
+                      style={{
+                        padding: "0.75rem 1rem",
+                        borderRadius: "12px",
+                        background: "rgba(15, 23, 42, 0.6)",
+                        border: `1px solid ${ratedSkillColor(entry.skill, index)}55`,
+                        minWidth: "140px",
+                      }}
+                    >
+                      <p style={{ margin: 0, fontSize: "0.75rem", opacity: 0.7 }}>{ratedSkillLabel(entry)}</p>
+                      <p style={{ margin: "0.25rem 0", fontSize: "1.4rem", fontWeight: 700 }}>{Math.round(entry.rating)}</p>
+                      <p style={{ margin: 0, fontSize: "0.75rem", opacity: 0.6 }}>
+                        {Math.round(entry.interval[0])}–{Math.round(entry.interval[1])} · {entry.sessions} sessions
+                      </p>
+                    </div>
+                  ))}
+                </div>
+                <div style={{ width: "100%", height: "260px" }}>
+                  <ResponsiveContainer>
+                    <LineChart data={ratingTrendData}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#1f2a44" />
+                      <XAxis dataKey="date" stroke="#94a3b8" tick={{ fontSize: 12 }} />
+                      <YAxis domain={["auto", "auto"]} stroke="#94a3b8" tick={{ fontSize: 12 }} />
+                      <Tooltip contentStyle={{ background: "#0f172a", border: "1px solid #1f2a44" }} />
+                      {ratings.ratings.map((entry, index) => (
+                        <Line
+                          key={entry.skill}
+                          type="monotone"
+                          dataKey={entry.skill}
+                          name={ratedSkillLabel(entry)}
+                          stroke={ratedSkillColor(entry.skill, index)}
+                          strokeWidth={entry.skill === "overall_score" ? 3 : 2}
+                          dot={false}
+                        />
+                      ))}
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              </section>
+            )}
+
+            <section
+              style={{
+                padding: "1.5rem",
+                borderRadius: "18px",
+                background: "rgba(15, 23, 42, 0.85)",
+                border: "1px solid rgba(148, 163, 184, 0.15)",
+              }}
+            >
+              <div
+                style={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  alignItems: "center",
+                  gap: "1rem",
+                  marginBottom: "1rem",
+                }}
+              >
+                <h2 style={{ margin: 0, fontSize: "1.2rem" }}>Average Score by Customer Persona</h2>
+                <select
+                  value={personaAttribute}
+                  onChange={(event) => setPersonaAttribute(event.target.value as PersonaAttribute)}
+                  style={{
+                    padding: "0.4rem 0.6rem",
+                    borderRadius: "8px",
+                    border: "1px solid rgba(148, 163, 184, 0.3)",
+                    background: "#0f172a",
+                    color: "#e2e8f0",
+                  }}
+                >
+                  {(Object.keys(PERSONA_ATTRIBUTE_LABELS) as PersonaAttribute[]).map((attribute) => (
+                    <option key={attribute} value={attribute}>
+                      {PERSONA_ATTRIBUTE_LABELS[attribute]}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {personaData.length === 0 ? (
+                <p style={{ margin: 0, color: "#94a3b8" }}>No sessions with persona details yet.</p>
+              ) : (
+                <div style={{ width: "100%", height: "260px" }}>
+                  <ResponsiveContainer>
+                    <BarChart data={personaData} layout="vertical" margin={{ left: 24 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#1f2a44" />
+                      <XAxis type="number" domain={[0, 10]} stroke="#94a3b8" tick={{ fontSize: 12 }} />
+                      <YAxis type="category" dataKey="value" stroke="#94a3b8" tick={{ fontSize: 12 }} width={140} />
+                      <Tooltip contentStyle={{ background: "#0f172a", border: "1px solid #1f2a44" }} />
+                      <Bar dataKey="avgOverallScore" fill="#a78bfa" radius={[6, 6, 6, 6]} />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              )}
+            </section>
+
             {/* Conversation Intelligence Metrics */}
             {data?.conversationMetrics && (
               <>
@@ -903,6 +1211,158 @@ export default function AnalyticsPage() {
                     </ResponsiveContainer>
                   </div>
                 </section>
+
+                {data.conversationMetrics.talk_time && (
+                  <section
+                    style={{
+                      padding: "1.5rem",
+                      borderRadius: "18px",
+                      background: "rgba(15, 23, 42, 0.85)",
+                      border: "1px solid rgba(148, 163, 184, 0.15)",
+                    }}
+                  >
+                    <h2 style={{ margin: "0 0 0.35rem", fontSize: "1.2rem" }}>Talk Time</h2>
+                    <p style={{ margin: "0 0 1rem", fontSize: "0.85rem", opacity: 0.7 }}>
+                      Trainee speaks {(data.conversationMetrics.talk_time.avg_talk_time_ratio * 100).toFixed(0)}% of the time ·{" "}
+                      {data.conversationMetrics.talk_time.avg_monologue_count} monologues over{" "}
+                      {data.conversationMetrics.talk_time.monologue_threshold_ms / 1000}s per call · longest stretch{" "}
+                      {(data.conversationMetrics.talk_time.avg_longest_monologue_ms / 1000).toFixed(0)}s
+                    </p>
+                    <div style={{ width: "100%", height: "140px" }}>
+                      <ResponsiveContainer>
+                        <BarChart
+                          data={[
+                            { speaker: "Trainee", seconds: Number((data.conversationMetrics.talk_time.avg_trainee_turn_ms / 1000).toFixed(1)) },
+                            { speaker: "Customer", seconds: Number((data.conversationMetrics.talk_time.avg_customer_turn_ms / 1000).toFixed(1)) },
+                          ]}
+                          layout="vertical"
+                          margin={{ left: 24 }}
+                        >
+                          <CartesianGrid strokeDasharray="3 3" stroke="#1f2a44" />
+                          <XAxis type="number" stroke="#94a3b8" tick={{ fontSize: 12 }} />
+                          <YAxis type="category" dataKey="speaker" stroke="#94a3b8" tick={{ fontSize: 12 }} width={100} />
+                          <Tooltip
+                            contentStyle={{ background: "#0f172a", border: "1px solid #1f2a44" }}
+                            formatter={(v: number) => `${v}s per turn`}
+                          />
+                          <Bar dataKey="seconds" fill="#22d3ee" radius={[6, 6, 6, 6]} />
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </section>
+                )}
+
+                {data.conversationMetrics.question_quality && (
+                  <section
+                    style={{
+                      padding: "1.5rem",
+                      borderRadius: "18px",
+                      background: "rgba(15, 23, 42, 0.85)",
+                      border: "1px solid rgba(148, 163, 184, 0.15)",
+                    }}
+                  >
+                    <h2 style={{ margin: "0 0 0.35rem", fontSize: "1.2rem" }}>Question Quality</h2>
+                    <p style={{ margin: "0 0 1rem", fontSize: "0.85rem", opacity: 0.7 }}>
+                      {(data.conversationMetrics.question_quality.avg_open_question_ratio * 100).toFixed(0)}% open ·{" "}
+                      {data.conversationMetrics.question_quality.avg_stacked_questions} stacked per call · longest stretch
+                      without a question {data.conversationMetrics.question_quality.avg_longest_no_question_streak} turns
+                    </p>
+                    <div style={{ width: "100%", height: "180px" }}>
+                      <ResponsiveContainer>
+                        <BarChart
+                          data={[
+                            { type: "Open", avg: data.conversationMetrics.question_quality.avg_open_questions },
+                            { type: "Closed", avg: data.conversationMetrics.question_quality.avg_closed_questions },
+                            { type: "Leading", avg: data.conversationMetrics.question_quality.avg_leading_questions },
+                          ]}
+                          layout="vertical"
+                          margin={{ left: 24 }}
+                        >
+                          <CartesianGrid strokeDasharray="3 3" stroke="#1f2a44" />
+                          <XAxis type="number" stroke="#94a3b8" tick={{ fontSize: 12 }} />
+                          <YAxis type="category" dataKey="type" stroke="#94a3b8" tick={{ fontSize: 12 }} width={100} />
+                          <Tooltip
+                            contentStyle={{ background: "#0f172a", border: "1px solid #1f2a44" }}
+                            formatter={(v: number) => `${v} per call`}
+                          />
+                          <Bar dataKey="avg" fill="#f472b6" radius={[6, 6, 6, 6]} />
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </section>
+                )}
+
+                {data.conversationMetrics.objection_handling?.handling_pct && (
+                  <section
+                    style={{
+                      padding: "1.5rem",
+                      borderRadius: "18px",
+                      background: "rgba(15, 23, 42, 0.85)",
+                      border: "1px solid rgba(148, 163, 184, 0.15)",
+                    }}
+                  >
+                    <h2 style={{ margin: "0 0 0.35rem", fontSize: "1.2rem" }}>Objection Handling</h2>
+                    <p style={{ margin: "0 0 1rem", fontSize: "0.85rem", opacity: 0.7 }}>
+                      {data.conversationMetrics.objection_handling.objections_resolved_pct}% of{" "}
+                      {data.conversationMetrics.objection_handling.total_objections} objections resolved · avg{" "}
+                      {data.conversationMetrics.objection_handling.avg_objections} per call
+                    </p>
+                    <div style={{ width: "100%", height: "200px" }}>
+                      <ResponsiveContainer>
+                        <BarChart
+                          data={[
+                            { type: "Answered", pct: data.conversationMetrics.objection_handling.handling_pct.answered },
+                            { type: "Explored", pct: data.conversationMetrics.objection_handling.handling_pct.explored },
+                            { type: "Acknowledged", pct: data.conversationMetrics.objection_handling.handling_pct.acknowledged },
+                            { type: "Ignored", pct: data.conversationMetrics.objection_handling.handling_pct.ignored },
+                          ]}
+                          layout="vertical"
+                          margin={{ left: 24 }}
+                        >
+                          <CartesianGrid strokeDasharray="3 3" stroke="#1f2a44" />
+                          <XAxis type="number" domain={[0, 100]} stroke="#94a3b8" tick={{ fontSize: 12 }} />
+                          <YAxis type="category" dataKey="type" stroke="#94a3b8" tick={{ fontSize: 12 }} width={100} />
+                          <Tooltip
+                            contentStyle={{ background: "#0f172a", border: "1px solid #1f2a44" }}
+                            formatter={(v: number) => `${v}% of objections`}
+                          />
+                          <Bar dataKey="pct" fill="#fb7185" radius={[6, 6, 6, 6]} />
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </section>
+                )}
+
+                {(data.conversationMetrics.methodology_coverage || []).map((group) => (
+                  <section
+                    key={group.methodology}
+                    style={{
+                      padding: "1.5rem",
+                      borderRadius: "18px",
+                      background: "rgba(15, 23, 42, 0.85)",
+                      border: "1px solid rgba(148, 163, 184, 0.15)",
+                    }}
+                  >
+                    <h2 style={{ margin: "0 0 0.35rem", fontSize: "1.2rem" }}>{group.name} Coverage</h2>
+                    <p style={{ margin: "0 0 1rem", fontSize: "0.85rem", opacity: 0.7 }}>
+                      {group.sessions} sessions · {group.avg_coverage_pct}% of elements covered on average
+                    </p>
+                    <div style={{ width: "100%", height: `${Math.max(160, group.elements.length * 40)}px` }}>
+                      <ResponsiveContainer>
+                        <BarChart data={group.elements} layout="vertical" margin={{ left: 24 }}>
+                          <CartesianGrid strokeDasharray="3 3" stroke="#1f2a44" />
+                          <XAxis type="number" domain={[0, 100]} stroke="#94a3b8" tick={{ fontSize: 12 }} unit="%" />
+                          <YAxis type="category" dataKey="label" stroke="#94a3b8" tick={{ fontSize: 12 }} width={150} />
+                          <Tooltip
+                            contentStyle={{ background: "#0f172a", border: "1px solid #1f2a44" }}
+                            formatter={(v: number) => `${v}% of sessions`}
+                          />
+                          <Bar dataKey="covered_pct" fill="#34d399" radius={[6, 6, 6, 6]} />
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </section>
+                ))}
               </>
             )}
 
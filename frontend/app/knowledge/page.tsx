@@ -0,0 +1,437 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { supabase } from "../../lib/supabaseClient";
+
+type KnowledgeDocument = {
+  id: string;
+  title: string;
+  doc_type: string;
+  created_at: string;
+};
+
+type SearchResult = {
+  documentId: string;
+  title: string;
+  docType: string;
+  heading: string;
+  text: string;
+  score: number;
+};
+
+const DOC_TYPE_LABELS: Record<string, string> = {
+  product: "Product sheet",
+  pricing: "Pricing table",
+  competitor: "Competitor battlecard",
+  other: "Other",
+};
+
+const API_BASE = process.env.NEXT_PUBLIC_API_BASE || "http://localhost:3001";
+
+const inputStyle = {
+  width: "100%",
+  padding: "0.55rem 0.75rem",
+  borderRadius: "10px",
+  border: "1px solid rgba(148, 163, 184, 0.3)",
+  background: "rgba(15, 23, 42, 0.6)",
+  color: "#e2e8f0",
+  fontFamily: "inherit",
+  fontSize: "0.9rem",
+  boxSizing: "border-box" as const,
+};
+
+const cardStyle = {
+  display: "flex",
+  flexDirection: "column" as const,
+  gap: "0.9rem",
+  padding: "1.5rem",
+  borderRadius: "18px",
+  background: "rgba(15, 23, 42, 0.85)",
+  border: "1px solid rgba(148, 163, 184, 0.15)",
+};
+
+export default function KnowledgeBasePage() {
+  const router = useRouter();
+  const [authLoading, setAuthLoading] = useState<boolean>(true);
+  const [authToken, setAuthToken] = useState<string>("");
+  const [role, setRole] = useState<string>("");
+  const [documents, setDocuments] = useState<KnowledgeDocument[]>([]);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [saving, setSaving] = useState<boolean>(false);
+  const [error, setError] = useState<string>("");
+  const [title, setTitle] = useState<string>("");
+  const [docType, setDocType] = useState<string>("product");
+  const [content, setContent] = useState<string>("");
+  const [query, setQuery] = useState<string>("");
+  const [results, setResults] = useState<SearchResult[] | null>(null);
+
+  useEffect(() => {
+    let active = true;
+
+    supabase.auth.getSession().then(({ data }) => {
+      if (!active) return;
+      const session = data.session;
+      if (!session) {
+        setAuthLoading(false);
+        router.push("/login");
+        return;
+      }
+      setAuthToken(session.access_token);
+      setAuthLoading(false);
+    });
+
+    return () => {
+      active = false;
+    };
+  }, [router]);
+
+  useEffect(() => {
+    if (!authToken) return;
+    let active = true;
+
+    async function loadRoleAndDocuments() {
+      try {
+        const orgResponse = await fetch(`${API_BASE}/api/org/me`, {
+          headers: { Authorization: `Bearer ${authToken}` },
+        });
+        const orgInfo = orgResponse.ok ? await orgResponse.json() : null;
+        if (!active) return;
+        setRole(orgInfo?.role || "");
+        if (orgInfo?.role !== "trainer") {
+          setLoading(false);
+          return;
+        }
+        await loadDocuments(authToken);
+      } catch (err) {
+        console.error("Failed to load knowledge base", err);
+        if (active) setError("Failed to load knowledge base");
+      } finally {
+        if (active) setLoading(false);
+      }
+    }
+
+    loadRoleAndDocuments();
+
+    return () => {
+      active = false;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [authToken]);
+
+  async function loadDocuments(token: string) {
+    const response = await fetch(`${API_BASE}/api/org/knowledge`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    if (!response.ok) {
+      throw new Error(`Knowledge request failed with ${response.status}`);
+    }
+    const payload = await response.json();
+    setDocuments(Array.isArray(payload?.documents) ? payload.documents : []);
+  }
+
+  async function handleFile(file: File | undefined) {
+    if (!file) return;
+    const text = await file.text();
+    setContent(text);
+    if (!title.trim()) {
+      setTitle(file.name.replace(/\.(md|markdown|txt)$/i, ""));
+    }
+  }
+
+  async function uploadDocument() {
+    if (!authToken) return;
+    if (!title.trim() || !content.trim()) {
+      setError("Title and content are required");
+      return;
+    }
+    setSaving(true);
+    setError("");
+    try {
+      const response = await fetch(`${API_BASE}/api/org/knowledge`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${authToken}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ title, doc_type: docType, content }),
+      });
+      if (!response.ok) {
+        const payload = await response.json().catch(() => null);
+        throw new Error(payload?.error || `Upload failed with ${response.status}`);
+      }
+      setTitle("");
+      setContent("");
+      await loadDocuments(authToken);
+    } catch (err) {
+      console.error("Failed to upload document", err);
+      setError(err instanceof Error ? err.message : "Failed to upload document");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function deleteDocument(documentId: string) {
+    if (!authToken) return;
+    if (!window.confirm("Delete this document from the knowledge base?")) return;
+    setError("");
+    try {
+      const response = await fetch(`${API_BASE}/api/org/knowledge/${documentId}`, {
+        method: "DELETE",
+        headers: { Authorization: `Bearer ${authToken}` },
+      });
+      if (!response.ok) {
+        throw new Error(`Delete failed with ${response.status}`);
+      }
+      await loadDocuments(authToken);
+    } catch (err) {
+      console.error("Failed to delete document", err);
+      setError("Failed to delete document");
+    }
+  }
+
+  async function runSearch() {
+    if (!authToken || !query.trim()) return;
+    setError("");
+    try {
+      const response = await fetch(`${API_BASE}/api/org/knowledge/search?q=${encodeURIComponent(query)}`, {
+        headers: { Authorization: `Bearer ${authToken}` },
+      });
+      if (!response.ok) {
+        throw new Error(`Search failed with ${response.status}`);
+      }
+      const payload = await response.json();
+      setResults(Array.isArray(payload?.results) ? payload.results : []);
+    } catch (err) {
+      console.error("Failed to search knowledge base", err);
+      setError("Failed to search knowledge base");
+    }
+  }
+
+  if (authLoading || loading) {
+    return (
+      <main
+        style={{
+          minHeight: "100vh",
+          padding: "3rem 2rem",
+          background: "linear-gradient(135deg, #0b1220, #12203a)",
+          color: "#e2e8f0",
+          fontFamily: "'IBM Plex Sans', system-ui, -apple-system, sans-serif",
+        }}
+      >
+        Loading...
+      </main>
+    );
+  }
+
+  return (
+    <main
+      style={{
+        minHeight: "100vh",
+        padding: "3rem 2rem",
+        background: "linear-gradient(135deg, #0b1220, #12203a)",
+        color: "#e2e8f0",
+        fontFamily: "'IBM Plex Sans', system-ui, -apple-system, sans-serif",
+      }}
+    >
+      <div style={{ maxWidth: "960px", margin: "0 auto", display: "flex", flexDirection: "column", gap: "2rem" }}>
+        <header style={{ display: "flex", flexDirection: "column", gap: "0.5rem" }}>
+          <p style={{ margin: 0, textTransform: "uppercase", letterSpacing: "0.2em", fontSize: "0.75rem" }}>
+            Knowledge Base
+          </p>
+          <h1 style={{ margin: 0, fontSize: "2.2rem", fontWeight: 700 }}>Product Knowledge</h1>
+          <p style={{ margin: 0, fontSize: "1rem", opacity: 0.8 }}>
+            Upload product sheets, pricing tables and battlecards. Customers use them to catch wrong claims, and the
+            coach uses them to suggest accurate answers.
+          </p>
+          <div style={{ marginTop: "0.5rem" }}>
+            <Link
+              href="/analytics"
+              style={{
+                display: "inline-flex",
+                padding: "0.45rem 0.85rem",
+                borderRadius: "999px",
+                border: "1px solid rgba(255,255,255,0.2)",
+                background: "rgba(148, 163, 184, 0.15)",
+                color: "#e2e8f0",
+                textDecoration: "none",
+                fontSize: "0.85rem",
+                fontWeight: 600,
+              }}
+            >
+              Back to Dashboard
+            </Link>
+          </div>
+        </header>
+
+        {role !== "trainer" && (
+          <div style={{ padding: "1.5rem", borderRadius: "16px", background: "rgba(239, 68, 68, 0.15)" }}>
+            Trainer role required to manage the knowledge base.
+          </div>
+        )}
+
+        {role === "trainer" && (
+          <>
+            {error && (
+              <div style={{ padding: "1rem", borderRadius: "12px", background: "rgba(239, 68, 68, 0.15)" }}>
+                {error}
+              </div>
+            )}
+
+            <section style={cardStyle}>
+              <h2 style={{ margin: 0, fontSize: "1.3rem" }}>Upload Document</h2>
+              <div style={{ display: "grid", gridTemplateColumns: "2fr 1fr", gap: "0.9rem" }}>
+                <label style={{ fontSize: "0.85rem", opacity: 0.8 }}>
+                  Title
+                  <input
+                    value={title}
+                    onChange={(event) => setTitle(event.target.value)}
+                    placeholder="e.g. 2024 Pricing"
+                    style={{ ...inputStyle, marginTop: "0.35rem" }}
+                  />
+                </label>
+                <label style={{ fontSize: "0.85rem", opacity: 0.8 }}>
+                  Type
+                  <select
+                    value={docType}
+                    onChange={(event) => setDocType(event.target.value)}
+                    style={{ ...inputStyle, marginTop: "0.35rem" }}
+                  >
+                    {Object.entries(DOC_TYPE_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+              <label style={{ fontSize: "0.85rem", opacity: 0.8 }}>
+                Markdown or text file
+                <input
+                  type="file"
+                  accept=".md,.markdown,.txt,text/plain,text/markdown"
+                  onChange={(event) => handleFile(event.target.files?.[0])}
+                  style={{ display: "block", marginTop: "0.35rem" }}
+                />
+              </label>
+              <label style={{ fontSize: "0.85rem", opacity: 0.8 }}>
+                Content
+                <textarea
+                  value={content}
+                  onChange={(event) => setContent(event.target.value)}
+                  placeholder="# Pro plan&#10;&#10;$49 per seat per month, includes SSO..."
+                  rows={8}
+                  style={{ ...inputStyle, marginTop: "0.35rem", resize: "vertical", fontFamily: "monospace" }}
+                />
+              </label>
+              <div>
+                <button
+                  onClick={uploadDocument}
+                  disabled={saving}
+                  style={{
+                    padding: "0.55rem 1.1rem",
+                    borderRadius: "10px",
+                    border: "1px solid rgba(255,255,255,0.2)",
+                    background: saving ? "#475569" : "rgba(34, 197, 94, 0.25)",
+                    color: "#e2e8f0",
+                    cursor: saving ? "not-allowed" : "pointer",
+                    fontWeight: 600,
+                  }}
+                >
+                  {saving ? "Uploading..." : "Upload"}
+                </button>
+              </div>
+            </section>
+
+            <section style={{ display: "flex", flexDirection: "column", gap: "0.75rem" }}>
+              <h2 style={{ margin: 0, fontSize: "1.2rem" }}>Documents</h2>
+              {documents.length === 0 && (
+                <div style={{ padding: "1rem", borderRadius: "12px", background: "rgba(15, 23, 42, 0.7)" }}>
+                  No documents yet.
+                </div>
+              )}
+              {documents.map((doc) => (
+                <div
+                  key={doc.id}
+                  style={{
+                    padding: "1rem",
+                    borderRadius: "12px",
+                    background: "rgba(15, 23, 42, 0.7)",
+                    display: "flex",
+                    justifyContent: "space-between",
+                    alignItems: "center",
+                    gap: "1rem",
+                  }}
+                >
+                  <div style={{ display: "flex", flexDirection: "column", gap: "0.25rem" }}>
+                    <strong>{doc.title}</strong>
+                    <span style={{ fontSize: "0.8rem", opacity: 0.7 }}>
+                      {DOC_TYPE_LABELS[doc.doc_type] || doc.doc_type} · {new Date(doc.created_at).toLocaleDateString()}
+                    </span>
+                  </div>
+                  <button
+                    onClick={() => deleteDocument(doc.id)}
+                    style={{
+                      padding: "0.35rem 0.75rem",
+                      borderRadius: "8px",
+                      border: "1px solid rgba(239,68,68,0.3)",
+                      background: "rgba(239, 68, 68, 0.2)",
+                      color: "#fca5a5",
+                      cursor: "pointer",
+                      fontSize: "0.8rem",
+                    }}
+                  >
+                    Delete
+                  </button>
+                </div>
+              ))}
+            </section>
+
+            <section style={cardStyle}>
+              <h2 style={{ margin: 0, fontSize: "1.2rem" }}>Test Retrieval</h2>
+              <p style={{ margin: 0, fontSize: "0.85rem", opacity: 0.75 }}>
+                Type something a trainee might say to see which snippets the customer and coach would receive.
+              </p>
+              <div style={{ display: "flex", gap: "0.75rem" }}>
+                <input
+                  value={query}
+                  onChange={(event) => setQuery(event.target.value)}
+                  onKeyDown={(event) => {
+                    if (event.key === "Enter") runSearch();
+                  }}
+                  placeholder="Our pro plan includes SSO for $39 a seat"
+                  style={inputStyle}
+                />
+                <button
+                  onClick={runSearch}
+                  style={{
+                    padding: "0.55rem 1.1rem",
+                    borderRadius: "10px",
+                    border: "1px solid rgba(255,255,255,0.2)",
+                    background: "rgba(14, 165, 233, 0.2)",
+                    color: "#e2e8f0",
+                    cursor: "pointer",
+                    fontWeight: 600,
+                  }}
+                >
+                  Search
+                </button>
+              </div>
+              {results && results.length === 0 && <p style={{ margin: 0, opacity: 0.7 }}>No matching snippets.</p>}
+              {results?.map((result, idx) => (
+                <div key={idx} style={{ padding: "0.75rem", borderRadius: "10px", background: "rgba(15, 23, 42, 0.6)" }}>
+                  <div style={{ fontSize: "0.8rem", opacity: 0.7, marginBottom: "0.35rem" }}>
+                    {result.title}
+                    {result.heading ? ` › ${result.heading}` : ""} · score {result.score}
+                  </div>
+                  <div style={{ fontSize: "0.9rem", whiteSpace: "pre-wrap" }}>{result.text}</div>
+                </div>
+              ))}
+            </section>
+          </>
+        )}
+      </div>
+    </main>
+  );
+}
@@ -33,20 +33,92 @@ const MESSAGE_TYPES = {
   CALL_END: "call.end",
   CALL_RESET: "call.reset",
   CALL_FEEDBACK: "call.feedback",
+  SCENARIO_STAGE: "scenario.stage",
 } as const;
 
 type Speaker = "you" | "customer";
 type ChatMessage = { speaker: Speaker; text: string };
 
+type DealOutcome = {
+  outcome: "won" | "lost" | "stalled";
+  reason: string;
+  criteria: { id: string; description: string; uncovered: boolean; satisfied: boolean }[];
+  uncovered_count: number;
+  satisfied_count: number;
+  total_criteria: number;
+  source: "customer" | "keywords";
+};
+
+const DEAL_OUTCOME_COLORS: Record<DealOutcome["outcome"], string> = {
+  won: "rgba(16, 185, 129, 0.2)",
+  lost: "rgba(239, 68, 68, 0.2)",
+  stalled: "rgba(245, 158, 11, 0.2)",
+};
+
+// Feedback points cite the transcript turn that supports them; sessions saved
+// before evidence linking hold plain strings.
+type EvidenceItem = {
+  text: string;
+  turn_index: number | null;
+  speaker?: "trainee" | "customer" | null;
+  timestamp?: number | null;
+  offset_ms?: number | null;
+  quote?: string | null;
+};
+
+type FeedbackItem = string | EvidenceItem;
+
+// The rubric the call was scored against; sessions saved before rubrics only
+// carry the three legacy skill scores.
+type RubricSummary = {
+  id: string;
+  name: string;
+  overall: "weighted" | "model";
+  criteria: { key: string; name: string; weight: number }[];
+};
+
 type FeedbackPayload = {
-  overall_score: number;
-  strengths: string[];
-  weaknesses: string[];
-  objection_handling: number;
-  communication_clarity: number;
-  confidence: number;
-  missed_opportunities: string[];
-  actionable_suggestions: string[];
+  overall_score: number | null; // null when the call could not be scored
+  strengths: FeedbackItem[];
+  weaknesses: FeedbackItem[];
+  objection_handling?: number | null;
+  communication_clarity?: number | null;
+  confidence?: number | null;
+  scores?: Record<string, number | null>;
+  rubric?: RubricSummary | null;
+  weighted_score?: number | null;
+  missed_opportunities: FeedbackItem[];
+  actionable_suggestions: FeedbackItem[];
+  deal_outcome?: DealOutcome | null;
+};
+
+type StageStatus = "pending" | "reached" | "completed" | "skipped";
+
+type StageProgress = {
+  stage: { id: string; name: string; index: number };
+  total: number;
+  stages: { id: string; name: string; status: StageStatus }[];
+  winConditionMet: boolean;
+};
+
+type StageSummary = {
+  stages: { id: string; name: string; status: StageStatus; entered_turn: number | null; exited_turn: number | null }[];
+  reached: string[];
+  skipped: string[];
+  not_reached?: string[]; // absent on sessions saved before it was recorded
+  final_stage: string;
+  win_condition_met: boolean;
+};
+
+function stageNames(summary: StageSummary, ids: string[]): string {
+  return ids.map((id) => summary.stages.find((stage) => stage.id === id)?.name || id).join(", ");
+}
+
+const STAGE_STATUS_COLORS: Record<StageStatus, string> = {
+  pending: "rgba(148, 163, 184, 0.15)",
+  reached: "rgba(56, 189, 248, 0.25)",
+  completed: "rgba(16, 185, 129, 0.25)",
+  skipped: "rgba(245, 158, 11, 0.25)",
 };
 
 type PastSession = {
@@ -65,10 +137,23 @@ type SessionConversationMetrics = {
   agent_turn_count: number;
   user_questions_asked: number;
   customer_questions_asked: number;
+  question_types?: { open: number; closed: number; leading: number };
+  open_question_ratio?: number;
+  stacked_question_count?: number;
+  longest_no_question_streak?: number;
   filler_word_count: number;
   filler_word_rate: number;
   avg_turn_length: number;
   longest_monologue: number;
+  talk_timeline?: TalkTimelineEntry[];
+  trainee_talk_ms?: number;
+  customer_talk_ms?: number;
+  talk_time_ratio?: number;
+  avg_trainee_turn_ms?: number;
+  avg_customer_turn_ms?: number;
+  longest_monologue_ms?: number;
+  monologue_count?: number;
+  monologue_threshold_ms?: number;
   interruption_count: number;
   avg_response_latency_ms: number | null;
   user_words_per_minute: number;
@@ -81,6 +166,45 @@ type SessionConversationMetrics = {
   customer_mentioned_competitor: boolean;
   closing_attempted: boolean;
   rapport_building_phrases: number;
+  objections?: ObjectionPair[];
+  objections_resolved_pct?: number | null;
+  methodology_coverage?: MethodologyCoverage | null;
+};
+
+// Speaking time per turn; `estimated` turns were timed from their word count.
+type TalkTimelineEntry = {
+  turn_index: number;
+  speaker: "trainee" | "customer";
+  words: number;
+  duration_ms: number;
+  estimated: boolean;
+  offset_ms: number | null;
+};
+
+// A customer objection paired with how the trainee responded to it.
+type ObjectionPair = {
+  category: string;
+  label: string;
+  turn_index: number;
+  quote: string;
+  response_turn_index: number | null;
+  acknowledged: boolean;
+  explored: boolean;
+  answered: boolean;
+  handling: "answered" | "explored" | "acknowledged" | "ignored";
+  repeat: boolean;
+  raised_again: boolean;
+  resolved: boolean;
+};
+
+// Keyword-detected coverage of the organization's sales methodology (SPIN, BANT, MEDDIC).
+type MethodologyCoverage = {
+  methodology: string;
+  name: string;
+  elements: { key: string; label: string; covered: boolean; count: number; first_turn: number | null }[];
+  covered_count: number;
+  total: number;
+  coverage_pct: number;
 };
 
 type SessionAudioMetrics = {
@@ -100,9 +224,26 @@ type SessionAudioMetrics = {
   segment_count: number;
 };
 
+type FocusSkill = { skill: string; label: string; value: number };
+
+type DifficultyChange = {
+  level: string;
+  turn: number;
+  elapsed_ms: number;
+  reason: "initial" | "escalate" | "ease";
+  performance?: number;
+};
+
 type AgentMessage =
   | { type: typeof MESSAGE_TYPES.AGENT_CONNECTED; message: string }
-  | { type: typeof MESSAGE_TYPES.DIFFICULTY_ASSIGNED; level?: string; averages?: Record<string, number | null>; autoEnabled?: boolean }
+  | {
+      type: typeof MESSAGE_TYPES.DIFFICULTY_ASSIGNED;
+      level?: string;
+      averages?: Record<string, number | null>;
+      focusSkills?: FocusSkill[];
+      change?: "escalate" | "ease" | null;
+      autoEnabled?: boolean;
+    }
   | { type: typeof MESSAGE_TYPES.PING; timestamp: number }
   | { type: typeof MESSAGE_TYPES.PONG; timestamp?: number }
   | { type: typeof MESSAGE_TYPES.USER_AUDIO_START }
@@ -117,9 +258,38 @@ type AgentMessage =
   | { type: typeof MESSAGE_TYPES.STT_FINAL; text: string }
   | { type: typeof MESSAGE_TYPES.AGENT_TEXT; text: string }
   | { type: typeof MESSAGE_TYPES.COACH_HINT; text: string }
-  | { type: typeof MESSAGE_TYPES.CALL_FEEDBACK; payload: FeedbackPayload; conversationMetrics?: SessionConversationMetrics | null; audioMetrics?: SessionAudioMetrics | null; callDurationMs: number; turnCount: number }
+  | { type: typeof MESSAGE_TYPES.CALL_FEEDBACK; payload: FeedbackPayload; conversationMetrics?: SessionConversationMetrics | null; audioMetrics?: SessionAudioMetrics | null; callDurationMs: number; turnCount: number; stages?: StageSummary | null; difficultyTimeline?: DifficultyChange[] }
+  | ({ type: typeof MESSAGE_TYPES.SCENARIO_STAGE } & StageProgress)
   | { type: string; [key: string]: unknown };
 
+const LEGACY_SKILL_SCORES = [
+  { key: "objection_handling", name: "Objection Handling", weight: 1 },
+  { key: "communication_clarity", name: "Clarity", weight: 1 },
+  { key: "confidence", name: "Confidence", weight: 1 },
+] as const;
+
+function rubricScoreCards(feedback: FeedbackPayload) {
+  if (feedback.rubric && feedback.scores) {
+    return feedback.rubric.criteria.map((criterion) => ({
+      ...criterion,
+      score: feedback.scores?.[criterion.key] ?? null,
+    }));
+  }
+  return LEGACY_SKILL_SCORES.map((skill) => ({ ...skill, score: feedback[skill.key] ?? null }));
+}
+
+function feedbackItemText(item: FeedbackItem): string {
+  return typeof item === "string" ? item : item.text;
+}
+
+function normalizeForMatch(text: string): string {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9' ]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
 function safeParse(raw: string): AgentMessage | null {
   try {
     return JSON.parse(raw);
@@ -142,28 +312,12 @@ type RecordingHandles = {
   silentGain: GainNode;
 };
 
-const SCENARIOS = [
-  {
-    id: "price_sensitive_small_business",
-    name: "Price-Sensitive Small Business",
-    description: "Owner focused on cost, quick ROI, and limited budget.",
-  },
-  {
-    id: "enterprise_procurement_officer",
-    name: "Enterprise Procurement Officer",
-    description: "Procurement lead focused on compliance and contracts.",
-  },
-  {
-    id: "angry_existing_customer",
-    name: "Angry Existing Customer",
-    description: "Upset customer with a recent issue and low patience.",
-  },
-  {
-    id: "cold_uninterested_prospect",
-    name: "Cold Uninterested Prospect",
-    description: "Busy prospect with low interest and short attention span.",
-  },
-];
+type ScenarioOption = {
+  id: string;
+  name: string;
+  description: string;
+  custom?: boolean;
+};
 
 type StartRecordingOptions = {
   allowImmediateInterrupt?: boolean;
@@ -186,7 +340,8 @@ export default function HomePage() {
   const [sessionMetrics, setSessionMetrics] = useState<SessionConversationMetrics | null>(null);
   const [sessionAudioMetrics, setSessionAudioMetrics] = useState<SessionAudioMetrics | null>(null);
   const [latestSessionId, setLatestSessionId] = useState<string | number | null>(null);
-  const [scenarioId, setScenarioId] = useState<string>(SCENARIOS[0]?.id || "");
+  const [scenarios, setScenarios] = useState<ScenarioOption[]>([]);
+  const [scenarioId, setScenarioId] = useState<string>("");
   const [scenarioLocked, setScenarioLocked] = useState<boolean>(false);
   const [pastSessions, setPastSessions] = useState<PastSession[]>([]);
   const [sessionsLoading, setSessionsLoading] = useState<boolean>(false);
@@ -203,6 +358,12 @@ export default function HomePage() {
   const [trainerEmail, setTrainerEmail] = useState<string>("");
   const [organizationName, setOrganizationName] = useState<string>("");
   const [difficultyLevel, setDifficultyLevel] = useState<string>("");
+  const [focusSkills, setFocusSkills] = useState<FocusSkill[]>([]);
+  const [stageProgress, setStageProgress] = useState<StageProgress | null>(null);
+  const [stageSummary, setStageSummary] = useState<StageSummary | null>(null);
+  const [difficultyTimeline, setDifficultyTimeline] = useState<DifficultyChange[]>([]);
+  const [difficultyChange, setDifficultyChange] = useState<"escalate" | "ease" | null>(null);
+  const [highlightedTurn, setHighlightedTurn] = useState<number | null>(null);
 
   // Complaint modal state
   const [showComplaintModal, setShowComplaintModal] = useState(false);
@@ -290,7 +451,7 @@ export default function HomePage() {
     return agentSpeakingRef.current || isPlayingRef.current || audioQueueRef.current.length > 0;
   }
 
-  const activeScenario = SCENARIOS.find((scenario) => scenario.id === scenarioId) || SCENARIOS[0];
+  const activeScenario = scenarios.find((scenario) => scenario.id === scenarioId) || scenarios[0];
 
   // Helper to decode base64 audio to PCM16 samples.
   function base64ToFloat32Array(base64: string, sampleRate: number): Float32Array {
@@ -482,6 +643,34 @@ export default function HomePage() {
     };
   }, [authLoading, authToken]);
 
+  useEffect(() => {
+    let active = true;
+
+    async function loadScenarios() {
+      if (authLoading || !authToken) return;
+      try {
+        const response = await fetch(`${API_BASE}/api/org/scenarios`, {
+          headers: { Authorization: `Bearer ${authToken}` },
+        });
+        if (!response.ok) return;
+        const payload = await response.json();
+        const list: ScenarioOption[] = Array.isArray(payload?.scenarios) ? payload.scenarios : [];
+        if (active) {
+          setScenarios(list);
+          setScenarioId((prev) => (list.some((scenario) => scenario.id === prev) ? prev : list[0]?.id || ""));
+        }
+      } catch (err) {
+        console.error("Failed to load scenarios", err);
+      }
+    }
+
+    loadScenarios();
+
+    return () => {
+      active = false;
+    };
+  }, [authLoading, authToken]);
+
   useEffect(() => {
     let unmounted = false;
 
@@ -532,6 +721,10 @@ export default function HomePage() {
           if (typeof parsed.level === "string") {
             setDifficultyLevel(parsed.level);
           }
+          if (Array.isArray(parsed.focusSkills)) {
+            setFocusSkills(parsed.focusSkills);
+          }
+          setDifficultyChange(parsed.change === "escalate" || parsed.change === "ease" ? parsed.change : null);
           if (typeof parsed.autoEnabled === "boolean") {
             setAutoDifficultyEnabled(parsed.autoEnabled);
           }
@@ -692,6 +885,8 @@ export default function HomePage() {
             if (parsed.audioMetrics && typeof parsed.audioMetrics === "object") {
               setSessionAudioMetrics(parsed.audioMetrics as SessionAudioMetrics);
             }
+            setStageSummary(parsed.stages && typeof parsed.stages === "object" ? (parsed.stages as StageSummary) : null);
+            setDifficultyTimeline(Array.isArray(parsed.difficultyTimeline) ? (parsed.difficultyTimeline as DifficultyChange[]) : []);
             setCallEnded(true);
             clearCoachHint();
             setLatestSessionId(null);
@@ -700,6 +895,12 @@ export default function HomePage() {
           }
           break;
         }
+        case MESSAGE_TYPES.SCENARIO_STAGE: {
+          if (parsed.stage && Array.isArray(parsed.stages)) {
+            setStageProgress(parsed as unknown as StageProgress);
+          }
+          break;
+        }
         default: {
           console.log("Message from agent:", event.data);
         }
@@ -809,6 +1010,57 @@ export default function HomePage() {
     return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
   }
 
+  // Scroll the conversation to the message a feedback point cites. The live
+  // conversation splits turns differently from the backend transcript, so the
+  // quote is matched first and the turn index is only a fallback.
+  function jumpToEvidence(item: EvidenceItem) {
+    let index = -1;
+    if (item.quote) {
+      const needle = normalizeForMatch(item.quote);
+      index = conversation.findIndex((message) => normalizeForMatch(message.text).includes(needle));
+    }
+    if (index === -1 && item.turn_index != null && item.turn_index < conversation.length) {
+      index = item.turn_index;
+    }
+    if (index === -1) return;
+    document.getElementById(`conversation-turn-${index}`)?.scrollIntoView({ behavior: "smooth", block: "center" });
+    setHighlightedTurn(index);
+    setTimeout(() => setHighlightedTurn((current) => (current === index ? null : current)), 2500);
+  }
+
+  function renderFeedbackItem(item: FeedbackItem) {
+    if (typeof item === "string" || item.turn_index == null) {
+      return feedbackItemText(item);
+    }
+    const details = [
+      item.speaker === "customer" ? "Customer" : item.speaker === "trainee" ? "You" : null,
+      item.offset_ms != null ? formatDuration(item.offset_ms) : null,
+    ].filter(Boolean);
+    return (
+      <>
+        {item.text}
+        <button
+          onClick={() => jumpToEvidence(item)}
+          style={{
+            display: "block",
+            marginTop: "0.25rem",
+            padding: 0,
+            border: "none",
+            background: "none",
+            color: "rgba(255,255,255,0.6)",
+            fontSize: "0.8rem",
+            textAlign: "left",
+            cursor: "pointer",
+          }}
+        >
+          ↳ Turn {item.turn_index + 1}
+          {details.length > 0 ? ` (${details.join(", ")})` : ""}
+          {item.quote ? `: “${item.quote}”` : ""}
+        </button>
+      </>
+    );
+  }
+
   async function loadPastSessions() {
     if (sessionsLoading) return;
     setSessionsLoading(true);
@@ -1080,6 +1332,10 @@ export default function HomePage() {
     setCallMetrics(null);
     setSessionMetrics(null);
     setSessionAudioMetrics(null);
+    setStageProgress(null);
+    setStageSummary(null);
+    setDifficultyTimeline([]);
+    setDifficultyChange(null);
     setConversation([]);
     setPartialTranscript("");
     setAgentSpeaking(false);
@@ -1229,30 +1485,124 @@ export default function HomePage() {
           >
             <p style={{ margin: 0, fontSize: "0.9rem", opacity: 0.8 }}>Overall Score</p>
             <p style={{ margin: "0.5rem 0 0", fontSize: "3rem", fontWeight: 700 }}>
-              {feedback.overall_score}/10
+              {feedback.overall_score ?? "—"}/10
             </p>
           </div>
 
-          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: "1rem", marginBottom: "1.5rem" }}>
-            <div style={{ padding: "1rem", background: "rgba(255,255,255,0.05)", borderRadius: "10px" }}>
-              <p style={{ margin: 0, fontSize: "0.85rem", opacity: 0.7 }}>Objection Handling</p>
-              <p style={{ margin: "0.5rem 0 0", fontSize: "1.5rem", fontWeight: 600 }}>
-                {feedback.objection_handling}/10
+          {feedback.rubric && (
+            <p style={{ margin: "0 0 0.5rem", fontSize: "0.85rem", opacity: 0.7 }}>
+              Scored against: {feedback.rubric.name}
+              {feedback.rubric.overall === "weighted" ? " (overall is the weighted criterion average)" : ""}
+            </p>
+          )}
+          <div
+            style={{
+              display: "grid",
+              gridTemplateColumns: "repeat(auto-fit, minmax(160px, 1fr))",
+              gap: "1rem",
+              marginBottom: "1.5rem",
+            }}
+          >
+            {rubricScoreCards(feedback).map((card) => (
+              <div
+                key={card.key}
+                style={{ padding: "1rem", background: "rgba(255,255,255,0.05)", borderRadius: "10px" }}
+              >
+                <p style={{ margin: 0, fontSize: "0.85rem", opacity: 0.7 }}>
+                  {card.name}
+                  {card.weight !== 1 ? ` ×${card.weight}` : ""}
+                </p>
+                <p style={{ margin: "0.5rem 0 0", fontSize: "1.5rem", fontWeight: 600 }}>
+                  {card.score ?? "—"}/10
+                </p>
+              </div>
+            ))}
+          </div>
+
+          {feedback.deal_outcome && (
+            <div
+              style={{
+                padding: "1.25rem",
+                background: DEAL_OUTCOME_COLORS[feedback.deal_outcome.outcome] || "rgba(255,255,255,0.05)",
+                borderRadius: "12px",
+                marginBottom: "1.5rem",
+              }}
+            >
+              <p style={{ margin: 0, fontSize: "0.9rem", opacity: 0.8 }}>Deal Outcome</p>
+              <p style={{ margin: "0.35rem 0 0", fontSize: "1.6rem", fontWeight: 700, textTransform: "capitalize" }}>
+                {feedback.deal_outcome.outcome}
               </p>
-            </div>
-            <div style={{ padding: "1rem", background: "rgba(255,255,255,0.05)", borderRadius: "10px" }}>
-              <p style={{ margin: 0, fontSize: "0.85rem", opacity: 0.7 }}>Clarity</p>
-              <p style={{ margin: "0.5rem 0 0", fontSize: "1.5rem", fontWeight: 600 }}>
-                {feedback.communication_clarity}/10
+              {feedback.deal_outcome.reason && (
+                <p style={{ margin: "0.35rem 0 0", fontSize: "0.9rem", opacity: 0.85 }}>{feedback.deal_outcome.reason}</p>
+              )}
+              <p style={{ margin: "0.75rem 0 0.35rem", fontSize: "0.85rem", opacity: 0.7 }}>
+                Buying criteria uncovered: {feedback.deal_outcome.uncovered_count}/{feedback.deal_outcome.total_criteria}
               </p>
+              <ul style={{ margin: 0, paddingLeft: "1.25rem", fontSize: "0.9rem" }}>
+                {feedback.deal_outcome.criteria.map((criterion) => (
+                  <li key={criterion.id} style={{ marginBottom: "0.25rem" }}>
+                    {criterion.description}{" "}
+                    <span style={{ opacity: 0.7 }}>
+                      ({criterion.satisfied ? "met" : criterion.uncovered ? "uncovered, not met" : "never uncovered"})
+                    </span>
+                  </li>
+                ))}
+              </ul>
             </div>
-            <div style={{ padding: "1rem", background: "rgba(255,255,255,0.05)", borderRadius: "10px" }}>
-              <p style={{ margin: 0, fontSize: "0.85rem", opacity: 0.7 }}>Confidence</p>
-              <p style={{ margin: "0.5rem 0 0", fontSize: "1.5rem", fontWeight: 600 }}>
-                {feedback.confidence}/10
-              </p>
+          )}
+
+          {stageSummary && (
+            <div style={{ marginBottom: "1.5rem" }}>
+              <h3 style={{ margin: "0 0 0.75rem", fontSize: "1.2rem", color: "#38bdf8" }}>
+                Call Stages {stageSummary.win_condition_met ? "(Win condition met)" : ""}
+              </h3>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: "0.5rem" }}>
+                {stageSummary.stages.map((stage) => (
+                  <div
+                    key={stage.id}
+                    style={{
+                      padding: "0.5rem 0.75rem",
+                      borderRadius: "10px",
+                      background: STAGE_STATUS_COLORS[stage.status] || STAGE_STATUS_COLORS.pending,
+                      fontSize: "0.85rem",
+                    }}
+                  >
+                    <strong>{stage.name}</strong>
+                    <span style={{ marginLeft: "0.4rem", opacity: 0.75, textTransform: "capitalize" }}>
+                      {stage.status === "pending" ? "not reached" : stage.status}
+                    </span>
+                  </div>
+                ))}
+              </div>
+              {(stageSummary.skipped.length > 0 || (stageSummary.not_reached || []).length > 0) && (
+                <div style={{ marginTop: "0.5rem", fontSize: "0.85rem", color: "#94a3b8" }}>
+                  {stageSummary.skipped.length > 0 && <div>Skipped: {stageNames(stageSummary, stageSummary.skipped)}</div>}
+                  {(stageSummary.not_reached || []).length > 0 && (
+                    <div>Not reached: {stageNames(stageSummary, stageSummary.not_reached || [])}</div>
+                  )}
+                </div>
+              )}
             </div>
-          </div>
+          )}
+
+          {difficultyTimeline.length > 1 && (
+            <div style={{ marginBottom: "1.5rem" }}>
+              <h3 style={{ margin: "0 0 0.75rem", fontSize: "1.2rem", color: "#f59e0b" }}>Difficulty Timeline</h3>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: "0.5rem", alignItems: "center", fontSize: "0.85rem" }}>
+                {difficultyTimeline.map((entry, index) => (
+                  <span key={`${entry.turn}-${index}`}>
+                    {index > 0 && <span style={{ opacity: 0.5, marginRight: "0.5rem" }}>→</span>}
+                    <strong>{entry.level}</strong>
+                    <span style={{ marginLeft: "0.35rem", opacity: 0.7 }}>
+                      {entry.reason === "initial"
+                        ? "(start)"
+                        : `(${entry.reason === "escalate" ? "escalated" : "eased"} at turn ${entry.turn})`}
+                    </span>
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
 
           {/* Conversation Intelligence Metrics */}
           {sessionMetrics && (
@@ -1285,6 +1635,52 @@ export default function HomePage() {
                   <p style={{ margin: "0.3rem 0 0", fontSize: "1.3rem", fontWeight: 700 }}>{sessionMetrics.user_words_per_minute} wpm</p>
                 </div>
               </div>
+              {sessionMetrics.question_types && (
+                <p style={{ margin: "0 0 0.75rem", fontSize: "0.85rem", opacity: 0.8 }}>
+                  Questions: {sessionMetrics.question_types.open} open · {sessionMetrics.question_types.closed} closed ·{" "}
+                  {sessionMetrics.question_types.leading} leading ({Math.round((sessionMetrics.open_question_ratio || 0) * 100)}% open)
+                  · {sessionMetrics.stacked_question_count || 0} stacked · longest stretch without a question:{" "}
+                  {sessionMetrics.longest_no_question_streak || 0} turns
+                </p>
+              )}
+              {sessionMetrics.talk_timeline && sessionMetrics.talk_timeline.length > 0 && (
+                <div style={{ margin: "0 0 0.75rem" }}>
+                  <p style={{ margin: "0 0 0.4rem", fontSize: "0.85rem", opacity: 0.8 }}>
+                    Talk time: {Math.round((sessionMetrics.trainee_talk_ms || 0) / 1000)}s trainee ·{" "}
+                    {Math.round((sessionMetrics.customer_talk_ms || 0) / 1000)}s customer · {sessionMetrics.monologue_count || 0}{" "}
+                    monologue(s) over {Math.round((sessionMetrics.monologue_threshold_ms || 0) / 1000)}s
+                  </p>
+                  <div style={{ display: "flex", alignItems: "flex-end", gap: "2px", height: "60px" }}>
+                    {sessionMetrics.talk_timeline.map((entry) => {
+                      const longest = Math.max(...sessionMetrics.talk_timeline!.map((item) => item.duration_ms), 1);
+                      return (
+                        <button
+                          key={entry.turn_index}
+                          onClick={() => jumpToEvidence({ text: `Turn ${entry.turn_index + 1}`, turn_index: entry.turn_index })}
+                          title={`Turn ${entry.turn_index + 1} · ${entry.speaker} · ${(entry.duration_ms / 1000).toFixed(1)}s · ${entry.words} words${
+                            entry.estimated ? " (estimated)" : ""
+                          }`}
+                          style={{
+                            flex: 1,
+                            minWidth: "3px",
+                            height: `${Math.max(4, (entry.duration_ms / longest) * 100)}%`,
+                            padding: 0,
+                            border: "none",
+                            borderRadius: "3px 3px 0 0",
+                            background: entry.speaker === "trainee" ? "#a78bfa" : "#22d3ee",
+                            opacity: entry.estimated ? 0.5 : 1,
+                            cursor: "pointer",
+                          }}
+                        />
+                      );
+                    })}
+                  </div>
+                  <p style={{ margin: "0.3rem 0 0", fontSize: "0.7rem", opacity: 0.6 }}>
+                    <span style={{ color: "#a78bfa" }}>■</span> Trainee <span style={{ color: "#22d3ee" }}>■</span> Customer · faded
+                    bars are estimated from word count
+                  </p>
+                </div>
+              )}
               {/* Topic Tags */}
               <div style={{ display: "flex", flexWrap: "wrap", gap: "0.5rem" }}>
                 {sessionMetrics.customer_raised_objection && (
@@ -1303,6 +1699,77 @@ export default function HomePage() {
                   <span style={{ padding: "0.3rem 0.65rem", borderRadius: "999px", background: "rgba(167,139,250,0.2)", fontSize: "0.75rem", border: "1px solid rgba(167,139,250,0.3)" }}>Rapport: {sessionMetrics.rapport_building_phrases} phrases</span>
                 )}
               </div>
+              {sessionMetrics.methodology_coverage && (
+                <div style={{ marginTop: "1rem" }}>
+                  <p style={{ margin: "0 0 0.5rem", fontSize: "0.85rem", opacity: 0.8 }}>
+                    {sessionMetrics.methodology_coverage.name} checklist · {sessionMetrics.methodology_coverage.coverage_pct}% covered
+                  </p>
+                  <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "0.4rem" }}>
+                    {sessionMetrics.methodology_coverage.elements.map((element) => (
+                      <button
+                        key={element.key}
+                        onClick={() =>
+                          element.first_turn != null && jumpToEvidence({ text: element.label, turn_index: element.first_turn })
+                        }
+                        disabled={element.first_turn == null}
+                        style={{
+                          display: "flex",
+                          justifyContent: "space-between",
+                          padding: "0.45rem 0.65rem",
+                          borderRadius: "8px",
+                          border: "1px solid rgba(255,255,255,0.1)",
+                          background: element.covered ? "rgba(16,185,129,0.15)" : "rgba(239,68,68,0.12)",
+                          color: "#e2e8f0",
+                          fontSize: "0.8rem",
+                          textAlign: "left",
+                          cursor: element.first_turn != null ? "pointer" : "default",
+                        }}
+                      >
+                        <span>
+                          {element.covered ? "✓" : "✗"} {element.label}
+                        </span>
+                        {element.covered && <span style={{ opacity: 0.6 }}>{element.count}×</span>}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+              {sessionMetrics.objections && sessionMetrics.objections.length > 0 && (
+                <div style={{ marginTop: "1rem" }}>
+                  <p style={{ margin: "0 0 0.5rem", fontSize: "0.85rem", opacity: 0.8 }}>
+                    Objection timeline · {sessionMetrics.objections_resolved_pct}% resolved
+                  </p>
+                  <div style={{ display: "grid", gap: "0.4rem" }}>
+                    {sessionMetrics.objections.map((objection, index) => (
+                      <button
+                        key={`${objection.turn_index}-${objection.category}-${index}`}
+                        onClick={() => jumpToEvidence({ text: objection.label, turn_index: objection.turn_index, quote: objection.quote })}
+                        style={{
+                          display: "flex",
+                          justifyContent: "space-between",
+                          gap: "0.75rem",
+                          padding: "0.45rem 0.65rem",
+                          borderRadius: "8px",
+                          border: "1px solid rgba(255,255,255,0.1)",
+                          background: objection.resolved ? "rgba(16,185,129,0.15)" : "rgba(239,68,68,0.12)",
+                          color: "#e2e8f0",
+                          fontSize: "0.8rem",
+                          textAlign: "left",
+                          cursor: "pointer",
+                        }}
+                      >
+                        <span>
+                          Turn {objection.turn_index + 1} · <strong>{objection.label}</strong>: “{objection.quote}”
+                        </span>
+                        <span style={{ opacity: 0.7, whiteSpace: "nowrap" }}>
+                          {objection.handling}
+                          {objection.raised_again ? " · raised again" : ""}
+                        </span>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
             </div>
           )}
 
@@ -1351,7 +1818,7 @@ export default function HomePage() {
               <ul style={{ margin: 0, paddingLeft: "1.5rem" }}>
                 {feedback.strengths.map((item, idx) => (
                   <li key={idx} style={{ marginBottom: "0.5rem" }}>
-                    {item}
+                    {renderFeedbackItem(item)}
                   </li>
                 ))}
               </ul>
@@ -1364,7 +1831,7 @@ export default function HomePage() {
               <ul style={{ margin: 0, paddingLeft: "1.5rem" }}>
                 {feedback.weaknesses.map((item, idx) => (
                   <li key={idx} style={{ marginBottom: "0.5rem" }}>
-                    {item}
+                    {renderFeedbackItem(item)}
                   </li>
                 ))}
               </ul>
@@ -1377,7 +1844,7 @@ export default function HomePage() {
               <ul style={{ margin: 0, paddingLeft: "1.5rem" }}>
                 {feedback.missed_opportunities.map((item, idx) => (
                   <li key={idx} style={{ marginBottom: "0.5rem" }}>
-                    {item}
+                    {renderFeedbackItem(item)}
                   </li>
                 ))}
               </ul>
@@ -1390,7 +1857,7 @@ export default function HomePage() {
               <ul style={{ margin: 0, paddingLeft: "1.5rem" }}>
                 {feedback.actionable_suggestions.map((item, idx) => (
                   <li key={idx} style={{ marginBottom: "0.5rem" }}>
-                    {item}
+                    {renderFeedbackItem(item)}
                   </li>
                 ))}
               </ul>
@@ -1603,7 +2070,24 @@ export default function HomePage() {
             }}
           >
             Difficulty: {difficultyLevel || "Pending"}
+            {difficultyChange === "escalate" && " ↑"}
+            {difficultyChange === "ease" && " ↓"}
           </div>
+          {focusSkills.length > 0 && (
+            <div
+              title="Weak skills from your recent sessions get extra practice in this call"
+              style={{
+                padding: "0.4rem 0.75rem",
+                borderRadius: "999px",
+                border: "1px solid rgba(251, 191, 36, 0.35)",
+                background: "rgba(251, 191, 36, 0.12)",
+                fontSize: "0.8rem",
+                fontWeight: 600,
+              }}
+            >
+              Focus: {focusSkills.map((focus) => focus.label).join(", ")}
+            </div>
+          )}
           <button
             onClick={toggleAutoDifficulty}
             style={{
@@ -1620,6 +2104,26 @@ export default function HomePage() {
             Auto Difficulty: {autoDifficultyEnabled ? "On" : "Off"}
           </button>
         </div>
+        {stageProgress && (
+          <div style={{ marginTop: "0.75rem", display: "flex", flexWrap: "wrap", gap: "0.4rem", alignItems: "center" }}>
+            <span style={{ fontSize: "0.8rem", opacity: 0.7 }}>Stage:</span>
+            {stageProgress.stages.map((stage) => (
+              <span
+                key={stage.id}
+                style={{
+                  padding: "0.3rem 0.6rem",
+                  borderRadius: "999px",
+                  fontSize: "0.75rem",
+                  fontWeight: stage.id === stageProgress.stage.id ? 700 : 500,
+                  border: stage.id === stageProgress.stage.id ? "1px solid #38bdf8" : "1px solid transparent",
+                  background: STAGE_STATUS_COLORS[stage.status] || STAGE_STATUS_COLORS.pending,
+                }}
+              >
+                {stage.name}
+              </span>
+            ))}
+          </div>
+        )}
         <div style={{ marginTop: "1rem" }}>
           <label style={{ display: "block", fontSize: "0.85rem", opacity: 0.8, marginBottom: "0.35rem" }}>
             Scenario Selection
@@ -1638,9 +2142,10 @@ export default function HomePage() {
               cursor: scenarioLocked ? "not-allowed" : "pointer",
             }}
           >
-            {SCENARIOS.map((scenario) => (
+            {scenarios.length === 0 && <option value="">Loading scenarios...</option>}
+            {scenarios.map((scenario) => (
               <option key={scenario.id} value={scenario.id}>
-                {scenario.name}
+                {scenario.custom ? `${scenario.name} (Team)` : scenario.name}
               </option>
             ))}
           </select>
@@ -1713,6 +2218,7 @@ export default function HomePage() {
             return (
               <div
                 key={`${message.speaker}-${idx}-${message.text.slice(0, 12)}`}
+                id={`conversation-turn-${idx}`}
                 style={{
                   padding: "0.85rem 1rem",
                   background: isCustomer ? "rgba(236, 72, 153, 0.12)" : "rgba(31, 111, 235, 0.12)",
@@ -1720,6 +2226,8 @@ export default function HomePage() {
                     ? "1px solid rgba(236, 72, 153, 0.25)"
                     : "1px solid rgba(31, 111, 235, 0.25)",
                   borderRadius: "10px",
+                  boxShadow: highlightedTurn === idx ? "0 0 0 2px #f59e0b" : "none",
+                  transition: "box-shadow 0.3s",
                 }}
               >
                 <p style={{ margin: 0, fontSize: "0.85rem", opacity: 0.7, marginBottom: "0.35rem" }}>
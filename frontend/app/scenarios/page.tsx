@@ -0,0 +1,1212 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { supabase } from "../../lib/supabaseClient";
+
+type Persona = {
+  role: string;
+  company_size: string;
+  industry: string;
+  budget: string;
+  pain_points: string[];
+  hidden_objections: string[];
+  decision_authority: string;
+  temperament: string;
+  notes: string;
+  first_response: string;
+};
+
+type BuyingCriterion = {
+  id?: string;
+  description: string;
+  keywords: string[];
+};
+
+type RubricCriterion = {
+  key?: string;
+  name: string;
+  weight: number;
+  description: string;
+  levels: { score: number; descriptor: string }[];
+};
+
+type Rubric = {
+  id?: string;
+  name: string;
+  overall: "weighted" | "model";
+  criteria: RubricCriterion[];
+};
+
+type VoiceSettings = {
+  voice: string | null;
+  rate: number;
+  style: string | null;
+};
+
+type ScenarioRecord = {
+  id: string;
+  name: string;
+  description: string;
+  custom: boolean;
+  persona?: Persona | null;
+  buying_criteria?: BuyingCriterion[];
+  rubric?: Rubric | null;
+  voice?: VoiceSettings | null;
+  persona_brief?: string;
+  first_response_rule?: string;
+  updated_at?: string;
+};
+
+// List fields are edited as one item per line.
+type ScenarioDraft = {
+  name: string;
+  description: string;
+  buying_criteria: string;
+  rubric: string;
+  voice: { voice: string; rate: string; style: string };
+  persona: Omit<Persona, "pain_points" | "hidden_objections"> & {
+    pain_points: string;
+    hidden_objections: string;
+  };
+};
+
+const EMPTY_DRAFT: ScenarioDraft = {
+  name: "",
+  description: "",
+  buying_criteria: "",
+  rubric: "",
+  voice: { voice: "", rate: "", style: "" },
+  persona: {
+    role: "",
+    company_size: "",
+    industry: "",
+    budget: "",
+    pain_points: "",
+    hidden_objections: "",
+    decision_authority: "",
+    temperament: "",
+    notes: "",
+    first_response: "",
+  },
+};
+
+const COMPANY_SIZE_OPTIONS = [
+  { value: "solo", label: "Solo / one-person" },
+  { value: "small", label: "Small (under 50)" },
+  { value: "mid_market", label: "Mid-market (50-1,000)" },
+  { value: "enterprise", label: "Enterprise (1,000+)" },
+];
+
+const DECISION_AUTHORITY_OPTIONS = [
+  { value: "decision_maker", label: "Decision maker" },
+  { value: "influencer", label: "Influencer" },
+  { value: "gatekeeper", label: "Gatekeeper" },
+  { value: "committee", label: "Buying committee" },
+];
+
+const TEMPERAMENT_OPTIONS = [
+  { value: "friendly", label: "Friendly" },
+  { value: "neutral", label: "Neutral" },
+  { value: "skeptical", label: "Skeptical" },
+  { value: "impatient", label: "Impatient" },
+  { value: "hostile", label: "Hostile" },
+];
+
+function splitLines(value: string) {
+  return value
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+// Buying criteria are edited as "description | keyword, keyword" lines.
+function parseCriteria(value: string): BuyingCriterion[] {
+  return splitLines(value).map((line) => {
+    const [description, keywords = ""] = line.split("|");
+    return {
+      description: description.trim(),
+      keywords: keywords
+        .split(",")
+        .map((keyword) => keyword.trim())
+        .filter(Boolean),
+    };
+  });
+}
+
+function formatCriteria(criteria: BuyingCriterion[] | undefined) {
+  return (criteria || [])
+    .map((criterion) =>
+      criterion.keywords.length > 0 ? `${criterion.description} | ${criterion.keywords.join(", ")}` : criterion.description
+    )
+    .join("\n");
+}
+
+// Rubric criteria are edited as "name | weight | description | 9: descriptor; 5: descriptor" lines.
+function parseRubricCriteria(value: string): RubricCriterion[] {
+  return splitLines(value).map((line) => {
+    const [name, weight = "", description = "", levels = ""] = line.split("|").map((part) => part.trim());
+    return {
+      name,
+      weight: weight ? Number(weight) : 1,
+      description,
+      levels: levels
+        .split(";")
+        .map((level) => level.trim())
+        .filter(Boolean)
+        .map((level) => {
+          const [score, ...descriptor] = level.split(":");
+          return { score: Number(score.trim()), descriptor: descriptor.join(":").trim() };
+        }),
+    };
+  });
+}
+
+function formatRubricCriteria(criteria: RubricCriterion[] | undefined) {
+  return (criteria || [])
+    .map((criterion) => {
+      const parts = [criterion.name, String(criterion.weight), criterion.description];
+      if (criterion.levels.length > 0) {
+        parts.push(criterion.levels.map((level) => `${level.score}: ${level.descriptor}`).join("; "));
+      }
+      return parts.join(" | ").replace(/( \| )+$/, "");
+    })
+    .join("\n");
+}
+
+type MethodologyOption = {
+  id: string;
+  name: string;
+  elements: string[];
+};
+
+// Voices of the configured TTS provider (GET /api/tts/voices).
+type VoiceCatalog = {
+  provider: string | null;
+  voices: { id: string; label: string; gender: string | null; accent: string | null }[];
+  styles: { id: string; label: string }[];
+  rate: { min: number; max: number };
+};
+
+type ImportResult = {
+  pack: { name: string; version: number };
+  created: string[];
+  overwritten: string[];
+  skipped: string[];
+  renamed: { from: string; to: string }[];
+  warnings: string[];
+  dry_run: boolean;
+};
+
+type ConflictStrategy = "skip" | "overwrite" | "rename";
+
+const API_BASE = process.env.NEXT_PUBLIC_API_BASE || "http://localhost:3001";
+
+const inputStyle = {
+  width: "100%",
+  padding: "0.55rem 0.75rem",
+  borderRadius: "10px",
+  border: "1px solid rgba(148, 163, 184, 0.3)",
+  background: "rgba(15, 23, 42, 0.6)",
+  color: "#e2e8f0",
+  fontFamily: "inherit",
+  fontSize: "0.9rem",
+  boxSizing: "border-box" as const,
+};
+
+export default function ScenarioLibraryPage() {
+  const router = useRouter();
+  const [authLoading, setAuthLoading] = useState<boolean>(true);
+  const [authToken, setAuthToken] = useState<string>("");
+  const [role, setRole] = useState<string>("");
+  const [scenarios, setScenarios] = useState<ScenarioRecord[]>([]);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [saving, setSaving] = useState<boolean>(false);
+  const [error, setError] = useState<string>("");
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [draft, setDraft] = useState<ScenarioDraft>(EMPTY_DRAFT);
+  const [packText, setPackText] = useState<string>("");
+  const [packFileName, setPackFileName] = useState<string>("");
+  const [conflictStrategy, setConflictStrategy] = useState<ConflictStrategy>("skip");
+  const [importResult, setImportResult] = useState<ImportResult | null>(null);
+  const [importing, setImporting] = useState<boolean>(false);
+  const [rubricName, setRubricName] = useState<string>("");
+  const [rubricOverall, setRubricOverall] = useState<Rubric["overall"]>("weighted");
+  const [rubricText, setRubricText] = useState<string>("");
+  const [defaultRubric, setDefaultRubric] = useState<Rubric | null>(null);
+  const [rubricCustomized, setRubricCustomized] = useState<boolean>(false);
+  const [rubricSaving, setRubricSaving] = useState<boolean>(false);
+  const [methodology, setMethodology] = useState<string>("");
+  const [methodologyOptions, setMethodologyOptions] = useState<MethodologyOption[]>([]);
+  const [voiceCatalog, setVoiceCatalog] = useState<VoiceCatalog | null>(null);
+
+  useEffect(() => {
+    let active = true;
+
+    supabase.auth.getSession().then(({ data }) => {
+      if (!active) return;
+      const session = data.session;
+      if (!session) {
+        setAuthLoading(false);
+        router.push("/login");
+        return;
+      }
+      setAuthToken(session.access_token);
+      setAuthLoading(false);
+    });
+
+    return () => {
+      active = false;
+    };
+  }, [router]);
+
+  useEffect(() => {
+    if (!authToken) return;
+    let active = true;
+
+    async function loadRoleAndScenarios() {
+      try {
+        const orgResponse = await fetch(`${API_BASE}/api/org/me`, {
+          headers: { Authorization: `Bearer ${authToken}` },
+        });
+        const orgInfo = orgResponse.ok ? await orgResponse.json() : null;
+        if (!active) return;
+        setRole(orgInfo?.role || "");
+        if (orgInfo?.role !== "trainer") {
+          setLoading(false);
+          return;
+        }
+        await Promise.all([
+          loadScenarios(authToken),
+          loadRubric(authToken),
+          loadMethodology(authToken),
+          loadVoices(authToken),
+        ]);
+      } catch (err) {
+        console.error("Failed to load scenario library", err);
+        if (active) setError("Failed to load scenario library");
+      } finally {
+        if (active) setLoading(false);
+      }
+    }
+
+    loadRoleAndScenarios();
+
+    return () => {
+      active = false;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [authToken]);
+
+  async function loadScenarios(token: string) {
+    const response = await fetch(`${API_BASE}/api/org/scenarios`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    if (!response.ok) {
+      throw new Error(`Scenario request failed with ${response.status}`);
+    }
+    const payload = await response.json();
+    setScenarios(Array.isArray(payload?.scenarios) ? payload.scenarios : []);
+  }
+
+  function applyRubricPayload(payload: { rubric: Rubric | null; default: Rubric }) {
+    const rubric = payload.rubric || payload.default;
+    setDefaultRubric(payload.default);
+    setRubricCustomized(Boolean(payload.rubric));
+    setRubricName(rubric.name);
+    setRubricOverall(rubric.overall);
+    setRubricText(formatRubricCriteria(rubric.criteria));
+  }
+
+  async function loadRubric(token: string) {
+    const response = await fetch(`${API_BASE}/api/org/rubric`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    if (!response.ok) {
+      throw new Error(`Rubric request failed with ${response.status}`);
+    }
+    applyRubricPayload(await response.json());
+  }
+
+  // `reset` clears the organization rubric so the default applies again.
+  async function saveRubric(reset: boolean) {
+    if (!authToken) return;
+    setRubricSaving(true);
+    setError("");
+    try {
+      const response = await fetch(`${API_BASE}/api/org/rubric`, {
+        method: "PUT",
+        headers: {
+          Authorization: `Bearer ${authToken}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          rubric: reset
+            ? null
+            : { name: rubricName, overall: rubricOverall, criteria: parseRubricCriteria(rubricText) },
+        }),
+      });
+      const payload = await response.json().catch(() => null);
+      if (!response.ok) {
+        throw new Error(payload?.error || `Save failed with ${response.status}`);
+      }
+      applyRubricPayload(payload);
+    } catch (err) {
+      console.error("Failed to save rubric", err);
+      setError(err instanceof Error ? err.message : "Failed to save rubric");
+    } finally {
+      setRubricSaving(false);
+    }
+  }
+
+  async function loadMethodology(token: string) {
+    const response = await fetch(`${API_BASE}/api/org/methodology`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    if (!response.ok) {
+      throw new Error(`Methodology request failed with ${response.status}`);
+    }
+    const payload = await response.json();
+    setMethodology(payload?.methodology || "");
+    setMethodologyOptions(Array.isArray(payload?.options) ? payload.options : []);
+  }
+
+  async function loadVoices(token: string) {
+    const response = await fetch(`${API_BASE}/api/tts/voices`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    if (!response.ok) {
+      throw new Error(`Voice request failed with ${response.status}`);
+    }
+    setVoiceCatalog(await response.json());
+  }
+
+  async function saveMethodology(value: string) {
+    if (!authToken) return;
+    const previous = methodology;
+    setMethodology(value);
+    setError("");
+    try {
+      const response = await fetch(`${API_BASE}/api/org/methodology`, {
+        method: "PUT",
+        headers: {
+          Authorization: `Bearer ${authToken}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ methodology: value || null }),
+      });
+      const payload = await response.json().catch(() => null);
+      if (!response.ok) {
+        throw new Error(payload?.error || `Save failed with ${response.status}`);
+      }
+      setMethodology(payload?.methodology || "");
+    } catch (err) {
+      console.error("Failed to save methodology", err);
+      setMethodology(previous);
+      setError(err instanceof Error ? err.message : "Failed to save methodology");
+    }
+  }
+
+  function startEdit(scenario: ScenarioRecord) {
+    const persona = scenario.persona;
+    setEditingId(scenario.id);
+    // Scenarios written before structured personas only have a free-text brief;
+    // carry it over as notes so the trainer can fill in the structured fields.
+    setDraft({
+      name: scenario.name,
+      description: scenario.description || "",
+      buying_criteria: formatCriteria(scenario.buying_criteria),
+      rubric: formatRubricCriteria(scenario.rubric?.criteria),
+      voice: {
+        voice: scenario.voice?.voice || "",
+        rate: scenario.voice ? String(scenario.voice.rate) : "",
+        style: scenario.voice?.style || "",
+      },
+      persona: {
+        role: persona?.role || "",
+        company_size: persona?.company_size || "",
+        industry: persona?.industry || "",
+        budget: persona?.budget || "",
+        pain_points: (persona?.pain_points || []).join("\n"),
+        hidden_objections: (persona?.hidden_objections || []).join("\n"),
+        decision_authority: persona?.decision_authority || "",
+        temperament: persona?.temperament || "",
+        notes: persona ? persona.notes || "" : scenario.persona_brief || "",
+        first_response: persona ? persona.first_response || "" : scenario.first_response_rule || "",
+      },
+    });
+    setError("");
+  }
+
+  function updatePersona(field: keyof ScenarioDraft["persona"], value: string) {
+    setDraft({ ...draft, persona: { ...draft.persona, [field]: value } });
+  }
+
+  function cancelEdit() {
+    setEditingId(null);
+    setDraft(EMPTY_DRAFT);
+  }
+
+  async function saveScenario() {
+    if (!authToken) return;
+    if (!draft.name.trim() || !draft.persona.role.trim()) {
+      setError("Name and persona role are required");
+      return;
+    }
+    setSaving(true);
+    setError("");
+    // An empty rubric means the scenario is scored with the organization rubric.
+    const existingRubric = scenarios.find((scenario) => scenario.id === editingId)?.rubric;
+    const rubric = draft.rubric.trim()
+      ? {
+          name: existingRubric?.name || `${draft.name.trim()} Rubric`,
+          overall: existingRubric?.overall || "weighted",
+          criteria: parseRubricCriteria(draft.rubric),
+        }
+      : null;
+    // No voice settings means the voice follows the persona's temperament.
+    const voice =
+      draft.voice.voice || draft.voice.rate.trim() || draft.voice.style
+        ? {
+            voice: draft.voice.voice || null,
+            rate: draft.voice.rate.trim() ? Number(draft.voice.rate) : 1,
+            style: draft.voice.style || null,
+          }
+        : null;
+    try {
+      const url = editingId
+        ? `${API_BASE}/api/org/scenarios/${editingId}`
+        : `${API_BASE}/api/org/scenarios`;
+      const response = await fetch(url, {
+        method: editingId ? "PATCH" : "POST",
+        headers: {
+          Authorization: `Bearer ${authToken}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          name: draft.name,
+          description: draft.description,
+          persona: {
+            ...draft.persona,
+            pain_points: splitLines(draft.persona.pain_points),
+            hidden_objections: splitLines(draft.persona.hidden_objections),
+          },
+          buying_criteria: parseCriteria(draft.buying_criteria),
+          rubric,
+          voice,
+          persona_brief: "",
+          first_response_rule: "",
+        }),
+      });
+      if (!response.ok) {
+        const payload = await response.json().catch(() => null);
+        throw new Error(payload?.error || `Save failed with ${response.status}`);
+      }
+      cancelEdit();
+      await loadScenarios(authToken);
+    } catch (err) {
+      console.error("Failed to save scenario", err);
+      setError(err instanceof Error ? err.message : "Failed to save scenario");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function deleteScenario(scenarioId: string) {
+    if (!authToken) return;
+    if (!window.confirm("Delete this scenario? Trainees will no longer be able to select it.")) return;
+    setError("");
+    try {
+      const response = await fetch(`${API_BASE}/api/org/scenarios/${scenarioId}`, {
+        method: "DELETE",
+        headers: { Authorization: `Bearer ${authToken}` },
+      });
+      if (!response.ok) {
+        throw new Error(`Delete failed with ${response.status}`);
+      }
+      if (editingId === scenarioId) cancelEdit();
+      await loadScenarios(authToken);
+    } catch (err) {
+      console.error("Failed to delete scenario", err);
+      setError("Failed to delete scenario");
+    }
+  }
+
+  async function exportPack(format: "json" | "yaml") {
+    if (!authToken) return;
+    setError("");
+    try {
+      const response = await fetch(`${API_BASE}/api/org/scenarios/export?format=${format}`, {
+        headers: { Authorization: `Bearer ${authToken}` },
+      });
+      if (!response.ok) {
+        throw new Error(`Export failed with ${response.status}`);
+      }
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `scenario-pack.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Failed to export scenarios", err);
+      setError("Failed to export scenarios");
+    }
+  }
+
+  async function handlePackFile(file: File | undefined) {
+    if (!file) return;
+    setPackText(await file.text());
+    setPackFileName(file.name);
+    setImportResult(null);
+  }
+
+  async function importPack(dryRun: boolean) {
+    if (!authToken || !packText) return;
+    setImporting(true);
+    setError("");
+    try {
+      const response = await fetch(`${API_BASE}/api/org/scenarios/import`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${authToken}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ pack: packText, on_conflict: conflictStrategy, dry_run: dryRun }),
+      });
+      const payload = await response.json().catch(() => null);
+      if (!response.ok) {
+        const details = Array.isArray(payload?.details) ? `: ${payload.details.join("; ")}` : "";
+        throw new Error(`${payload?.error || `Import failed with ${response.status}`}${details}`);
+      }
+      setImportResult(payload as ImportResult);
+      if (!dryRun) {
+        await loadScenarios(authToken);
+      }
+    } catch (err) {
+      console.error("Failed to import scenarios", err);
+      setError(err instanceof Error ? err.message : "Failed to import scenarios");
+    } finally {
+      setImporting(false);
+    }
+  }
+
+  if (authLoading || loading) {
+    return (
+      <main
+        style={{
+          minHeight: "100vh",
+          padding: "3rem 2rem",
+          background: "linear-gradient(135deg, #0b1220, #12203a)",
+          color: "#e2e8f0",
+          fontFamily: "'IBM Plex Sans', system-ui, -apple-system, sans-serif",
+        }}
+      >
+        Loading...
+      </main>
+    );
+  }
+
+  const customScenarios = scenarios.filter((scenario) => scenario.custom);
+  const builtInScenarios = scenarios.filter((scenario) => !scenario.custom);
+
+  return (
+    <main
+      style={{
+        minHeight: "100vh",
+        padding: "3rem 2rem",
+        background: "linear-gradient(135deg, #0b1220, #12203a)",
+        color: "#e2e8f0",
+        fontFamily: "'IBM Plex Sans', system-ui, -apple-system, sans-serif",
+      }}
+    >
+      <div style={{ maxWidth: "960px", margin: "0 auto", display: "flex", flexDirection: "column", gap: "2rem" }}>
+        <header style={{ display: "flex", flexDirection: "column", gap: "0.5rem" }}>
+          <p style={{ margin: 0, textTransform: "uppercase", letterSpacing: "0.2em", fontSize: "0.75rem" }}>
+            Scenario Library
+          </p>
+          <h1 style={{ margin: 0, fontSize: "2.2rem", fontWeight: 700 }}>Custom Customer Scenarios</h1>
+          <p style={{ margin: 0, fontSize: "1rem", opacity: 0.8 }}>
+            Describe customer personas for your team. Trainees in your organization see them in the scenario picker.
+          </p>
+          <div style={{ marginTop: "0.5rem" }}>
+            <Link
+              href="/analytics"
+              style={{
+                display: "inline-flex",
+                padding: "0.45rem 0.85rem",
+                borderRadius: "999px",
+                border: "1px solid rgba(255,255,255,0.2)",
+                background: "rgba(148, 163, 184, 0.15)",
+                color: "#e2e8f0",
+                textDecoration: "none",
+                fontSize: "0.85rem",
+                fontWeight: 600,
+              }}
+            >
+              Back to Dashboard
+            </Link>
+          </div>
+        </header>
+
+        {role !== "trainer" && (
+          <div style={{ padding: "1.5rem", borderRadius: "16px", background: "rgba(239, 68, 68, 0.15)" }}>
+            Trainer role required to manage scenarios.
+          </div>
+        )}
+
+        {role === "trainer" && (
+          <>
+            {error && (
+              <div style={{ padding: "1rem", borderRadius: "12px", background: "rgba(239, 68, 68, 0.15)" }}>
+                {error}
+              </div>
+            )}
+
+            <section
+              style={{
+                display: "flex",
+                flexDirection: "column",
+                gap: "0.9rem",
+                padding: "1.5rem",
+                borderRadius: "18px",
+                background: "rgba(15, 23, 42, 0.85)",
+                border: "1px solid rgba(148, 163, 184, 0.15)",
+              }}
+            >
+              <h2 style={{ margin: 0, fontSize: "1.3rem" }}>{editingId ? "Edit Scenario" : "New Scenario"}</h2>
+              <label style={{ fontSize: "0.85rem", opacity: 0.8 }}>
+                Name
+                <input
+                  value={draft.name}
+                  onChange={(event) => setDraft({ ...draft, name: event.target.value })}
+                  placeholder="e.g. Skeptical IT Director"
+                  style={{ ...inputStyle, marginTop: "0.35rem" }}
+                />
+              </label>
+              <label style={{ fontSize: "0.85rem", opacity: 0.8 }}>
+                Description
+                <input
+                  value={draft.description}
+                  onChange={(event) => setDraft({ ...draft, description: event.target.value })}
+                  placeholder="Shown to trainees in the scenario picker"
+                  style={{ ...inputStyle, marginTop: "0.35rem" }}
+                />
+              </label>
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(220px, 1fr))", gap: "0.9rem" }}>
+                <label style={{ fontSize: "0.85rem", opacity: 0.8 }}>
+                  Role
+                  <input
+                    value={draft.persona.role}
+                    onChange={(event) => updatePersona("role", event.target.value)}
+                    placeholder="e.g. IT director"
+                    style={{ ...inputStyle, marginTop: "0.35rem" }}
+                  />
+                </label>
+                <label style={{ fontSize: "0.85rem", opacity: 0.8 }}>
+                  Industry
+                  <input
+                    value={draft.persona.industry}
+                    onChange={(event) => updatePersona("industry", event.target.value)}
+                    placeholder="e.g. healthcare"
+                    style={{ ...inputStyle, marginTop: "0.35rem" }}
+                  />
+                </label>
+                <label style={{ fontSize: "0.85rem", opacity: 0.8 }}>
+                  Company size
+                  <select
+                    value={draft.persona.company_size}
+                    onChange={(event) => updatePersona("company_size", event.target.value)}
+                    style={{ ...inputStyle, marginTop: "0.35rem" }}
+                  >
+                    <option value="">Not specified</option>
+                    {COMPANY_SIZE_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label style={{ fontSize: "0.85rem", opacity: 0.8 }}>
+                  Decision authority
+                  <select
+                    value={draft.persona.decision_authority}
+                    onChange={(event) => updatePersona("decision_authority", event.target.value)}
+                    style={{ ...inputStyle, marginTop: "0.35rem" }}
+                  >
+                    <option value="">Not specified</option>
+                    {DECISION_AUTHORITY_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label style={{ fontSize: "0.85rem", opacity: 0.8 }}>
+                  Temperament
+                  <select
+                    value={draft.persona.temperament}
+                    onChange={(event) => updatePersona("temperament", event.target.value)}
+                    style={{ ...inputStyle, marginTop: "0.35rem" }}
+                  >
+                    <option value="">Not specified</option>
+                    {TEMPERAMENT_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label style={{ fontSize: "0.85rem", opacity: 0.8 }}>
+                  Budget
+                  <input
+                    value={draft.persona.budget}
+                    onChange={(event) => updatePersona("budget", event.target.value)}
+                    placeholder="e.g. $20k/year, already committed elsewhere"
+                    style={{ ...inputStyle, marginTop: "0.35rem" }}
+                  />
+                </label>
+              </div>
+              <label style={{ fontSize: "0.85rem", opacity: 0.8 }}>
+                Pain points (one per line)
+                <textarea
+                  value={draft.persona.pain_points}
+                  onChange={(event) => updatePersona("pain_points", event.target.value)}
+                  placeholder="Helpdesk tickets piling up after the last rollout"
+                  rows={3}
+                  style={{ ...inputStyle, marginTop: "0.35rem", resize: "vertical" }}
+                />
+              </label>
+              <label style={{ fontSize: "0.85rem", opacity: 0.8 }}>
+                Hidden objections (one per line, only raised when the trainee gets close)
+                <textarea
+                  value={draft.persona.hidden_objections}
+                  onChange={(event) => updatePersona("hidden_objections", event.target.value)}
+                  placeholder="Burned by a failed rollout with a previous vendor"
+                  rows={3}
+                  style={{ ...inputStyle, marginTop: "0.35rem", resize: "vertical" }}
+                />
+              </label>
+              <label style={{ fontSize: "0.85rem", opacity: 0.8 }}>
+                Additional notes
+                <textarea
+                  value={draft.persona.notes}
+                  onChange={(event) => updatePersona("notes", event.target.value)}
+                  placeholder="Anything the structured fields don't cover"
+                  rows={3}
+                  style={{ ...inputStyle, marginTop: "0.35rem", resize: "vertical" }}
+                />
+              </label>
+              <label style={{ fontSize: "0.85rem", opacity: 0.8 }}>
+                Secret buying criteria (one per line: description | keywords that show the trainee raised it)
+                <textarea
+                  value={draft.buying_criteria}
+                  onChange={(event) => setDraft({ ...draft, buying_criteria: event.target.value })}
+                  placeholder="Supports SSO with Okta | sso, single sign-on, okta"
+                  rows={3}
+                  style={{ ...inputStyle, marginTop: "0.35rem", resize: "vertical" }}
+                />
+              </label>
+              <label style={{ fontSize: "0.85rem", opacity: 0.8 }}>
+                Scoring rubric (optional; one criterion per line: name | weight | description | score: level; ...)
+                <textarea
+                  value={draft.rubric}
+                  onChange={(event) => setDraft({ ...draft, rubric: event.target.value })}
+                  placeholder="Leave empty to use the organization rubric"
+                  rows={3}
+                  style={{ ...inputStyle, marginTop: "0.35rem", resize: "vertical" }}
+                />
+              </label>
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(220px, 1fr))", gap: "0.9rem" }}>
+                <label style={{ fontSize: "0.85rem", opacity: 0.8 }}>
+                  Customer voice{voiceCatalog?.provider ? ` (${voiceCatalog.provider})` : ""}
+                  <select
+                    value={draft.voice.voice}
+                    onChange={(event) => setDraft({ ...draft, voice: { ...draft.voice, voice: event.target.value } })}
+                    style={{ ...inputStyle, marginTop: "0.35rem" }}
+                  >
+                    <option value="">Provider default</option>
+                    {(voiceCatalog?.voices || []).map((option) => (
+                      <option key={option.id} value={option.id}>
+                        {option.label}
+                        {option.gender || option.accent ? ` (${[option.gender, option.accent].filter(Boolean).join(", ")})` : ""}
+                      </option>
+                    ))}
+                    {draft.voice.voice && !(voiceCatalog?.voices || []).some((option) => option.id === draft.voice.voice) && (
+                      <option value={draft.voice.voice}>{draft.voice.voice} (not available with this provider)</option>
+                    )}
+                  </select>
+                </label>
+                <label style={{ fontSize: "0.85rem", opacity: 0.8 }}>
+                  Speaking style
+                  <select
+                    value={draft.voice.style}
+                    onChange={(event) => setDraft({ ...draft, voice: { ...draft.voice, style: event.target.value } })}
+                    style={{ ...inputStyle, marginTop: "0.35rem" }}
+                  >
+                    <option value="">From temperament</option>
+                    {(voiceCatalog?.styles || []).map((option) => (
+                      <option key={option.id} value={option.id}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label style={{ fontSize: "0.85rem", opacity: 0.8 }}>
+                  Speaking rate
+                  <input
+                    type="number"
+                    step="0.05"
+                    min={voiceCatalog?.rate.min}
+                    max={voiceCatalog?.rate.max}
+                    value={draft.voice.rate}
+                    onChange={(event) => setDraft({ ...draft, voice: { ...draft.voice, rate: event.target.value } })}
+                    placeholder="1.0"
+                    style={{ ...inputStyle, marginTop: "0.35rem" }}
+                  />
+                </label>
+              </div>
+              <label style={{ fontSize: "0.85rem", opacity: 0.8 }}>
+                First response must...
+                <input
+                  value={draft.persona.first_response}
+                  onChange={(event) => updatePersona("first_response", event.target.value)}
+                  placeholder="mention the failed rollout and ask how this will be different"
+                  style={{ ...inputStyle, marginTop: "0.35rem" }}
+                />
+              </label>
+              <div style={{ display: "flex", gap: "0.75rem" }}>
+                <button
+                  onClick={saveScenario}
+                  disabled={saving}
+                  style={{
+                    padding: "0.55rem 1.1rem",
+                    borderRadius: "10px",
+                    border: "1px solid rgba(255,255,255,0.2)",
+                    background: saving ? "#475569" : "rgba(34, 197, 94, 0.25)",
+                    color: "#e2e8f0",
+                    cursor: saving ? "not-allowed" : "pointer",
+                    fontWeight: 600,
+                  }}
+                >
+                  {saving ? "Saving..." : editingId ? "Save Changes" : "Create Scenario"}
+                </button>
+                {editingId && (
+                  <button
+                    onClick={cancelEdit}
+                    style={{
+                      padding: "0.55rem 1.1rem",
+                      borderRadius: "10px",
+                      border: "1px solid rgba(255,255,255,0.2)",
+                      background: "rgba(148, 163, 184, 0.15)",
+                      color: "#e2e8f0",
+                      cursor: "pointer",
+                      fontWeight: 600,
+                    }}
+                  >
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </section>
+
+            <section style={{ display: "flex", flexDirection: "column", gap: "0.75rem" }}>
+              <h2 style={{ margin: 0, fontSize: "1.2rem" }}>Team Scenarios</h2>
+              {customScenarios.length === 0 && (
+                <div style={{ padding: "1rem", borderRadius: "12px", background: "rgba(15, 23, 42, 0.7)" }}>
+                  No custom scenarios yet.
+                </div>
+              )}
+              {customScenarios.map((scenario) => (
+                <div
+                  key={scenario.id}
+                  style={{
+                    padding: "1rem",
+                    borderRadius: "12px",
+                    background: "rgba(15, 23, 42, 0.7)",
+                    border: editingId === scenario.id ? "1px solid rgba(56, 189, 248, 0.5)" : "1px solid transparent",
+                    display: "flex",
+                    justifyContent: "space-between",
+                    gap: "1rem",
+                  }}
+                >
+                  <div style={{ display: "flex", flexDirection: "column", gap: "0.25rem" }}>
+                    <strong>{scenario.name}</strong>
+                    {scenario.description && (
+                      <span style={{ fontSize: "0.85rem", opacity: 0.75 }}>{scenario.description}</span>
+                    )}
+                  </div>
+                  <div style={{ display: "flex", gap: "0.5rem", alignItems: "flex-start" }}>
+                    <button
+                      onClick={() => startEdit(scenario)}
+                      style={{
+                        padding: "0.35rem 0.75rem",
+                        borderRadius: "8px",
+                        border: "1px solid rgba(255,255,255,0.2)",
+                        background: "rgba(14, 165, 233, 0.2)",
+                        color: "#e2e8f0",
+                        cursor: "pointer",
+                        fontSize: "0.8rem",
+                      }}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => deleteScenario(scenario.id)}
+                      style={{
+                        padding: "0.35rem 0.75rem",
+                        borderRadius: "8px",
+                        border: "1px solid rgba(239,68,68,0.3)",
+                        background: "rgba(239, 68, 68, 0.2)",
+                        color: "#fca5a5",
+                        cursor: "pointer",
+                        fontSize: "0.8rem",
+                      }}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </section>
+
+            <section
+              style={{
+                display: "flex",
+                flexDirection: "column",
+                gap: "0.9rem",
+                padding: "1.5rem",
+                borderRadius: "18px",
+                background: "rgba(15, 23, 42, 0.85)",
+                border: "1px solid rgba(148, 163, 184, 0.15)",
+              }}
+            >
+              <h2 style={{ margin: 0, fontSize: "1.2rem" }}>Sales Methodology</h2>
+              <p style={{ margin: 0, fontSize: "0.85rem", opacity: 0.75 }}>
+                Trainee questions and statements are checked against this methodology, and each call gets a coverage
+                checklist.
+              </p>
+              <select
+                value={methodology}
+                onChange={(event) => saveMethodology(event.target.value)}
+                style={inputStyle}
+              >
+                <option value="">None</option>
+                {methodologyOptions.map((option) => (
+                  <option key={option.id} value={option.id}>
+                    {option.name}
+                  </option>
+                ))}
+              </select>
+              {methodology && (
+                <p style={{ margin: 0, fontSize: "0.8rem", opacity: 0.7 }}>
+                  Checklist: {methodologyOptions.find((option) => option.id === methodology)?.elements.join(" · ")}
+                </p>
+              )}
+            </section>
+
+            <section
+              style={{
+                display: "flex",
+                flexDirection: "column",
+                gap: "0.9rem",
+                padding: "1.5rem",
+                borderRadius: "18px",
+                background: "rgba(15, 23, 42, 0.85)",
+                border: "1px solid rgba(148, 163, 184, 0.15)",
+              }}
+            >
+              <h2 style={{ margin: 0, fontSize: "1.2rem" }}>Scoring Rubric</h2>
+              <p style={{ margin: 0, fontSize: "0.85rem", opacity: 0.75 }}>
+                End-of-call feedback scores every criterion from 0 to 10. Scenarios with their own rubric keep it.
+                {rubricCustomized ? "" : ` Currently using the default rubric (${defaultRubric?.name || "Standard Sales Call"}).`}
+              </p>
+              <label style={{ fontSize: "0.85rem", opacity: 0.8 }}>
+                Rubric name
+                <input
+                  value={rubricName}
+                  onChange={(event) => setRubricName(event.target.value)}
+                  style={{ ...inputStyle, marginTop: "0.35rem" }}
+                />
+              </label>
+              <label style={{ fontSize: "0.85rem", opacity: 0.8 }}>
+                Overall score
+                <select
+                  value={rubricOverall}
+                  onChange={(event) => setRubricOverall(event.target.value as Rubric["overall"])}
+                  style={{ ...inputStyle, marginTop: "0.35rem" }}
+                >
+                  <option value="weighted">Weighted average of the criteria</option>
+                  <option value="model">Coach&apos;s overall judgement</option>
+                </select>
+              </label>
+              <label style={{ fontSize: "0.85rem", opacity: 0.8 }}>
+                Criteria (one per line: name | weight | description | score: level; score: level)
+                <textarea
+                  value={rubricText}
+                  onChange={(event) => setRubricText(event.target.value)}
+                  placeholder="Discovery depth | 2 | Uncovers pain, budget and timeline | 9: Quantified the pain; 4: Surface-level questions"
+                  rows={5}
+                  style={{ ...inputStyle, marginTop: "0.35rem", resize: "vertical" }}
+                />
+              </label>
+              <div style={{ display: "flex", gap: "0.75rem" }}>
+                <button
+                  onClick={() => saveRubric(false)}
+                  disabled={rubricSaving}
+                  style={{
+                    padding: "0.55rem 1.1rem",
+                    borderRadius: "10px",
+                    border: "1px solid rgba(255,255,255,0.2)",
+                    background: rubricSaving ? "#475569" : "rgba(34, 197, 94, 0.25)",
+                    color: "#e2e8f0",
+                    cursor: rubricSaving ? "not-allowed" : "pointer",
+                    fontWeight: 600,
+                  }}
+                >
+                  {rubricSaving ? "Saving..." : "Save Rubric"}
+                </button>
+                {rubricCustomized && (
+                  <button
+                    onClick={() => saveRubric(true)}
+                    disabled={rubricSaving}
+                    style={{
+                      padding: "0.55rem 1.1rem",
+                      borderRadius: "10px",
+                      border: "1px solid rgba(255,255,255,0.2)",
+                      background: "rgba(148, 163, 184, 0.15)",
+                      color: "#e2e8f0",
+                      cursor: rubricSaving ? "not-allowed" : "pointer",
+                      fontWeight: 600,
+                    }}
+                  >
+                    Restore Default
+                  </button>
+                )}
+              </div>
+            </section>
+
+            <section
+              style={{
+                display: "flex",
+                flexDirection: "column",
+                gap: "0.9rem",
+                padding: "1.5rem",
+                borderRadius: "18px",
+                background: "rgba(15, 23, 42, 0.85)",
+                border: "1px solid rgba(148, 163, 184, 0.15)",
+              }}
+            >
+              <h2 style={{ margin: 0, fontSize: "1.2rem" }}>Share Scenario Packs</h2>
+              <p style={{ margin: 0, fontSize: "0.85rem", opacity: 0.75 }}>
+                Export your library as a versioned JSON or YAML pack, or import a pack from another team.
+              </p>
+              <div style={{ display: "flex", gap: "0.75rem" }}>
+                {(["json", "yaml"] as const).map((format) => (
+                  <button
+                    key={format}
+                    onClick={() => exportPack(format)}
+                    style={{
+                      padding: "0.45rem 0.9rem",
+                      borderRadius: "10px",
+                      border: "1px solid rgba(255,255,255,0.2)",
+                      background: "rgba(14, 165, 233, 0.2)",
+                      color: "#e2e8f0",
+                      cursor: "pointer",
+                      fontWeight: 600,
+                    }}
+                  >
+                    Export {format.toUpperCase()}
+                  </button>
+                ))}
+              </div>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: "0.75rem", alignItems: "center" }}>
+                <input
+                  type="file"
+                  accept=".json,.yaml,.yml,application/json,application/yaml"
+                  onChange={(event) => handlePackFile(event.target.files?.[0])}
+                />
+                <label style={{ fontSize: "0.85rem", opacity: 0.8 }}>
+                  On name conflict{" "}
+                  <select
+                    value={conflictStrategy}
+                    onChange={(event) => setConflictStrategy(event.target.value as ConflictStrategy)}
+                    style={{ ...inputStyle, width: "auto", marginLeft: "0.35rem" }}
+                  >
+                    <option value="skip">Skip</option>
+                    <option value="overwrite">Overwrite</option>
+                    <option value="rename">Import as copy</option>
+                  </select>
+                </label>
+              </div>
+              {packFileName && (
+                <div style={{ display: "flex", gap: "0.75rem" }}>
+                  <button
+                    onClick={() => importPack(true)}
+                    disabled={importing}
+                    style={{
+                      padding: "0.45rem 0.9rem",
+                      borderRadius: "10px",
+                      border: "1px solid rgba(255,255,255,0.2)",
+                      background: "rgba(148, 163, 184, 0.15)",
+                      color: "#e2e8f0",
+                      cursor: importing ? "not-allowed" : "pointer",
+                      fontWeight: 600,
+                    }}
+                  >
+                    Preview {packFileName}
+                  </button>
+                  <button
+                    onClick={() => importPack(false)}
+                    disabled={importing}
+                    style={{
+                      padding: "0.45rem 0.9rem",
+                      borderRadius: "10px",
+                      border: "1px solid rgba(255,255,255,0.2)",
+                      background: importing ? "#475569" : "rgba(34, 197, 94, 0.25)",
+                      color: "#e2e8f0",
+                      cursor: importing ? "not-allowed" : "pointer",
+                      fontWeight: 600,
+                    }}
+                  >
+                    {importing ? "Importing..." : "Import"}
+                  </button>
+                </div>
+              )}
+              {importResult && (
+                <div style={{ padding: "0.75rem", borderRadius: "10px", background: "rgba(15, 23, 42, 0.6)", fontSize: "0.85rem" }}>
+                  <strong>
+                    {importResult.dry_run ? "Preview of" : "Imported"} {importResult.pack.name} (v{importResult.pack.version})
+                  </strong>
+                  <div>Created: {importResult.created.join(", ") || "none"}</div>
+                  <div>Overwritten: {importResult.overwritten.join(", ") || "none"}</div>
+                  <div>Skipped: {importResult.skipped.join(", ") || "none"}</div>
+                  {importResult.renamed.length > 0 && (
+                    <div>Renamed: {importResult.renamed.map((entry) => `${entry.from} → ${entry.to}`).join(", ")}</div>
+                  )}
+                  {importResult.warnings.map((warning) => (
+                    <div key={warning} style={{ color: "#fcd34d" }}>
+                      {warning}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </section>
+
+            <section style={{ display: "flex", flexDirection: "column", gap: "0.75rem" }}>
+              <h2 style={{ margin: 0, fontSize: "1.2rem" }}>Built-in Scenarios</h2>
+              {builtInScenarios.map((scenario) => (
+                <div key={scenario.id} style={{ padding: "1rem", borderRadius: "12px", background: "rgba(15, 23, 42, 0.5)" }}>
+                  <strong>{scenario.name}</strong>
+                  <p style={{ margin: "0.25rem 0 0", fontSize: "0.85rem", opacity: 0.75 }}>{scenario.description}</p>
+                </div>
+              ))}
+            </section>
+          </>
+        )}
+      </div>
+    </main>
+  );
+}
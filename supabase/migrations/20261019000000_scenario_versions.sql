@@ -0,0 +1,40 @@
+-- Scenario versions and the session columns that pin a call to one.
+--
+-- scenario_versions is append-only: backend/src/scenarioVersions.js inserts a
+-- row per distinct scenario content and relies on the two unique constraints
+-- to detect concurrent writers (Postgres error 23505).
+
+create table if not exists public.scenario_versions (
+  id uuid primary key default gen_random_uuid(),
+  scenario_key text not null,            -- built-in scenario id or custom scenario uuid
+  organization_id uuid,                  -- null for built-in scenarios
+  version_number integer not null,
+  content_hash text not null,            -- SHA-256 of the canonical scenario JSON
+  name text not null,
+  content jsonb not null,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  unique (scenario_key, version_number),
+  unique (scenario_key, content_hash)
+);
+
+alter table public.call_sessions
+  add column if not exists scenario_version_id uuid references public.scenario_versions (id) on delete set null,
+  add column if not exists difficulty_modifier text;
+
+create index if not exists call_sessions_scenario_version_id_idx
+  on public.call_sessions (scenario_version_id);
+
+-- Sessions saved before these columns existed keep both values in `feedback`.
+update public.call_sessions
+set
+  scenario_version_id = coalesce(
+    scenario_version_id,
+    (
+      select v.id
+      from public.scenario_versions v
+      where v.id::text = call_sessions.feedback -> 'scenario_version' ->> 'id'
+    )
+  ),
+  difficulty_modifier = coalesce(difficulty_modifier, feedback ->> 'difficulty_modifier')
+where feedback ? 'scenario_version' or feedback ? 'difficulty_modifier';